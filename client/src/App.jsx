@@ -6,6 +6,7 @@ import HomePage from './pages/HomePage'
 import ModernChatPage from './pages/ModernChatPage'
 import DashboardPage from './pages/DashboardPage'
 import ProfilePage from './pages/ProfilePage'
+import FlashcardsPage from './pages/FlashcardsPage'
 import Login from './pages/Login'
 import AuthCallback from './pages/AuthCallback'
 
@@ -62,6 +63,13 @@ function App() {
           </ProtectedRoute>
         } />
         
+        <Route path="/flashcards" element={
+          <ProtectedRoute>
+            <Header />
+            <FlashcardsPage />
+          </ProtectedRoute>
+        } />
+        
         <Route path="/profile" element={
           <ProtectedRoute>
             <Header />
@@ -1,15 +1,17 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react'
 import PropTypes from 'prop-types'
-import QuizRenderer from './QuizRenderer'
+import EnhancedQuizRenderer from './EnhancedQuizRenderer'
+import { pickQuestionSections } from './questionTypes'
 import { getApiUrl, API_ENDPOINTS } from '../utils/api'
 import { useAuth } from '../context/AuthContext'
 
 const ChatSidebar = ({ selectedFile }) => {
-  const { user } = useAuth()
+  const { user, session } = useAuth()
   const [activeTab, setActiveTab] = useState('chat')
   const [messages, setMessages] = useState([])
   const [input, setInput] = useState('')
   const [quiz, setQuiz] = useState(null)
+  const [quizId, setQuizId] = useState(null)
   const [progress, setProgress] = useState({ completed: 0, total: 0, attempts: [] })
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
@@ -125,6 +127,7 @@ const ChatSidebar = ({ selectedFile }) => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token || ''}`
         },
         body: JSON.stringify({
           fileId: selectedFile.id,
@@ -138,6 +141,7 @@ const ChatSidebar = ({ selectedFile }) => {
 
       const data = await response.json()
       setQuiz(data.quiz)
+      setQuizId(data.quizId)
     } catch (err) {
       console.error('Error generating quiz:', err)
       setError('Failed to generate quiz. Please try again.')
@@ -145,32 +149,17 @@ const ChatSidebar = ({ selectedFile }) => {
     } finally {
       setLoading(false)
     }
-  }, [selectedFile])
+  }, [selectedFile, session?.access_token])
 
   const handleQuizComplete = useCallback(async (results) => {
     try {
-      // Calculate totals
-      const totalQuestions = (quiz.mcq?.length || 0) + (quiz.shortAnswer?.length || 0) + (quiz.longAnswer?.length || 0)
-      const totalCorrect = (results.mcq?.filter(r => r.isCorrect).length || 0) + 
-                           (results.shortAnswer?.filter(r => (r.score || 0) >= 7).length || 0) + 
-                           (results.longAnswer?.filter(r => (r.score || 0) >= 7).length || 0)
-      
-      // Prepare the data in the format expected by the backend
+      // Questions, score and feedback are taken from the stored quiz on the server
       const attemptData = {
-        user_id: user?.id, // Add user from context
-        pdf_id: selectedFile?.id,
+        user_id: user?.id,
+        quiz_id: results.quizId,
         topic: `Quiz on ${selectedFile?.original_name || 'PDF'}`,
-        questions: quiz,
-        answers: {
-          mcq: results.mcq || [],
-          shortAnswer: results.shortAnswer || [],
-          longAnswer: results.longAnswer || []
-        },
-        score: (results.overallScore || 0) / 100, // Convert percentage to decimal
-        total_questions: totalQuestions,
-        correct_answers: totalCorrect,
-        time_taken: null,
-        feedback: results.feedback
+        answers: pickQuestionSections(results),
+        time_taken: null
       }
 
       // Save quiz attempt
@@ -178,6 +167,7 @@ const ChatSidebar = ({ selectedFile }) => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token || ''}`
         },
         body: JSON.stringify(attemptData)
       })
@@ -190,7 +180,7 @@ const ChatSidebar = ({ selectedFile }) => {
         const successMessage = {
           id: Date.now(),
           role: 'ai',
-          content: `Quiz completed! You scored ${results.score}% (${results.correct}/${results.total} correct). Keep up the great work!`,
+          content: `Quiz completed! You scored ${results.overallScore}%. Keep up the great work!`,
           timestamp: new Date(),
           isSuccess: true
         }
@@ -200,7 +190,7 @@ const ChatSidebar = ({ selectedFile }) => {
     } catch (err) {
       console.error('Error saving quiz attempt:', err)
     }
-  }, [selectedFile, quiz, loadProgress])
+  }, [selectedFile, user?.id, session?.access_token, loadProgress])
 
   const clearChat = useCallback(() => {
     setMessages([])
@@ -436,10 +426,11 @@ const ChatSidebar = ({ selectedFile }) => {
                 </button>
               </div>
             ) : (
-              <QuizRenderer
+              <EnhancedQuizRenderer
                 quiz={quiz}
+                quizId={quizId}
                 onComplete={handleQuizComplete}
-                onRegenerate={generateQuiz}
+                onGenerateNewQuiz={generateQuiz}
               />
             )}
           </div>
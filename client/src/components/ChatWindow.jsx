@@ -4,6 +4,7 @@ import MessageBubble from './MessageBubble'
 import ChatInput from './ChatInput'
 import EnhancedQuizRenderer from './EnhancedQuizRenderer'
 import { getApiUrl, API_ENDPOINTS } from '../utils/api'
+import { useAuth } from '../context/AuthContext'
 
 const ChatWindow = ({
   messages,
@@ -14,10 +15,12 @@ const ChatWindow = ({
   selectedPDF = null,
   disabled = false
 }) => {
+  const { session } = useAuth()
   const messagesEndRef = useRef(null)
   const messagesContainerRef = useRef(null)
   const [mode, setMode] = useState('chat') // 'chat' or 'quiz'
   const [quiz, setQuiz] = useState(null)
+  const [quizId, setQuizId] = useState(null)
   const [isGeneratingQuiz, setIsGeneratingQuiz] = useState(false)
 
   const scrollToBottom = () => {
@@ -40,6 +43,7 @@ const ChatWindow = ({
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token || ''}`
         },
         body: JSON.stringify({
           fileId: selectedPDF.id,
@@ -58,6 +62,7 @@ const ChatWindow = ({
 
       const data = await response.json()
       setQuiz(data.quiz)
+      setQuizId(data.quizId)
     } catch (error) {
       console.error('Error generating quiz:', error)
       // Handle error state if needed
@@ -76,6 +81,7 @@ const ChatWindow = ({
   const handleGenerateNewQuiz = async () => {
     // Reset quiz state and generate a new quiz
     setQuiz(null)
+    setQuizId(null)
     await generateQuiz()
   }
 
@@ -269,6 +275,7 @@ const ChatWindow = ({
           ) : (
             <EnhancedQuizRenderer 
               quiz={quiz} 
+              quizId={quizId}
               onComplete={handleQuizSubmit}
               onGenerateNewQuiz={handleGenerateNewQuiz}
             />
@@ -0,0 +1,110 @@
+import React, { useState, useRef, useEffect } from 'react'
+import PropTypes from 'prop-types'
+
+/**
+ * Choose which PDFs a chat answers from: a hand-picked set or the whole library
+ */
+const DocumentScopePicker = ({ pdfs, pdfIds = [], library = false, onChange, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close when clicking outside the dropdown
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [isOpen])
+
+  const togglePDF = (pdfId) => {
+    const nextIds = pdfIds.includes(pdfId)
+      ? pdfIds.filter(id => id !== pdfId)
+      : [...pdfIds, pdfId]
+    onChange({ pdfIds: nextIds, library: false })
+  }
+
+  const toggleLibrary = () => {
+    onChange({ pdfIds: library ? [] : pdfIds, library: !library })
+  }
+
+  const label = library
+    ? 'All documents'
+    : pdfIds.length === 0
+      ? 'Choose sources'
+      : `${pdfIds.length} document${pdfIds.length === 1 ? '' : 's'}`
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        className="flex items-center space-x-2 px-3 py-1.5 bg-white border border-gray-200 rounded-full text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+        title="Choose which documents this chat answers from"
+      >
+        <svg className="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
+        </svg>
+        <span>{label}</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-xl shadow-lg z-20 p-2">
+          <label className="flex items-center space-x-3 px-3 py-2 rounded-lg hover:bg-gray-50 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={library}
+              onChange={toggleLibrary}
+              className="rounded text-blue-600"
+            />
+            <span className="text-sm font-medium text-gray-900">All my documents</span>
+          </label>
+
+          <div className="border-t border-gray-100 my-1"></div>
+
+          <div className="max-h-64 overflow-y-auto custom-scrollbar">
+            {pdfs.length === 0 ? (
+              <p className="px-3 py-2 text-sm text-gray-500">Upload a PDF to use it as a source.</p>
+            ) : (
+              pdfs.map(pdf => (
+                <label
+                  key={pdf.id}
+                  className={`flex items-center space-x-3 px-3 py-2 rounded-lg cursor-pointer ${
+                    library ? 'opacity-50' : 'hover:bg-gray-50'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={library || pdfIds.includes(pdf.id)}
+                    disabled={library}
+                    onChange={() => togglePDF(pdf.id)}
+                    className="rounded text-blue-600"
+                  />
+                  <span className="text-sm text-gray-700 truncate">{pdf.name}</span>
+                </label>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+DocumentScopePicker.propTypes = {
+  pdfs: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string
+  })).isRequired,
+  pdfIds: PropTypes.arrayOf(PropTypes.string),
+  library: PropTypes.bool,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+}
+
+export default DocumentScopePicker
@@ -1,50 +1,234 @@
-import React, { useState, useCallback, useEffect } from 'react'
+import React, { useState, useCallback, useEffect, useRef } from 'react'
 import PropTypes from 'prop-types'
-import { getApiUrl, API_ENDPOINTS } from '../utils/api'
+import { getApiUrl, getApiUrlWithParams, API_ENDPOINTS } from '../utils/api'
+import { useAuth } from '../context/AuthContext'
+import QuestionCard, { capitalize } from './questionTypes/QuestionCard'
+import { QUESTION_TYPES, QUESTION_TYPE_ORDER } from './questionTypes'
+
+// How often a timed exam's answers are autosaved while they change
+const AUTOSAVE_INTERVAL_MS = 15000
+
+// { [type]: { [questionIndex]: answer } } -> the analyze-quiz shape, { [type]: [{ questionIndex, question, ...answer }] }
+const toSubmission = (answers, quiz) => Object.fromEntries(
+  Object.entries(answers).map(([type, byIndex]) => [
+    type,
+    Object.entries(byIndex).map(([index, answer]) => ({
+      questionIndex: parseInt(index),
+      question: quiz[type][parseInt(index)].question,
+      ...answer
+    }))
+  ])
+)
+
+// The reverse, for answers restored from an autosave
+const fromSubmission = (submission) => Object.fromEntries(
+  Object.entries(submission || {}).map(([type, items]) => [
+    type,
+    Object.fromEntries(items.map(({ questionIndex, ...answer }) => [questionIndex, answer]))
+  ])
+)
+
+// Download a stored quiz in one of the server's export formats, listing the questions the format had to leave out
+const ExportMenu = ({ quizId }) => {
+  const { session } = useAuth()
+  const [isOpen, setIsOpen] = useState(false)
+  const [formats, setFormats] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const headers = { 'Authorization': `Bearer ${session?.access_token || ''}` }
+
+  const toggle = async () => {
+    setIsOpen(open => !open)
+    if (formats) return
+
+    try {
+      const response = await fetch(getApiUrlWithParams(API_ENDPOINTS.QUIZ_EXPORT, { quizId }), { headers })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load export formats')
+      }
+      setFormats(data.formats)
+    } catch (error) {
+      setNotice(error.message)
+    }
+  }
+
+  const download = async ({ format, label }) => {
+    setIsOpen(false)
+    setNotice(null)
+
+    try {
+      const response = await fetch(getApiUrlWithParams(API_ENDPOINTS.QUIZ_EXPORT_FORMAT, { quizId, format }), { headers })
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to export quiz')
+      }
+
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `quiz-${format}`
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+
+      const skipped = JSON.parse(response.headers.get('X-Export-Skipped') || '[]')
+      if (skipped.length > 0) {
+        setNotice(`${label} left out ${skipped.map(({ number, reason }) => `question ${number} (${reason})`).join(', ')}.`)
+      }
+    } catch (error) {
+      console.error('Error exporting quiz:', error)
+      setNotice(error.message)
+    }
+  }
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        onClick={toggle}
+        className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg bg-white text-gray-700 hover:bg-gray-50 transition-colors"
+      >
+        Export
+      </button>
+      {isOpen && (
+        <div className="absolute left-0 z-10 mt-2 w-64 rounded-lg border border-gray-200 bg-white shadow-lg py-1">
+          {!formats ? (
+            <p className="px-4 py-2 text-sm text-gray-500">Loading...</p>
+          ) : formats.map(entry => (
+            <button
+              key={entry.format}
+              onClick={() => download(entry)}
+              className="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50"
+            >
+              <span>{entry.label}</span>
+              {entry.skipped.length > 0 && (
+                <span className="block text-xs text-amber-700">
+                  {entry.skipped.length} question{entry.skipped.length === 1 ? '' : 's'} not supported
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+      {notice && (
+        <p className="mt-2 max-w-xs text-xs text-amber-800">{notice}</p>
+      )}
+    </div>
+  )
+}
+
+ExportMenu.propTypes = {
+  quizId: PropTypes.string.isRequired
+}
+
+// Score per level, in the order the server sends them
+const LevelBreakdown = ({ title, levels }) => {
+  const entries = Object.entries(levels || {})
+  if (entries.length === 0) return null
+
+  return (
+    <div>
+      <h5 className="text-sm font-semibold text-gray-700 mb-2">{title}</h5>
+      <div className="space-y-2">
+        {entries.map(([level, { questions, score }]) => (
+          <div key={level} className="text-sm">
+            <div className="flex justify-between text-gray-600">
+              <span>{capitalize(level)} ({questions})</span>
+              <span>{score}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-1.5 mt-1">
+              <div className="bg-blue-600 h-1.5 rounded-full" style={{ width: `${score}%` }} />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
 
-const QuizRenderer = ({ quiz, onComplete, onGenerateNewQuiz }) => {
-  const [mcqAnswers, setMcqAnswers] = useState({})
-  const [shortAnswers, setShortAnswers] = useState({})
-  const [longAnswers, setLongAnswers] = useState({})
+LevelBreakdown.propTypes = {
+  title: PropTypes.string.isRequired,
+  levels: PropTypes.objectOf(PropTypes.shape({
+    questions: PropTypes.number,
+    score: PropTypes.number
+  }))
+}
+
+const QuizRenderer = ({ quiz, quizId, timing, initialAnswers, onComplete, onGenerateNewQuiz, onCitationClick }) => {
+  const { session } = useAuth()
+  // { [type]: { [questionIndex]: answer payload for that type } }
+  const [answers, setAnswers] = useState(() => fromSubmission(initialAnswers))
   const [showResults, setShowResults] = useState(false)
   const [results, setResults] = useState(null)
   const [isAnalyzing, setIsAnalyzing] = useState(false)
+  const [isRegrading, setIsRegrading] = useState(false)
+  const [timeUpMessage, setTimeUpMessage] = useState(null)
+  const [savedAt, setSavedAt] = useState(null)
+
+  // A timed exam counts down to the server's deadline, shifted by the gap between the two clocks
+  const isExam = timing?.mode === 'exam'
+  const [clockOffset] = useState(() => isExam ? Date.parse(timing.serverTime) - Date.now() : 0)
+  const [startTime] = useState(() => isExam ? Date.parse(timing.startedAt) - clockOffset : Date.now())
+  const deadline = isExam ? Date.parse(timing.deadline) - clockOffset : null
   const [timeSpent, setTimeSpent] = useState(0)
-  const [startTime] = useState(Date.now())
+  const [timeLeft, setTimeLeft] = useState(() => isExam ? Math.max(0, Math.ceil((deadline - Date.now()) / 1000)) : null)
 
   // Timer effect
   useEffect(() => {
+    if (showResults) return
+
     const timer = setInterval(() => {
       setTimeSpent(Math.floor((Date.now() - startTime) / 1000))
+      if (deadline) setTimeLeft(Math.max(0, Math.ceil((deadline - Date.now()) / 1000)))
     }, 1000)
 
     return () => clearInterval(timer)
-  }, [startTime])
+  }, [startTime, deadline, showResults])
 
-  const handleMcqSelect = useCallback((questionIndex, optionIndex) => {
-    if (showResults) return // Prevent changes after submission
+  // Autosave exam answers so a reload or a closed tab doesn't lose them
+  const answersRef = useRef(answers)
+  const lastSavedRef = useRef(JSON.stringify(answers))
+  answersRef.current = answers
 
-    setMcqAnswers(prev => ({
-      ...prev,
-      [questionIndex]: optionIndex
-    }))
-  }, [showResults])
+  const saveDraft = useCallback(async () => {
+    const snapshot = JSON.stringify(answersRef.current)
+    if (snapshot === lastSavedRef.current) return
 
-  const handleShortAnswerChange = useCallback((questionIndex, value) => {
-    if (showResults) return // Prevent changes after submission
+    try {
+      const response = await fetch(getApiUrlWithParams(API_ENDPOINTS.QUIZ_ANSWERS, { quizId }), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token || ''}`
+        },
+        body: JSON.stringify({ answers: toSubmission(answersRef.current, quiz) })
+      })
 
-    setShortAnswers(prev => ({
-      ...prev,
-      [questionIndex]: value
-    }))
-  }, [showResults])
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save answers')
+      }
+
+      lastSavedRef.current = snapshot
+      setSavedAt(data.savedAt)
+    } catch (error) {
+      console.error('Error autosaving answers:', error)
+    }
+  }, [quiz, quizId, session?.access_token])
 
-  const handleLongAnswerChange = useCallback((questionIndex, value) => {
+  useEffect(() => {
+    if (!isExam || showResults) return
+
+    const autosave = setInterval(saveDraft, AUTOSAVE_INTERVAL_MS)
+    return () => clearInterval(autosave)
+  }, [isExam, showResults, saveDraft])
+
+  const handleAnswerChange = useCallback((type, questionIndex, answer) => {
     if (showResults) return // Prevent changes after submission
 
-    setLongAnswers(prev => ({
+    setAnswers(prev => ({
       ...prev,
-      [questionIndex]: value
+      [type]: { ...prev[type], [questionIndex]: answer }
     }))
   }, [showResults])
 
@@ -53,48 +237,44 @@ const QuizRenderer = ({ quiz, onComplete, onGenerateNewQuiz }) => {
 
     try {
       // Prepare data for analysis
-      const allAnswers = {
-        mcq: Object.entries(mcqAnswers).map(([index, answer]) => ({
-          questionIndex: parseInt(index),
-          question: quiz.mcq[parseInt(index)].question,
-          selectedAnswer: answer,
-          options: quiz.mcq[parseInt(index)].options
-        })),
-        shortAnswer: Object.entries(shortAnswers).map(([index, answer]) => ({
-          questionIndex: parseInt(index),
-          question: quiz.shortAnswer[parseInt(index)].question,
-          answer
-        })),
-        longAnswer: Object.entries(longAnswers).map(([index, answer]) => ({
-          questionIndex: parseInt(index),
-          question: quiz.longAnswer[parseInt(index)].question,
-          answer
-        }))
-      }
+      const allAnswers = toSubmission(answers, quiz)
 
-      // Send to API for analysis
+      // Send to API for grading against the stored answer key
       const response = await fetch(getApiUrl(API_ENDPOINTS.ANALYZE_QUIZ), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token || ''}`
         },
         body: JSON.stringify({
-          answers: allAnswers,
-          quiz
+          quizId,
+          answers: allAnswers
         })
       })
 
-      if (!response.ok) {
-        throw new Error('Failed to analyze quiz')
+      const data = await response.json()
+
+      // Already graded (e.g. submitted from another tab): show the recorded results.
+      // An exam submitted after its deadline was graded from the last autosave instead.
+      if (!response.ok && !([409, 410].includes(response.status) && data.results)) {
+        throw new Error(data.error || 'Failed to analyze quiz')
       }
 
-      const data = await response.json()
+      if (response.status === 410) {
+        setTimeUpMessage(data.error)
+      }
       
       console.log('🎯 Quiz analysis completed, results:', data.results)
       
       setResults(data.results)
       setShowResults(true)
       
+      // Written answers the grader couldn't score must be retried before the attempt is saved
+      if (data.results.ungraded > 0) {
+        console.log('🎯 Some answers are ungraded, waiting for a retry before saving')
+        return
+      }
+
       console.log('🎯 About to call onComplete with results:', data.results)
       console.log('🎯 onComplete function exists:', !!onComplete)
       
@@ -111,7 +291,43 @@ const QuizRenderer = ({ quiz, onComplete, onGenerateNewQuiz }) => {
     } finally {
       setIsAnalyzing(false)
     }
-  }, [quiz, mcqAnswers, shortAnswers, longAnswers, onComplete])
+  }, [quiz, quizId, session?.access_token, answers, onComplete])
+
+  // Hand the exam in when time runs out, answered or not
+  useEffect(() => {
+    if (isExam && timeLeft === 0 && !showResults && !isAnalyzing) {
+      handleSubmit()
+    }
+  }, [isExam, timeLeft, showResults, isAnalyzing, handleSubmit])
+
+  const handleRegrade = useCallback(async () => {
+    setIsRegrading(true)
+
+    try {
+      const response = await fetch(getApiUrl(API_ENDPOINTS.REGRADE_QUIZ), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token || ''}`
+        },
+        body: JSON.stringify({ quizId })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to regrade quiz')
+      }
+
+      setResults(data.results)
+      if (data.results.ungraded === 0 && onComplete) {
+        onComplete(data.results)
+      }
+    } catch (error) {
+      console.error('Error regrading quiz:', error)
+    } finally {
+      setIsRegrading(false)
+    }
+  }, [quizId, session?.access_token, onComplete])
 
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60)
@@ -127,10 +343,20 @@ const QuizRenderer = ({ quiz, onComplete, onGenerateNewQuiz }) => {
     )
   }
 
-  const isMcqComplete = quiz.mcq.length === Object.keys(mcqAnswers).length
-  const isShortComplete = quiz.shortAnswer.length === Object.keys(shortAnswers).length
-  const isLongComplete = quiz.longAnswer.length === Object.keys(longAnswers).length
-  const isQuizComplete = isMcqComplete && isShortComplete && isLongComplete
+  // Sections present in this quiz, numbered continuously across sections
+  const sections = []
+  let questionNumber = 0
+  QUESTION_TYPE_ORDER.forEach(type => {
+    const questions = quiz[type] || []
+    if (questions.length === 0) return
+    sections.push({ type, questions, firstNumber: questionNumber + 1 })
+    questionNumber += questions.length
+  })
+
+  const totalQuestions = questionNumber
+  const answeredCount = sections.reduce((sum, { type, questions }) => sum + questions
+    .filter((question, qIndex) => QUESTION_TYPES[type].isAnswered(answers[type]?.[qIndex], question)).length, 0)
+  const isQuizComplete = answeredCount === totalQuestions
 
   return (
     <div className="space-y-6">
@@ -142,20 +368,37 @@ const QuizRenderer = ({ quiz, onComplete, onGenerateNewQuiz }) => {
             <p className="text-gray-600 mt-1">
               Test your understanding of the material
             </p>
+            {/* Most export formats include the answers, so they open up once the quiz is graded */}
+            {quizId && showResults && (
+              <div className="mt-3">
+                <ExportMenu quizId={quizId} />
+              </div>
+            )}
           </div>
-          <div className="text-right">
-            <div className="text-2xl font-mono font-bold text-blue-600">
-              {formatTime(timeSpent)}
+          {isExam && !showResults ? (
+            <div className="text-right">
+              <div className={`text-2xl font-mono font-bold ${timeLeft <= 60 ? 'text-red-600' : 'text-blue-600'}`}>
+                {formatTime(timeLeft)}
+              </div>
+              <p className="text-sm text-gray-500">
+                Time remaining{savedAt && ` · saved ${new Date(savedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+              </p>
             </div>
-            <p className="text-sm text-gray-500">Time elapsed</p>
-          </div>
+          ) : (
+            <div className="text-right">
+              <div className="text-2xl font-mono font-bold text-blue-600">
+                {formatTime(timeSpent)}
+              </div>
+              <p className="text-sm text-gray-500">Time elapsed</p>
+            </div>
+          )}
         </div>
         
         {!showResults && (
           <div className="mt-4">
             <div className="flex items-center justify-between text-sm">
               <span className="text-gray-600">
-                Progress: {Object.keys(mcqAnswers).length + Object.keys(shortAnswers).length + Object.keys(longAnswers).length} / {quiz.mcq.length + quiz.shortAnswer.length + quiz.longAnswer.length}
+                Progress: {answeredCount} / {totalQuestions}
               </span>
               <span className={`px-2 py-1 rounded text-xs ${
                 isQuizComplete ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
@@ -167,7 +410,7 @@ const QuizRenderer = ({ quiz, onComplete, onGenerateNewQuiz }) => {
               <div 
                 className="bg-blue-600 h-2 rounded-full transition-all duration-300"
                 style={{ 
-                  width: `${((Object.keys(mcqAnswers).length + Object.keys(shortAnswers).length + Object.keys(longAnswers).length) / (quiz.mcq.length + quiz.shortAnswer.length + quiz.longAnswer.length)) * 100}%` 
+                  width: `${totalQuestions ? (answeredCount / totalQuestions) * 100 : 0}%` 
                 }}
               />
             </div>
@@ -182,231 +425,59 @@ const QuizRenderer = ({ quiz, onComplete, onGenerateNewQuiz }) => {
             <div className="text-4xl font-bold mb-2">{results.overallScore}%</div>
             <p className="text-lg font-medium mb-1">{results.feedback}</p>
             <p className="text-sm opacity-75">
-              Completed in {formatTime(timeSpent)}
+              Completed in {formatTime(isExam ? Math.min(timeSpent, timing.timeLimitSeconds) : timeSpent)}
             </p>
+            {timeUpMessage && (
+              <p className="text-sm text-amber-800 mt-2">{timeUpMessage}</p>
+            )}
           </div>
+          {results.breakdown && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6 text-left">
+              <LevelBreakdown title="By difficulty" levels={results.breakdown.difficulty} />
+              <LevelBreakdown title="By Bloom's level" levels={results.breakdown.bloomLevel} />
+              <LevelBreakdown title="By topic" levels={results.breakdown.topic} />
+            </div>
+          )}
         </div>
       )}
 
-      {/* MCQ Questions */}
-      <div className="space-y-6">
-        <h4 className="text-lg font-medium text-gray-900 border-b pb-2">Multiple Choice Questions</h4>
-        {quiz.mcq.map((question, qIndex) => {
-          const selectedAnswer = mcqAnswers[qIndex]
-          const showQuestionResult = showResults && results && results.mcq && results.mcq[qIndex]
-          const questionResult = showQuestionResult ? results.mcq[qIndex] : null
-
-          return (
-            <div 
-              key={`mcq-${qIndex}`} 
-              className={`bg-white rounded-lg border-2 p-6 transition-all ${
-                showQuestionResult 
-                  ? questionResult.isCorrect 
-                    ? 'border-green-200 bg-green-50' 
-                    : 'border-red-200 bg-red-50'
-                  : selectedAnswer !== undefined 
-                    ? 'border-blue-200 bg-blue-50' 
-                    : 'border-gray-200'
-              }`}
-            >
-              {/* Question Header */}
-              <div className="flex items-start justify-between mb-4">
-                <h5 className="text-lg font-medium text-gray-900 flex-1">
-                  <span className="inline-block w-8 h-8 bg-gray-100 text-gray-600 rounded-full text-sm font-bold flex items-center justify-center mr-3">
-                    {qIndex + 1}
-                  </span>
-                  {question.question}
-                </h5>
-                
-                {showQuestionResult && (
-                  <div className={`flex items-center space-x-2 ${
-                    questionResult.isCorrect ? 'text-green-600' : 'text-red-600'
-                  }`}>
-                    {questionResult.isCorrect ? (
-                      <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
-                        <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                      </svg>
-                    ) : (
-                      <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
-                        <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-                      </svg>
-                    )}
-                  </div>
-                )}
-              </div>
-
-              {/* Options */}
-              <div className="space-y-3">
-                {question.options.map((option, oIndex) => {
-                  const isSelected = selectedAnswer === oIndex
-                  const isCorrect = showQuestionResult && questionResult.correctAnswerIndex === oIndex
-                  
-                  let optionClass = 'border-2 p-4 rounded-lg cursor-pointer transition-all '
-                  
-                  if (showQuestionResult) {
-                    if (isCorrect) {
-                      optionClass += 'border-green-500 bg-green-100 text-green-800'
-                    } else if (isSelected && !isCorrect) {
-                      optionClass += 'border-red-500 bg-red-100 text-red-800'
-                    } else {
-                      optionClass += 'border-gray-200 bg-gray-50 text-gray-600'
-                    }
-                    optionClass += ' cursor-default'
-                  } else {
-                    if (isSelected) {
-                      optionClass += 'border-blue-500 bg-blue-100 text-blue-800'
-                    } else {
-                      optionClass += 'border-gray-300 hover:border-blue-300 hover:bg-blue-50'
-                    }
-                  }
-
-                  return (
-                    <div
-                      key={oIndex}
-                      className={optionClass}
-                      onClick={() => handleMcqSelect(qIndex, oIndex)}
-                    >
-                      <div className="flex items-center space-x-3">
-                        <div className={`w-5 h-5 rounded-full border-2 flex items-center justify-center ${
-                          isSelected 
-                            ? showQuestionResult && !isCorrect
-                              ? 'border-red-500 bg-red-500'
-                              : 'border-blue-500 bg-blue-500'
-                            : 'border-gray-400'
-                        }`}>
-                          {isSelected && (
-                            <div className="w-2 h-2 bg-white rounded-full" />
-                          )}
-                        </div>
-                        
-                        <span className="flex-1 font-medium">
-                          {String.fromCharCode(65 + oIndex)}. {option}
-                        </span>
-                        
-                        {showQuestionResult && isCorrect && (
-                          <svg className="w-5 h-5 text-green-600" fill="currentColor" viewBox="0 0 20 20">
-                            <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                          </svg>
-                        )}
-                      </div>
-                    </div>
-                  )
-                })}
-              </div>
-
-              {/* Explanation */}
-              {showQuestionResult && questionResult.explanation && (
-                <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-                  <h5 className="font-medium text-blue-900 mb-2">Explanation:</h5>
-                  <p className="text-blue-800 text-sm">{questionResult.explanation}</p>
-                </div>
-              )}
-            </div>
-          )
-        })}
-      </div>
-
-      {/* Short Answer Questions */}
-      <div className="space-y-6">
-        <h4 className="text-lg font-medium text-gray-900 border-b pb-2">Short Answer Questions</h4>
-        {quiz.shortAnswer.map((question, qIndex) => {
-          const answer = shortAnswers[qIndex] || ''
-          const showQuestionResult = showResults && results && results.shortAnswer && results.shortAnswer[qIndex]
-          const questionResult = showQuestionResult ? results.shortAnswer[qIndex] : null
-
-          return (
-            <div 
-              key={`short-${qIndex}`} 
-              className={`bg-white rounded-lg border-2 p-6 transition-all ${
-                showQuestionResult 
-                  ? 'border-blue-200 bg-blue-50' 
-                  : answer.trim() !== ''
-                    ? 'border-blue-200' 
-                    : 'border-gray-200'
-              }`}
-            >
-              <h5 className="text-lg font-medium text-gray-900 mb-4">
-                <span className="inline-block w-8 h-8 bg-gray-100 text-gray-600 rounded-full text-sm font-bold flex items-center justify-center mr-3">
-                  {quiz.mcq.length + qIndex + 1}
-                </span>
-                {question.question}
-              </h5>
-              
-              <textarea
-                value={answer}
-                onChange={(e) => handleShortAnswerChange(qIndex, e.target.value)}
-                disabled={showResults}
-                placeholder="Type your answer here..."
-                className={`w-full p-4 border rounded-lg ${showResults ? 'bg-gray-50' : 'bg-white'}`}
-                rows={3}
-              />
-
-              {showQuestionResult && questionResult.feedback && (
-                <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-                  <h5 className="font-medium text-blue-900 mb-2">Feedback:</h5>
-                  <p className="text-blue-800 text-sm">{questionResult.feedback}</p>
-                  <div className="mt-2 pt-2 border-t border-blue-100">
-                    <p className="text-sm text-blue-900">
-                      <span className="font-medium">Score:</span> {questionResult.score}/10
-                    </p>
-                  </div>
-                </div>
-              )}
-            </div>
-          )
-        })}
-      </div>
-
-      {/* Long Answer Question */}
-      <div className="space-y-6">
-        <h4 className="text-lg font-medium text-gray-900 border-b pb-2">Long Answer Question</h4>
-        {quiz.longAnswer.map((question, qIndex) => {
-          const answer = longAnswers[qIndex] || ''
-          const showQuestionResult = showResults && results && results.longAnswer && results.longAnswer[qIndex]
-          const questionResult = showQuestionResult ? results.longAnswer[qIndex] : null
-
-          return (
-            <div 
-              key={`long-${qIndex}`} 
-              className={`bg-white rounded-lg border-2 p-6 transition-all ${
-                showQuestionResult 
-                  ? 'border-blue-200 bg-blue-50' 
-                  : answer.trim() !== ''
-                    ? 'border-blue-200' 
-                    : 'border-gray-200'
-              }`}
-            >
-              <h5 className="text-lg font-medium text-gray-900 mb-4">
-                <span className="inline-block w-8 h-8 bg-gray-100 text-gray-600 rounded-full text-sm font-bold flex items-center justify-center mr-3">
-                  {quiz.mcq.length + quiz.shortAnswer.length + qIndex + 1}
-                </span>
-                {question.question}
-              </h5>
-              
-              <textarea
-                value={answer}
-                onChange={(e) => handleLongAnswerChange(qIndex, e.target.value)}
-                disabled={showResults}
-                placeholder="Type your answer here..."
-                className={`w-full p-4 border rounded-lg ${showResults ? 'bg-gray-50' : 'bg-white'}`}
-                rows={6}
-              />
-
-              {showQuestionResult && questionResult.feedback && (
-                <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-                  <h5 className="font-medium text-blue-900 mb-2">Feedback:</h5>
-                  <p className="text-blue-800 text-sm">{questionResult.feedback}</p>
-                  <div className="mt-2 pt-2 border-t border-blue-100">
-                    <p className="text-sm text-blue-900">
-                      <span className="font-medium">Score:</span> {questionResult.score}/10
-                    </p>
-                  </div>
-                </div>
-              )}
-            </div>
-          )
-        })}
-      </div>
+      {/* Question sections, one per question type */}
+      {sections.map(({ type, questions, firstNumber }) => {
+        const { title, cardTitle, component: QuestionInput, props, isAnswered } = QUESTION_TYPES[type]
+
+        return (
+          <div key={type} className="space-y-6">
+            <h4 className="text-lg font-medium text-gray-900 border-b pb-2">{title}</h4>
+            {questions.map((question, qIndex) => {
+              const answer = answers[type]?.[qIndex]
+              const questionResult = showResults && results
+                ? results[type]?.find(result => result.questionIndex === qIndex) || null
+                : null
+
+              return (
+                <QuestionCard
+                  key={`${type}-${qIndex}`}
+                  number={firstNumber + qIndex}
+                  question={question}
+                  title={cardTitle}
+                  answered={isAnswered(answer, question)}
+                  result={questionResult}
+                  onCitationClick={onCitationClick}
+                >
+                  <QuestionInput
+                    {...props}
+                    question={question}
+                    answer={answer}
+                    onChange={(value) => handleAnswerChange(type, qIndex, value)}
+                    result={questionResult}
+                    disabled={showResults}
+                  />
+                </QuestionCard>
+              )
+            })}
+          </div>
+        )
+      })}
 
       {/* Action Buttons */}
       <div className="flex flex-col space-y-3 pt-6 border-t border-gray-200">
@@ -424,9 +495,22 @@ const QuizRenderer = ({ quiz, onComplete, onGenerateNewQuiz }) => {
             ) : isQuizComplete ? (
               'Submit Quiz'
             ) : (
-              `Complete All Questions (${(quiz.mcq.length + quiz.shortAnswer.length + quiz.longAnswer.length) - (Object.keys(mcqAnswers).length + Object.keys(shortAnswers).length + Object.keys(longAnswers).length)} remaining)`
+              `Complete All Questions (${totalQuestions - answeredCount} remaining)`
             )}
           </button>
+        ) : results?.ungraded > 0 ? (
+          <div className="space-y-3">
+            <p className="text-center text-amber-800">
+              {results.ungraded} written answer{results.ungraded === 1 ? ' was' : 's were'} not graded. Retry grading to get your final score.
+            </p>
+            <button
+              onClick={handleRegrade}
+              disabled={isRegrading}
+              className="w-full px-6 py-3 bg-amber-600 text-white rounded-lg hover:bg-amber-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
+            >
+              {isRegrading ? 'Grading...' : 'Retry Grading'}
+            </button>
+          </div>
         ) : (
           <div className="space-y-3">
             <p className="text-center text-gray-700">
@@ -453,21 +537,33 @@ const QuizRenderer = ({ quiz, onComplete, onGenerateNewQuiz }) => {
   )
 }
 
+const questionShape = PropTypes.shape({
+  question: PropTypes.string.isRequired,
+  pages: PropTypes.arrayOf(PropTypes.number),
+  difficulty: PropTypes.string,
+  bloomLevel: PropTypes.string,
+  sourcePage: PropTypes.number
+})
+
 QuizRenderer.propTypes = {
-  quiz: PropTypes.shape({
-    mcq: PropTypes.arrayOf(PropTypes.shape({
-      question: PropTypes.string.isRequired,
-      options: PropTypes.arrayOf(PropTypes.string).isRequired
-    })).isRequired,
-    shortAnswer: PropTypes.arrayOf(PropTypes.shape({
-      question: PropTypes.string.isRequired
-    })).isRequired,
-    longAnswer: PropTypes.arrayOf(PropTypes.shape({
-      question: PropTypes.string.isRequired
-    })).isRequired
+  // One array of questions per question type (mcq, trueFalse, cloze, ...)
+  quiz: PropTypes.shape(Object.fromEntries(
+    QUESTION_TYPE_ORDER.map(type => [type, PropTypes.arrayOf(questionShape)])
+  )),
+  quizId: PropTypes.string,
+  // Exam timing from the server ({ mode: 'practice' } or the deadline and server clock of a timed exam)
+  timing: PropTypes.shape({
+    mode: PropTypes.string,
+    timeLimitSeconds: PropTypes.number,
+    startedAt: PropTypes.string,
+    deadline: PropTypes.string,
+    serverTime: PropTypes.string
   }),
+  // Autosaved answers to resume from, in the analyze-quiz shape
+  initialAnswers: PropTypes.objectOf(PropTypes.array),
   onComplete: PropTypes.func,
-  onGenerateNewQuiz: PropTypes.func
+  onGenerateNewQuiz: PropTypes.func,
+  onCitationClick: PropTypes.func
 }
 
 export default QuizRenderer
\ No newline at end of file
@@ -14,6 +14,7 @@ function Header() {
     { name: 'Home', href: '/', icon: HomeIcon },
     { name: 'Chat', href: '/chat', icon: ChatIcon },
     { name: 'Dashboard', href: '/dashboard', icon: DashboardIcon },
+    { name: 'Flashcards', href: '/flashcards', icon: FlashcardsIcon },
     { name: 'Profile', href: '/profile', icon: ProfileIcon },
   ]
 
@@ -336,6 +337,19 @@ function DashboardIcon({ className }) {
   )
 }
 
+function FlashcardsIcon({ className }) {
+  return (
+    <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth={2}
+        d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10"
+      />
+    </svg>
+  )
+}
+
 function ProfileIcon({ className }) {
   return (
     <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24">
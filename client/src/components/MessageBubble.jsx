@@ -2,10 +2,29 @@ import React, { useState } from 'react'
 import PropTypes from 'prop-types'
 import LaTeXRenderer from './LaTeXRenderer'
 
-const MessageBubble = ({ message, isLastMessage = false }) => {
+/**
+ * Hold back a trailing math expression whose closing delimiter hasn't streamed in yet,
+ * so partial answers never hand KaTeX half an equation
+ */
+const trimUnclosedMath = (text) => {
+  const displayDelimiters = (text.match(/\$\$/g) || []).length
+  if (displayDelimiters % 2 === 1) {
+    return text.slice(0, text.lastIndexOf('$$'))
+  }
+
+  const inlineDelimiters = (text.replace(/\$\$/g, '').match(/(?<!\\)\$/g) || []).length
+  if (inlineDelimiters % 2 === 1) {
+    return text.slice(0, text.lastIndexOf('$'))
+  }
+
+  return text
+}
+
+const MessageBubble = ({ message, isLastMessage = false, onCitationClick = null, onBookmark = null, isBookmarked = false }) => {
   const [showFullTimestamp, setShowFullTimestamp] = useState(false)
   const isUser = message.role === 'user'
   const isTyping = message.isTyping
+  const isStreaming = message.isStreaming
 
   const formatTimestamp = (timestamp) => {
     if (!timestamp) return ''
@@ -36,6 +55,14 @@ const MessageBubble = ({ message, isLastMessage = false }) => {
   )
 
   const MessageContent = ({ content }) => {
+    if (isStreaming) {
+      return (
+        <>
+          <LaTeXRenderer content={trimUnclosedMath(content)} />
+          <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-400 animate-pulse" aria-hidden="true" />
+        </>
+      )
+    }
     return <LaTeXRenderer content={content} />
   }
 
@@ -70,30 +97,67 @@ const MessageBubble = ({ message, isLastMessage = false }) => {
           ) : (
             <>
               <MessageContent content={message.content} />
+
+              {/* Sources: document + page for each citation */}
+              {!isUser && !isStreaming && message.citations?.length > 0 && (
+                <div className="flex flex-wrap gap-1.5 mt-3 pt-2 border-t border-gray-200">
+                  {message.citations.map((citation, index) => (
+                    <button
+                      key={`${citation.pdfId || 'doc'}-${citation.page}-${index}`}
+                      onClick={() => onCitationClick?.(citation)}
+                      disabled={!onCitationClick}
+                      title={citation.snippet}
+                      className="inline-flex items-center max-w-[16rem] px-2 py-0.5 bg-white border border-gray-200 rounded-full text-xs text-gray-600 hover:border-blue-300 hover:text-blue-700 disabled:hover:border-gray-200 disabled:hover:text-gray-600 transition-colors"
+                    >
+                      <svg className="w-3 h-3 mr-1 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+                        <path fillRule="evenodd" d="M4 4a2 2 0 012-2h4.586A2 2 0 0112 2.586L15.414 6A2 2 0 0116 7.414V16a2 2 0 01-2 2H6a2 2 0 01-2-2V4z" clipRule="evenodd" />
+                      </svg>
+                      {(citation.documentName || citation.document) && (
+                        <span className="truncate mr-1">{citation.documentName || citation.document} ·</span>
+                      )}
+                      <span className="flex-shrink-0">p. {citation.page}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
               
               {/* Message actions (show on hover) */}
-              <div className={`absolute top-1 ${isUser ? 'left-1' : 'right-1'} opacity-0 group-hover:opacity-100 transition-opacity`}>
-                <div className="flex space-x-1">
-                  <button
-                    onClick={() => navigator.clipboard.writeText(message.content)}
-                    className={`p-1 rounded hover:bg-opacity-20 ${
-                      isUser ? 'hover:bg-white text-blue-100' : 'hover:bg-gray-300 text-gray-500'
-                    }`}
-                    title="Copy message"
-                  >
-                    <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
-                    </svg>
-                  </button>
+              {!isStreaming && (
+                <div className={`absolute top-1 ${isUser ? 'left-1' : 'right-1'} opacity-0 group-hover:opacity-100 transition-opacity`}>
+                  <div className="flex space-x-1">
+                    <button
+                      onClick={() => navigator.clipboard.writeText(message.content)}
+                      className={`p-1 rounded hover:bg-opacity-20 ${
+                        isUser ? 'hover:bg-white text-blue-100' : 'hover:bg-gray-300 text-gray-500'
+                      }`}
+                      title="Copy message"
+                    >
+                      <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                      </svg>
+                    </button>
+                    {!isUser && onBookmark && (
+                      <button
+                        onClick={onBookmark}
+                        disabled={isBookmarked}
+                        className={`p-1 rounded hover:bg-opacity-20 hover:bg-gray-300 ${isBookmarked ? 'text-blue-600' : 'text-gray-500'}`}
+                        title={isBookmarked ? 'Saved as flashcard' : 'Save as flashcard'}
+                      >
+                        <svg className="w-3 h-3" fill={isBookmarked ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+                        </svg>
+                      </button>
+                    )}
+                  </div>
                 </div>
-              </div>
+              )}
             </>
           )}
         </div>
       </div>
 
       {/* Timestamp */}
-      {!isTyping && message.timestamp && (
+      {!isTyping && !isStreaming && message.timestamp && (
         <div className={`flex items-end ${isUser ? 'mr-12' : 'ml-12'} opacity-0 group-hover:opacity-100 transition-opacity`}>
           <button
             onClick={() => setShowFullTimestamp(!showFullTimestamp)}
@@ -113,9 +177,20 @@ MessageBubble.propTypes = {
     role: PropTypes.oneOf(['user', 'assistant']).isRequired,
     content: PropTypes.string.isRequired,
     timestamp: PropTypes.string,
-    isTyping: PropTypes.bool
+    isTyping: PropTypes.bool,
+    isStreaming: PropTypes.bool,
+    citations: PropTypes.arrayOf(PropTypes.shape({
+      pdfId: PropTypes.string,
+      documentName: PropTypes.string,
+      document: PropTypes.string,
+      page: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      snippet: PropTypes.string
+    }))
   }).isRequired,
-  isLastMessage: PropTypes.bool
+  isLastMessage: PropTypes.bool,
+  onCitationClick: PropTypes.func,
+  onBookmark: PropTypes.func,
+  isBookmarked: PropTypes.bool
 }
 
 export default MessageBubble
\ No newline at end of file
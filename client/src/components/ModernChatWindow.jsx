@@ -3,7 +3,19 @@ import PropTypes from 'prop-types'
 import MessageBubble from './MessageBubble'
 import ChatInput from './ChatInput'
 import EnhancedQuizRenderer from './EnhancedQuizRenderer'
-import { getApiUrl, API_ENDPOINTS } from '../utils/api'
+import DocumentScopePicker from './DocumentScopePicker'
+import { getApiUrl, getApiUrlWithParams, API_ENDPOINTS } from '../utils/api'
+import { useAuth } from '../context/AuthContext'
+import { QUESTION_TYPES, QUESTION_TYPE_ORDER } from './questionTypes'
+
+const QUIZ_DIFFICULTIES = ['mixed', 'easy', 'medium', 'hard']
+// Bloom's taxonomy levels a quiz can target (none selected = any)
+const BLOOM_LEVELS = ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create']
+// The timed exam in progress for a PDF, so a reload can resume it
+const activeExamKey = (pdfId) => `activeExam:${pdfId}`
+// Questions per type for a new quiz; the server allows up to 10 of a type and 30 in total
+const DEFAULT_QUIZ_COUNTS = { mcq: 3, shortAnswer: 2, longAnswer: 1 }
+const MAX_PER_TYPE = 10
 
 const ChatWindow = ({
   messages,
@@ -15,13 +27,36 @@ const ChatWindow = ({
   disabled = false,
   isSidebarOpen = false,
   onToggleSidebar = null,
-  onUploadPDF = null
+  onUploadPDF = null,
+  pdfs = [],
+  documentScope = null,
+  onDocumentScopeChange = null,
+  onCitationClick = null
 }) => {
+  const { session } = useAuth()
   const messagesEndRef = useRef(null)
   const messagesContainerRef = useRef(null)
   const [mode, setMode] = useState('chat') // 'chat' or 'quiz'
   const [quiz, setQuiz] = useState(null)
+  const [quizId, setQuizId] = useState(null)
   const [isGeneratingQuiz, setIsGeneratingQuiz] = useState(false)
+  const [quizError, setQuizError] = useState(null)
+  // Optional focus for the next quiz: topic, page range ("12-40") and chapter headings (one per line)
+  const [quizTopic, setQuizTopic] = useState('')
+  const [quizPages, setQuizPages] = useState('')
+  const [quizChapters, setQuizChapters] = useState('')
+  const [quizDifficulty, setQuizDifficulty] = useState('mixed')
+  const [quizBloomLevels, setQuizBloomLevels] = useState([])
+  // "Practice my weak areas": the server targets the lowest-mastery topics of this PDF
+  const [quizAdaptive, setQuizAdaptive] = useState(false)
+  const [quizFocus, setQuizFocus] = useState(null)
+  // Minutes for a timed exam; empty for an untimed practice quiz
+  const [quizTimeLimit, setQuizTimeLimit] = useState('')
+  const [quizTiming, setQuizTiming] = useState(null)
+  const [quizDraft, setQuizDraft] = useState(null)
+  const [quizCounts, setQuizCounts] = useState(DEFAULT_QUIZ_COUNTS)
+  // Keys of assistant messages already saved as flashcards in this session
+  const [bookmarked, setBookmarked] = useState([])
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
@@ -30,6 +65,36 @@ const ChatWindow = ({
   useEffect(() => {
     scrollToBottom()
   }, [messages, isTyping])
+
+  // Pick up an unfinished timed exam for this PDF, with its remaining time and autosaved answers
+  useEffect(() => {
+    const examId = selectedPDF && localStorage.getItem(activeExamKey(selectedPDF.id))
+    if (!examId || !session?.access_token) return
+
+    const resumeExam = async () => {
+      try {
+        const response = await fetch(getApiUrlWithParams(API_ENDPOINTS.QUIZ, { quizId: examId }), {
+          headers: { 'Authorization': `Bearer ${session.access_token}` }
+        })
+        const data = await response.json()
+
+        if (!response.ok || data.submitted) {
+          localStorage.removeItem(activeExamKey(selectedPDF.id))
+          return
+        }
+
+        setQuiz(data.quiz)
+        setQuizId(data.quizId)
+        setQuizTiming(data.timing)
+        setQuizDraft(data.draft)
+        setMode('quiz')
+      } catch (error) {
+        console.error('Error resuming exam:', error)
+      }
+    }
+
+    resumeExam()
+  }, [selectedPDF, session?.access_token])
   
   const generateQuiz = async () => {
     if (!selectedPDF) {
@@ -37,48 +102,120 @@ const ChatWindow = ({
     }
     
     setIsGeneratingQuiz(true)
+    setQuizError(null)
     
     try {
+      const chapters = quizChapters.split('\n').map(chapter => chapter.trim()).filter(Boolean)
+
       const response = await fetch(getApiUrl(API_ENDPOINTS.GENERATE_QUIZ), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token || ''}`
         },
         body: JSON.stringify({
           fileId: selectedPDF.id,
           textId: selectedPDF.id,
-          types: {
-            mcq: 3, // 3 multiple choice questions
-            shortAnswer: 2, // 2 short answer questions
-            longAnswer: 1  // 1 long answer question
-          }
+          types: Object.fromEntries(Object.entries(quizCounts).filter(([, count]) => count > 0)),
+          ...(quizTopic.trim() && { topic: quizTopic.trim() }),
+          ...(quizPages.trim() && { pageRange: quizPages.trim() }),
+          ...(chapters.length > 0 && { chapters }),
+          difficulty: quizDifficulty,
+          ...(quizBloomLevels.length > 0 && { bloomLevels: quizBloomLevels }),
+          adaptive: quizAdaptive,
+          ...(quizTimeLimit && { timeLimitMinutes: parseInt(quizTimeLimit) })
         })
       })
 
       if (!response.ok) {
-        throw new Error('Failed to generate quiz')
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to generate quiz')
       }
 
       const data = await response.json()
       setQuiz(data.quiz)
+      setQuizId(data.quizId)
+      setQuizFocus(data.adaptive)
+      setQuizTiming(data.timing)
+      setQuizDraft(null)
+      if (data.timing?.mode === 'exam') {
+        localStorage.setItem(activeExamKey(selectedPDF.id), data.quizId)
+      } else {
+        localStorage.removeItem(activeExamKey(selectedPDF.id))
+      }
     } catch (error) {
       console.error('Error generating quiz:', error)
-      // Handle error state if needed
+      setQuizError(error.message)
     } finally {
       setIsGeneratingQuiz(false)
     }
   }
   
+  // Save an answer as a flashcard: the question that prompted it on the front, the answer on the back
+  const saveAsFlashcard = async (index) => {
+    const message = messages[index]
+    const key = message.id || index
+    const question = messages.slice(0, index).reverse().find(item => item.role === 'user')
+    const citation = message.citations?.find(item => item.pdfId)
+    const page = parseInt(citation?.page)
+
+    try {
+      const response = await fetch(getApiUrl(API_ENDPOINTS.FLASHCARDS), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token || ''}`
+        },
+        body: JSON.stringify({
+          front: question?.content || 'Explain:',
+          back: message.content,
+          pdfId: citation?.pdfId || selectedPDF?.id || null,
+          ...(page > 0 && { page })
+        })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to save flashcard')
+      }
+
+      setBookmarked(prev => [...prev, key])
+    } catch (error) {
+      console.error('Error saving flashcard:', error)
+    }
+  }
+
   const handleQuizSubmit = async (results) => {
     console.log('Quiz results submitted:', results)
+    if (selectedPDF) {
+      localStorage.removeItem(activeExamKey(selectedPDF.id))
+    }
     if (onQuizSubmit) {
       await onQuizSubmit(results)
     }
   }
 
+  const setQuizCount = (type, value) => {
+    const count = Math.min(MAX_PER_TYPE, Math.max(0, parseInt(value) || 0))
+    setQuizCounts(prev => ({ ...prev, [type]: count }))
+  }
+
+  const toggleBloomLevel = (level) => {
+    setQuizBloomLevels(prev => prev.includes(level)
+      ? prev.filter(item => item !== level)
+      : [...prev, level])
+  }
+
   const handleGenerateNewQuiz = async () => {
     // Reset quiz state and generate a new quiz
     setQuiz(null)
+    setQuizId(null)
+    setQuizFocus(null)
+    setQuizTiming(null)
+    setQuizDraft(null)
+    if (selectedPDF) {
+      localStorage.removeItem(activeExamKey(selectedPDF.id))
+    }
     await generateQuiz()
   }
 
@@ -182,12 +319,15 @@ const ChatWindow = ({
             <MessageBubble
               message={message}
               isLastMessage={index === messages.length - 1}
+              onCitationClick={onCitationClick}
+              onBookmark={message.role === 'assistant' && message.content ? () => saveAsFlashcard(index) : null}
+              isBookmarked={bookmarked.includes(message.id || index)}
             />
           </div>
         </div>
       ))}
       
-      {isTyping && (
+      {isTyping && !messages[messages.length - 1]?.isStreaming && (
         <div className="flex justify-start animate-fade-in">
           <div className="max-w-[85%]">
             <MessageBubble
@@ -261,49 +401,62 @@ const ChatWindow = ({
               </div>
             </div>
 
-            {/* Mode Toggle - Only show when PDF is selected */}
-            {selectedPDF && (
-              <div className="flex items-center space-x-4">
-                <div className="flex bg-gray-100 rounded-xl p-1 shadow-sm">
-                  <button
-                    onClick={() => setMode('chat')}
-                    className={`px-4 py-2 text-sm font-medium rounded-lg transition-all duration-200 ${
-                      mode === 'chat'
-                        ? 'bg-white text-blue-600 shadow-sm'
-                        : 'text-gray-600 hover:text-gray-900'
-                    }`}
-                  >
-                    <div className="flex items-center space-x-2">
-                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-3.582 8-8 8a8.955 8.955 0 01-4.126-.98L3 20l1.98-5.874A8.955 8.955 0 013 12c0-4.418 3.582-8 8-8s8 3.582 8 8z" />
-                      </svg>
-                      <span>Chat</span>
-                    </div>
-                  </button>
-                  <button
-                    onClick={() => setMode('quiz')}
-                    className={`px-4 py-2 text-sm font-medium rounded-lg transition-all duration-200 ${
-                      mode === 'quiz'
-                        ? 'bg-white text-purple-600 shadow-sm'
-                        : 'text-gray-600 hover:text-gray-900'
-                    }`}
-                  >
-                    <div className="flex items-center space-x-2">
-                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
-                      </svg>
-                      <span>Quiz</span>
-                    </div>
-                  </button>
-                </div>
-                
-                {/* PDF Status Indicator */}
-                <div className="flex items-center space-x-2 px-3 py-1.5 bg-green-50 border border-green-200 rounded-full text-sm font-medium text-green-700">
-                  <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-                  <span>PDF Active</span>
+            <div className="flex items-center space-x-4">
+              {/* Sources for this chat (one PDF, several, or the whole library) */}
+              {onDocumentScopeChange && mode === 'chat' && (
+                <DocumentScopePicker
+                  pdfs={pdfs}
+                  pdfIds={documentScope?.pdfIds || []}
+                  library={!!documentScope?.library}
+                  onChange={onDocumentScopeChange}
+                  disabled={isTyping}
+                />
+              )}
+
+              {/* Mode Toggle - Only show when PDF is selected */}
+              {selectedPDF && (
+                <div className="flex items-center space-x-4">
+                  <div className="flex bg-gray-100 rounded-xl p-1 shadow-sm">
+                    <button
+                      onClick={() => setMode('chat')}
+                      className={`px-4 py-2 text-sm font-medium rounded-lg transition-all duration-200 ${
+                        mode === 'chat'
+                          ? 'bg-white text-blue-600 shadow-sm'
+                          : 'text-gray-600 hover:text-gray-900'
+                      }`}
+                    >
+                      <div className="flex items-center space-x-2">
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-3.582 8-8 8a8.955 8.955 0 01-4.126-.98L3 20l1.98-5.874A8.955 8.955 0 013 12c0-4.418 3.582-8 8-8s8 3.582 8 8z" />
+                        </svg>
+                        <span>Chat</span>
+                      </div>
+                    </button>
+                    <button
+                      onClick={() => setMode('quiz')}
+                      className={`px-4 py-2 text-sm font-medium rounded-lg transition-all duration-200 ${
+                        mode === 'quiz'
+                          ? 'bg-white text-purple-600 shadow-sm'
+                          : 'text-gray-600 hover:text-gray-900'
+                      }`}
+                    >
+                      <div className="flex items-center space-x-2">
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+                        </svg>
+                        <span>Quiz</span>
+                      </div>
+                    </button>
+                  </div>
+                  
+                  {/* PDF Status Indicator */}
+                  <div className="flex items-center space-x-2 px-3 py-1.5 bg-green-50 border border-green-200 rounded-full text-sm font-medium text-green-700">
+                    <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+                    <span>PDF Active</span>
+                  </div>
                 </div>
-              </div>
-            )}
+              )}
+            </div>
           </div>
         </div>
       </div>
@@ -377,17 +530,102 @@ const ChatWindow = ({
                 
                 <div className="bg-purple-50 border border-purple-200 rounded-xl p-4 text-left">
                   <h4 className="font-semibold text-purple-900 mb-2">📝 What you'll get:</h4>
-                  <ul className="text-sm text-purple-800 space-y-1">
-                    <li>• 3 Multiple choice questions</li>
-                    <li>• 2 Short answer questions</li>
-                    <li>• 1 Long answer question</li>
-                    <li>• Detailed explanations</li>
-                  </ul>
+                  <div className="grid grid-cols-2 gap-2 text-sm text-purple-800">
+                    {QUESTION_TYPE_ORDER.map(type => (
+                      <label key={type} className="flex items-center justify-between space-x-2">
+                        <span>{QUESTION_TYPES[type].label}</span>
+                        <input
+                          type="number"
+                          min={0}
+                          max={MAX_PER_TYPE}
+                          value={quizCounts[type] || 0}
+                          onChange={(e) => setQuizCount(type, e.target.value)}
+                          className="w-14 px-2 py-1 border border-purple-200 rounded bg-white text-right focus:outline-none focus:ring-2 focus:ring-purple-500"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                  <p className="text-sm text-purple-800 mt-2">• Detailed explanations</p>
+                </div>
+
+                <div className="space-y-3 text-left">
+                  <input
+                    type="text"
+                    value={quizTopic}
+                    onChange={(e) => setQuizTopic(e.target.value)}
+                    placeholder="Topic (optional), e.g. photosynthesis"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                  <input
+                    type="text"
+                    value={quizPages}
+                    onChange={(e) => setQuizPages(e.target.value)}
+                    placeholder="Pages (optional), e.g. 12-40"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                  <textarea
+                    value={quizChapters}
+                    onChange={(e) => setQuizChapters(e.target.value)}
+                    placeholder="Chapter headings (optional, one per line)"
+                    rows={2}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                  <select
+                    value={quizDifficulty}
+                    onChange={(e) => setQuizDifficulty(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    {QUIZ_DIFFICULTIES.map(level => (
+                      <option key={level} value={level}>
+                        {level === 'mixed' ? 'Mixed difficulty' : `${level.charAt(0).toUpperCase()}${level.slice(1)}`}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="flex flex-wrap gap-2">
+                    {BLOOM_LEVELS.map(level => (
+                      <button
+                        key={level}
+                        type="button"
+                        onClick={() => toggleBloomLevel(level)}
+                        className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+                          quizBloomLevels.includes(level)
+                            ? 'bg-purple-600 border-purple-600 text-white'
+                            : 'bg-white border-gray-300 text-gray-600 hover:border-purple-400'
+                        }`}
+                      >
+                        {level.charAt(0).toUpperCase()}{level.slice(1)}
+                      </button>
+                    ))}
+                  </div>
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={quizAdaptive}
+                      onChange={(e) => setQuizAdaptive(e.target.checked)}
+                      className="rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+                    />
+                    <span>Practice my weak areas</span>
+                  </label>
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <span>Time limit</span>
+                    <input
+                      type="number"
+                      min="1"
+                      value={quizTimeLimit}
+                      onChange={(e) => setQuizTimeLimit(e.target.value)}
+                      placeholder="none"
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    />
+                    <span>minutes (timed exam)</span>
+                  </label>
+                  {quizError && (
+                    <p className="text-sm text-red-600">{quizError}</p>
+                  )}
                 </div>
                 
                 <button
                   onClick={generateQuiz}
-                  disabled={isGeneratingQuiz}
+                  disabled={isGeneratingQuiz || Object.values(quizCounts).every(count => count === 0)}
                   className="w-full px-8 py-4 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-xl hover:from-purple-700 hover:to-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 font-semibold shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
                 >
                   {isGeneratingQuiz ? (
@@ -408,10 +646,22 @@ const ChatWindow = ({
             </div>
           ) : (
             <div className="p-6">
+              {quizFocus && (
+                <div className="mb-4 rounded-lg border border-purple-200 bg-purple-50 px-4 py-3 text-sm text-purple-900">
+                  {quizFocus.weakTopics.length > 0
+                    ? <>Focusing on your weak areas: {quizFocus.weakTopics.map(({ topic, mastery }) => `${topic} (${mastery}%)`).join(', ')}</>
+                    : 'No weak areas found yet for this PDF, so this quiz covers the whole document.'}
+                </div>
+              )}
               <EnhancedQuizRenderer 
+                key={quizId}
                 quiz={quiz} 
+                quizId={quizId}
+                timing={quizTiming}
+                initialAnswers={quizDraft}
                 onComplete={handleQuizSubmit}
                 onGenerateNewQuiz={handleGenerateNewQuiz}
+                onCitationClick={onCitationClick}
               />
             </div>
           )}
@@ -428,7 +678,9 @@ ChatWindow.propTypes = {
     role: PropTypes.oneOf(['user', 'assistant']).isRequired,
     content: PropTypes.string.isRequired,
     timestamp: PropTypes.string,
-    isTyping: PropTypes.bool
+    isTyping: PropTypes.bool,
+    isStreaming: PropTypes.bool,
+    citations: PropTypes.array
   })).isRequired,
   isTyping: PropTypes.bool.isRequired,
   onSendMessage: PropTypes.func.isRequired,
@@ -441,7 +693,17 @@ ChatWindow.propTypes = {
   disabled: PropTypes.bool,
   isSidebarOpen: PropTypes.bool,
   onToggleSidebar: PropTypes.func,
-  onUploadPDF: PropTypes.func
+  onUploadPDF: PropTypes.func,
+  pdfs: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string
+  })),
+  documentScope: PropTypes.shape({
+    pdfIds: PropTypes.arrayOf(PropTypes.string),
+    library: PropTypes.bool
+  }),
+  onDocumentScopeChange: PropTypes.func,
+  onCitationClick: PropTypes.func
 }
 
 export default ChatWindow
\ No newline at end of file
@@ -1,15 +1,23 @@
-import React, { useState, useCallback, useEffect } from 'react'
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react'
 import { Document, Page, pdfjs } from 'react-pdf'
 import PropTypes from 'prop-types'
 import { useAuth } from '../context/AuthContext'
-import { getApiUrl, API_ENDPOINTS } from '../utils/api'
+import { getApiUrl, getApiUrlWithParams, API_ENDPOINTS } from '../utils/api'
+import { findSnippetRanges, parseCitationPage } from '../utils/textMatch'
 import 'react-pdf/dist/esm/Page/AnnotationLayer.css'
 import 'react-pdf/dist/esm/Page/TextLayer.css'
 
 // Set up PDF.js worker
 pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.js`
 
-const PDFViewer = ({ file, onUnselect, className = "" }) => {
+// Escape text layer strings before wrapping highlights in markup
+const escapeHTML = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const PDFViewer = ({ file, onUnselect, focus = null, className = "" }) => {
   const { session } = useAuth()
   const [numPages, setNumPages] = useState(null)
   const [pageNumber, setPageNumber] = useState(1)
@@ -17,33 +25,31 @@ const PDFViewer = ({ file, onUnselect, className = "" }) => {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
   const [extractedText, setExtractedText] = useState('')
-  const [pdfBlobUrl, setPdfBlobUrl] = useState(null)
+  const [pdfUrl, setPdfUrl] = useState(null)
   const [isToolbarCollapsed, setIsToolbarCollapsed] = useState(false)
+  const [highlight, setHighlight] = useState(null) // { page, snippet } from a clicked citation
+  const [textItems, setTextItems] = useState([])
+  const scrollContainerRef = useRef(null)
 
-  // Fetch PDF with authentication and create blob URL
-  const fetchPDFWithAuth = useCallback(async (fileUrl, fileId) => {
-    if (!fileUrl || !session?.access_token) return null
+  // Ask the API for a signed link; pdf.js then loads the file from storage with Range requests
+  const fetchSignedPDFUrl = useCallback(async (fileId) => {
+    if (!fileId || !session?.access_token) return null
 
     try {
       setLoading(true)
-      const token = session.access_token
-      
-      const response = await fetch(fileUrl, {
-        method: 'GET',
+      const response = await fetch(getApiUrlWithParams(API_ENDPOINTS.PDF_URL, { id: fileId }), {
         headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/pdf'
+          'Authorization': `Bearer ${session.access_token}`
         }
       })
 
-      if (response.ok) {
-        const blob = await response.blob()
-        const blobUrl = URL.createObjectURL(blob)
-        setPdfBlobUrl(blobUrl)
-        return blobUrl
-      } else {
+      if (!response.ok) {
         throw new Error(`Failed to fetch PDF: ${response.status}`)
       }
+
+      const data = await response.json()
+      setPdfUrl(data.url)
+      return data.url
     } catch (err) {
       console.error('PDF fetch error:', err)
       setError(`Failed to load PDF: ${err.message}`)
@@ -53,21 +59,13 @@ const PDFViewer = ({ file, onUnselect, className = "" }) => {
     }
   }, [session])
 
-  // Clean up blob URL when component unmounts or file changes
+  // Fetch a link when the file changes
   useEffect(() => {
-    return () => {
-      if (pdfBlobUrl) {
-        URL.revokeObjectURL(pdfBlobUrl)
-      }
+    setPdfUrl(null)
+    if (file && file.id && session?.access_token) {
+      fetchSignedPDFUrl(file.id)
     }
-  }, [pdfBlobUrl])
-
-  // Fetch PDF when file changes
-  useEffect(() => {
-    if (file && file.url && session?.access_token) {
-      fetchPDFWithAuth(file.url, file.id)
-    }
-  }, [file, fetchPDFWithAuth, session])
+  }, [file, fetchSignedPDFUrl, session])
 
   // Extract text when PDF loads
   const extractTextFromPDF = useCallback(async (fileId) => {
@@ -101,8 +99,51 @@ const PDFViewer = ({ file, onUnselect, className = "" }) => {
     }
   }, [file, extractTextFromPDF])
 
+  // A highlight belongs to the document it was cited from
+  useEffect(() => {
+    setHighlight(null)
+  }, [file?.id])
+
+  // Jump to a cited page and remember what to highlight on it
+  useEffect(() => {
+    if (!focus) return
+
+    const page = parseCitationPage(focus.page)
+    if (!page) return
+
+    setPageNumber(page)
+    setHighlight({ page, snippet: focus.snippet || '' })
+  }, [focus])
+
+  // Text layer character ranges covered by the cited snippet on the current page
+  const highlightRanges = useMemo(() => {
+    if (!highlight?.snippet || highlight.page !== pageNumber) return new Map()
+    return findSnippetRanges(textItems, highlight.snippet)
+  }, [highlight, pageNumber, textItems])
+
+  const renderTextItem = useCallback(({ str, itemIndex }) => {
+    const range = highlightRanges.get(itemIndex)
+    if (!range) return escapeHTML(str)
+
+    return escapeHTML(str.slice(0, range.start)) +
+      `<mark class="citation-highlight">${escapeHTML(str.slice(range.start, range.end))}</mark>` +
+      escapeHTML(str.slice(range.end))
+  }, [highlightRanges])
+
+  const onGetTextSuccess = useCallback(({ items }) => {
+    setTextItems(items)
+  }, [])
+
+  // Bring the highlighted passage into view once the text layer is drawn
+  const onRenderTextLayerSuccess = useCallback(() => {
+    if (highlightRanges.size === 0) return
+    const mark = scrollContainerRef.current?.querySelector('mark.citation-highlight')
+    mark?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }, [highlightRanges])
+
   const onDocumentLoadSuccess = useCallback(({ numPages }) => {
     setNumPages(numPages)
+    setPageNumber(page => Math.min(page, numPages))
     setError('')
     setLoading(false)
   }, [])
@@ -324,7 +365,7 @@ const PDFViewer = ({ file, onUnselect, className = "" }) => {
       )}
 
       {/* Loading State */}
-      {loading && !pdfBlobUrl && (
+      {loading && !pdfUrl && (
         <div className="flex-1 flex items-center justify-center p-8">
           <div className="text-center">
             <div className="relative w-16 h-16 mx-auto mb-4">
@@ -338,12 +379,12 @@ const PDFViewer = ({ file, onUnselect, className = "" }) => {
       )}
 
       {/* PDF Display */}
-      {!loading && pdfBlobUrl && (
-        <div className="flex-1 overflow-auto bg-gradient-to-br from-gray-50 to-gray-100 p-4">
+      {!loading && pdfUrl && (
+        <div ref={scrollContainerRef} className="flex-1 overflow-auto bg-gradient-to-br from-gray-50 to-gray-100 p-4">
           <div className="flex justify-center">
             <div className="shadow-2xl rounded-lg overflow-hidden bg-white">
               <Document
-                file={pdfBlobUrl}
+                file={pdfUrl}
                 onLoadSuccess={onDocumentLoadSuccess}
                 onLoadError={onDocumentLoadError}
                 loading={
@@ -370,6 +411,9 @@ const PDFViewer = ({ file, onUnselect, className = "" }) => {
                 <Page
                   pageNumber={pageNumber}
                   scale={scale}
+                  customTextRenderer={renderTextItem}
+                  onGetTextSuccess={onGetTextSuccess}
+                  onRenderTextLayerSuccess={onRenderTextLayerSuccess}
                   className="transition-all duration-300"
                   loading={
                     <div className="text-center py-12">
@@ -425,6 +469,10 @@ PDFViewer.propTypes = {
     size: PropTypes.number
   }),
   onUnselect: PropTypes.func,
+  focus: PropTypes.shape({
+    page: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    snippet: PropTypes.string
+  }),
   className: PropTypes.string
 }
 
@@ -1,68 +1,131 @@
-import React, { useState, useEffect, useCallback } from 'react'
+import React, { useState, useEffect, useCallback, useRef } from 'react'
 import PropTypes from 'prop-types'
 import { useAuth } from '../context/AuthContext'
+import { getApiUrlWithParams, API_ENDPOINTS } from '../utils/api'
+import { readEventStream } from '../utils/eventStream'
 
-const PDFProcessingProgress = ({ fileId, fileName, onComplete, onClose }) => {
+// Pipeline stages in the order the server reports them
+const STAGE_ORDER = ['queued', 'parsing', 'ocr', 'chunking', 'embedding', 'indexing', 'completed']
+const TERMINAL_STAGES = ['completed', 'failed', 'cancelled']
+const RECONNECT_DELAY_MS = 2000
+
+const PDFProcessingProgress = ({ fileId, fileName, onComplete, onClose, onCancel }) => {
   const { session } = useAuth()
-  const [status, setStatus] = useState({
-    processingStatus: 'processing',
-    totalPages: 0,
-    chunkCount: 0,
-    isReady: false
-  })
+  const [progress, setProgress] = useState({ stage: 'queued', percent: 0, current: 0, total: 0, etaSeconds: null })
+  const [status, setStatus] = useState(null)
+  const [pageCount, setPageCount] = useState(0)
+  const [sawOCR, setSawOCR] = useState(false)
+  const [cancelling, setCancelling] = useState(false)
+  const [cancelled, setCancelled] = useState(false)
   const [error, setError] = useState('')
   const [elapsedTime, setElapsedTime] = useState(0)
+  const onCompleteRef = useRef(onComplete)
+  onCompleteRef.current = onComplete
+
+  // Final status (chunk count, readiness) once the server reports completion
+  const fetchFinalStatus = useCallback(async () => {
+    const response = await fetch(getApiUrlWithParams(API_ENDPOINTS.PDF_STATUS, { id: fileId }), {
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`,
+        'Content-Type': 'application/json'
+      }
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to check processing status')
+    }
+
+    console.log('✅ PDF processing completed!')
+    setStatus(data.status)
+    onCompleteRef.current?.(data.status)
+  }, [fileId, session?.access_token])
+
+  const handleEvent = useCallback(async (event) => {
+    setProgress(event)
+    if (event.stage === 'parsing' && event.total > 0) setPageCount(event.total)
+    if (event.stage === 'ocr') setSawOCR(true)
+
+    if (event.stage === 'completed') {
+      await fetchFinalStatus()
+    } else if (event.stage === 'failed') {
+      setError(event.message
+        ? `PDF processing failed: ${event.message}`
+        : 'PDF processing failed. Please try uploading again.')
+    } else if (event.stage === 'cancelled') {
+      setCancelled(true)
+    }
+  }, [fetchFinalStatus])
 
-  // Poll for status updates
-  const checkStatus = useCallback(async () => {
+  // Follow the server's progress stream, reconnecting if the connection drops
+  useEffect(() => {
     if (!fileId || !session?.access_token) return
 
-    try {
-      console.log('🔍 Checking PDF processing status for:', fileId)
-      const response = await fetch(
-        `${import.meta.env.VITE_API_URL || 'http://localhost:5000'}/api/pdf/${fileId}/status`,
-        {
-          headers: {
-            'Authorization': `Bearer ${session.access_token}`,
-            'Content-Type': 'application/json'
+    const abortController = new AbortController()
+
+    const follow = async () => {
+      while (!abortController.signal.aborted) {
+        try {
+          const response = await fetch(getApiUrlWithParams(API_ENDPOINTS.PDF_EVENTS, { id: fileId }), {
+            headers: {
+              'Accept': 'text/event-stream',
+              'Authorization': `Bearer ${session.access_token}`
+            },
+            signal: abortController.signal
+          })
+
+          if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}))
+            setError(errorData.error || 'Failed to check processing status')
+            return
           }
+
+          for await (const { event, data } of readEventStream(response)) {
+            if (event !== 'progress') continue
+            await handleEvent(data)
+            if (TERMINAL_STAGES.includes(data.stage)) return
+          }
+        } catch (err) {
+          if (abortController.signal.aborted) return
+          console.error('❌ Progress stream error:', err)
         }
-      )
-
-      if (response.ok) {
-        const data = await response.json()
-        console.log('📊 Processing status update:', data.status)
-        setStatus(data.status)
-        
-        if (data.status.isReady) {
-          console.log('✅ PDF processing completed!')
-          onComplete?.(data.status)
-        } else if (data.status.processingStatus === 'failed') {
-          setError('PDF processing failed. Please try uploading again.')
-        }
-      } else {
-        const errorData = await response.json()
-        console.error('❌ Status check failed:', errorData)
-        setError(errorData.error || 'Failed to check processing status')
+
+        await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS))
       }
-    } catch (err) {
+    }
+
+    follow().catch(err => {
       console.error('❌ Status check error:', err)
       setError('Unable to check processing status')
-    }
-  }, [fileId, session?.access_token, onComplete])
+    })
 
-  // Start status polling
-  useEffect(() => {
-    if (!fileId) return
+    return () => abortController.abort()
+  }, [fileId, session?.access_token, handleEvent])
 
-    // Check immediately
-    checkStatus()
+  const handleCancel = async () => {
+    setCancelling(true)
+    try {
+      const response = await fetch(getApiUrlWithParams(API_ENDPOINTS.PDF_CANCEL, { id: fileId }), {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      })
 
-    // Set up polling interval
-    const interval = setInterval(checkStatus, 2000) // Check every 2 seconds
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to cancel processing')
+      }
 
-    return () => clearInterval(interval)
-  }, [fileId, checkStatus])
+      setCancelled(true)
+    } catch (err) {
+      console.error('❌ Cancel error:', err)
+      setError(err.message)
+    } finally {
+      setCancelling(false)
+    }
+  }
 
   // Track elapsed time
   useEffect(() => {
@@ -80,36 +143,62 @@ const PDFProcessingProgress = ({ fileId, fileName, onComplete, onClose }) => {
   }
 
   const getProgressSteps = () => {
+    const stageIndex = STAGE_ORDER.indexOf(progress.stage)
+    const stepStatus = (first, last = first) => {
+      if (stageIndex > STAGE_ORDER.indexOf(last)) return 'completed'
+      if (stageIndex >= STAGE_ORDER.indexOf(first)) return 'active'
+      return 'pending'
+    }
+    const counts = `${progress.current}/${progress.total}`
+    const chunkCount = status?.chunkCount ?? progress.total
+
     const steps = [
       { 
         name: 'Upload', 
         status: 'completed',
-        description: 'File uploaded successfully' 
+        description: progress.stage === 'queued' && progress.message ? progress.message : 'File uploaded successfully' 
       },
       { 
         name: 'Text Extraction', 
-        status: status.processingStatus === 'processing' ? 'active' : 
-                status.processingStatus === 'completed' ? 'completed' : 'pending',
-        description: status.totalPages > 0 ? `Extracted text from ${status.totalPages} pages` : 'Extracting text from PDF...' 
-      },
+        status: stepStatus('parsing'),
+        description: progress.stage === 'parsing' && progress.total > 0
+          ? `Parsed ${counts} pages`
+          : pageCount > 0 && stageIndex > STAGE_ORDER.indexOf('parsing')
+            ? `Extracted text from ${pageCount} pages`
+            : 'Extracting text from PDF...' 
+      }
+    ]
+
+    // Only scanned PDFs go through OCR
+    if (sawOCR) {
+      steps.push({
+        name: 'OCR',
+        status: stepStatus('ocr'),
+        description: progress.stage === 'ocr' ? `Reading scanned pages (${counts})` : 'Read scanned pages'
+      })
+    }
+
+    steps.push(
       { 
         name: 'Chunking & Embeddings', 
-        status: status.chunkCount > 0 ? 'completed' : 
-                status.processingStatus === 'processing' ? 'active' : 'pending',
-        description: status.chunkCount > 0 ? `Created ${status.chunkCount} text chunks` : 'Creating searchable chunks...' 
+        status: stepStatus('chunking', 'embedding'),
+        description: progress.stage === 'embedding' && progress.total > 0
+          ? `Embedded ${counts} chunks`
+          : stageIndex > STAGE_ORDER.indexOf('embedding')
+            ? `Created ${chunkCount} text chunks`
+            : 'Creating searchable chunks...' 
       },
       { 
         name: 'Ready for Use', 
-        status: status.isReady ? 'completed' : 'pending',
-        description: status.isReady ? 'PDF ready for chat and quiz generation!' : 'Preparing for AI interactions...' 
+        status: stepStatus('indexing'),
+        description: progress.stage === 'completed' ? 'PDF ready for chat and quiz generation!' : 'Preparing for AI interactions...' 
       }
-    ]
+    )
     return steps
   }
 
   const steps = getProgressSteps()
-  const currentStep = steps.findIndex(step => step.status === 'active')
-  const progressPercentage = status.isReady ? 100 : Math.max(25, (currentStep + 1) * 25)
+  const progressPercentage = progress.percent || 0
 
   if (error) {
     return (
@@ -135,7 +224,28 @@ const PDFProcessingProgress = ({ fileId, fileName, onComplete, onClose }) => {
     )
   }
 
-  if (status.isReady) {
+  if (cancelled) {
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+        <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+          <div className="text-center">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Processing Cancelled</h3>
+            <p className="text-gray-600 mb-6">
+              <strong>{fileName}</strong> was not processed and won't be available for chat or quizzes.
+            </p>
+            <button
+              onClick={onCancel || onClose}
+              className="w-full px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 transition-colors"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  if (status?.isReady) {
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
         <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
@@ -174,6 +284,9 @@ const PDFProcessingProgress = ({ fileId, fileName, onComplete, onClose }) => {
           </p>
           <div className="text-sm text-gray-500 mt-2">
             Processing time: {formatTime(elapsedTime)}
+            {progress.etaSeconds != null && progress.etaSeconds > 0 && (
+              <> • About {formatTime(progress.etaSeconds)} remaining</>
+            )}
           </div>
         </div>
 
@@ -193,7 +306,7 @@ const PDFProcessingProgress = ({ fileId, fileName, onComplete, onClose }) => {
 
         {/* Steps */}
         <div className="space-y-4">
-          {steps.map((step, index) => (
+          {steps.map((step) => (
             <div key={step.name} className="flex items-start">
               <div className="flex-shrink-0 mr-3">
                 {step.status === 'completed' && (
@@ -225,14 +338,23 @@ const PDFProcessingProgress = ({ fileId, fileName, onComplete, onClose }) => {
           ))}
         </div>
 
-        {/* Cancel button */}
+        {/* Cancel / background buttons */}
         <div className="mt-6 pt-4 border-t border-gray-200">
-          <button
-            onClick={onClose}
-            className="w-full px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors text-sm"
-          >
-            Continue in Background
-          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={onClose}
+              className="flex-1 px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors text-sm"
+            >
+              Continue in Background
+            </button>
+            <button
+              onClick={handleCancel}
+              disabled={cancelling}
+              className="flex-1 px-4 py-2 text-red-700 bg-red-50 rounded-md hover:bg-red-100 transition-colors text-sm disabled:opacity-50"
+            >
+              {cancelling ? 'Cancelling...' : 'Cancel Processing'}
+            </button>
+          </div>
           <p className="text-xs text-gray-500 mt-2 text-center">
             ⚠️ PDF won't be available for chat/quiz until processing completes
           </p>
@@ -246,7 +368,8 @@ PDFProcessingProgress.propTypes = {
   fileId: PropTypes.string.isRequired,
   fileName: PropTypes.string.isRequired,
   onComplete: PropTypes.func,
-  onClose: PropTypes.func.isRequired
+  onClose: PropTypes.func.isRequired,
+  onCancel: PropTypes.func
 }
 
 export default PDFProcessingProgress
\ No newline at end of file
@@ -2,7 +2,7 @@ import React, { useState, useCallback, useEffect } from 'react'
 import { Document, Page, pdfjs } from 'react-pdf'
 import PropTypes from 'prop-types'
 import { useAuth } from '../context/AuthContext'
-import { getApiUrl, API_ENDPOINTS } from '../utils/api'
+import { getApiUrl, getApiUrlWithParams, API_ENDPOINTS } from '../utils/api'
 import 'react-pdf/dist/esm/Page/AnnotationLayer.css'
 import 'react-pdf/dist/esm/Page/TextLayer.css'
 
@@ -17,32 +17,26 @@ const PDFViewer = ({ file, onUnselect }) => {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
   const [extractedText, setExtractedText] = useState('')
-  const [pdfBlobUrl, setPdfBlobUrl] = useState(null)
+  const [pdfUrl, setPdfUrl] = useState(null)
 
-  // Fetch PDF with authentication and create blob URL
-  const fetchPDFWithAuth = useCallback(async (fileUrl, fileId) => {
-    if (!fileUrl || !session?.access_token) return null
+  // Get a short-lived signed link to the PDF
+  const fetchSignedPDFUrl = useCallback(async (fileId) => {
+    if (!fileId || !session?.access_token) return null
 
     try {
-      // Use Supabase session access token
-      const token = session.access_token
-      
-      const response = await fetch(fileUrl, {
-        method: 'GET',
+      const response = await fetch(getApiUrlWithParams(API_ENDPOINTS.PDF_URL, { id: fileId }), {
         headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/pdf'
+          'Authorization': `Bearer ${session.access_token}`
         }
       })
 
-      if (response.ok) {
-        const blob = await response.blob()
-        const blobUrl = URL.createObjectURL(blob)
-        setPdfBlobUrl(blobUrl)
-        return blobUrl
-      } else {
+      if (!response.ok) {
         throw new Error(`Failed to fetch PDF: ${response.status}`)
       }
+
+      const data = await response.json()
+      setPdfUrl(data.url)
+      return data.url
     } catch (err) {
       console.error('PDF fetch error:', err)
       setError(`Failed to load PDF: ${err.message}`)
@@ -50,21 +44,13 @@ const PDFViewer = ({ file, onUnselect }) => {
     }
   }, [session])
 
-  // Clean up blob URL when component unmounts or file changes
-  useEffect(() => {
-    return () => {
-      if (pdfBlobUrl) {
-        URL.revokeObjectURL(pdfBlobUrl)
-      }
-    }
-  }, [pdfBlobUrl])
-
-  // Fetch PDF when file changes
+  // Fetch PDF link when file changes
   useEffect(() => {
-    if (file && file.url && session?.access_token) {
-      fetchPDFWithAuth(file.url, file.id)
+    setPdfUrl(null)
+    if (file && file.id && session?.access_token) {
+      fetchSignedPDFUrl(file.id)
     }
-  }, [file, fetchPDFWithAuth, session])
+  }, [file, fetchSignedPDFUrl, session])
 
   // Extract text when PDF loads
   const extractTextFromPDF = useCallback(async (fileId) => {
@@ -277,7 +263,7 @@ const PDFViewer = ({ file, onUnselect }) => {
       <div className="flex-1 overflow-auto bg-gray-100">
         <div className="flex justify-center p-4">
           <Document
-            file={pdfBlobUrl}
+            file={pdfUrl}
             onLoadSuccess={onDocumentLoadSuccess}
             onLoadError={onDocumentLoadError}
             loading={
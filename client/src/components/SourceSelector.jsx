@@ -155,6 +155,15 @@ const SourceSelector = ({ onFileSelect }) => {
     }
   }, [processingInProgress])
 
+  const handleProcessingCancelled = useCallback(() => {
+    setProcessingInProgress(false)
+    setShowProgressModal(false)
+    setCurrentUpload(null)
+    setProcessingStatus('')
+    setUploadProgress(0)
+    loadUploadedPDFs()
+  }, [loadUploadedPDFs])
+
   const handleFileChange = useCallback((event) => {
     const file = event.target.files[0]
     if (file) {
@@ -368,6 +377,7 @@ const SourceSelector = ({ onFileSelect }) => {
           fileName={currentUpload.fileName}
           onComplete={handleProcessingComplete}
           onClose={handleProgressModalClose}
+          onCancel={handleProcessingCancelled}
         />
       )}
     </div>
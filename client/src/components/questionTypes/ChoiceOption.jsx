@@ -0,0 +1,67 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { CorrectIcon } from './QuestionCard'
+
+/**
+ * One selectable option, coloured by the graded result once there is one
+ * `multiple` draws a checkbox instead of a radio dot
+ */
+const ChoiceOption = ({ label, isSelected, isCorrect, showResult, multiple = false, disabled, onSelect }) => {
+  let optionClass = 'border-2 p-4 rounded-lg cursor-pointer transition-all '
+
+  if (showResult) {
+    if (isCorrect) {
+      optionClass += 'border-green-500 bg-green-100 text-green-800'
+    } else if (isSelected && !isCorrect) {
+      optionClass += 'border-red-500 bg-red-100 text-red-800'
+    } else {
+      optionClass += 'border-gray-200 bg-gray-50 text-gray-600'
+    }
+    optionClass += ' cursor-default'
+  } else {
+    if (isSelected) {
+      optionClass += 'border-blue-500 bg-blue-100 text-blue-800'
+    } else {
+      optionClass += 'border-gray-300 hover:border-blue-300 hover:bg-blue-50'
+    }
+  }
+
+  return (
+    <div
+      className={optionClass}
+      onClick={() => !disabled && onSelect()}
+    >
+      <div className="flex items-center space-x-3">
+        <div className={`w-5 h-5 ${multiple ? 'rounded' : 'rounded-full'} border-2 flex items-center justify-center ${
+          isSelected
+            ? showResult && !isCorrect
+              ? 'border-red-500 bg-red-500'
+              : 'border-blue-500 bg-blue-500'
+            : 'border-gray-400'
+        }`}>
+          {isSelected && (
+            <div className={`w-2 h-2 bg-white ${multiple ? 'rounded-sm' : 'rounded-full'}`} />
+          )}
+        </div>
+
+        <span className="flex-1 font-medium">{label}</span>
+
+        {showResult && isCorrect && (
+          <CorrectIcon className="w-5 h-5 text-green-600" />
+        )}
+      </div>
+    </div>
+  )
+}
+
+ChoiceOption.propTypes = {
+  label: PropTypes.node.isRequired,
+  isSelected: PropTypes.bool,
+  isCorrect: PropTypes.bool,
+  showResult: PropTypes.bool,
+  multiple: PropTypes.bool,
+  disabled: PropTypes.bool,
+  onSelect: PropTypes.func.isRequired
+}
+
+export default ChoiceOption
@@ -0,0 +1,61 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+// Blanks are written as three or more underscores
+const BLANK_PATTERN = /_{3,}/
+
+// The sentence with an input per blank; answer: { answers: [text per blank] }
+const ClozeQuestion = ({ question, answer, onChange, result, disabled }) => {
+  const parts = question.question.split(BLANK_PATTERN)
+  const given = answer?.answers || []
+
+  const handleChange = (blankIndex, value) => {
+    const answers = Array.from({ length: parts.length - 1 }, (_, index) => given[index] || '')
+    answers[blankIndex] = value
+    onChange({ answers })
+  }
+
+  return (
+    <div className="text-gray-800 leading-loose">
+      {parts.map((part, index) => (
+        <React.Fragment key={index}>
+          {part}
+          {index < parts.length - 1 && (
+            <span className="inline-flex flex-col align-middle mx-1">
+              <input
+                type="text"
+                value={given[index] || ''}
+                onChange={(e) => handleChange(index, e.target.value)}
+                disabled={disabled}
+                aria-label={`Blank ${index + 1}`}
+                className={`w-36 px-2 py-1 border-b-2 bg-transparent focus:outline-none ${
+                  result
+                    ? result.blanks?.[index] ? 'border-green-500 text-green-800' : 'border-red-500 text-red-800'
+                    : 'border-gray-400 focus:border-blue-500'
+                }`}
+              />
+              {result && !result.blanks?.[index] && result.correctAnswers?.[index] && (
+                <span className="text-xs text-green-700">{result.correctAnswers[index]}</span>
+              )}
+            </span>
+          )}
+        </React.Fragment>
+      ))}
+    </div>
+  )
+}
+
+ClozeQuestion.propTypes = {
+  question: PropTypes.shape({
+    question: PropTypes.string.isRequired
+  }).isRequired,
+  answer: PropTypes.shape({ answers: PropTypes.arrayOf(PropTypes.string) }),
+  onChange: PropTypes.func.isRequired,
+  result: PropTypes.shape({
+    blanks: PropTypes.arrayOf(PropTypes.bool),
+    correctAnswers: PropTypes.arrayOf(PropTypes.string)
+  }),
+  disabled: PropTypes.bool
+}
+
+export default ClozeQuestion
@@ -0,0 +1,64 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+// Pick a match from the right column for every left item; answer: { matches: [rightIndex per left item] }
+const MatchingQuestion = ({ question, answer, onChange, result, disabled }) => {
+  const matches = answer?.matches || []
+
+  const handleChange = (leftIndex, value) => {
+    const next = question.left.map((_, index) => matches[index] ?? null)
+    next[leftIndex] = value === '' ? null : Number(value)
+    onChange({ matches: next })
+  }
+
+  return (
+    <div className="space-y-3">
+      {question.left.map((item, leftIndex) => {
+        const isCorrect = result?.matchResults?.[leftIndex]
+        const correctRight = result?.correctMatches?.[leftIndex]
+
+        return (
+          <div key={leftIndex} className="grid grid-cols-1 sm:grid-cols-2 gap-3 items-center">
+            <span className="font-medium text-gray-800">{item}</span>
+            <div>
+              <select
+                value={matches[leftIndex] ?? ''}
+                onChange={(e) => handleChange(leftIndex, e.target.value)}
+                disabled={disabled}
+                className={`w-full p-2 border-2 rounded-lg bg-white ${
+                  result
+                    ? isCorrect ? 'border-green-500' : 'border-red-500'
+                    : 'border-gray-300 focus:border-blue-500'
+                }`}
+              >
+                <option value="">Choose a match…</option>
+                {question.right.map((option, rightIndex) => (
+                  <option key={rightIndex} value={rightIndex}>{option}</option>
+                ))}
+              </select>
+              {result && !isCorrect && correctRight !== undefined && (
+                <p className="text-xs text-green-700 mt-1">{question.right[correctRight]}</p>
+              )}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+MatchingQuestion.propTypes = {
+  question: PropTypes.shape({
+    left: PropTypes.arrayOf(PropTypes.string).isRequired,
+    right: PropTypes.arrayOf(PropTypes.string).isRequired
+  }).isRequired,
+  answer: PropTypes.shape({ matches: PropTypes.arrayOf(PropTypes.number) }),
+  onChange: PropTypes.func.isRequired,
+  result: PropTypes.shape({
+    matchResults: PropTypes.arrayOf(PropTypes.bool),
+    correctMatches: PropTypes.arrayOf(PropTypes.number)
+  }),
+  disabled: PropTypes.bool
+}
+
+export default MatchingQuestion
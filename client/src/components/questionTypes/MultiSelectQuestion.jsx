@@ -0,0 +1,46 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import ChoiceOption from './ChoiceOption'
+
+// Any number of correct options; answer: { selectedAnswers: [optionIndex, ...] }
+const MultiSelectQuestion = ({ question, answer, onChange, result, disabled }) => {
+  const selected = answer?.selectedAnswers || []
+
+  const toggle = (optionIndex) => {
+    onChange({
+      selectedAnswers: selected.includes(optionIndex)
+        ? selected.filter(index => index !== optionIndex)
+        : [...selected, optionIndex].sort((a, b) => a - b)
+    })
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-500">Select all that apply.</p>
+      {question.options.map((option, oIndex) => (
+        <ChoiceOption
+          key={oIndex}
+          multiple
+          label={`${String.fromCharCode(65 + oIndex)}. ${option}`}
+          isSelected={selected.includes(oIndex)}
+          isCorrect={Boolean(result?.correctAnswerIndexes?.includes(oIndex))}
+          showResult={Boolean(result)}
+          disabled={disabled}
+          onSelect={() => toggle(oIndex)}
+        />
+      ))}
+    </div>
+  )
+}
+
+MultiSelectQuestion.propTypes = {
+  question: PropTypes.shape({
+    options: PropTypes.arrayOf(PropTypes.string).isRequired
+  }).isRequired,
+  answer: PropTypes.shape({ selectedAnswers: PropTypes.arrayOf(PropTypes.number) }),
+  onChange: PropTypes.func.isRequired,
+  result: PropTypes.shape({ correctAnswerIndexes: PropTypes.arrayOf(PropTypes.number) }),
+  disabled: PropTypes.bool
+}
+
+export default MultiSelectQuestion
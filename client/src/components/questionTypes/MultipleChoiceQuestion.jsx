@@ -0,0 +1,32 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import ChoiceOption from './ChoiceOption'
+
+// Single correct option; answer: { selectedAnswer: optionIndex }
+const MultipleChoiceQuestion = ({ question, answer, onChange, result, disabled }) => (
+  <div className="space-y-3">
+    {question.options.map((option, oIndex) => (
+      <ChoiceOption
+        key={oIndex}
+        label={`${String.fromCharCode(65 + oIndex)}. ${option}`}
+        isSelected={answer?.selectedAnswer === oIndex}
+        isCorrect={result?.correctAnswerIndex === oIndex}
+        showResult={Boolean(result)}
+        disabled={disabled}
+        onSelect={() => onChange({ selectedAnswer: oIndex })}
+      />
+    ))}
+  </div>
+)
+
+MultipleChoiceQuestion.propTypes = {
+  question: PropTypes.shape({
+    options: PropTypes.arrayOf(PropTypes.string).isRequired
+  }).isRequired,
+  answer: PropTypes.shape({ selectedAnswer: PropTypes.number }),
+  onChange: PropTypes.func.isRequired,
+  result: PropTypes.shape({ correctAnswerIndex: PropTypes.number }),
+  disabled: PropTypes.bool
+}
+
+export default MultipleChoiceQuestion
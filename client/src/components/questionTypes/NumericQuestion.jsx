@@ -0,0 +1,40 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+// answer: { value: typed number as text }; graded within the question's tolerance
+const NumericQuestion = ({ question, answer, onChange, result, disabled }) => (
+  <div className="space-y-2">
+    <div className="flex items-center space-x-3">
+      <input
+        type="text"
+        inputMode="decimal"
+        value={answer?.value || ''}
+        onChange={(e) => onChange({ value: e.target.value })}
+        disabled={disabled}
+        placeholder="Enter a number"
+        className={`w-48 p-3 border-2 rounded-lg ${
+          result
+            ? result.isCorrect ? 'border-green-500 bg-green-50' : 'border-red-500 bg-red-50'
+            : 'border-gray-300 focus:border-blue-500 bg-white'
+        }`}
+      />
+      {question.unit && <span className="text-gray-700">{question.unit}</span>}
+    </div>
+    {question.tolerance > 0 && !result && (
+      <p className="text-xs text-gray-500">Answers within ±{question.tolerance} are accepted.</p>
+    )}
+  </div>
+)
+
+NumericQuestion.propTypes = {
+  question: PropTypes.shape({
+    unit: PropTypes.string,
+    tolerance: PropTypes.number
+  }).isRequired,
+  answer: PropTypes.shape({ value: PropTypes.string }),
+  onChange: PropTypes.func.isRequired,
+  result: PropTypes.shape({ isCorrect: PropTypes.bool }),
+  disabled: PropTypes.bool
+}
+
+export default NumericQuestion
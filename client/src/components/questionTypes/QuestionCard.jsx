@@ -0,0 +1,247 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+// "p. 4", "pp. 12–14" or "pp. 3, 7–8" for the pages a question was drawn from
+export const formatPages = (pages) => {
+  const ranges = []
+  pages.forEach(page => {
+    const last = ranges[ranges.length - 1]
+    if (last && page === last[1] + 1) {
+      last[1] = page
+    } else {
+      ranges.push([page, page])
+    }
+  })
+  const label = ranges.map(([start, end]) => start === end ? `${start}` : `${start}–${end}`).join(', ')
+  return pages.length === 1 ? `p. ${label}` : `pp. ${label}`
+}
+
+const DIFFICULTY_STYLES = {
+  easy: 'bg-green-100 text-green-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  hard: 'bg-red-100 text-red-800'
+}
+
+export const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1)
+
+// Difficulty, Bloom level and source page of a question
+const QuestionTags = ({ question }) => {
+  const pages = question.pages || []
+  if (!question.difficulty && !question.bloomLevel && pages.length === 0) return null
+
+  return (
+    <span className="flex flex-wrap gap-2 ml-11 mt-2 text-xs font-normal">
+      {question.difficulty && (
+        <span className={`px-2 py-0.5 rounded ${DIFFICULTY_STYLES[question.difficulty] || 'bg-gray-100 text-gray-700'}`}>
+          {capitalize(question.difficulty)}
+        </span>
+      )}
+      {question.bloomLevel && (
+        <span className="px-2 py-0.5 rounded bg-purple-100 text-purple-800">
+          {capitalize(question.bloomLevel)}
+        </span>
+      )}
+      {(question.sourcePage || pages.length > 0) && (
+        <span
+          className="px-2 py-0.5 rounded bg-gray-100 text-gray-600"
+          title={pages.length > 0 ? `Drawn from ${formatPages(pages)}` : undefined}
+        >
+          {question.sourcePage ? `p. ${question.sourcePage}` : formatPages(pages)}
+        </span>
+      )}
+    </span>
+  )
+}
+
+QuestionTags.propTypes = {
+  question: PropTypes.shape({
+    difficulty: PropTypes.string,
+    bloomLevel: PropTypes.string,
+    sourcePage: PropTypes.number,
+    pages: PropTypes.arrayOf(PropTypes.number)
+  }).isRequired
+}
+
+export const CorrectIcon = ({ className = 'w-6 h-6' }) => (
+  <svg className={className} fill="currentColor" viewBox="0 0 20 20">
+    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+  </svg>
+)
+
+CorrectIcon.propTypes = {
+  className: PropTypes.string
+}
+
+const IncorrectIcon = () => (
+  <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
+    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+  </svg>
+)
+
+// Points earned per rubric criterion for a graded written answer
+const RubricCriteria = ({ criteria }) => (
+  <ul className="mt-2 space-y-1">
+    {criteria.map((item, index) => (
+      <li key={index} className="text-sm text-blue-800">
+        <div className="flex justify-between">
+          <span>{item.criterion}</span>
+          <span className="font-medium ml-4 whitespace-nowrap">{item.awarded}/{item.points}</span>
+        </div>
+        {item.comment && <p className="text-xs text-blue-700">{item.comment}</p>}
+      </li>
+    ))}
+  </ul>
+)
+
+RubricCriteria.propTypes = {
+  criteria: PropTypes.arrayOf(PropTypes.shape({
+    criterion: PropTypes.string,
+    points: PropTypes.number,
+    awarded: PropTypes.number,
+    comment: PropTypes.string
+  })).isRequired
+}
+
+// Explanation from the PDF and the pages it comes from; a page opens the PDF there
+const SourceNotes = ({ explanation, citations, onCitationClick }) => (
+  <div className="mt-4 p-4 bg-white border border-gray-200 rounded-lg">
+    <h5 className="font-medium text-gray-900 mb-2">From the material:</h5>
+    {explanation && <p className="text-gray-700 text-sm">{explanation}</p>}
+    {citations.length > 0 && (
+      <div className="flex flex-wrap gap-2 mt-2">
+        {citations.map((citation, index) => (
+          <button
+            key={`${citation.page}-${index}`}
+            type="button"
+            onClick={() => onCitationClick?.(citation)}
+            disabled={!onCitationClick}
+            title={citation.snippet}
+            className="px-2 py-0.5 rounded bg-gray-100 text-gray-700 text-xs hover:bg-blue-100 hover:text-blue-800 disabled:hover:bg-gray-100 disabled:hover:text-gray-700 disabled:cursor-default transition-colors"
+          >
+            {citation.pages && citation.pages.end !== citation.pages.start
+              ? `pp. ${citation.pages.start}–${citation.pages.end}`
+              : `p. ${citation.page}`}
+          </button>
+        ))}
+      </div>
+    )}
+  </div>
+)
+
+SourceNotes.propTypes = {
+  explanation: PropTypes.string,
+  citations: PropTypes.arrayOf(PropTypes.shape({
+    pdfId: PropTypes.string,
+    page: PropTypes.number,
+    pages: PropTypes.shape({ start: PropTypes.number, end: PropTypes.number }),
+    snippet: PropTypes.string
+  })).isRequired,
+  onCitationClick: PropTypes.func
+}
+
+/**
+ * Frame shared by every question type: number, text, tags, result mark and
+ * the explanation (objective types) or rubric feedback and score (written answers)
+ */
+const QuestionCard = ({ number, question, title, answered, result, onCitationClick, children }) => {
+  // Written answers have a score out of 10 instead of right/wrong
+  const isGradedObjective = result && typeof result.isCorrect === 'boolean'
+  const isUngraded = result?.status === 'ungraded'
+
+  return (
+    <div
+      className={`bg-white rounded-lg border-2 p-6 transition-all ${
+        result
+          ? isGradedObjective
+            ? result.isCorrect
+              ? 'border-green-200 bg-green-50'
+              : 'border-red-200 bg-red-50'
+            : isUngraded
+              ? 'border-amber-200 bg-amber-50'
+              : 'border-blue-200 bg-blue-50'
+          : answered
+            ? 'border-blue-200 bg-blue-50'
+            : 'border-gray-200'
+      }`}
+    >
+      {/* Question Header */}
+      <div className="flex items-start justify-between mb-4">
+        <h5 className="text-lg font-medium text-gray-900 flex-1">
+          <span className="inline-block w-8 h-8 bg-gray-100 text-gray-600 rounded-full text-sm font-bold flex items-center justify-center mr-3">
+            {number}
+          </span>
+          {title ?? question.question}
+          <QuestionTags question={question} />
+        </h5>
+
+        {isGradedObjective && (
+          <div className={`flex items-center space-x-2 ${result.isCorrect ? 'text-green-600' : 'text-red-600'}`}>
+            {result.isCorrect ? <CorrectIcon /> : <IncorrectIcon />}
+          </div>
+        )}
+      </div>
+
+      {children}
+
+      {/* Explanation */}
+      {result && !result.feedback && result.explanation && (
+        <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+          <h5 className="font-medium text-blue-900 mb-2">Explanation:</h5>
+          <p className="text-blue-800 text-sm">{result.explanation}</p>
+        </div>
+      )}
+
+      {/* Written answer the grader could not score */}
+      {isUngraded && (
+        <div className="mt-4 p-4 bg-amber-50 border border-amber-200 rounded-lg">
+          <h5 className="font-medium text-amber-900 mb-1">Ungraded</h5>
+          <p className="text-amber-800 text-sm">{result.feedback}</p>
+        </div>
+      )}
+
+      {/* Feedback on written answers */}
+      {result && !isUngraded && result.feedback && (
+        <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+          <h5 className="font-medium text-blue-900 mb-2">Feedback:</h5>
+          <p className="text-blue-800 text-sm">{result.feedback}</p>
+          {result.criteria?.length > 0 && <RubricCriteria criteria={result.criteria} />}
+          {result.referenceAnswer && (
+            <div className="mt-2 pt-2 border-t border-blue-100">
+              <p className="text-sm text-blue-900 font-medium">Reference answer:</p>
+              <p className="text-sm text-blue-800">{result.referenceAnswer}</p>
+            </div>
+          )}
+          <div className="mt-2 pt-2 border-t border-blue-100">
+            <p className="text-sm text-blue-900">
+              <span className="font-medium">Score:</span> {result.score}/10
+              {result.maxPoints ? ` (${result.points}/${result.maxPoints} points)` : ''}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Grounded explanation with page citations */}
+      {result && (result.groundedExplanation || result.citations?.length > 0) && (
+        <SourceNotes
+          explanation={result.groundedExplanation}
+          citations={result.citations || []}
+          onCitationClick={onCitationClick}
+        />
+      )}
+    </div>
+  )
+}
+
+QuestionCard.propTypes = {
+  number: PropTypes.number.isRequired,
+  question: PropTypes.shape({
+    question: PropTypes.string.isRequired
+  }).isRequired,
+  title: PropTypes.node,
+  answered: PropTypes.bool,
+  result: PropTypes.object,
+  onCitationClick: PropTypes.func,
+  children: PropTypes.node
+}
+
+export default QuestionCard
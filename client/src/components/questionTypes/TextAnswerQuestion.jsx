@@ -0,0 +1,23 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+// Written answer graded by the model; answer: { answer: text }
+const TextAnswerQuestion = ({ answer, onChange, disabled, rows = 3 }) => (
+  <textarea
+    value={answer?.answer || ''}
+    onChange={(e) => onChange({ answer: e.target.value })}
+    disabled={disabled}
+    placeholder="Type your answer here..."
+    className={`w-full p-4 border rounded-lg ${disabled ? 'bg-gray-50' : 'bg-white'}`}
+    rows={rows}
+  />
+)
+
+TextAnswerQuestion.propTypes = {
+  answer: PropTypes.shape({ answer: PropTypes.string }),
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  rows: PropTypes.number
+}
+
+export default TextAnswerQuestion
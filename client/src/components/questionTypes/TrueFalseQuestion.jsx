@@ -0,0 +1,29 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import ChoiceOption from './ChoiceOption'
+
+// answer: { selectedAnswer: true | false }
+const TrueFalseQuestion = ({ answer, onChange, result, disabled }) => (
+  <div className="grid grid-cols-2 gap-3">
+    {[true, false].map(value => (
+      <ChoiceOption
+        key={String(value)}
+        label={value ? 'True' : 'False'}
+        isSelected={answer?.selectedAnswer === value}
+        isCorrect={result?.correctAnswer === value}
+        showResult={Boolean(result)}
+        disabled={disabled}
+        onSelect={() => onChange({ selectedAnswer: value })}
+      />
+    ))}
+  </div>
+)
+
+TrueFalseQuestion.propTypes = {
+  answer: PropTypes.shape({ selectedAnswer: PropTypes.bool }),
+  onChange: PropTypes.func.isRequired,
+  result: PropTypes.shape({ correctAnswer: PropTypes.bool }),
+  disabled: PropTypes.bool
+}
+
+export default TrueFalseQuestion
@@ -0,0 +1,81 @@
+// Question types a quiz can contain, in display order. Each section of a quiz is keyed by its type;
+// the renderer gets { question, answer, onChange, result, disabled } and reports answers in the
+// shape the server grades (see server/services/questionTypes.js).
+import MultipleChoiceQuestion from './MultipleChoiceQuestion'
+import TrueFalseQuestion from './TrueFalseQuestion'
+import MultiSelectQuestion from './MultiSelectQuestion'
+import ClozeQuestion from './ClozeQuestion'
+import MatchingQuestion from './MatchingQuestion'
+import NumericQuestion from './NumericQuestion'
+import TextAnswerQuestion from './TextAnswerQuestion'
+
+const hasText = (value) => typeof value === 'string' && value.trim() !== ''
+
+export const QUESTION_TYPES = {
+  mcq: {
+    title: 'Multiple Choice Questions',
+    label: 'Multiple choice',
+    component: MultipleChoiceQuestion,
+    isAnswered: (answer) => Number.isInteger(answer?.selectedAnswer)
+  },
+  trueFalse: {
+    title: 'True or False',
+    label: 'True / false',
+    component: TrueFalseQuestion,
+    isAnswered: (answer) => typeof answer?.selectedAnswer === 'boolean'
+  },
+  multiSelect: {
+    title: 'Select All That Apply',
+    label: 'Multi-select',
+    component: MultiSelectQuestion,
+    isAnswered: (answer) => (answer?.selectedAnswers?.length || 0) > 0
+  },
+  cloze: {
+    title: 'Fill in the Blanks',
+    label: 'Fill in the blank',
+    component: ClozeQuestion,
+    // The sentence itself holds the inputs, so the card shows a generic title
+    cardTitle: 'Complete the sentence:',
+    isAnswered: (answer, question) => Array.from({ length: question.blankCount || 1 })
+      .every((_, index) => hasText(answer?.answers?.[index]))
+  },
+  matching: {
+    title: 'Matching',
+    label: 'Matching',
+    component: MatchingQuestion,
+    isAnswered: (answer, question) => question.left.every((_, index) => Number.isInteger(answer?.matches?.[index]))
+  },
+  numeric: {
+    title: 'Numeric Answers',
+    label: 'Numeric',
+    component: NumericQuestion,
+    isAnswered: (answer) => hasText(answer?.value)
+  },
+  shortAnswer: {
+    title: 'Short Answer Questions',
+    label: 'Short answer',
+    component: TextAnswerQuestion,
+    props: { rows: 3 },
+    isAnswered: (answer) => hasText(answer?.answer)
+  },
+  longAnswer: {
+    title: 'Long Answer Question',
+    label: 'Long answer',
+    component: TextAnswerQuestion,
+    props: { rows: 6 },
+    isAnswered: (answer) => hasText(answer?.answer)
+  }
+}
+
+export const QUESTION_TYPE_ORDER = Object.keys(QUESTION_TYPES)
+
+/**
+ * Only the question-type sections of a quiz or its results, in display order
+ */
+export const pickQuestionSections = (source) => Object.fromEntries(
+  QUESTION_TYPE_ORDER
+    .filter(type => Array.isArray(source?.[type]))
+    .map(type => [type, source[type]])
+)
+
+export default QUESTION_TYPES
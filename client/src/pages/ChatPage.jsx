@@ -5,6 +5,7 @@ import PDFViewer from '../components/PDFViewer'
 import SourceSelector from '../components/SourceSelector'
 import { useAuth } from '../context/AuthContext'
 import { generateSecureUUID } from '../utils/uuid'
+import { pickQuestionSections } from '../components/questionTypes'
 
 // Chat storage utility functions
 const STORAGE_KEY = 'beyondchats_data'
@@ -408,53 +409,13 @@ function ChatPage() {
     }
 
     try {
-      // Calculate totals from the quiz results structure FIRST
-      const totalMcq = results.mcq ? results.mcq.length : 0
-      const totalShortAnswer = results.shortAnswer ? results.shortAnswer.length : 0
-      const totalLongAnswer = results.longAnswer ? results.longAnswer.length : 0
-      const totalQuestions = totalMcq + totalShortAnswer + totalLongAnswer
-      
-      // Calculate correct answers
-      const correctMcq = results.mcq ? results.mcq.filter(q => q.isCorrect).length : 0
-      const correctAnswers = correctMcq // For now, only count MCQ as definitive correct/incorrect
-      
-      console.log('Quiz results structure:', {
-        topic: results.topic,
-        questions: results.questions,
-        selectedAnswers: results.selectedAnswers,
-        score: results.score,
-        total: results.total,
-        correct: results.correct,
-        timeSpent: results.timeSpent,
-        feedback: results.feedback,
-        overallScore: results.overallScore,
-        totalQuestions: totalQuestions,
-        allKeys: Object.keys(results)
-      })
-      
-      console.log('Sending attempt data:', {
-        topic: results.topic || 'Generated Quiz',
-        score: (results.overallScore || 0) / 100,
-        total_questions: totalQuestions,
-        overallScore: results.overallScore
-      })
-      
-      // Prepare quiz attempt data with correct field mapping
+      // Questions, score and feedback are taken from the stored quiz on the server
       const attemptData = {
         user_id: user.id,
-        pdf_id: selectedPDF?.id || null,
+        quiz_id: results.quizId,
         topic: results.topic || 'Generated Quiz',
-        questions: JSON.stringify(results), // Store the full quiz results
-        answers: JSON.stringify({
-          mcq: results.mcq || [],
-          shortAnswer: results.shortAnswer || [],
-          longAnswer: results.longAnswer || []
-        }),
-        score: (results.overallScore || 0) / 100, // Convert percentage to 0-1 decimal for server
-        total_questions: totalQuestions || 1, // Use total_questions as expected by server
-        correct_answers: correctAnswers || 0,
-        time_taken: results.timeSpent || 0,
-        feedback: results.feedback || null
+        answers: pickQuestionSections(results),
+        time_taken: results.timeSpent || 0
       }
 
       console.log('Full attempt data being sent:', attemptData)
@@ -485,7 +446,7 @@ function ChatPage() {
               id: data.attempt.id,
               date: new Date().toISOString(),
               score: results.overallScore || 0,
-              totalQuestions: totalQuestions,
+              totalQuestions: data.attempt.total,
               topic: results.topic || 'Generated Quiz',
               timeSpent: results.timeSpent || 0
             }]
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts'
 import { useAuth } from '../context/AuthContext'
+import { getApiUrl, API_ENDPOINTS } from '../utils/api'
 
 function DashboardPage() {
   const { user, session } = useAuth()
@@ -14,6 +15,25 @@ function DashboardPage() {
     recentAttempts: [],
     chartData: []
   })
+  // Per-topic mastery from graded quiz questions
+  const [mastery, setMastery] = useState({ weakTopics: [], strongTopics: [] })
+
+  const fetchMastery = async () => {
+    try {
+      const response = await fetch(getApiUrl(API_ENDPOINTS.MASTERY), {
+        headers: {
+          'Authorization': `Bearer ${session?.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setMastery({ weakTopics: data.weakTopics || [], strongTopics: data.strongTopics || [] })
+      }
+    } catch (err) {
+      console.error('Error fetching topic mastery:', err)
+    }
+  }
 
   // Fetch dashboard data
   const fetchDashboardData = async (isRefresh = false) => {
@@ -26,6 +46,7 @@ function DashboardPage() {
         setLoading(true)
       }
       setError(null)
+      fetchMastery()
 
       const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5000'}/api/attempts?userId=${user.id}`, {
         method: 'GET',
@@ -329,6 +350,25 @@ function DashboardPage() {
           </div>
         )}
 
+        {/* Strengths and weaknesses by topic mastery */}
+        {(mastery.strongTopics.length > 0 || mastery.weakTopics.length > 0) && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+            <TopicMasteryList
+              title="Strengths"
+              topics={mastery.strongTopics}
+              barClassName="bg-green-500"
+              emptyText="Keep practising — topics you master will show up here."
+            />
+            <TopicMasteryList
+              title="Needs work"
+              topics={mastery.weakTopics}
+              barClassName="bg-red-500"
+              emptyText="No weak topics right now."
+              footer="Use “Practice my weak areas” when generating a quiz to target these."
+            />
+          </div>
+        )}
+
         {/* Recent Quiz Attempts Table */}
         <div className="bg-white shadow rounded-lg mb-8">
           <div className="px-4 py-5 sm:p-6">
@@ -438,4 +478,30 @@ function DashboardPage() {
   )
 }
 
+function TopicMasteryList({ title, topics, barClassName, emptyText, footer = null }) {
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">{title}</h3>
+      {topics.length > 0 ? (
+        <div className="space-y-3">
+          {topics.map(({ pdfId, topic, mastery, questions }) => (
+            <div key={`${pdfId}-${topic}`} className="text-sm">
+              <div className="flex justify-between text-gray-700">
+                <span className="capitalize">{topic}</span>
+                <span>{mastery}% · {questions} question{questions === 1 ? '' : 's'}</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2 mt-1">
+                <div className={`h-2 rounded-full ${barClassName}`} style={{ width: `${mastery}%` }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">{emptyText}</p>
+      )}
+      {footer && topics.length > 0 && <p className="mt-4 text-xs text-gray-500">{footer}</p>}
+    </div>
+  )
+}
+
 export default DashboardPage
\ No newline at end of file
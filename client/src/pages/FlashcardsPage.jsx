@@ -0,0 +1,392 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import { getApiUrl, getApiUrlWithParams, API_ENDPOINTS } from '../utils/api'
+import LaTeXRenderer from '../components/LaTeXRenderer'
+
+const GRADE_BUTTONS = [
+  { grade: 'again', label: 'Again', className: 'bg-red-600 hover:bg-red-700' },
+  { grade: 'hard', label: 'Hard', className: 'bg-amber-500 hover:bg-amber-600' },
+  { grade: 'good', label: 'Good', className: 'bg-green-600 hover:bg-green-700' },
+  { grade: 'easy', label: 'Easy', className: 'bg-blue-600 hover:bg-blue-700' }
+]
+
+// The server generates up to 30 cards per request
+const MAX_GENERATE_COUNT = 30
+
+function FlashcardsPage() {
+  const { user, session } = useAuth()
+  const [decks, setDecks] = useState([])
+  const [pdfs, setPdfs] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Review session: the cards left, and whether the current one is turned over
+  const [reviewDeck, setReviewDeck] = useState(undefined)
+  const [queue, setQueue] = useState([])
+  const [showAnswer, setShowAnswer] = useState(false)
+  const [reviewed, setReviewed] = useState(0)
+
+  // Generate form
+  const [generatePdfId, setGeneratePdfId] = useState('')
+  const [generateCount, setGenerateCount] = useState(10)
+  const [generateTopic, setGenerateTopic] = useState('')
+  const [generatePages, setGeneratePages] = useState('')
+  const [isGenerating, setIsGenerating] = useState(false)
+  const [generateMessage, setGenerateMessage] = useState(null)
+
+  const authHeaders = useMemo(() => ({
+    'Authorization': `Bearer ${session?.access_token}`,
+    'Content-Type': 'application/json'
+  }), [session?.access_token])
+
+  const loadStats = useCallback(async () => {
+    if (!user?.id || !session?.access_token) return
+
+    try {
+      setError(null)
+      const [statsResponse, pdfsResponse] = await Promise.all([
+        fetch(getApiUrl(API_ENDPOINTS.FLASHCARDS_STATS), { headers: authHeaders }),
+        fetch(`${getApiUrl(API_ENDPOINTS.PDFS)}?userId=${user.id}`, { headers: authHeaders })
+      ])
+
+      if (!statsResponse.ok) {
+        throw new Error('Failed to load flashcards')
+      }
+
+      const stats = await statsResponse.json()
+      setDecks(stats.decks || [])
+
+      if (pdfsResponse.ok) {
+        const data = await pdfsResponse.json()
+        const files = (data.pdfs || []).map(pdf => ({ id: pdf.id, name: pdf.original_name || pdf.file_name }))
+        setPdfs(files)
+        setGeneratePdfId(prev => prev || files[0]?.id || '')
+      }
+    } catch (err) {
+      console.error('Error loading flashcards:', err)
+      setError('Failed to load flashcards. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }, [user?.id, session?.access_token, authHeaders])
+
+  useEffect(() => {
+    loadStats()
+  }, [loadStats])
+
+  const startReview = async (pdfId = null) => {
+    try {
+      setError(null)
+      const query = pdfId ? `?pdfId=${encodeURIComponent(pdfId)}` : ''
+      const response = await fetch(`${getApiUrl(API_ENDPOINTS.FLASHCARDS_DUE)}${query}`, { headers: authHeaders })
+      if (!response.ok) {
+        throw new Error('Failed to load due cards')
+      }
+
+      const data = await response.json()
+      setReviewDeck(pdfId)
+      setQueue(data.cards || [])
+      setShowAnswer(false)
+      setReviewed(0)
+    } catch (err) {
+      console.error('Error starting review:', err)
+      setError(err.message)
+    }
+  }
+
+  const endReview = () => {
+    setReviewDeck(undefined)
+    setQueue([])
+    loadStats()
+  }
+
+  const gradeCard = async (grade) => {
+    const [card, ...rest] = queue
+
+    try {
+      const response = await fetch(getApiUrlWithParams(API_ENDPOINTS.FLASHCARD_REVIEW, { id: card.id }), {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({ grade })
+      })
+      if (!response.ok) {
+        throw new Error('Failed to record review')
+      }
+
+      // Lapsed cards come back at the end of this session
+      setQueue(grade === 'again' ? [...rest, card] : rest)
+      setShowAnswer(false)
+      setReviewed(prev => prev + 1)
+    } catch (err) {
+      console.error('Error grading card:', err)
+      setError(err.message)
+    }
+  }
+
+  const deleteCard = async (card) => {
+    try {
+      const response = await fetch(getApiUrlWithParams(API_ENDPOINTS.FLASHCARD, { id: card.id }), {
+        method: 'DELETE',
+        headers: authHeaders
+      })
+      if (!response.ok) {
+        throw new Error('Failed to delete flashcard')
+      }
+
+      setQueue(prev => prev.filter(item => item.id !== card.id))
+      setShowAnswer(false)
+    } catch (err) {
+      console.error('Error deleting card:', err)
+      setError(err.message)
+    }
+  }
+
+  const generateCards = async (event) => {
+    event.preventDefault()
+    if (!generatePdfId) return
+
+    setIsGenerating(true)
+    setGenerateMessage(null)
+    try {
+      const response = await fetch(getApiUrl(API_ENDPOINTS.FLASHCARDS_GENERATE), {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({
+          pdfId: generatePdfId,
+          count: generateCount,
+          ...(generateTopic.trim() && { topic: generateTopic.trim() }),
+          ...(generatePages.trim() && { pageRange: generatePages.trim() })
+        })
+      })
+
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to generate flashcards')
+      }
+
+      setGenerateMessage({ type: 'success', text: `Added ${data.cards.length} cards to the deck.` })
+      loadStats()
+    } catch (err) {
+      console.error('Error generating flashcards:', err)
+      setGenerateMessage({ type: 'error', text: err.message })
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ml-3 text-gray-600">Loading flashcards...</span>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const currentCard = queue[0]
+  const totalDue = decks.reduce((sum, deck) => sum + deck.due, 0)
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 overflow-y-auto">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8 flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Flashcards</h1>
+            <p className="mt-2 text-gray-600">Review cards from your PDFs when they are due</p>
+          </div>
+          {reviewDeck === undefined && totalDue > 0 && (
+            <button
+              onClick={() => startReview()}
+              className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+            >
+              Review all ({totalDue} due)
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-6 rounded-md bg-red-50 p-4">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {reviewDeck !== undefined ? (
+          <div className="bg-white shadow rounded-lg p-6">
+            <div className="flex items-center justify-between mb-4 text-sm text-gray-500">
+              <span>{reviewed} reviewed · {queue.length} left</span>
+              <button onClick={endReview} className="text-blue-600 hover:text-blue-800 font-medium">
+                End review
+              </button>
+            </div>
+
+            {currentCard ? (
+              <>
+                <div className="min-h-[8rem] text-lg text-gray-900">
+                  <LaTeXRenderer content={currentCard.front} />
+                </div>
+
+                {showAnswer ? (
+                  <>
+                    <div className="mt-4 pt-4 border-t border-gray-200 text-gray-800">
+                      <LaTeXRenderer content={currentCard.back} />
+                    </div>
+
+                    <div className="mt-4 flex items-center justify-between text-sm">
+                      {currentCard.pdf_id && currentCard.source_page ? (
+                        <Link
+                          to={`/chat?pdf=${encodeURIComponent(currentCard.pdf_id)}&page=${currentCard.source_page}`}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          Open source (p. {currentCard.source_page})
+                        </Link>
+                      ) : <span />}
+                      <button onClick={() => deleteCard(currentCard)} className="text-gray-400 hover:text-red-600">
+                        Delete card
+                      </button>
+                    </div>
+
+                    <div className="mt-6 grid grid-cols-2 sm:grid-cols-4 gap-3">
+                      {GRADE_BUTTONS.map(({ grade, label, className }) => (
+                        <button
+                          key={grade}
+                          onClick={() => gradeCard(grade)}
+                          className={`px-4 py-2 rounded-md text-white text-sm font-medium ${className}`}
+                        >
+                          {label}
+                          {currentCard.nextIntervals?.[grade] && (
+                            <span className="block text-xs opacity-80">{currentCard.nextIntervals[grade]}</span>
+                          )}
+                        </button>
+                      ))}
+                    </div>
+                  </>
+                ) : (
+                  <button
+                    onClick={() => setShowAnswer(true)}
+                    className="mt-6 w-full px-4 py-2 rounded-md text-white bg-blue-600 hover:bg-blue-700 font-medium"
+                  >
+                    Show answer
+                  </button>
+                )}
+              </>
+            ) : (
+              <div className="text-center py-8">
+                <p className="text-gray-900 font-medium">No more cards due</p>
+                <p className="text-sm text-gray-500 mt-1">Come back later for the next reviews.</p>
+              </div>
+            )}
+          </div>
+        ) : (
+          <>
+            <div className="bg-white shadow rounded-lg mb-8">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-900">Decks</h2>
+              </div>
+              {decks.length === 0 ? (
+                <p className="px-6 py-8 text-center text-gray-500">
+                  No flashcards yet. Generate some from a PDF below, or save a chat answer as a flashcard.
+                </p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {decks.map(deck => (
+                    <li key={deck.pdfId || 'none'} className="px-6 py-4 flex items-center justify-between">
+                      <div>
+                        <p className="font-medium text-gray-900">{deck.name || (deck.pdfId ? 'Untitled PDF' : 'Other cards')}</p>
+                        <p className="text-sm text-gray-500">
+                          {deck.total} cards · {deck.new} new · {deck.learning} learning · {deck.mature} mature
+                          {deck.retention !== null && ` · ${deck.retention}% retention`}
+                          {deck.reviewsLast7Days > 0 && ` · ${deck.reviewsLast7Days} reviews this week`}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => startReview(deck.pdfId)}
+                        disabled={deck.due === 0}
+                        className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {deck.due > 0 ? `Review ${deck.due}` : 'Nothing due'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <form onSubmit={generateCards} className="bg-white shadow rounded-lg p-6">
+              <h2 className="text-lg font-medium text-gray-900 mb-4">Generate from a PDF</h2>
+              {pdfs.length === 0 ? (
+                <p className="text-sm text-gray-500">Upload a PDF in the chat to generate flashcards from it.</p>
+              ) : (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <label className="block text-sm text-gray-700">
+                    PDF
+                    <select
+                      value={generatePdfId}
+                      onChange={(e) => setGeneratePdfId(e.target.value)}
+                      className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2"
+                    >
+                      {pdfs.map(pdf => (
+                        <option key={pdf.id} value={pdf.id}>{pdf.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="block text-sm text-gray-700">
+                    Cards
+                    <input
+                      type="number"
+                      min={1}
+                      max={MAX_GENERATE_COUNT}
+                      value={generateCount}
+                      onChange={(e) => setGenerateCount(Math.min(MAX_GENERATE_COUNT, Math.max(1, parseInt(e.target.value) || 1)))}
+                      className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2"
+                    />
+                  </label>
+                  <label className="block text-sm text-gray-700">
+                    Topic (optional)
+                    <input
+                      type="text"
+                      value={generateTopic}
+                      onChange={(e) => setGenerateTopic(e.target.value)}
+                      placeholder="e.g. thermodynamics"
+                      className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2"
+                    />
+                  </label>
+                  <label className="block text-sm text-gray-700">
+                    Pages (optional)
+                    <input
+                      type="text"
+                      value={generatePages}
+                      onChange={(e) => setGeneratePages(e.target.value)}
+                      placeholder="e.g. 12-40"
+                      className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2"
+                    />
+                  </label>
+                  <div className="sm:col-span-2 flex items-center justify-between">
+                    {generateMessage ? (
+                      <p className={`text-sm ${generateMessage.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>
+                        {generateMessage.text}
+                      </p>
+                    ) : <span />}
+                    <button
+                      type="submit"
+                      disabled={isGenerating || !generatePdfId}
+                      className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isGenerating ? 'Generating...' : 'Generate flashcards'}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default FlashcardsPage
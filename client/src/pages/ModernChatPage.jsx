@@ -1,10 +1,14 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import ModernSidebar from '../components/ModernSidebar'
 import ModernChatWindow from '../components/ModernChatWindow'
 import ModernPDFViewer from '../components/ModernPDFViewer'
 import SourceSelector from '../components/SourceSelector'
 import { useAuth } from '../context/AuthContext'
 import { generateSecureUUID } from '../utils/uuid'
+import { getApiUrl, API_ENDPOINTS } from '../utils/api'
+import { streamChatResponse } from '../utils/chatStream'
+import { pickQuestionSections } from '../components/questionTypes'
 
 // Chat storage utility functions
 const STORAGE_KEY = 'beyondchats_data'
@@ -36,9 +40,13 @@ const generateChatTitle = (firstMessage) => {
 function ModernChatPage() {
   // State management
   const { user, session } = useAuth()
+  // ?pdf=<id>&page=<n> opens a PDF at a page, e.g. a flashcard's source
+  const [searchParams, setSearchParams] = useSearchParams()
   const [storedData, setStoredData] = useState(getStoredData())
   const [currentChatId, setCurrentChatId] = useState(null)
   const [selectedPDF, setSelectedPDF] = useState(null)
+  // PDFs the current chat answers from; empty means "the selected PDF"
+  const [documentScope, setDocumentScope] = useState({ pdfIds: [], library: false })
   const [activeTab, setActiveTab] = useState('chats')
   const [isTyping, setIsTyping] = useState(false)
   const [showUploadModal, setShowUploadModal] = useState(false)
@@ -52,6 +60,7 @@ function ModernChatPage() {
   const [isSidebarOpen, setIsSidebarOpen] = useState(false)
   const [isPDFViewerOpen, setIsPDFViewerOpen] = useState(false)
   const [viewMode, setViewMode] = useState('chat') // 'chat', 'pdf', 'both'
+  const [pdfFocus, setPdfFocus] = useState(null) // cited page + snippet to show in the viewer
   
   // Desktop sidebar toggle state - hidden by default
   const [isDesktopSidebarOpen, setIsDesktopSidebarOpen] = useState(() => {
@@ -71,6 +80,13 @@ function ModernChatPage() {
   
   // Ref to access current storedData without triggering dependency loops
   const storedDataRef = useRef(storedData)
+
+  // In-flight chat stream, aborted on unmount so the server stops generating
+  const streamAbortRef = useRef(null)
+
+  useEffect(() => {
+    return () => streamAbortRef.current?.abort()
+  }, [])
   
   // Update ref when storedData changes
   useEffect(() => {
@@ -108,6 +124,8 @@ function ModernChatPage() {
             title: chat.title || 'New Chat',
             messages: [], // Messages will be loaded separately when chat is selected
             pdfId: chat.pdf_id,
+            pdfIds: chat.pdf_ids || [],
+            library: !!chat.use_library,
             createdAt: chat.created_at,
             lastUpdated: chat.updated_at
           }))
@@ -214,6 +232,8 @@ function ModernChatPage() {
       title: 'New Chat',
       messages: [],
       pdfId: selectedPDF?.id || null,
+      pdfIds: [],
+      library: false,
       createdAt: new Date().toISOString(),
       lastUpdated: new Date().toISOString()
     }
@@ -224,12 +244,18 @@ function ModernChatPage() {
     }))
 
     setCurrentChatId(newChatId)
+    setDocumentScope({ pdfIds: [], library: false })
     setActiveTab('chats')
     setIsSidebarOpen(false) // Close sidebar on mobile after creating chat
   }, [selectedPDF])
 
   const selectChat = useCallback(async (chatId) => {
     setCurrentChatId(chatId)
+    const chatToSelect = storedDataRef.current.chats.find(c => c.id === chatId)
+    setDocumentScope({
+      pdfIds: chatToSelect?.pdfIds || [],
+      library: !!chatToSelect?.library
+    })
     setActiveTab('chats')
     setIsSidebarOpen(false) // Close sidebar on mobile after selecting chat
     
@@ -291,6 +317,40 @@ function ModernChatPage() {
     setViewMode('chat')
   }, [])
 
+  // Documents the current chat answers from
+  const changeDocumentScope = useCallback((scope) => {
+    setDocumentScope(scope)
+
+    if (currentChatId) {
+      setStoredData(prev => ({
+        ...prev,
+        chats: prev.chats.map(chat => chat.id === currentChatId
+          ? { ...chat, pdfIds: scope.pdfIds, library: scope.library }
+          : chat)
+      }))
+    }
+  }, [currentChatId])
+
+  // Open the PDF a citation points to at the cited page, highlighting the snippet
+  const openCitation = useCallback((citation) => {
+    const pdf = storedDataRef.current.pdfs.find(p => p.id === citation.pdfId) || (!citation.pdfId ? selectedPDF : null)
+    if (!pdf) return
+
+    setSelectedPDF(pdf)
+    setPdfFocus({ page: citation.page, snippet: citation.snippet })
+    setIsPDFViewerOpen(true)
+    setViewMode(window.innerWidth < 1024 ? 'pdf' : 'both')
+  }, [selectedPDF])
+
+  // Open the linked PDF page once the user's PDFs have loaded
+  useEffect(() => {
+    const pdfId = searchParams.get('pdf')
+    if (!pdfId || !storedData.pdfs.some(pdf => pdf.id === pdfId)) return
+
+    openCitation({ pdfId, page: parseInt(searchParams.get('page')) || 1 })
+    setSearchParams({}, { replace: true })
+  }, [searchParams, storedData.pdfs, openCitation, setSearchParams])
+
   const deletePDF = useCallback(async (pdfId) => {
     try {
       // Delete from database first
@@ -351,7 +411,9 @@ function ModernChatPage() {
         messages: [],
         createdAt: new Date().toISOString(),
         lastUpdated: new Date().toISOString(),
-        pdfId: selectedPDF?.id || null
+        pdfId: selectedPDF?.id || null,
+        pdfIds: documentScope.pdfIds,
+        library: documentScope.library
       }
 
       setStoredData(prev => ({
@@ -424,43 +486,67 @@ function ModernChatPage() {
     setIsTyping(true)
 
     try {
+      // An explicit document set (or the whole library) overrides the selected PDF
+      const documentFields = documentScope.library
+        ? { library: true }
+        : documentScope.pdfIds.length > 0
+          ? { pdfIds: documentScope.pdfIds }
+          : {}
+
       console.log('Sending message to chat API:', {
         chatId: chatId,
         message: message,
         pdfId: selectedPDF?.id || null,
+        ...documentFields,
         userId: user?.id
       })
 
-      // Call backend API
-      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5000'}/api/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${session?.access_token}`
-        },
-        body: JSON.stringify({
-          chatId: chatId,
-          message: message,
-          pdfId: selectedPDF?.id || null,
-          userId: user?.id
-        })
-      })
+      // Stream the answer from the backend, rendering deltas as they arrive
+      const aiMessageId = `msg_ai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      const aiTimestamp = new Date().toISOString()
+      let streamedContent = ''
 
-      console.log('Chat API response status:', response.status)
+      streamAbortRef.current?.abort()
+      const abortController = new AbortController()
+      streamAbortRef.current = abortController
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
-      }
+      const data = await streamChatResponse(getApiUrl(API_ENDPOINTS.CHAT_STREAM), {
+        chatId: chatId,
+        message: message,
+        pdfId: selectedPDF?.id || null,
+        ...documentFields,
+        userId: user?.id
+      }, {
+        accessToken: session?.access_token,
+        signal: abortController.signal,
+        onDelta: (text) => {
+          streamedContent += text
+          const streamingMessage = {
+            id: aiMessageId,
+            role: 'assistant',
+            content: streamedContent,
+            timestamp: aiTimestamp,
+            citations: [],
+            isStreaming: true
+          }
+
+          setStoredData(prev => ({
+            ...prev,
+            chats: prev.chats.map(chat => chat.id === chatId
+              ? { ...updatedChat, messages: [...updatedMessages, streamingMessage] }
+              : chat)
+          }))
+        }
+      })
 
-      const data = await response.json()
-      console.log('Chat API response data:', data)
+      console.log('Chat stream completed:', data.metadata)
 
-      // Add AI response with unique ID
+      // Replace the streaming message with the final answer
       const aiMessage = {
-        id: `msg_ai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        id: aiMessageId,
         role: 'assistant',
         content: data.answer || 'I apologize, but I couldn\'t process your message.',
-        timestamp: new Date().toISOString(),
+        timestamp: aiTimestamp,
         citations: data.citations || []
       }
 
@@ -496,13 +582,18 @@ function ModernChatPage() {
       }
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('Chat stream cancelled')
+        return
+      }
+
       console.error('Error sending message:', error)
       
       // Add error message with unique ID
       const errorMessage = {
         id: `msg_error_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         role: 'assistant',
-        content: 'Sorry, I encountered an error. Please try again.',
+        content: error.status === 429 ? error.message : 'Sorry, I encountered an error. Please try again.',
         timestamp: new Date().toISOString(),
         isError: true
       }
@@ -522,7 +613,7 @@ function ModernChatPage() {
       // Clear typing indicator
       setIsTyping(false)
     }
-  }, [currentChatId, storedData.chats, selectedPDF, session, user])
+  }, [currentChatId, storedData.chats, selectedPDF, documentScope, session, user])
 
   // Quiz handling
   const handleQuizSubmit = useCallback(async (results) => {
@@ -532,34 +623,13 @@ function ModernChatPage() {
     console.log('🎯 Session:', session)
     
     try {
-      // Extract the quiz data from the most recent message
-      const lastMessage = storedData.chats.find(chat => chat.id === currentChatId)?.messages?.slice(-1)[0]
-      const quizData = lastMessage?.quiz || {}
-      
-      console.log('🎯 Quiz data from last message:', quizData)
-      
-      // Calculate totals
-      const totalQuestions = (quizData.mcq?.length || 0) + (quizData.shortAnswer?.length || 0) + (quizData.longAnswer?.length || 0)
-      const totalCorrect = (results.mcq?.filter(r => r.isCorrect).length || 0) + 
-                           (results.shortAnswer?.filter(r => (r.score || 0) >= 7).length || 0) + 
-                           (results.longAnswer?.filter(r => (r.score || 0) >= 7).length || 0)
-      
-      // Prepare the data in the format expected by the backend
+      // Questions, score and feedback are taken from the stored quiz on the server
       const attemptData = {
         user_id: user?.id,
-        pdf_id: selectedPDF?.id,
+        quiz_id: results.quizId,
         topic: `Quiz on ${selectedPDF?.file_name || 'PDF'}`,
-        questions: quizData,
-        answers: {
-          mcq: results.mcq || [],
-          shortAnswer: results.shortAnswer || [],
-          longAnswer: results.longAnswer || []
-        },
-        score: (results.overallScore || 0) / 100, // Convert percentage to decimal
-        total_questions: totalQuestions,
-        correct_answers: totalCorrect,
-        time_taken: null,
-        feedback: results.feedback
+        answers: pickQuestionSections(results),
+        time_taken: null
       }
       
       console.log('🎯 Prepared attempt data:', attemptData)
@@ -588,7 +658,7 @@ function ModernChatPage() {
     } catch (error) {
       console.error('💥 Error saving quiz attempt:', error)
     }
-  }, [selectedPDF, user, session, storedData.chats, currentChatId])
+  }, [selectedPDF, user, session])
 
   // File upload handling
   const handleFileSelect = useCallback(async (pdfData) => {
@@ -618,7 +688,8 @@ function ModernChatPage() {
       role: msg.role || (msg.is_user ? 'user' : 'assistant'),
       content: msg.content || msg.message || '',
       timestamp: msg.timestamp || msg.created_at || new Date().toISOString(),
-      citations: msg.citations || []
+      citations: msg.citations || [],
+      isStreaming: !!msg.isStreaming
     }))
     .filter((msg, index, array) => {
       // Remove duplicate messages based on content and timestamp
@@ -764,6 +835,10 @@ function ModernChatPage() {
               isSidebarOpen={isDesktopSidebarOpen}
               onToggleSidebar={() => setIsDesktopSidebarOpen(!isDesktopSidebarOpen)}
               onUploadPDF={() => setShowUploadModal(true)}
+              pdfs={storedData.pdfs}
+              documentScope={documentScope}
+              onDocumentScopeChange={changeDocumentScope}
+              onCitationClick={openCitation}
             />
           </div>
         </div>
@@ -781,6 +856,7 @@ function ModernChatPage() {
             <div className={`${viewMode === 'pdf' ? 'pt-16' : ''} h-full w-full flex flex-col`}>
               <ModernPDFViewer 
                 file={selectedPDF} 
+                focus={pdfFocus}
                 onUnselect={viewMode === 'pdf' ? handleMobilePDFClose : unselectPDF}
                 className="h-full"
               />
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react'
 import { useAuth } from '../context/AuthContext'
+import { getApiUrl, API_ENDPOINTS } from '../utils/api'
 
 function ProfilePage() {
   const { user, session, signOut } = useAuth()
@@ -14,6 +15,8 @@ function ProfilePage() {
     avatar_url: ''
   })
   const [originalData, setOriginalData] = useState({})
+  const [usage, setUsage] = useState(null)
+  const [rateLimits, setRateLimits] = useState([])
 
   // Fetch user data on mount
   useEffect(() => {
@@ -78,6 +81,30 @@ function ProfilePage() {
     fetchUserData()
   }, [user, session])
 
+  // Fetch today's AI usage and the per-minute request limits
+  useEffect(() => {
+    const fetchUsage = async () => {
+      if (!session?.access_token) return
+
+      try {
+        const response = await fetch(getApiUrl(API_ENDPOINTS.USAGE), {
+          headers: {
+            'Authorization': `Bearer ${session.access_token}`
+          }
+        })
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+
+        const data = await response.json()
+        setUsage(data.usage)
+        setRateLimits(data.rateLimits || [])
+      } catch (err) {
+        console.error('Error fetching AI usage:', err)
+      }
+    }
+
+    fetchUsage()
+  }, [session])
+
   const handleInputChange = (e) => {
     const { name, value } = e.target
     setFormData(prev => ({
@@ -375,6 +402,48 @@ function ProfilePage() {
             </div>
           </div>
 
+          {/* AI Usage */}
+          {usage && (
+            <div className="border-t border-gray-200 px-4 py-5 sm:p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">AI Usage Today</h3>
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-gray-700">
+                  {usage.tokensUsed.toLocaleString()} tokens used
+                  {usage.budget !== null && ` of ${usage.budget.toLocaleString()}`}
+                </span>
+                <span className="text-gray-500">
+                  Resets {new Date(usage.resetsAt).toLocaleString()}
+                </span>
+              </div>
+              {usage.budget !== null && (
+                <div className="mt-2 w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className={`h-2 rounded-full ${usage.remaining === 0 ? 'bg-red-600' : 'bg-blue-600'}`}
+                    style={{ width: `${Math.min(100, (usage.tokensUsed / usage.budget) * 100)}%` }}
+                  ></div>
+                </div>
+              )}
+              {usage.remaining === 0 && (
+                <p className="mt-2 text-sm text-red-700">
+                  You've reached today's AI limit. Chat, quiz generation and grading are paused until it resets.
+                </p>
+              )}
+
+              {rateLimits.some(limit => limit.limit !== null) && (
+                <dl className="mt-6 grid grid-cols-1 gap-4 sm:grid-cols-2">
+                  {rateLimits.filter(limit => limit.limit !== null).map(limit => (
+                    <div key={limit.routeClass}>
+                      <dt className="text-sm font-medium text-gray-500">{limit.label}</dt>
+                      <dd className="mt-1 text-sm text-gray-900">
+                        {limit.remaining} of {limit.limit} left this minute
+                      </dd>
+                    </div>
+                  ))}
+                </dl>
+              )}
+            </div>
+          )}
+
           {/* Danger Zone */}
           <div className="border-t border-gray-200 px-4 py-5 sm:p-6">
             <h3 className="text-lg font-medium text-gray-900 mb-4">Account Actions</h3>
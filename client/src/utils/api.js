@@ -22,6 +22,7 @@ export const API_ENDPOINTS = {
   
   // Chat
   CHAT: '/api/chat',
+  CHAT_STREAM: '/api/chat/stream',
   SAVE_CHAT: '/api/save-chat',
   CHATS: '/api/chats',
   CHAT_MESSAGES: '/api/chat/:chatId/messages',
@@ -30,15 +31,33 @@ export const API_ENDPOINTS = {
   PDFS: '/api/pdfs',
   PDF_UPLOAD: '/api/upload-pdf',
   PDF_FILE: '/api/pdf/:id',
+  PDF_URL: '/api/pdf/:id/url',
   PDF_STATUS: '/api/pdf/:id/status',
+  PDF_EVENTS: '/api/pdf/:id/events',
+  PDF_CANCEL: '/api/pdf/:id/cancel',
   PDF_EXTRACT_TEXT: '/api/extract-text',
   
   // Quiz
   GENERATE_QUIZ: '/api/generate-quiz',
   ANALYZE_QUIZ: '/api/analyze-quiz',
+  REGRADE_QUIZ: '/api/regrade-quiz',
+  QUIZ: '/api/quiz/:quizId',
+  QUIZ_ANSWERS: '/api/quiz/:quizId/answers',
+  QUIZ_EXPORT: '/api/quiz/:quizId/export',
+  QUIZ_EXPORT_FORMAT: '/api/quiz/:quizId/export/:format',
   SAVE_ATTEMPT: '/api/save-attempt',
   ATTEMPTS: '/api/attempts',
   ATTEMPTS_SAVE: '/api/attempts/save-attempt',
+  MASTERY: '/api/mastery',
+  USAGE: '/api/usage',
+
+  // Flashcards
+  FLASHCARDS: '/api/flashcards',
+  FLASHCARDS_GENERATE: '/api/flashcards/generate',
+  FLASHCARDS_DUE: '/api/flashcards/due',
+  FLASHCARDS_STATS: '/api/flashcards/stats',
+  FLASHCARD_REVIEW: '/api/flashcards/:id/review',
+  FLASHCARD: '/api/flashcards/:id',
   
   // RAG
   RAG_QUERY: '/api/rag-query',
@@ -0,0 +1,44 @@
+// Client for the streaming chat endpoint (Server-Sent Events over POST)
+import { readEventStream } from './eventStream'
+
+/**
+ * Send a chat message and consume the streamed answer
+ * @param {string} url - Full URL of the streaming endpoint
+ * @param {object} body - Request payload ({ chatId, message, pdfId })
+ * @param {object} options - { accessToken, onDelta(text), signal }
+ * @returns {Promise<object>} Final payload with answer, citations and metadata
+ */
+export const streamChatResponse = async (url, body, { accessToken, onDelta, signal } = {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      'Authorization': `Bearer ${accessToken}`
+    },
+    body: JSON.stringify(body),
+    signal
+  })
+
+  if (!response.ok) {
+    // Rate-limit and quota refusals (429) explain themselves in the body
+    const payload = await response.json().catch(() => null)
+    const error = new Error(payload?.error || `HTTP error! status: ${response.status}`)
+    error.status = response.status
+    throw error
+  }
+
+  for await (const { event, data } of readEventStream(response)) {
+    if (event === 'delta') {
+      onDelta?.(data.text || '')
+    } else if (event === 'done') {
+      return data
+    } else if (event === 'error') {
+      throw new Error(data.error || 'Chat stream failed')
+    }
+  }
+
+  throw new Error('Chat stream ended before the answer was complete')
+}
+
+export default streamChatResponse
@@ -0,0 +1,60 @@
+// Reader for Server-Sent Events delivered over fetch (lets requests carry an Authorization header)
+
+/**
+ * Parse a single SSE event block into { event, data }
+ * @param {string} block - Raw event text without the trailing blank line
+ * @returns {{event: string, data: any}|null}
+ */
+const parseEventBlock = (block) => {
+  let event = 'message'
+  const dataLines = []
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim()
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart())
+    }
+  })
+
+  if (dataLines.length === 0) return null
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) }
+  } catch (error) {
+    console.warn('Ignoring malformed stream event:', error)
+    return null
+  }
+}
+
+/**
+ * Iterate over the events of a streamed response
+ * @param {Response} response - fetch response with a text/event-stream body
+ * @returns {AsyncGenerator<{event: string, data: any}>}
+ */
+export async function* readEventStream(response) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read()
+      if (done) return
+
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n')
+
+      let boundary
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const parsed = parseEventBlock(buffer.slice(0, boundary))
+        buffer = buffer.slice(boundary + 2)
+
+        if (parsed) yield parsed
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {})
+  }
+}
+
+export default readEventStream
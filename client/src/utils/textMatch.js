@@ -0,0 +1,154 @@
+// Fuzzy location of a citation snippet inside a rendered PDF text layer
+//
+// Chunk text comes from server-side extraction while the text layer comes from
+// PDF.js, so the two rarely agree on whitespace, line-break hyphenation or
+// ligatures. Both sides are reduced to a comparable character stream first and
+// matches are mapped back to text layer items for highlighting.
+
+// Shortest partial match worth highlighting when the full snippet is not found
+const MIN_PARTIAL_MATCH = 20
+
+// Step between anchor positions tried when looking for a partial match
+const ANCHOR_STEP = 15
+
+/**
+ * Reduce a string to the characters that matter for matching
+ * Lowercases, unfolds ligatures (NFKC) and drops whitespace and hyphens, so
+ * "entro-\npy" and "entropy" compare equal.
+ * @param {string} text
+ * @param {(originalIndex: number) => any} [mapIndex] - Called for every kept character
+ * @returns {{text: string, map: any[]}}
+ */
+export const normalizeForMatch = (text, mapIndex) => {
+  let normalized = ''
+  const map = []
+
+  for (let i = 0; i < text.length; i++) {
+    const folded = text[i].normalize('NFKC').toLowerCase()
+    for (const char of folded) {
+      if (/[\s\-\u00AD\u2010\u2011]/.test(char)) continue
+      normalized += char
+      if (mapIndex) map.push(mapIndex(i))
+    }
+  }
+
+  return { text: normalized, map }
+}
+
+/**
+ * Strip the truncation marker citations carry ("...") and trim
+ * @param {string} snippet
+ * @returns {string}
+ */
+export const cleanSnippet = (snippet = '') =>
+  snippet.replace(/(\.\.\.|…)\s*$/, '').replace(/^\s*(\.\.\.|…)/, '').trim()
+
+/**
+ * Longest prefix of needle (from a start offset) that occurs in haystack
+ * @returns {{index: number, length: number}}
+ */
+const longestMatchFrom = (haystack, needle, start) => {
+  let low = 0
+  let high = needle.length - start
+  let best = { index: -1, length: 0 }
+
+  // Prefix occurrence is monotonic in length, so binary search the longest one
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2)
+    const index = mid === 0 ? 0 : haystack.indexOf(needle.slice(start, start + mid))
+    if (index !== -1) {
+      if (mid > best.length) best = { index, length: mid }
+      low = mid + 1
+    } else {
+      high = mid - 1
+    }
+  }
+
+  return best
+}
+
+/**
+ * Find a snippet in normalized haystack text
+ * Tries an exact match first, then the longest run of the snippet that appears
+ * on the page (the snippet may spill onto the next page or contain extraction noise).
+ * @param {string} haystack - Normalized page text
+ * @param {string} needle - Normalized snippet
+ * @returns {{start: number, end: number}|null}
+ */
+export const findFuzzyMatch = (haystack, needle) => {
+  if (!haystack || !needle) return null
+
+  const exact = haystack.indexOf(needle)
+  if (exact !== -1) {
+    return { start: exact, end: exact + needle.length }
+  }
+
+  let best = { index: -1, length: 0 }
+  for (let start = 0; start < needle.length - MIN_PARTIAL_MATCH + 1; start += ANCHOR_STEP) {
+    const candidate = longestMatchFrom(haystack, needle, start)
+
+    // Anchors are coarse; grow the match back towards the start of the snippet
+    let offset = 0
+    while (candidate.index - offset > 0 && start - offset > 0 &&
+      haystack[candidate.index - offset - 1] === needle[start - offset - 1]) {
+      offset++
+    }
+    if (offset > 0 && candidate.index !== -1) {
+      candidate.index -= offset
+      candidate.length += offset
+    }
+
+    if (candidate.length > best.length) best = candidate
+  }
+
+  const minLength = Math.min(MIN_PARTIAL_MATCH, needle.length)
+  if (best.index === -1 || best.length < minLength) return null
+
+  return { start: best.index, end: best.index + best.length }
+}
+
+/**
+ * Work out which parts of which text layer items a snippet covers
+ * @param {Array<{str: string}>} items - PDF.js textContent items for the page
+ * @param {string} snippet - Citation snippet
+ * @returns {Map<number, {start: number, end: number}>} itemIndex -> highlighted character range
+ */
+export const findSnippetRanges = (items, snippet) => {
+  const ranges = new Map()
+  const needle = normalizeForMatch(cleanSnippet(snippet)).text
+  if (!needle || !items?.length) return ranges
+
+  let pageText = ''
+  const pageMap = []
+  items.forEach((item, itemIndex) => {
+    const { text, map } = normalizeForMatch(item.str || '', offset => ({ itemIndex, offset }))
+    pageText += text
+    pageMap.push(...map)
+  })
+
+  const match = findFuzzyMatch(pageText, needle)
+  if (!match) return ranges
+
+  // Whitespace skipped inside an item stays covered: keep one span per item
+  for (let i = match.start; i < match.end; i++) {
+    const { itemIndex, offset } = pageMap[i]
+    const range = ranges.get(itemIndex)
+    if (range) {
+      range.end = offset + 1
+    } else {
+      ranges.set(itemIndex, { start: offset, end: offset + 1 })
+    }
+  }
+
+  return ranges
+}
+
+/**
+ * First page number of a citation page value ("4", 4 or "4-5")
+ * @param {string|number} page
+ * @returns {number|null}
+ */
+export const parseCitationPage = (page) => {
+  const pageNumber = parseInt(String(page ?? '').split('-')[0], 10)
+  return Number.isFinite(pageNumber) && pageNumber > 0 ? pageNumber : null
+}
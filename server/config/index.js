@@ -14,9 +14,22 @@ export const config = {
   nodeEnv: process.env.NODE_ENV || 'development',
   uploadsDir: join(serverRoot, 'uploads'),
   
+  // Stored PDFs: Supabase Storage or a local directory (supabase | local)
+  storageDriver: process.env.STORAGE_DRIVER || 'supabase',
+  storageDir: process.env.STORAGE_DIR || join(serverRoot, 'storage'),
+
+  // Every table: Supabase Postgres or a local SQLite file (supabase | sqlite)
+  databaseDriver: process.env.DATABASE_DRIVER || 'supabase',
+  sqlitePath: process.env.SQLITE_PATH || join(serverRoot, 'data', 'local.db'),   // ':memory:' for a throwaway database
+
+  // LLM Provider Configuration (nebius | openai | ollama | fake)
+  llmProvider: process.env.LLM_PROVIDER || 'nebius',
+  llmBaseUrl: process.env.LLM_BASE_URL,   // OpenAI-compatible or local server URL
+  llmApiKey: process.env.LLM_API_KEY,
+  
   // Nebius AI Configuration
   nebiusApiKey: process.env.NEBIUS_API_KEY,
-  chatModel: process.env.CHAT_MODEL || "Qwen/Qwen3-235B-A22B-Thinking-2507",
+  chatModel: process.env.CHAT_MODEL,      // Falls back to the provider's default model
   
   // Supabase Configuration
   supabaseUrl: process.env.SUPABASE_URL,
@@ -24,6 +37,12 @@ export const config = {
   supabaseServiceKey: process.env.SUPABASE_SERVICE_KEY,
   supabaseJwtSecret: process.env.SUPABASE_JWT_SECRET,
   
+  // Sign-in: Supabase Auth, or local tokens for offline development (supabase | local; never in production)
+  authDriver: process.env.AUTH_DRIVER || 'supabase',
+  allowLocalAuth: process.env.ALLOW_LOCAL_AUTH === '1',   // Explicit opt-in, since local sign-in has no password
+  localAuthSecret: process.env.LOCAL_AUTH_SECRET,   // Random per process if unset, so sessions end on restart
+  localAuthTtlSeconds: parseInt(process.env.LOCAL_AUTH_TTL_SECONDS) || 7 * 24 * 60 * 60,
+  
   // OAuth Configuration
   googleClientId: process.env.GOOGLE_CLIENT_ID,
   googleClientSecret: process.env.GOOGLE_CLIENT_SECRET,
@@ -33,9 +52,66 @@ export const config = {
   topKChunks: parseInt(process.env.TOP_K_CHUNKS) || 5,
   maxContextLength: parseInt(process.env.MAX_CONTEXT_LENGTH) || 4000,
   
+  // Multi-document Chat
+  maxChatDocuments: parseInt(process.env.MAX_CHAT_DOCUMENTS) || 20,
+  maxChunksPerDocument: parseInt(process.env.MAX_CHUNKS_PER_DOCUMENT) || 0, // 0 = split the chunk budget evenly
+  
+  // Hybrid Retrieval (BM25 + vector, merged with reciprocal rank fusion)
+  hybridSearch: process.env.HYBRID_SEARCH !== 'false',
+  rrfK: parseInt(process.env.RRF_K) || 60,
+  vectorWeight: parseFloat(process.env.VECTOR_WEIGHT ?? '1') || 0,
+  lexicalWeight: parseFloat(process.env.LEXICAL_WEIGHT ?? '1') || 0,
+  
+  // Reranking (none | llm | endpoint)
+  rerankProvider: process.env.RERANK_PROVIDER || 'none',
+  rerankCandidates: parseInt(process.env.RERANK_CANDIDATES) || 30,
+  rerankTopN: parseInt(process.env.RERANK_TOP_N) || 8,
+  rerankUrl: process.env.RERANK_URL,        // e.g. https://api.jina.ai/v1/rerank
+  rerankApiKey: process.env.RERANK_API_KEY,
+  rerankModel: process.env.RERANK_MODEL,
+  
+  // Quiz generation: chunks sampled across the requested span per quiz
+  quizSourceChunks: parseInt(process.env.QUIZ_SOURCE_CHUNKS) || 12,
+  // Quiz feedback: passages retrieved per graded question for its explanation and citations
+  quizFeedbackPassages: parseInt(process.env.QUIZ_FEEDBACK_PASSAGES) || 2,
+  // Adaptive quizzes: topics below this mastery (0-1) count as weak, and the share of sources drawn from them
+  masteryWeakThreshold: parseFloat(process.env.MASTERY_WEAK_THRESHOLD) || 0.7,
+  adaptiveFocusShare: parseFloat(process.env.ADAPTIVE_FOCUS_SHARE) || 0.7,
+  // Timed exams: longest allowed time limit, and slack for submissions sent right at the deadline
+  examMaxMinutes: parseInt(process.env.EXAM_MAX_MINUTES) || 180,
+  examGraceSeconds: parseInt(process.env.EXAM_GRACE_SECONDS ?? '10') || 0,
+  
+  // Per-user limits: requests per minute by route class (0 = unlimited) and model tokens per UTC day
+  rateLimitChat: parseInt(process.env.RATE_LIMIT_CHAT ?? '20') || 0,
+  rateLimitGeneration: parseInt(process.env.RATE_LIMIT_GENERATION ?? '5') || 0,
+  rateLimitGrading: parseInt(process.env.RATE_LIMIT_GRADING ?? '10') || 0,
+  rateLimitRetrieval: parseInt(process.env.RATE_LIMIT_RETRIEVAL ?? '30') || 0,
+  aiDailyTokenBudget: parseInt(process.env.AI_DAILY_TOKEN_BUDGET ?? '200000') || 0,
+  
+  // PDF downloads: lifetime of signed links, and the key for links to local uploads
+  signedUrlTtlSeconds: parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 600,
+  fileUrlSecret: process.env.FILE_URL_SECRET,   // Random per process if unset, so links die on restart
+  
+  // OCR fallback for scanned pages (tesseract.js)
+  ocrEnabled: process.env.OCR_ENABLED !== 'false',
+  ocrLanguage: process.env.OCR_LANGUAGE || 'eng',
+  ocrLangPath: process.env.OCR_LANG_PATH,    // Local folder/URL with traineddata files (defaults to the tesseract.js CDN)
+  ocrMinPageChars: parseInt(process.env.OCR_MIN_PAGE_CHARS) || 20,
+  ocrMaxPages: parseInt(process.env.OCR_MAX_PAGES) || 200,
+  ocrRenderScale: parseFloat(process.env.OCR_RENDER_SCALE) || 2,
+  
   // Embedding Configuration
-  embedModel: process.env.EMBED_MODEL || 'Qwen/Qwen3-Embedding-8B',
-  embeddingDimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || 4096
+  embedModel: process.env.EMBED_MODEL,    // Falls back to the provider's default model
+  embeddingDimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || 4096,
+  embeddingRetries: parseInt(process.env.EMBEDDING_RETRIES ?? '4') || 0,
+  embeddingRetryBaseMs: parseInt(process.env.EMBEDDING_RETRY_BASE_MS) || 1000,
+  
+  // PDF processing job queue (inline worker in the API process, external `node worker.js`, or off)
+  jobWorker: process.env.JOB_WORKER || 'inline',
+  jobPollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+  jobMaxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  jobRetryBaseMs: parseInt(process.env.JOB_RETRY_BASE_MS) || 5000,
+  jobStaleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS) || 120000  // Running jobs without a heartbeat this long are reclaimed
 }
 
 export const paths = {
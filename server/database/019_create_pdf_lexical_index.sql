@@ -0,0 +1,24 @@
+-- Migration script to store BM25 lexical indexes for hybrid retrieval
+-- Run this in your Supabase SQL Editor
+
+-- One serialized BM25 index (term frequencies per chunk + document frequencies) per PDF.
+-- Built at ingest time and fused with vector search results at query time.
+CREATE TABLE IF NOT EXISTS pdf_lexical_index (
+  pdf_id TEXT PRIMARY KEY,
+  index JSONB NOT NULL,
+  chunk_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Accessed with the same server-side client as pdf_chunks (see 009)
+ALTER TABLE pdf_lexical_index DISABLE ROW LEVEL SECURITY;
+
+-- Verify the table was created
+SELECT
+  table_name,
+  column_name,
+  data_type
+FROM information_schema.columns
+WHERE table_name = 'pdf_lexical_index'
+ORDER BY ordinal_position;
@@ -0,0 +1,67 @@
+-- Migration script to bind chat sessions to several PDFs (or a whole library)
+-- Run this in your Supabase SQL Editor
+
+-- A chat can now be grounded in a set of PDFs instead of a single pdf_id.
+-- pdf_id is kept (first document) so older clients keep working.
+ALTER TABLE chat_sessions
+ADD COLUMN IF NOT EXISTS pdf_ids TEXT[];
+
+-- When true the chat searches every processed PDF the user owns
+ALTER TABLE chat_sessions
+ADD COLUMN IF NOT EXISTS use_library BOOLEAN DEFAULT FALSE;
+
+COMMENT ON COLUMN chat_sessions.pdf_ids IS 'PDFs this chat retrieves from (multi-document chat)';
+COMMENT ON COLUMN chat_sessions.use_library IS 'Retrieve from all of the user''s processed PDFs';
+
+-- Vector search across several PDFs with a per-document quota, so one long
+-- textbook cannot crowd lecture notes or past papers out of the results
+DROP FUNCTION IF EXISTS search_pdf_chunks_multi(VECTOR, TEXT[], FLOAT, INT);
+
+CREATE OR REPLACE FUNCTION search_pdf_chunks_multi(
+  query_embedding VECTOR(4096),
+  pdf_id_filters TEXT[],
+  match_threshold FLOAT DEFAULT 0.1,
+  match_count_per_pdf INT DEFAULT 5
+)
+RETURNS TABLE (
+  id UUID,
+  pdf_id TEXT,
+  page INTEGER,
+  text TEXT,
+  chunk_index INTEGER,
+  similarity FLOAT,
+  metadata JSONB
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    ranked.id,
+    ranked.pdf_id,
+    ranked.page,
+    ranked.text,
+    ranked.chunk_index,
+    ranked.similarity,
+    ranked.metadata
+  FROM (
+    SELECT
+      pc.id,
+      pc.pdf_id,
+      pc.page,
+      pc.text,
+      pc.chunk_index,
+      (pc.embedding <=> query_embedding) * -1 + 1 AS similarity,
+      pc.metadata,
+      ROW_NUMBER() OVER (PARTITION BY pc.pdf_id ORDER BY pc.embedding <=> query_embedding) AS document_rank
+    FROM pdf_chunks pc
+    WHERE
+      pc.pdf_id = ANY(pdf_id_filters)
+      AND (pc.embedding <=> query_embedding) < (1 - match_threshold)
+  ) ranked
+  WHERE ranked.document_rank <= match_count_per_pdf
+  ORDER BY ranked.similarity DESC;
+END;
+$$;
+
+COMMENT ON FUNCTION search_pdf_chunks_multi IS 'Vector similarity search across several PDFs, returning at most match_count_per_pdf chunks from each';
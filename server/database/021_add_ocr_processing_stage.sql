@@ -0,0 +1,23 @@
+-- Migration script to track the OCR stage of PDF processing
+-- Run this in your Supabase SQL Editor
+
+-- Finer-grained step within processing_status = 'processing'
+-- ('extracting' | 'ocr' | 'embedding'), shown by the upload progress dialog
+ALTER TABLE pdf_files
+ADD COLUMN IF NOT EXISTS processing_stage TEXT;
+
+-- Scanned pages read with OCR and how far along that is
+ALTER TABLE pdf_files
+ADD COLUMN IF NOT EXISTS ocr_pages_total INTEGER DEFAULT 0;
+
+ALTER TABLE pdf_files
+ADD COLUMN IF NOT EXISTS ocr_pages_done INTEGER DEFAULT 0;
+
+-- Average tesseract confidence (0-1) over the OCR'd pages; per-page values live in pdf_chunks.metadata
+ALTER TABLE pdf_files
+ADD COLUMN IF NOT EXISTS ocr_confidence FLOAT;
+
+COMMENT ON COLUMN pdf_files.processing_stage IS 'Current processing step: extracting, ocr or embedding';
+COMMENT ON COLUMN pdf_files.ocr_pages_total IS 'Pages without a text layer that were sent to OCR';
+COMMENT ON COLUMN pdf_files.ocr_pages_done IS 'OCR pages finished so far';
+COMMENT ON COLUMN pdf_files.ocr_confidence IS 'Average OCR confidence (0-1) across OCR pages';
@@ -0,0 +1,67 @@
+-- Migration script to create the durable PDF processing job queue
+-- Run this in your Supabase SQL Editor
+
+-- One row per uploaded PDF waiting for (or going through) text extraction and embedding.
+-- Workers claim jobs with claim_pdf_processing_job(), keep them alive with heartbeats and
+-- reschedule failures with exponential backoff; a crashed worker's job is reclaimed once
+-- its heartbeat goes stale. Embedded chunks are written to pdf_chunks batch by batch, so a
+-- resumed job only embeds what is still missing.
+CREATE TABLE IF NOT EXISTS pdf_processing_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  pdf_id TEXT NOT NULL,
+  user_id UUID NOT NULL,
+  storage_path TEXT,
+  local_path TEXT,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by TEXT,
+  heartbeat_at TIMESTAMPTZ,
+  progress JSONB DEFAULT '{}'::jsonb,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_processing_jobs_ready ON pdf_processing_jobs(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_pdf_processing_jobs_pdf ON pdf_processing_jobs(pdf_id);
+
+-- Server-side access only (service role)
+ALTER TABLE pdf_processing_jobs DISABLE ROW LEVEL SECURITY;
+GRANT ALL ON pdf_processing_jobs TO service_role;
+
+-- Atomically claim the next runnable job: queued and due, or running with a stale heartbeat
+CREATE OR REPLACE FUNCTION claim_pdf_processing_job(
+  worker_id TEXT,
+  stale_after_seconds INT DEFAULT 120
+)
+RETURNS SETOF pdf_processing_jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE pdf_processing_jobs AS job
+  SET
+    status = 'running',
+    attempts = job.attempts + 1,
+    locked_by = worker_id,
+    heartbeat_at = NOW(),
+    updated_at = NOW()
+  WHERE job.id = (
+    SELECT candidate.id
+    FROM pdf_processing_jobs AS candidate
+    WHERE
+      (candidate.status = 'queued' AND candidate.run_after <= NOW())
+      OR (candidate.status = 'running' AND candidate.heartbeat_at < NOW() - make_interval(secs => stale_after_seconds))
+    ORDER BY candidate.run_after
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING job.*;
+END;
+$$;
+
+COMMENT ON TABLE pdf_processing_jobs IS 'Durable queue of PDF extraction/embedding jobs';
+COMMENT ON FUNCTION claim_pdf_processing_job IS 'Claim the next due (or abandoned) PDF processing job for a worker';
@@ -0,0 +1,11 @@
+-- Migration script to allow cancelling PDF processing
+-- Run this in your Supabase SQL Editor
+
+-- A user can cancel an upload while it is queued or being processed
+ALTER TABLE pdf_files DROP CONSTRAINT IF EXISTS pdf_files_processing_status_check;
+ALTER TABLE pdf_files ADD CONSTRAINT pdf_files_processing_status_check
+  CHECK (processing_status IN ('pending', 'processing', 'completed', 'failed', 'cancelled'));
+
+ALTER TABLE pdf_processing_jobs DROP CONSTRAINT IF EXISTS pdf_processing_jobs_status_check;
+ALTER TABLE pdf_processing_jobs ADD CONSTRAINT pdf_processing_jobs_status_check
+  CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled'));
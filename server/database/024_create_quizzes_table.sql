@@ -0,0 +1,56 @@
+-- Migration script to store generated quizzes (with their answer keys) server-side
+-- Run this in your Supabase SQL Editor
+
+-- Generated quizzes live here; the browser only ever receives the questions and
+-- /api/analyze-quiz grades against this stored key. The first graded submission
+-- is kept in results and is final.
+CREATE TABLE IF NOT EXISTS quizzes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  pdf_id TEXT,
+  questions JSONB NOT NULL,
+  results JSONB,
+  submitted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quizzes_user_id ON quizzes(user_id);
+CREATE INDEX IF NOT EXISTS idx_quizzes_pdf_id ON quizzes(pdf_id);
+
+-- Server-side access only (service role); answer keys must never reach the client directly
+ALTER TABLE quizzes DISABLE ROW LEVEL SECURITY;
+GRANT ALL ON quizzes TO service_role;
+
+-- quiz_attempts.quiz_id used to hold a PDF id or a made-up "quiz_<timestamp>".
+-- Keep that value in legacy_quiz_id, give each such attempt a quiz row built from
+-- its stored quiz_data, then turn quiz_id into a real reference.
+ALTER TABLE quiz_attempts
+ADD COLUMN IF NOT EXISTS legacy_quiz_id TEXT;
+
+UPDATE quiz_attempts
+SET legacy_quiz_id = quiz_id,
+    quiz_id = gen_random_uuid()::TEXT
+WHERE legacy_quiz_id IS NULL
+  AND quiz_id NOT IN (SELECT id::TEXT FROM quizzes);
+
+INSERT INTO quizzes (id, user_id, pdf_id, questions, created_at)
+SELECT
+  quiz_id::UUID,
+  user_id,
+  CASE WHEN legacy_quiz_id LIKE 'quiz\_%' THEN NULL ELSE legacy_quiz_id END,
+  COALESCE(quiz_data, '{}'::JSONB),
+  created_at
+FROM quiz_attempts
+WHERE legacy_quiz_id IS NOT NULL
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE quiz_attempts
+ALTER COLUMN quiz_id TYPE UUID USING quiz_id::UUID;
+
+ALTER TABLE quiz_attempts DROP CONSTRAINT IF EXISTS quiz_attempts_quiz_id_fkey;
+ALTER TABLE quiz_attempts ADD CONSTRAINT quiz_attempts_quiz_id_fkey
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE;
+
+COMMENT ON TABLE quizzes IS 'Generated quizzes including answer keys (server-side only)';
+COMMENT ON COLUMN quizzes.results IS 'Graded results of the first (final) submission';
+COMMENT ON COLUMN quiz_attempts.legacy_quiz_id IS 'quiz_id value from before quizzes were stored server-side';
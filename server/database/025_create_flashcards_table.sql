@@ -0,0 +1,50 @@
+-- Migration script for spaced-repetition flashcards
+-- Run this in your Supabase SQL Editor
+
+-- One row per card. Cards generated from a PDF (or bookmarked from a chat answer
+-- grounded in one) keep the PDF, chunk and page they came from; the PDF is also
+-- the card's deck. Scheduling follows SM-2: ease, interval and repetitions are
+-- updated on every review and due_at says when the card comes back.
+CREATE TABLE IF NOT EXISTS flashcards (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  pdf_id TEXT,
+  front TEXT NOT NULL,
+  back TEXT NOT NULL,
+  origin TEXT NOT NULL DEFAULT 'pdf' CHECK (origin IN ('pdf', 'chat')),
+  source_page INTEGER,
+  source_chunk_id TEXT,
+  ease REAL NOT NULL DEFAULT 2.5,
+  interval_days REAL NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  lapses INTEGER NOT NULL DEFAULT 0,
+  due_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_due ON flashcards(user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_pdf ON flashcards(user_id, pdf_id);
+
+-- Review log, for per-deck retention and activity stats
+CREATE TABLE IF NOT EXISTS flashcard_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  card_id UUID NOT NULL REFERENCES flashcards(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  grade TEXT NOT NULL CHECK (grade IN ('again', 'hard', 'good', 'easy')),
+  interval_days REAL NOT NULL,
+  reviewed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_user ON flashcard_reviews(user_id, reviewed_at);
+CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_card ON flashcard_reviews(card_id);
+
+-- Accessed through the server with the service role
+ALTER TABLE flashcards DISABLE ROW LEVEL SECURITY;
+ALTER TABLE flashcard_reviews DISABLE ROW LEVEL SECURITY;
+GRANT ALL ON flashcards TO service_role;
+GRANT ALL ON flashcard_reviews TO service_role;
+
+COMMENT ON TABLE flashcards IS 'Spaced-repetition flashcards per user, scheduled with SM-2';
+COMMENT ON COLUMN flashcards.pdf_id IS 'Source PDF, which is also the deck (NULL for cards without a source)';
+COMMENT ON TABLE flashcard_reviews IS 'One row per flashcard review';
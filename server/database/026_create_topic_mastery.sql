@@ -0,0 +1,31 @@
+-- Migration script for per-topic mastery and adaptive quizzes
+-- Run this in your Supabase SQL Editor
+
+-- Every generated question is tagged with the topic it tests. After a quiz is
+-- graded, each graded question moves the student's mastery of its topic (per PDF)
+-- towards the question's score; weak-areas quizzes target the lowest ones.
+CREATE TABLE IF NOT EXISTS topic_mastery (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  pdf_id TEXT NOT NULL,
+  topic TEXT NOT NULL,
+  mastery REAL NOT NULL DEFAULT 0.5 CHECK (mastery >= 0 AND mastery <= 1),
+  questions INTEGER NOT NULL DEFAULT 0,
+  last_score REAL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, pdf_id, topic)
+);
+
+CREATE INDEX IF NOT EXISTS idx_topic_mastery_user_pdf ON topic_mastery(user_id, pdf_id, mastery);
+
+-- Score per topic of each saved attempt (the per-question tags are in quiz_data)
+ALTER TABLE quiz_attempts
+ADD COLUMN IF NOT EXISTS topic_scores JSONB;
+
+-- Accessed through the server with the service role
+ALTER TABLE topic_mastery DISABLE ROW LEVEL SECURITY;
+GRANT ALL ON topic_mastery TO service_role;
+
+COMMENT ON TABLE topic_mastery IS 'Per-user, per-PDF topic mastery (0-1) updated from graded quiz questions';
+COMMENT ON COLUMN topic_mastery.questions IS 'Number of graded questions on this topic so far';
+COMMENT ON COLUMN quiz_attempts.topic_scores IS 'Per-topic { questions, score } breakdown of the graded quiz';
@@ -0,0 +1,18 @@
+-- Migration script for timed exam mode
+-- Run this in your Supabase SQL Editor
+
+-- An exam is a quiz generated with a time limit: the clock starts on the server
+-- when it is generated, answers are autosaved to draft_answers while it runs,
+-- and submissions after deadline_at are refused (the exam is closed with the
+-- last autosave instead). Practice quizzes leave these columns NULL.
+ALTER TABLE quizzes
+ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'practice' CHECK (mode IN ('practice', 'exam')),
+ADD COLUMN IF NOT EXISTS time_limit_seconds INTEGER CHECK (time_limit_seconds > 0),
+ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS draft_answers JSONB,
+ADD COLUMN IF NOT EXISTS draft_saved_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN quizzes.mode IS 'practice (untimed) or exam (server-enforced time limit)';
+COMMENT ON COLUMN quizzes.deadline_at IS 'Exam submissions after this time (plus a short grace period) are rejected';
+COMMENT ON COLUMN quizzes.draft_answers IS 'Last autosaved answers of an exam in progress, used to resume and to close an expired exam';
@@ -0,0 +1,47 @@
+-- Migration script for per-user AI token usage (daily budgets)
+-- Run this in your Supabase SQL Editor
+
+-- One row per user and UTC day with the model tokens their requests spent.
+-- The API checks the day's total against AI_DAILY_TOKEN_BUDGET before every AI
+-- route and adds each completion's usage with record_ai_usage(), which is atomic
+-- so concurrent requests (or several API processes) never lose an update.
+CREATE TABLE IF NOT EXISTS ai_usage_daily (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  tokens BIGINT NOT NULL DEFAULT 0,
+  completions INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, day)
+);
+
+-- Accessed through the server with the service role
+ALTER TABLE ai_usage_daily DISABLE ROW LEVEL SECURITY;
+GRANT ALL ON ai_usage_daily TO service_role;
+
+-- Add one completion's tokens to a user's day and return the new total
+CREATE OR REPLACE FUNCTION record_ai_usage(
+  usage_user_id UUID,
+  usage_day DATE,
+  usage_tokens BIGINT
+)
+RETURNS BIGINT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  total BIGINT;
+BEGIN
+  INSERT INTO ai_usage_daily AS usage (user_id, day, tokens, completions)
+  VALUES (usage_user_id, usage_day, usage_tokens, 1)
+  ON CONFLICT (user_id, day) DO UPDATE
+  SET
+    tokens = usage.tokens + EXCLUDED.tokens,
+    completions = usage.completions + 1,
+    updated_at = NOW()
+  RETURNING usage.tokens INTO total;
+
+  RETURN total;
+END;
+$$;
+
+COMMENT ON TABLE ai_usage_daily IS 'Model tokens spent per user per UTC day, checked against the daily AI budget';
+COMMENT ON FUNCTION record_ai_usage IS 'Atomically add a completion''s tokens to a user''s daily usage';
@@ -0,0 +1,9 @@
+-- Migration script to record why OCR failed for a PDF
+-- Run this in your Supabase SQL Editor
+
+-- OCR failures don't fail the upload (the PDF's text layer is still indexed), so the
+-- reason is kept here and returned by GET /api/pdf/:fileId/status
+ALTER TABLE pdf_files
+ADD COLUMN IF NOT EXISTS ocr_error TEXT;
+
+COMMENT ON COLUMN pdf_files.ocr_error IS 'Why OCR of the scanned pages failed, if it did';
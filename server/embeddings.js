@@ -1,36 +1,22 @@
-import OpenAI from 'openai';
-import { createClient } from '@supabase/supabase-js';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-// Initialize Nebius AI client for embeddings
-const nebiusClient = new OpenAI({
-  baseURL: 'https://api.studio.nebius.com/v1/',
-  apiKey: process.env.NEBIUS_API_KEY,
-});
-
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+import { createEmbedding } from './services/llmService.js';
+import { buildBM25Index, searchBM25 } from './utils/bm25.js';
+import { withRetry } from './utils/retry.js';
+import { config } from './config/index.js';
+import { db, getDatabase } from './repositories/index.js';
 
 /**
- * Generate embeddings for a single text using Nebius API
+ * Generate embeddings for a single text using the configured LLM provider
+ * Rate limits (429) and server errors are retried with exponential backoff.
  */
 async function generateEmbedding(text) {
   try {
-    const response = await nebiusClient.embeddings.create({
-      model: process.env.EMBED_MODEL || "Qwen/Qwen3-Embedding-8B",
-      input: text
+    return await withRetry(() => createEmbedding(text), {
+      retries: config.embeddingRetries,
+      baseDelayMs: config.embeddingRetryBaseMs,
+      onRetry: (error, attempt, delayMs) => {
+        console.warn(`⚠️ Embedding request failed (${error.status || error.code || error.message}), retry ${attempt} in ${delayMs}ms`);
+      }
     });
-
-    if (!response.data || response.data.length === 0) {
-      throw new Error('No embedding data received from API');
-    }
-
-    return response.data[0].embedding;
   } catch (error) {
     console.error('Error generating embedding:', error);
     throw new Error(`Failed to generate embedding: ${error.message}`);
@@ -39,8 +25,12 @@ async function generateEmbedding(text) {
 
 /**
  * Generate embeddings for multiple text chunks in batches
+ * @param {string[]} textChunks
+ * @param {number} batchSize
+ * @param {Object} options
+ * @param {Function} [options.onBatch] - async (embeddings, startIndex) after each batch, e.g. to checkpoint it
  */
-async function generateEmbeddingsBatch(textChunks, batchSize = 10) {
+async function generateEmbeddingsBatch(textChunks, batchSize = 10, { onBatch } = {}) {
   const embeddings = [];
   
   for (let i = 0; i < textChunks.length; i += batchSize) {
@@ -59,6 +49,7 @@ async function generateEmbeddingsBatch(textChunks, batchSize = 10) {
       }
       
       embeddings.push(...batchEmbeddings);
+      await onBatch?.(batchEmbeddings, i);
     } catch (error) {
       console.error(`Error processing batch starting at index ${i}:`, error);
       throw error;
@@ -69,7 +60,7 @@ async function generateEmbeddingsBatch(textChunks, batchSize = 10) {
 }
 
 /**
- * Store PDF chunks with embeddings in Supabase
+ * Store PDF chunks with embeddings in the database
  */
 async function storePDFChunks(pdfId, chunks) {
   try {
@@ -84,24 +75,18 @@ async function storePDFChunks(pdfId, chunks) {
       chunk_index: index,
       created_at: new Date().toISOString(),
       // Store additional metadata including page range and confidence
-      metadata: JSON.stringify({
+      // (as an object: a stringified value would land in the JSONB column as a plain string)
+      metadata: {
         pageRange: chunk.pageRange || chunk.page,
         estimationMethod: chunk.metadata?.estimationMethod || 'basic',
         confidence: chunk.metadata?.confidence || 'medium',
+        ...(chunk.metadata?.ocr ? { ocr: true, ocrConfidence: chunk.metadata.ocrConfidence } : {}),
         startChar: chunk.startChar,
         endChar: chunk.endChar
-      })
+      }
     }));
 
-    // Insert chunks into Supabase
-    const { data, error } = await supabase
-      .from('pdf_chunks')
-      .insert(chunkData)
-      .select('id, pdf_id, page, chunk_index');
-
-    if (error) {
-      throw new Error(`Supabase insertion error: ${error.message}`);
-    }
+    const data = await db.pdfChunks.insert(chunkData);
 
     console.log(`Successfully stored ${data.length} chunks for PDF: ${pdfId}`);
     return data;
@@ -116,20 +101,11 @@ async function storePDFChunks(pdfId, chunks) {
  */
 async function searchSimilarChunks(pdfId, queryEmbedding, topK = 5) {
   try {
-    // Use Supabase's vector similarity search
-    const { data, error } = await supabase.rpc('search_pdf_chunks', {
-      query_embedding: queryEmbedding,
-      pdf_id_filter: pdfId,
-      match_threshold: 0.1, // Minimum similarity threshold
-      match_count: topK
+    const data = await db.pdfChunks.searchSimilar(pdfId, queryEmbedding, {
+      threshold: 0.1, // Minimum similarity threshold
+      limit: topK
     });
 
-    if (error) {
-      console.error('Supabase vector search error:', error);
-      // Fallback to basic search if vector search fails
-      return await fallbackTextSearch(pdfId, topK);
-    }
-
     // Enhance results with metadata information
     return (data || []).map(chunk => ({
       ...chunk,
@@ -148,21 +124,42 @@ async function searchSimilarChunks(pdfId, queryEmbedding, topK = 5) {
   }
 }
 
+/**
+ * Search several PDFs at once, keeping at most `perDocument` chunks from each
+ */
+async function searchSimilarChunksMulti(pdfIds, queryEmbedding, perDocument = 5) {
+  if (pdfIds.length === 1) {
+    return searchSimilarChunks(pdfIds[0], queryEmbedding, perDocument);
+  }
+
+  try {
+    const data = await db.pdfChunks.searchSimilarMulti(pdfIds, queryEmbedding, {
+      threshold: 0.1,
+      perPdf: perDocument
+    });
+
+    return (data || []).map(chunk => ({
+      ...chunk,
+      pageRange: chunk.metadata?.pageRange || chunk.page
+    }));
+  } catch (error) {
+    // search_pdf_chunks_multi needs migration 020; fall back to one search per PDF
+    console.warn('Multi-document vector search unavailable, searching PDFs individually:', error.message);
+    const perPdfResults = await Promise.all(
+      pdfIds.map(pdfId => searchSimilarChunks(pdfId, queryEmbedding, perDocument))
+    );
+    return perPdfResults
+      .flat()
+      .sort((a, b) => (b.similarity || 0) - (a.similarity || 0));
+  }
+}
+
 /**
  * Fallback text-based search when vector search is unavailable
  */
 async function fallbackTextSearch(pdfId, topK = 5) {
   try {
-    const { data, error } = await supabase
-      .from('pdf_chunks')
-      .select('id, pdf_id, page, text, chunk_index, metadata')
-      .eq('pdf_id', pdfId)
-      .order('chunk_index')
-      .limit(topK);
-
-    if (error) {
-      throw new Error(`Fallback search error: ${error.message}`);
-    }
+    const data = await db.pdfChunks.listByPdf(pdfId, { limit: topK });
 
     return data.map(chunk => ({
       ...chunk,
@@ -180,20 +177,106 @@ async function fallbackTextSearch(pdfId, topK = 5) {
   }
 }
 
+// Parsed lexical indexes keyed by PDF id; an index only changes when a PDF is re-ingested
+const lexicalIndexCache = new Map();
+
 /**
- * Delete all chunks for a specific PDF
+ * Build and persist the BM25 lexical index for a PDF
+ * @param {string} pdfId - PDF identifier
+ * @param {Array} chunks - Stored chunks ({ id, text, page, chunk_index })
  */
-async function deletePDFChunks(pdfId) {
+async function storeLexicalIndex(pdfId, chunks) {
+  const index = buildBM25Index(chunks);
+
+  await db.lexicalIndexes.save(pdfId, index);
+
+  lexicalIndexCache.set(pdfId, index);
+  console.log(`Stored lexical index (${index.docCount} chunks, ${Object.keys(index.df).length} terms) for PDF: ${pdfId}`);
+  return index;
+}
+
+/**
+ * Load the lexical index for a PDF, rebuilding it from pdf_chunks when missing
+ * (e.g. PDFs ingested before hybrid search existed)
+ */
+async function getLexicalIndex(pdfId) {
+  if (lexicalIndexCache.has(pdfId)) {
+    return lexicalIndexCache.get(pdfId);
+  }
+
+  const stored = await db.lexicalIndexes.findByPdf(pdfId).catch(() => null);
+
+  if (stored) {
+    lexicalIndexCache.set(pdfId, stored);
+    return stored;
+  }
+
+  const chunks = await db.pdfChunks.listByPdf(pdfId, { columns: 'id, page, text, chunk_index' });
+
+  if (!chunks || chunks.length === 0) {
+    return null;
+  }
+
   try {
-    const { error } = await supabase
-      .from('pdf_chunks')
-      .delete()
-      .eq('pdf_id', pdfId);
+    return await storeLexicalIndex(pdfId, chunks);
+  } catch (storeError) {
+    // Still usable for this process even if it could not be persisted
+    console.warn('Lexical index not persisted:', storeError.message);
+    const index = buildBM25Index(chunks);
+    lexicalIndexCache.set(pdfId, index);
+    return index;
+  }
+}
 
-    if (error) {
-      throw new Error(`Error deleting PDF chunks: ${error.message}`);
+/**
+ * Search chunks by exact terms using the BM25 lexical index
+ * @returns {Array} Chunks best-first, each with a `bm25Score`
+ */
+async function searchLexicalChunks(pdfId, query, topK = 5) {
+  try {
+    const index = await getLexicalIndex(pdfId);
+    const matches = searchBM25(index, query, topK);
+
+    if (matches.length === 0) {
+      return [];
     }
 
+    const data = await db.pdfChunks.findByIds(matches.map(match => match.id));
+
+    const chunksById = new Map(data.map(chunk => [String(chunk.id), chunk]));
+
+    return matches
+      .filter(match => chunksById.has(String(match.id)))
+      .map(match => {
+        const chunk = chunksById.get(String(match.id));
+        return {
+          ...chunk,
+          bm25Score: match.score,
+          matchedTerms: match.matchedTerms,
+          pageRange: chunk.metadata?.pageRange || chunk.page
+        };
+      });
+  } catch (error) {
+    console.error('Error in lexical search:', error);
+    return [];
+  }
+}
+
+/**
+ * Delete the lexical index for a PDF
+ */
+async function deleteLexicalIndex(pdfId) {
+  lexicalIndexCache.delete(pdfId);
+  await db.lexicalIndexes.deleteByPdf(pdfId);
+}
+
+/**
+ * Delete all chunks for a specific PDF
+ */
+async function deletePDFChunks(pdfId) {
+  try {
+    await db.pdfChunks.deleteByPdf(pdfId);
+
     console.log(`Deleted all chunks for PDF: ${pdfId}`);
   } catch (error) {
     console.error('Error deleting PDF chunks:', error);
@@ -206,16 +289,7 @@ async function deletePDFChunks(pdfId) {
  */
 async function getPDFChunksCount(pdfId) {
   try {
-    const { count, error } = await supabase
-      .from('pdf_chunks')
-      .select('*', { count: 'exact', head: true })
-      .eq('pdf_id', pdfId);
-
-    if (error) {
-      throw new Error(`Error counting PDF chunks: ${error.message}`);
-    }
-
-    return count || 0;
+    return await db.pdfChunks.countByPdf(pdfId);
   } catch (error) {
     console.error('Error counting PDF chunks:', error);
     return 0;
@@ -248,74 +322,17 @@ function validateChunkData(chunks) {
 }
 
 /**
- * Initialize database table (call this once during setup)
+ * Check the database is reachable (call this once during setup)
  */
 async function initializeDatabase() {
   try {
-    // Check if the table exists and has the required structure
-    const { data, error } = await supabase
-      .from('pdf_chunks')
-      .select('count(*)')
-      .limit(1);
-
-    if (error && error.code === 'PGRST116') {
-      console.log('pdf_chunks table does not exist. Please create it in Supabase.');
-      console.log('Required SQL:');
-      console.log(`
-        CREATE TABLE pdf_chunks (
-          id BIGSERIAL PRIMARY KEY,
-          pdf_id TEXT NOT NULL,
-          page INTEGER NOT NULL,
-          text TEXT NOT NULL,
-          embedding VECTOR(4096),
-          chunk_index INTEGER,
-          created_at TIMESTAMPTZ DEFAULT NOW()
-        );
-
-        CREATE INDEX idx_pdf_chunks_pdf_id ON pdf_chunks(pdf_id);
-        CREATE INDEX idx_pdf_chunks_page ON pdf_chunks(page);
-        
-        -- Create vector similarity search function
-        CREATE OR REPLACE FUNCTION search_pdf_chunks(
-          query_embedding VECTOR(4096),
-          pdf_id_filter TEXT,
-          match_threshold FLOAT DEFAULT 0.1,
-          match_count INT DEFAULT 5
-        )
-        RETURNS TABLE (
-          id BIGINT,
-          pdf_id TEXT,
-          page INTEGER,
-          text TEXT,
-          chunk_index INTEGER,
-          similarity FLOAT
-        )
-        LANGUAGE plpgsql
-        AS $$
-        BEGIN
-          RETURN QUERY
-          SELECT
-            pc.id,
-            pc.pdf_id,
-            pc.page,
-            pc.text,
-            pc.chunk_index,
-            1 - (pc.embedding <=> query_embedding) AS similarity
-          FROM pdf_chunks pc
-          WHERE pc.pdf_id = pdf_id_filter
-            AND 1 - (pc.embedding <=> query_embedding) > match_threshold
-          ORDER BY pc.embedding <=> query_embedding
-          LIMIT match_count;
-        END;
-        $$;
-      `);
-      return false;
-    }
-
-    console.log('Database connection successful');
+    // Counting the chunks of a PDF that doesn't exist touches pdf_chunks without reading rows
+    await db.pdfChunks.countByPdf('connection-check');
+    console.log(`Database connection successful (${getDatabase().name})`);
     return true;
   } catch (error) {
-    console.error('Database initialization error:', error);
+    console.error('Database initialization error:', error.message);
+    console.log('Check that the migrations in server/database have been applied (see database/README.md).');
     return false;
   }
 }
@@ -325,9 +342,12 @@ export {
   generateEmbeddingsBatch,
   storePDFChunks,
   searchSimilarChunks,
+  searchSimilarChunksMulti,
+  storeLexicalIndex,
+  searchLexicalChunks,
+  deleteLexicalIndex,
   deletePDFChunks,
   getPDFChunksCount,
   validateChunkData,
-  initializeDatabase,
-  supabase
+  initializeDatabase
 };
\ No newline at end of file
@@ -5,6 +5,7 @@ import multer from 'multer'
 import { config, paths } from '../config/index.js'
 import fs from 'fs'
 import { requireAuth, optionalAuth } from './auth.js'
+import { localUploadPrefix } from './ownership.js'
 
 // Ensure uploads directory exists
 if (!fs.existsSync(config.uploadsDir)) {
@@ -16,7 +17,9 @@ const corsOptions = {
   origin: config.nodeEnv === 'production' 
     ? ['https://beyondchats-revision-app.vercel.app'] // Remove trailing slash
     : ['http://localhost:3000', 'http://localhost:5173'], // Common dev ports
-  credentials: true
+  credentials: true,
+  // Questions a quiz export had to leave out; byte ranges for the PDF viewer
+  exposedHeaders: ['X-Export-Skipped', 'Accept-Ranges', 'Content-Range', 'Content-Length']
 }
 
 // Multer configuration for file uploads
@@ -25,8 +28,10 @@ const storage = multer.diskStorage({
     cb(null, config.uploadsDir)
   },
   filename: (req, file, cb) => {
+    // Prefixed with the uploader so their local files can be told apart
+    const owner = req.user ? localUploadPrefix(req.user.id) : ''
     const uniqueSuffix = Date.now() + '-' + file.originalname
-    cb(null, uniqueSuffix)
+    cb(null, owner + uniqueSuffix)
   }
 })
 
@@ -61,9 +66,6 @@ export function configureMiddleware(app) {
   app.set('requireAuth', requireAuth)
   app.set('optionalAuth', optionalAuth)
   
-  // Static file serving for uploads
-  app.use('/uploads', express.static(config.uploadsDir))
-  
   // Request logging in development
   if (config.nodeEnv === 'development') {
     app.use((req, res, next) => {
@@ -0,0 +1,197 @@
+// Ownership checks for user data, used after requireAuth on every route that touches it
+import fs from 'fs'
+import { db } from '../repositories/index.js'
+
+/*
+ * The acting user is always req.user, set by requireAuth from the session
+ * token. Ids in the query, body or path only say *which* chat, PDF, quiz or
+ * attempt is meant; the checks below make sure it belongs to req.user. Someone
+ * else's resource gets the same 404 as a missing one, so ids can't be probed.
+ */
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+
+// Where older clients still name the user themselves
+const CLAIMED_USER_FIELDS = [
+  req => req.query?.userId,
+  req => req.body?.userId,
+  req => req.body?.user_id
+]
+
+/**
+ * Whether a row (quiz, attempt, PDF, ...) belongs to the user
+ */
+export function isOwnedBy(record, userId) {
+  return Boolean(record && userId && record.user_id === userId)
+}
+
+/**
+ * A PDF of the user's, or null
+ */
+export async function findOwnedPdf(userId, pdfId) {
+  if (typeof pdfId !== 'string' || !uuidRegex.test(pdfId)) return null
+  const pdf = await db.pdfFiles.findById(pdfId, { columns: 'id, user_id, file_name, original_name, file_url, processing_status' })
+  return isOwnedBy(pdf, userId) ? pdf : null
+}
+
+/**
+ * Whether every one of the PDFs belongs to the user
+ */
+export async function ownsAllPdfs(userId, pdfIds) {
+  const ids = [...new Set(pdfIds)]
+  if (ids.some(id => typeof id !== 'string' || !uuidRegex.test(id))) return false
+  if (ids.length === 0) return true
+
+  const owned = await db.pdfFiles.listByUser(userId, { ids, columns: 'id' })
+  return owned.length === ids.length
+}
+
+/**
+ * Name prefix of a user's files in the local uploads directory
+ */
+export function localUploadPrefix(userId) {
+  return `${userId}-`
+}
+
+/**
+ * Whether a local upload (by file name) was made by the user
+ */
+export function ownsLocalUpload(userId, fileName) {
+  return Boolean(userId && typeof fileName === 'string' &&
+    fileName.startsWith(localUploadPrefix(userId)) && !/[\\/]|\.\./.test(fileName))
+}
+
+/**
+ * Owner of a chat session: { exists, owned }
+ */
+export async function findChatOwnership(userId, chatId) {
+  if (typeof chatId !== 'string' || !uuidRegex.test(chatId)) return { exists: false, owned: false }
+  const chat = await db.chatSessions.findById(chatId, { columns: 'id, user_id' })
+  return { exists: Boolean(chat), owned: isOwnedBy(chat, userId) }
+}
+
+// Wrap an async check so a failed lookup answers 500 instead of leaking through
+function ownershipMiddleware(description, check) {
+  return async (req, res, next) => {
+    try {
+      await check(req, res, next)
+    } catch (error) {
+      console.error(`${description} ownership check error:`, error)
+      res.status(500).json({ error: `Failed to verify ${description} access` })
+    }
+  }
+}
+
+/**
+ * Reject requests that name a user other than the signed-in one
+ * Multipart fields are only read once multer has saved the upload, so a refused
+ * request's file is deleted again.
+ * @param {Function[]} locators - Where the request names a user (defaults to the userId / user_id fields)
+ */
+export function requireSelf(...locators) {
+  const fields = locators.length > 0 ? locators : CLAIMED_USER_FIELDS
+
+  return (req, res, next) => {
+    const claimed = fields.map(locate => locate(req)).filter(id => id !== undefined && id !== null && id !== '')
+    if (!req.user?.id || claimed.some(id => id !== req.user.id)) {
+      if (req.file?.path) fs.rmSync(req.file.path, { force: true })
+      return res.status(403).json({ error: 'You can only access your own data' })
+    }
+    next()
+  }
+}
+
+/**
+ * Require a PDF the user owns; the row is left on req.pdf
+ * @param {Function} locate - req => pdfId
+ * @param {Object} options - { optional } to let requests without a pdfId through
+ */
+export function requireOwnedPdf(locate, { optional = false } = {}) {
+  return ownershipMiddleware('PDF', async (req, res, next) => {
+    const pdfId = locate(req)
+    if (!pdfId) {
+      return optional ? next() : res.status(400).json({ error: 'pdfId is required' })
+    }
+
+    const pdf = await findOwnedPdf(req.user.id, pdfId)
+    if (!pdf) {
+      return res.status(404).json({ error: 'PDF not found' })
+    }
+
+    req.pdf = pdf
+    next()
+  })
+}
+
+/**
+ * Require that every PDF a request names (single id and/or list) is the user's
+ * @param {Function} locate - req => array of pdfIds (missing entries are ignored)
+ */
+export function requireOwnedPdfs(locate) {
+  return ownershipMiddleware('PDF', async (req, res, next) => {
+    const pdfIds = (locate(req) || []).filter(Boolean)
+    if (!await ownsAllPdfs(req.user.id, pdfIds)) {
+      return res.status(404).json({ error: 'PDF not found' })
+    }
+    next()
+  })
+}
+
+/**
+ * Require a chat session the user owns
+ * @param {Function} locate - req => chatId
+ * @param {Object} options - { allowNew } to accept ids no chat uses yet (the first message creates it)
+ */
+export function requireOwnedChat(locate, { allowNew = false } = {}) {
+  return ownershipMiddleware('chat', async (req, res, next) => {
+    const chatId = locate(req)
+    if (!chatId) {
+      return res.status(400).json({ error: 'chatId is required' })
+    }
+    if (typeof chatId !== 'string' || !uuidRegex.test(chatId)) {
+      return res.status(400).json({ error: 'Invalid chat ID format' })
+    }
+
+    const { exists, owned } = await findChatOwnership(req.user.id, chatId)
+    if (owned || (!exists && allowNew)) {
+      return next()
+    }
+
+    res.status(404).json({ error: 'Chat not found or access denied' })
+  })
+}
+
+/**
+ * Require a quiz attempt the user owns; the row is left on req.attempt
+ * @param {Function} locate - req => attemptId
+ */
+export function requireOwnedAttempt(locate) {
+  return ownershipMiddleware('attempt', async (req, res, next) => {
+    const attemptId = locate(req)
+    if (!attemptId || !uuidRegex.test(attemptId)) {
+      return res.status(400).json({ success: false, error: 'Invalid attempt ID format' })
+    }
+
+    const attempt = await db.quizAttempts.findById(attemptId)
+    if (!isOwnedBy(attempt, req.user.id)) {
+      return res.status(404).json({ success: false, error: 'Quiz attempt not found' })
+    }
+
+    req.attempt = attempt
+    next()
+  })
+}
+
+export default {
+  isOwnedBy,
+  findOwnedPdf,
+  ownsAllPdfs,
+  localUploadPrefix,
+  ownsLocalUpload,
+  findChatOwnership,
+  requireSelf,
+  requireOwnedPdf,
+  requireOwnedPdfs,
+  requireOwnedChat,
+  requireOwnedAttempt
+}
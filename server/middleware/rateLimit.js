@@ -0,0 +1,151 @@
+// Per-user rate limits and the daily AI token budget, used after requireAuth on the AI routes
+import { config } from '../config/index.js'
+import { getDailyUsage, runWithUsageScope } from '../services/usageService.js'
+
+const WINDOW_MS = 60 * 1000
+
+// Each route class has its own per-minute budget per user; limits are read from config on every request
+export const ROUTE_CLASSES = {
+  chat: { label: 'Chat messages', limit: () => config.rateLimitChat },
+  generation: { label: 'Quiz and flashcard generation', limit: () => config.rateLimitGeneration },
+  grading: { label: 'Quiz grading', limit: () => config.rateLimitGrading },
+  retrieval: { label: 'Search and text extraction', limit: () => config.rateLimitRetrieval }
+}
+
+// `${routeClass}:${userId}` -> timestamps of the requests in the last minute
+const requestLog = new Map()
+
+function recentRequests(key, now) {
+  const recent = (requestLog.get(key) || []).filter(time => time > now - WINDOW_MS)
+  if (recent.length > 0) {
+    requestLog.set(key, recent)
+  } else {
+    requestLog.delete(key)
+  }
+  return recent
+}
+
+// Seconds until a request (of a full window) is allowed again, at least 1
+function secondsUntil(time, now) {
+  return Math.max(1, Math.ceil((time - now) / 1000))
+}
+
+/**
+ * Requests left for a user in a route class over the last minute
+ * @returns {{routeClass: string, label: string, limit: number|null, used: number, remaining: number|null, resetsAt: string|null}}
+ */
+export function rateLimitStatus(routeClass, userId, now = Date.now()) {
+  const { label, limit } = ROUTE_CLASSES[routeClass]
+  const configured = limit()
+  const max = configured > 0 ? configured : null
+  const recent = recentRequests(`${routeClass}:${userId}`, now)
+
+  return {
+    routeClass,
+    label,
+    limit: max,
+    used: recent.length,
+    remaining: max === null ? null : Math.max(0, max - recent.length),
+    resetsAt: recent.length > 0 ? new Date(recent[0] + WINDOW_MS).toISOString() : null
+  }
+}
+
+/**
+ * Count a request against the user's limit for a route class
+ * @returns {{allowed: boolean, limit: number|null, remaining: number|null, retryAfter: number}}
+ *   retryAfter is in seconds and only set when the request is refused
+ */
+export function takeRequest(routeClass, userId, now = Date.now()) {
+  const limit = ROUTE_CLASSES[routeClass].limit()
+  if (!(limit > 0)) {
+    return { allowed: true, limit: null, remaining: null, retryAfter: 0 }
+  }
+
+  const key = `${routeClass}:${userId}`
+  const recent = recentRequests(key, now)
+  if (recent.length >= limit) {
+    // Sliding window: the oldest request in it has to age out first
+    return { allowed: false, limit, remaining: 0, retryAfter: secondsUntil(recent[recent.length - limit] + WINDOW_MS, now) }
+  }
+
+  recent.push(now)
+  requestLog.set(key, recent)
+  return { allowed: true, limit, remaining: limit - recent.length, retryAfter: 0 }
+}
+
+/**
+ * Limit a user's requests per minute in a route class (chat, generation, grading, retrieval)
+ */
+export function rateLimit(routeClass) {
+  if (!ROUTE_CLASSES[routeClass]) {
+    throw new Error(`Unknown rate limit class: ${routeClass}`)
+  }
+
+  return (req, res, next) => {
+    const { allowed, limit, remaining, retryAfter } = takeRequest(routeClass, req.user.id)
+
+    if (limit !== null) {
+      res.set('X-RateLimit-Limit', String(limit))
+      res.set('X-RateLimit-Remaining', String(remaining))
+    }
+
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfter))
+      return res.status(429).json({
+        error: `Too many requests: ${ROUTE_CLASSES[routeClass].label.toLowerCase()} are limited to ${limit} per minute`,
+        retryAfter
+      })
+    }
+
+    next()
+  }
+}
+
+/**
+ * Refuse AI requests once the user's daily token budget is spent, and charge the
+ * model calls made while handling the request to that user
+ */
+export async function requireTokenBudget(req, res, next) {
+  let usage
+  try {
+    usage = await getDailyUsage(req.user.id)
+  } catch (error) {
+    // Budget bookkeeping never takes the AI routes down
+    console.error('Token budget check error:', error)
+    return runWithUsageScope(req.user.id, next)
+  }
+
+  if (usage.remaining === 0) {
+    const retryAfter = secondsUntil(new Date(usage.resetsAt).getTime(), Date.now())
+    res.set('Retry-After', String(retryAfter))
+    return res.status(429).json({
+      error: 'Daily AI usage limit reached; it resets at midnight UTC',
+      retryAfter,
+      usage
+    })
+  }
+
+  runWithUsageScope(req.user.id, next)
+}
+
+/**
+ * Forget every user's recent requests (tests)
+ */
+export function resetRateLimits() {
+  requestLog.clear()
+}
+
+// Drop users who have gone quiet
+setInterval(() => {
+  const now = Date.now()
+  for (const key of requestLog.keys()) recentRequests(key, now)
+}, WINDOW_MS).unref()
+
+export default {
+  ROUTE_CLASSES,
+  rateLimitStatus,
+  takeRequest,
+  rateLimit,
+  requireTokenBudget,
+  resetRateLimits
+}
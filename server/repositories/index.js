@@ -0,0 +1,101 @@
+/**
+ * Database Access Layer
+ *
+ * Routes and services read and write every table through `db` instead of calling
+ * the Supabase client. The driver is selected with `config.databaseDriver`:
+ *
+ * - supabase: the Supabase Postgres database with pgvector (default)
+ * - sqlite:   a local SQLite file (`config.sqlitePath`, or ':memory:'), with
+ *             vector search done in-process; needs no external services
+ *
+ * Every driver exposes the same repositories, with methods that resolve to plain
+ * rows (null when a single row is missing) and throw on database errors:
+ *   users          findById, upsert, update
+ *   pdfFiles       create, findById, findByIds, listByUser, update, delete
+ *   pdfChunks      insert, listByPdf, findByIds, countByPdf, deleteByPdf, searchSimilar, searchSimilarMulti
+ *   lexicalIndexes findByPdf, save, deleteByPdf
+ *   chatSessions   findById, create, update, listByUser, delete
+ *   chatMessages   insert, listByChat, deleteByChat
+ *   quizAttempts   create, findById, findByQuiz, listByUser
+ *   quizzes        create, findById, update
+ *   flashcards     insert, listDue, findById, update, listByUser, delete
+ *   flashcardReviews insert, listByUser
+ *   topicMastery   listByUser, upsert
+ *   processingJobs create, claimNext, update, updateByPdf, findLatestByPdf
+ *   aiUsage        addTokens, findDaily
+ */
+
+import { config } from '../config/index.js'
+import { createSupabaseRepositories } from './supabaseRepositories.js'
+import { createSqliteRepositories } from './sqliteRepositories.js'
+
+// Driver registry - created on first use
+const driverFactories = {
+  supabase: () => createSupabaseRepositories(),
+  sqlite: () => createSqliteRepositories(config.sqlitePath)
+}
+
+let activeDriver = null
+
+/**
+ * Register an additional driver factory under a name usable in DATABASE_DRIVER
+ */
+export function registerDatabaseDriver(name, factory) {
+  driverFactories[name] = factory
+}
+
+/**
+ * Switch the active driver (by registry name or repositories object). Mainly for tests.
+ */
+export function setDatabaseDriver(nameOrDriver) {
+  if (typeof nameOrDriver === 'string') {
+    const factory = driverFactories[nameOrDriver]
+    if (!factory) {
+      throw new Error(`Unknown database driver: ${nameOrDriver}`)
+    }
+    activeDriver = factory()
+  } else {
+    activeDriver = nameOrDriver
+  }
+  return activeDriver
+}
+
+/**
+ * Get the active driver, creating it from config on first use
+ */
+export function getDatabase() {
+  if (!activeDriver) {
+    setDatabaseDriver(config.databaseDriver)
+  }
+  return activeDriver
+}
+
+/**
+ * Whether stored PDFs can be searched: always for a local driver, and for Supabase
+ * once its URL and key are set (otherwise callers use the sample store in data/)
+ */
+export function isDatabaseConfigured() {
+  const driver = activeDriver?.name || config.databaseDriver
+  return driver !== 'supabase' || Boolean(config.supabaseUrl && config.supabaseKey)
+}
+
+/**
+ * The active driver's repositories, e.g. `await db.pdfFiles.findById(id)`
+ */
+export const db = {
+  get users() { return getDatabase().users },
+  get pdfFiles() { return getDatabase().pdfFiles },
+  get pdfChunks() { return getDatabase().pdfChunks },
+  get lexicalIndexes() { return getDatabase().lexicalIndexes },
+  get chatSessions() { return getDatabase().chatSessions },
+  get chatMessages() { return getDatabase().chatMessages },
+  get quizAttempts() { return getDatabase().quizAttempts },
+  get quizzes() { return getDatabase().quizzes },
+  get flashcards() { return getDatabase().flashcards },
+  get flashcardReviews() { return getDatabase().flashcardReviews },
+  get topicMastery() { return getDatabase().topicMastery },
+  get processingJobs() { return getDatabase().processingJobs },
+  get aiUsage() { return getDatabase().aiUsage }
+}
+
+export default db
@@ -0,0 +1,768 @@
+/**
+ * Repositories backed by a local SQLite file (better-sqlite3)
+ *
+ * For offline development and integration tests: same tables and row shapes as
+ * the Supabase schema, no external services. JSON columns are stored as text,
+ * booleans as 0/1 and embeddings as float32 blobs. Vector search runs in this
+ * process over each PDF's embeddings, which are loaded once and cached.
+ */
+
+import fs from 'fs'
+import { dirname } from 'path'
+import { randomUUID } from 'crypto'
+import { createRequire } from 'module'
+import { cosineSimilarity } from '../utils/vectorStorage.js'
+
+// Current time in the format toISOString() writes, so stored timestamps compare as text
+const NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`
+
+// Mirrors the tables in database/*.sql that the repositories cover; no RLS or cascades
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  full_name TEXT,
+  avatar_url TEXT,
+  created_at TEXT,
+  updated_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS pdf_files (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  file_name TEXT NOT NULL,
+  original_name TEXT,
+  file_url TEXT,
+  file_size INTEGER,
+  mime_type TEXT DEFAULT 'application/pdf',
+  processing_status TEXT DEFAULT 'pending',
+  processing_stage TEXT,
+  total_pages INTEGER,
+  total_chunks INTEGER DEFAULT 0,
+  ocr_pages_total INTEGER DEFAULT 0,
+  ocr_pages_done INTEGER DEFAULT 0,
+  ocr_confidence REAL,
+  ocr_error TEXT,
+  error_message TEXT,
+  metadata TEXT,
+  created_at TEXT,
+  updated_at TEXT,
+  processed_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_pdf_files_user_id ON pdf_files(user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS pdf_chunks (
+  id TEXT PRIMARY KEY,
+  pdf_id TEXT NOT NULL,
+  user_id TEXT,
+  page INTEGER NOT NULL,
+  text TEXT NOT NULL,
+  embedding BLOB,
+  chunk_index INTEGER,
+  metadata TEXT,
+  created_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_pdf_chunks_pdf_id ON pdf_chunks(pdf_id, chunk_index);
+
+CREATE TABLE IF NOT EXISTS pdf_lexical_index (
+  pdf_id TEXT PRIMARY KEY,
+  "index" TEXT NOT NULL,
+  chunk_count INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT,
+  updated_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS chat_sessions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  title TEXT,
+  pdf_id TEXT,
+  pdf_ids TEXT,
+  use_library INTEGER DEFAULT 0,
+  created_at TEXT,
+  updated_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_user_id ON chat_sessions(user_id, updated_at);
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id TEXT PRIMARY KEY,
+  chat_id TEXT NOT NULL,
+  content TEXT NOT NULL,
+  is_user INTEGER NOT NULL DEFAULT 1,
+  "timestamp" TEXT,
+  created_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_chat_id ON chat_messages(chat_id, "timestamp");
+
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  quiz_id TEXT NOT NULL,
+  topic TEXT,
+  score INTEGER NOT NULL DEFAULT 0,
+  total INTEGER NOT NULL DEFAULT 0,
+  percentage REAL GENERATED ALWAYS AS (CASE WHEN total > 0 THEN ROUND(score * 100.0 / total, 2) ELSE 0 END) VIRTUAL,
+  feedback TEXT,
+  quiz_data TEXT,
+  user_answers TEXT,
+  topic_scores TEXT,
+  time_taken INTEGER,
+  completed_at TEXT,
+  created_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user_id ON quiz_attempts(user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS quizzes (
+  id TEXT PRIMARY KEY,
+  user_id TEXT,
+  pdf_id TEXT,
+  questions TEXT NOT NULL,
+  results TEXT,
+  submitted_at TEXT,
+  mode TEXT NOT NULL DEFAULT 'practice',
+  time_limit_seconds INTEGER,
+  started_at TEXT,
+  deadline_at TEXT,
+  draft_answers TEXT,
+  draft_saved_at TEXT,
+  created_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_quizzes_user_id ON quizzes(user_id);
+
+CREATE TABLE IF NOT EXISTS flashcards (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  pdf_id TEXT,
+  front TEXT NOT NULL,
+  back TEXT NOT NULL,
+  origin TEXT NOT NULL DEFAULT 'pdf',
+  source_page INTEGER,
+  source_chunk_id TEXT,
+  ease REAL NOT NULL DEFAULT 2.5,
+  interval_days REAL NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  lapses INTEGER NOT NULL DEFAULT 0,
+  due_at TEXT NOT NULL DEFAULT (${NOW}),
+  last_reviewed_at TEXT,
+  created_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_due ON flashcards(user_id, due_at);
+
+CREATE TABLE IF NOT EXISTS flashcard_reviews (
+  id TEXT PRIMARY KEY,
+  card_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  grade TEXT NOT NULL,
+  interval_days REAL NOT NULL,
+  reviewed_at TEXT DEFAULT (${NOW})
+);
+CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_user ON flashcard_reviews(user_id, reviewed_at);
+
+CREATE TABLE IF NOT EXISTS topic_mastery (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  pdf_id TEXT NOT NULL,
+  topic TEXT NOT NULL,
+  mastery REAL NOT NULL DEFAULT 0.5,
+  questions INTEGER NOT NULL DEFAULT 0,
+  last_score REAL,
+  updated_at TEXT,
+  UNIQUE (user_id, pdf_id, topic)
+);
+
+CREATE TABLE IF NOT EXISTS pdf_processing_jobs (
+  id TEXT PRIMARY KEY,
+  pdf_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  storage_path TEXT,
+  local_path TEXT,
+  status TEXT NOT NULL DEFAULT 'queued',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_after TEXT NOT NULL DEFAULT (${NOW}),
+  locked_by TEXT,
+  heartbeat_at TEXT,
+  progress TEXT DEFAULT '{}',
+  last_error TEXT,
+  created_at TEXT,
+  updated_at TEXT,
+  completed_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_pdf_processing_jobs_ready ON pdf_processing_jobs(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_pdf_processing_jobs_pdf ON pdf_processing_jobs(pdf_id);
+
+CREATE TABLE IF NOT EXISTS ai_usage_daily (
+  user_id TEXT NOT NULL,
+  day TEXT NOT NULL,
+  tokens INTEGER NOT NULL DEFAULT 0,
+  completions INTEGER NOT NULL DEFAULT 0,
+  updated_at TEXT,
+  PRIMARY KEY (user_id, day)
+);
+`
+
+// Columns that aren't stored as-is
+const ENCODED_COLUMNS = {
+  pdf_files: { metadata: 'json' },
+  pdf_chunks: { metadata: 'json', embedding: 'vector' },
+  pdf_lexical_index: { index: 'json' },
+  chat_sessions: { pdf_ids: 'json', use_library: 'boolean' },
+  chat_messages: { is_user: 'boolean' },
+  quiz_attempts: { quiz_data: 'json', user_answers: 'json', topic_scores: 'json' },
+  quizzes: { questions: 'json', results: 'json', draft_answers: 'json' },
+  pdf_processing_jobs: { progress: 'json' }
+}
+
+// Operators accepted in { column: { operator: value } } filters
+const COMPARISONS = { lt: '<', lte: '<=', gte: '>=', neq: '!=' }
+
+const quote = column => `"${column}"`
+
+function encodeVector(value) {
+  // pgvector takes '[0.1, ...]' strings as well as arrays; accept both
+  const values = typeof value === 'string' ? JSON.parse(value) : value
+  return Buffer.from(new Float32Array(values).buffer)
+}
+
+function decodeVector(blob) {
+  return new Float32Array(new Uint8Array(blob).buffer)
+}
+
+function encodeValue(type, value) {
+  if (value === undefined || value === null) return null
+  if (type === 'json') return JSON.stringify(value)
+  if (type === 'boolean') return value ? 1 : 0
+  if (type === 'vector') return encodeVector(value)
+  return value
+}
+
+function decodeValue(type, value) {
+  if (value === null) return null
+  if (type === 'json') return JSON.parse(value)
+  if (type === 'boolean') return value === 1
+  if (type === 'vector') return Array.from(decodeVector(value))
+  return value
+}
+
+/**
+ * Row access for one table: the subset of the Supabase query builder the repositories need
+ */
+function createTable(database, name) {
+  const encoded = ENCODED_COLUMNS[name] || {}
+  const columns = database.pragma(`table_xinfo(${name})`)
+  // Generated columns (hidden = 2 or 3) can be read but not written
+  const writable = new Set(columns.filter(column => column.hidden === 0).map(column => column.name))
+  const readable = new Set(columns.map(column => column.name))
+
+  const selectList = (selection = '*') => {
+    if (selection === '*') return '*'
+    return selection.split(',').map(column => {
+      const trimmed = column.trim()
+      if (!readable.has(trimmed)) throw new Error(`Unknown column ${name}.${trimmed}`)
+      return quote(trimmed)
+    }).join(', ')
+  }
+
+  const encodeRow = row => {
+    const entries = Object.entries(row).filter(([, value]) => value !== undefined)
+    for (const [column] of entries) {
+      if (!writable.has(column)) throw new Error(`Unknown column ${name}.${column}`)
+    }
+    return Object.fromEntries(entries.map(([column, value]) => [column, encodeValue(encoded[column], value)]))
+  }
+
+  const decodeRow = row => row && Object.fromEntries(
+    Object.entries(row).map(([column, value]) => [column, decodeValue(encoded[column], value)])
+  )
+
+  // { column: value | [values] | { lte, gte, lt, neq, isNull } } -> WHERE clause
+  const whereClause = (filters = {}) => {
+    const clauses = []
+    const params = []
+
+    for (const [column, condition] of Object.entries(filters)) {
+      if (condition === undefined) continue
+      if (!readable.has(column)) throw new Error(`Unknown column ${name}.${column}`)
+
+      if (Array.isArray(condition)) {
+        clauses.push(condition.length > 0 ? `${quote(column)} IN (${condition.map(() => '?').join(', ')})` : '0')
+        params.push(...condition)
+      } else if (condition !== null && typeof condition === 'object') {
+        for (const [operator, value] of Object.entries(condition)) {
+          if (operator === 'isNull') {
+            clauses.push(`${quote(column)} IS ${value ? '' : 'NOT '}NULL`)
+          } else if (COMPARISONS[operator]) {
+            clauses.push(`${quote(column)} ${COMPARISONS[operator]} ?`)
+            params.push(encodeValue(encoded[column], value))
+          } else {
+            throw new Error(`Unknown filter ${operator} on ${name}.${column}`)
+          }
+        }
+      } else {
+        clauses.push(`${quote(column)} = ?`)
+        params.push(encodeValue(encoded[column], condition))
+      }
+    }
+
+    return { sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '', params }
+  }
+
+  // New rows get the defaults Postgres would fill in
+  const withDefaults = row => {
+    const now = new Date().toISOString()
+    return {
+      ...(writable.has('id') ? { id: randomUUID() } : {}),
+      ...(writable.has('created_at') ? { created_at: now } : {}),
+      ...(writable.has('updated_at') ? { updated_at: now } : {}),
+      ...row
+    }
+  }
+
+  const table = {
+    select(filters, { columns = '*', order, ascending = true, limit, offset } = {}) {
+      const where = whereClause(filters)
+      let sql = `SELECT ${selectList(columns)} FROM ${name}${where.sql}`
+      if (order) sql += ` ORDER BY ${quote(order)} ${ascending ? 'ASC' : 'DESC'}`
+      if (limit || offset) sql += ` LIMIT ${Number(limit) || -1} OFFSET ${Number(offset) || 0}`
+      return database.prepare(sql).all(...where.params).map(decodeRow)
+    },
+
+    selectOne(filters, options) {
+      return table.select(filters, { ...options, limit: 1 })[0] || null
+    },
+
+    count(filters) {
+      const where = whereClause(filters)
+      return database.prepare(`SELECT COUNT(*) AS count FROM ${name}${where.sql}`).get(...where.params).count
+    },
+
+    insert(rows, { key = 'id' } = {}) {
+      const inserted = database.transaction(() => rows.map(row => {
+        const values = encodeRow(withDefaults(row))
+        const names = Object.keys(values)
+        database.prepare(`INSERT INTO ${name} (${names.map(quote).join(', ')}) VALUES (${names.map(() => '?').join(', ')})`)
+          .run(...Object.values(values))
+        return values[key]
+      }))()
+      return inserted
+    },
+
+    // Insert, or update the given columns of the row with the same `key` ('a,b' for a composite key)
+    upsert(row, key) {
+      const keys = key.split(',').map(column => column.trim())
+      const values = encodeRow(withDefaults(row))
+      const names = Object.keys(values)
+      const updates = Object.keys(row).filter(column => !keys.includes(column) && row[column] !== undefined)
+      const onConflict = updates.length > 0
+        ? `DO UPDATE SET ${updates.map(column => `${quote(column)} = excluded.${quote(column)}`).join(', ')}`
+        : 'DO NOTHING'
+
+      database.prepare(
+        `INSERT INTO ${name} (${names.map(quote).join(', ')}) VALUES (${names.map(() => '?').join(', ')}) ` +
+        `ON CONFLICT(${keys.map(quote).join(', ')}) ${onConflict}`
+      ).run(...Object.values(values))
+
+      return table.selectOne(Object.fromEntries(keys.map(column => [column, row[column] ?? values[column]])))
+    },
+
+    update(filters, values) {
+      const encodedValues = encodeRow(values)
+      const names = Object.keys(encodedValues)
+      if (names.length === 0) return 0
+
+      const where = whereClause(filters)
+      return database.prepare(`UPDATE ${name} SET ${names.map(column => `${quote(column)} = ?`).join(', ')}${where.sql}`)
+        .run(...Object.values(encodedValues), ...where.params).changes
+    },
+
+    delete(filters) {
+      const where = whereClause(filters)
+      return database.prepare(`DELETE FROM ${name}${where.sql}`).run(...where.params).changes
+    }
+  }
+
+  return table
+}
+
+/**
+ * Embeddings of each searched PDF, kept in memory until its chunks change
+ */
+function createVectorIndex(database) {
+  const vectorsByPdf = new Map()
+  const loadVectors = database.prepare('SELECT id, embedding FROM pdf_chunks WHERE pdf_id = ? AND embedding IS NOT NULL')
+
+  const vectorsOf = pdfId => {
+    if (!vectorsByPdf.has(pdfId)) {
+      vectorsByPdf.set(pdfId, loadVectors.all(pdfId).map(row => ({ id: row.id, vector: decodeVector(row.embedding) })))
+    }
+    return vectorsByPdf.get(pdfId)
+  }
+
+  return {
+    // Best matches above the threshold: [{ id, similarity }]
+    search(pdfId, embedding, { threshold, limit }) {
+      return vectorsOf(pdfId)
+        .map(({ id, vector }) => ({ id, similarity: cosineSimilarity(embedding, vector) }))
+        .filter(match => match.similarity > threshold)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit)
+    },
+
+    invalidate(pdfId) {
+      vectorsByPdf.delete(pdfId)
+    }
+  }
+}
+
+/**
+ * @param {string} filename - Database file, or ':memory:'
+ * @returns {Object} The repositories, keyed like `db` in repositories/index.js
+ */
+export function createSqliteRepositories(filename) {
+  // Loaded here so the native module is only needed when this driver is selected
+  const Database = createRequire(import.meta.url)('better-sqlite3')
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(dirname(filename), { recursive: true })
+  }
+
+  const database = new Database(filename)
+  database.pragma('journal_mode = WAL')
+  database.exec(SCHEMA)
+
+  const tables = Object.fromEntries(
+    [
+      'users', 'pdf_files', 'pdf_chunks', 'pdf_lexical_index', 'chat_sessions', 'chat_messages', 'quiz_attempts',
+      'quizzes', 'flashcards', 'flashcard_reviews', 'topic_mastery', 'pdf_processing_jobs', 'ai_usage_daily'
+    ].map(name => [name, createTable(database, name)])
+  )
+  const vectorIndex = createVectorIndex(database)
+
+  const chunkSearchColumns = 'id, pdf_id, page, text, chunk_index, metadata'
+
+  const searchPdf = (pdfId, embedding, options) => {
+    const matches = vectorIndex.search(pdfId, embedding, options)
+    const rows = new Map(tables.pdf_chunks.select({ id: matches.map(match => match.id) }, { columns: chunkSearchColumns })
+      .map(row => [row.id, row]))
+    return matches.filter(match => rows.has(match.id)).map(match => ({ ...rows.get(match.id), similarity: match.similarity }))
+  }
+
+  const users = {
+    async findById(id, { columns } = {}) {
+      return tables.users.selectOne({ id }, { columns })
+    },
+
+    async upsert(profile, { onConflict = 'id' } = {}) {
+      return tables.users.upsert(profile, onConflict)
+    },
+
+    async update(id, values) {
+      tables.users.update({ id }, values)
+      return tables.users.selectOne({ id })
+    }
+  }
+
+  const pdfFiles = {
+    async create(row) {
+      const [id] = tables.pdf_files.insert([row])
+      return tables.pdf_files.selectOne({ id })
+    },
+
+    async findById(id, { columns } = {}) {
+      return tables.pdf_files.selectOne({ id }, { columns })
+    },
+
+    async findByIds(ids, { columns } = {}) {
+      return tables.pdf_files.select({ id: ids }, { columns })
+    },
+
+    async listByUser(userId, { ids, status, limit, columns } = {}) {
+      return tables.pdf_files.select(
+        { user_id: userId, id: ids, processing_status: status },
+        { columns, order: 'created_at', ascending: false, limit }
+      )
+    },
+
+    async update(id, values) {
+      tables.pdf_files.update({ id }, values)
+    },
+
+    async delete(id, userId) {
+      tables.pdf_files.delete({ id, user_id: userId })
+    }
+  }
+
+  const pdfChunks = {
+    async insert(rows, { columns = 'id, pdf_id, page, chunk_index' } = {}) {
+      const ids = tables.pdf_chunks.insert(rows)
+      new Set(rows.map(row => row.pdf_id)).forEach(vectorIndex.invalidate)
+      // Matched back to the insert order by id, which the caller may not have asked for
+      const withId = columns.split(',').some(column => column.trim() === 'id') ? columns : `id, ${columns}`
+      const stored = new Map(tables.pdf_chunks.select({ id: ids }, { columns: withId }).map(row => [row.id, row]))
+      return ids.map(id => stored.get(id))
+    },
+
+    async listByPdf(pdfId, { columns = chunkSearchColumns, maxPage, limit } = {}) {
+      return tables.pdf_chunks.select(
+        { pdf_id: pdfId, page: maxPage === undefined ? undefined : { lte: maxPage } },
+        { columns, order: 'chunk_index', limit }
+      )
+    },
+
+    async findByIds(ids, { columns = chunkSearchColumns } = {}) {
+      return tables.pdf_chunks.select({ id: ids }, { columns })
+    },
+
+    async countByPdf(pdfId) {
+      return tables.pdf_chunks.count({ pdf_id: pdfId })
+    },
+
+    async deleteByPdf(pdfId) {
+      tables.pdf_chunks.delete({ pdf_id: pdfId })
+      vectorIndex.invalidate(pdfId)
+    },
+
+    async searchSimilar(pdfId, embedding, { threshold = 0.1, limit = 5 } = {}) {
+      return searchPdf(pdfId, embedding, { threshold, limit })
+    },
+
+    async searchSimilarMulti(pdfIds, embedding, { threshold = 0.1, perPdf = 5 } = {}) {
+      return pdfIds
+        .flatMap(pdfId => searchPdf(pdfId, embedding, { threshold, limit: perPdf }))
+        .sort((a, b) => b.similarity - a.similarity)
+    }
+  }
+
+  const lexicalIndexes = {
+    async findByPdf(pdfId) {
+      return tables.pdf_lexical_index.selectOne({ pdf_id: pdfId }, { columns: 'index' })?.index || null
+    },
+
+    async save(pdfId, index) {
+      tables.pdf_lexical_index.upsert({
+        pdf_id: pdfId,
+        index,
+        chunk_count: index.docCount,
+        updated_at: new Date().toISOString()
+      }, 'pdf_id')
+    },
+
+    async deleteByPdf(pdfId) {
+      tables.pdf_lexical_index.delete({ pdf_id: pdfId })
+    }
+  }
+
+  const chatSessions = {
+    async findById(id, { userId, columns } = {}) {
+      return tables.chat_sessions.selectOne({ id, user_id: userId }, { columns })
+    },
+
+    async create(row) {
+      const [id] = tables.chat_sessions.insert([row])
+      return tables.chat_sessions.selectOne({ id })
+    },
+
+    async update(id, values, { userId } = {}) {
+      tables.chat_sessions.update({ id, user_id: userId }, values)
+    },
+
+    async listByUser(userId) {
+      return tables.chat_sessions.select({ user_id: userId }, { order: 'updated_at', ascending: false })
+    },
+
+    async delete(id, userId) {
+      tables.chat_sessions.delete({ id, user_id: userId })
+    }
+  }
+
+  const chatMessages = {
+    async insert(rows) {
+      const ids = tables.chat_messages.insert(rows.map(row => ({ timestamp: new Date().toISOString(), ...row })))
+      return ids.map(id => tables.chat_messages.selectOne({ id }))
+    },
+
+    async listByChat(chatId, { columns, limit, newestFirst = false } = {}) {
+      return tables.chat_messages.select({ chat_id: chatId }, { columns, order: 'timestamp', ascending: !newestFirst, limit })
+    },
+
+    async deleteByChat(chatId) {
+      tables.chat_messages.delete({ chat_id: chatId })
+    }
+  }
+
+  const quizAttempts = {
+    async create(row) {
+      const [id] = tables.quiz_attempts.insert([row])
+      return tables.quiz_attempts.selectOne({ id })
+    },
+
+    async findById(id) {
+      return tables.quiz_attempts.selectOne({ id })
+    },
+
+    async findByQuiz(userId, quizId) {
+      return tables.quiz_attempts.selectOne({ user_id: userId, quiz_id: quizId }, { columns: 'id, created_at' })
+    },
+
+    async listByUser(userId) {
+      return tables.quiz_attempts.select({ user_id: userId }, { order: 'created_at', ascending: false })
+    }
+  }
+
+  const quizzes = {
+    async create(row) {
+      const [id] = tables.quizzes.insert([row])
+      return tables.quizzes.selectOne({ id })
+    },
+
+    async findById(id) {
+      return tables.quizzes.selectOne({ id })
+    },
+
+    async update(id, values, { submitted, mode } = {}) {
+      const submittedFilter = submitted === undefined ? undefined : { isNull: !submitted }
+      return tables.quizzes.update({ id, submitted_at: submittedFilter, mode }, values) > 0
+    }
+  }
+
+  const flashcards = {
+    async insert(rows) {
+      const ids = tables.flashcards.insert(rows)
+      return ids.map(id => tables.flashcards.selectOne({ id }))
+    },
+
+    async listDue(userId, { before, pdfId, limit } = {}) {
+      return tables.flashcards.select(
+        { user_id: userId, due_at: { lte: before }, pdf_id: pdfId || undefined },
+        { order: 'due_at', limit }
+      )
+    },
+
+    async findById(id, { userId } = {}) {
+      return tables.flashcards.selectOne({ id, user_id: userId })
+    },
+
+    async update(id, values, { userId } = {}) {
+      return tables.flashcards.update({ id, user_id: userId }, values) > 0 ? tables.flashcards.selectOne({ id }) : null
+    },
+
+    async listByUser(userId, { columns } = {}) {
+      return tables.flashcards.select({ user_id: userId }, { columns })
+    },
+
+    async delete(id, userId) {
+      return tables.flashcards.delete({ id, user_id: userId }) > 0
+    }
+  }
+
+  const flashcardReviews = {
+    async insert(row) {
+      tables.flashcard_reviews.insert([row])
+    },
+
+    async listByUser(userId, { since, columns } = {}) {
+      return tables.flashcard_reviews.select(
+        { user_id: userId, reviewed_at: since ? { gte: since } : undefined },
+        { columns }
+      )
+    }
+  }
+
+  const topicMastery = {
+    async listByUser(userId, { pdfId, topics, columns } = {}) {
+      return tables.topic_mastery.select(
+        { user_id: userId, pdf_id: pdfId || undefined, topic: topics },
+        { columns, order: 'mastery' }
+      )
+    },
+
+    async upsert(rows) {
+      database.transaction(() => rows.forEach(row => tables.topic_mastery.upsert(row, 'user_id,pdf_id,topic')))()
+    }
+  }
+
+  // Same selection as claim_pdf_processing_job(); the immediate transaction stands in for
+  // FOR UPDATE SKIP LOCKED when several workers share the database file
+  const nextJob = database.prepare(`
+    SELECT id FROM pdf_processing_jobs
+    WHERE (status = 'queued' AND run_after <= ?) OR (status = 'running' AND heartbeat_at < ?)
+    ORDER BY run_after
+    LIMIT 1
+  `)
+  const claimJob = database.prepare(`
+    UPDATE pdf_processing_jobs
+    SET status = 'running', attempts = attempts + 1, locked_by = ?, heartbeat_at = ?, updated_at = ?
+    WHERE id = ?
+  `)
+
+  const processingJobs = {
+    async create(row) {
+      const [id] = tables.pdf_processing_jobs.insert([row])
+      return tables.pdf_processing_jobs.selectOne({ id })
+    },
+
+    async claimNext(workerId, { staleAfterSeconds = 120 } = {}) {
+      return database.transaction(() => {
+        const now = new Date()
+        const staleBefore = new Date(now.getTime() - staleAfterSeconds * 1000).toISOString()
+        const job = nextJob.get(now.toISOString(), staleBefore)
+        if (!job) return null
+
+        claimJob.run(workerId, now.toISOString(), now.toISOString(), job.id)
+        return tables.pdf_processing_jobs.selectOne({ id: job.id })
+      }).immediate()
+    },
+
+    async update(id, values, { unlessStatus } = {}) {
+      const filters = { id, status: unlessStatus ? { neq: unlessStatus } : undefined }
+      if (tables.pdf_processing_jobs.update(filters, values) === 0) return null
+      return tables.pdf_processing_jobs.selectOne({ id }, { columns: 'status' }).status
+    },
+
+    async updateByPdf(pdfId, values, { statuses } = {}) {
+      return tables.pdf_processing_jobs.update({ pdf_id: pdfId, status: statuses }, values)
+    },
+
+    async findLatestByPdf(pdfId, { columns } = {}) {
+      return tables.pdf_processing_jobs.selectOne({ pdf_id: pdfId }, { columns, order: 'created_at', ascending: false })
+    }
+  }
+
+  // Same effect as record_ai_usage()
+  const addUsage = database.prepare(`
+    INSERT INTO ai_usage_daily (user_id, day, tokens, completions, updated_at) VALUES (?, ?, ?, 1, ?)
+    ON CONFLICT(user_id, day) DO UPDATE SET
+      tokens = tokens + excluded.tokens,
+      completions = completions + 1,
+      updated_at = excluded.updated_at
+    RETURNING tokens
+  `)
+
+  const aiUsage = {
+    async addTokens(userId, day, tokens) {
+      return addUsage.get(userId, day, tokens, new Date().toISOString()).tokens
+    },
+
+    async findDaily(userId, day) {
+      return tables.ai_usage_daily.selectOne({ user_id: userId, day }, { columns: 'tokens' })?.tokens || 0
+    }
+  }
+
+  return {
+    name: 'sqlite',
+    database,
+    users,
+    pdfFiles,
+    pdfChunks,
+    lexicalIndexes,
+    chatSessions,
+    chatMessages,
+    quizAttempts,
+    quizzes,
+    flashcards,
+    flashcardReviews,
+    topicMastery,
+    processingJobs,
+    aiUsage
+  }
+}
@@ -0,0 +1,485 @@
+/**
+ * Repositories backed by the Supabase (PostgreSQL + pgvector) database
+ *
+ * Thin wrappers over the query builder calls the routes used to make directly.
+ * The client is loaded on first use, so other drivers run without Supabase credentials.
+ */
+
+// PostgREST caps a select at 1000 rows; longer chunk lists are paged
+const PAGE_SIZE = 1000
+
+// Query builders are thenable, so only the client is awaited, never a builder
+async function client() {
+  const { supabase } = await import('../supabaseClient.js')
+  return supabase
+}
+
+function check(error, action) {
+  if (error) {
+    throw new Error(`Failed to ${action}: ${error.message}`)
+  }
+}
+
+const users = {
+  async findById(id, { columns = '*' } = {}) {
+    const { data, error } = await (await client()).from('users').select(columns).eq('id', id).maybeSingle()
+    check(error, 'load user')
+    return data
+  },
+
+  async upsert(profile, { onConflict = 'id' } = {}) {
+    const { data, error } = await (await client()).from('users')
+      .upsert(profile, { onConflict, ignoreDuplicates: false })
+      .select()
+      .single()
+    check(error, 'save user')
+    return data
+  },
+
+  async update(id, values) {
+    const { data, error } = await (await client()).from('users').update(values).eq('id', id).select().maybeSingle()
+    check(error, 'update user')
+    return data
+  }
+}
+
+const pdfFiles = {
+  async create(row) {
+    const { data, error } = await (await client()).from('pdf_files').insert([row]).select().single()
+    check(error, 'store PDF metadata')
+    return data
+  },
+
+  async findById(id, { columns = '*' } = {}) {
+    const { data, error } = await (await client()).from('pdf_files').select(columns).eq('id', id).maybeSingle()
+    check(error, 'load PDF')
+    return data
+  },
+
+  async findByIds(ids, { columns = '*' } = {}) {
+    if (ids.length === 0) return []
+    const { data, error } = await (await client()).from('pdf_files').select(columns).in('id', ids)
+    check(error, 'load PDFs')
+    return data || []
+  },
+
+  async listByUser(userId, { ids, status, limit, columns = '*' } = {}) {
+    let query = (await client()).from('pdf_files').select(columns).eq('user_id', userId)
+    if (ids) query = query.in('id', ids)
+    if (status) query = query.eq('processing_status', status)
+    query = query.order('created_at', { ascending: false })
+    if (limit) query = query.limit(limit)
+
+    const { data, error } = await query
+    check(error, 'list PDFs')
+    return data || []
+  },
+
+  async update(id, values) {
+    const { error } = await (await client()).from('pdf_files').update(values).eq('id', id)
+    check(error, 'update PDF')
+  },
+
+  async delete(id, userId) {
+    const { error } = await (await client()).from('pdf_files').delete().eq('id', id).eq('user_id', userId)
+    check(error, 'delete PDF metadata')
+  }
+}
+
+const pdfChunks = {
+  async insert(rows, { columns = 'id, pdf_id, page, chunk_index' } = {}) {
+    const { data, error } = await (await client()).from('pdf_chunks').insert(rows).select(columns)
+    check(error, 'store chunks')
+    return data || []
+  },
+
+  async listByPdf(pdfId, { columns = 'id, pdf_id, page, text, chunk_index, metadata', maxPage, limit } = {}) {
+    const rows = []
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      let query = (await client()).from('pdf_chunks').select(columns).eq('pdf_id', pdfId)
+      if (maxPage !== undefined) query = query.lte('page', maxPage)
+      query = query.order('chunk_index', { ascending: true })
+
+      const pageSize = limit ? Math.min(PAGE_SIZE, limit - rows.length) : PAGE_SIZE
+      const { data, error } = await query.range(offset, offset + pageSize - 1)
+      check(error, 'load chunks')
+
+      rows.push(...(data || []))
+      if (!data || data.length < pageSize || (limit && rows.length >= limit)) break
+    }
+
+    return rows
+  },
+
+  async findByIds(ids, { columns = 'id, pdf_id, page, text, chunk_index, metadata' } = {}) {
+    if (ids.length === 0) return []
+    const { data, error } = await (await client()).from('pdf_chunks').select(columns).in('id', ids)
+    check(error, 'load chunks')
+    return data || []
+  },
+
+  async countByPdf(pdfId) {
+    const { count, error } = await (await client()).from('pdf_chunks')
+      .select('*', { count: 'exact', head: true })
+      .eq('pdf_id', pdfId)
+    check(error, 'count chunks')
+    return count || 0
+  },
+
+  async deleteByPdf(pdfId) {
+    const { error } = await (await client()).from('pdf_chunks').delete().eq('pdf_id', pdfId)
+    check(error, 'delete chunks')
+  },
+
+  // search_pdf_chunks() from the pdf_chunks migrations
+  async searchSimilar(pdfId, embedding, { threshold = 0.1, limit = 5 } = {}) {
+    const { data, error } = await (await client()).rpc('search_pdf_chunks', {
+      query_embedding: embedding,
+      pdf_id_filter: pdfId,
+      match_threshold: threshold,
+      match_count: limit
+    })
+    check(error, 'search chunks')
+    return data || []
+  },
+
+  // search_pdf_chunks_multi() from migration 020
+  async searchSimilarMulti(pdfIds, embedding, { threshold = 0.1, perPdf = 5 } = {}) {
+    const { data, error } = await (await client()).rpc('search_pdf_chunks_multi', {
+      query_embedding: embedding,
+      pdf_id_filters: pdfIds,
+      match_threshold: threshold,
+      match_count_per_pdf: perPdf
+    })
+    check(error, 'search chunks')
+    return data || []
+  }
+}
+
+const lexicalIndexes = {
+  async findByPdf(pdfId) {
+    const { data, error } = await (await client()).from('pdf_lexical_index').select('index').eq('pdf_id', pdfId).maybeSingle()
+    check(error, 'load lexical index')
+    return data?.index || null
+  },
+
+  async save(pdfId, index) {
+    const { error } = await (await client()).from('pdf_lexical_index').upsert({
+      pdf_id: pdfId,
+      index,
+      chunk_count: index.docCount,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'pdf_id' })
+    check(error, 'store lexical index')
+  },
+
+  async deleteByPdf(pdfId) {
+    const { error } = await (await client()).from('pdf_lexical_index').delete().eq('pdf_id', pdfId)
+    check(error, 'delete lexical index')
+  }
+}
+
+const chatSessions = {
+  async findById(id, { userId, columns = '*' } = {}) {
+    let query = (await client()).from('chat_sessions').select(columns).eq('id', id)
+    if (userId) query = query.eq('user_id', userId)
+
+    const { data, error } = await query.maybeSingle()
+    check(error, 'load chat session')
+    return data
+  },
+
+  async create(row) {
+    const { data, error } = await (await client()).from('chat_sessions').insert([row]).select().single()
+    check(error, 'create chat session')
+    return data
+  },
+
+  async update(id, values, { userId } = {}) {
+    let query = (await client()).from('chat_sessions').update(values).eq('id', id)
+    if (userId) query = query.eq('user_id', userId)
+
+    const { error } = await query
+    check(error, 'update chat session')
+  },
+
+  async listByUser(userId) {
+    const { data, error } = await (await client()).from('chat_sessions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false })
+    check(error, 'list chat sessions')
+    return data || []
+  },
+
+  async delete(id, userId) {
+    const { error } = await (await client()).from('chat_sessions').delete().eq('id', id).eq('user_id', userId)
+    check(error, 'delete chat session')
+  }
+}
+
+const chatMessages = {
+  async insert(rows) {
+    const { data, error } = await (await client()).from('chat_messages').insert(rows).select()
+    check(error, 'save messages')
+    return data || []
+  },
+
+  async listByChat(chatId, { columns = '*', limit, newestFirst = false } = {}) {
+    let query = (await client()).from('chat_messages')
+      .select(columns)
+      .eq('chat_id', chatId)
+      .order('timestamp', { ascending: !newestFirst })
+    if (limit) query = query.limit(limit)
+
+    const { data, error } = await query
+    check(error, 'load messages')
+    return data || []
+  },
+
+  async deleteByChat(chatId) {
+    const { error } = await (await client()).from('chat_messages').delete().eq('chat_id', chatId)
+    check(error, 'delete messages')
+  }
+}
+
+const quizAttempts = {
+  async create(row) {
+    const { data, error } = await (await client()).from('quiz_attempts').insert([row]).select().single()
+    check(error, 'save quiz attempt')
+    return data
+  },
+
+  async findById(id) {
+    const { data, error } = await (await client()).from('quiz_attempts').select('*').eq('id', id).maybeSingle()
+    check(error, 'load quiz attempt')
+    return data
+  },
+
+  // The user's saved attempt at a stored quiz, if any
+  async findByQuiz(userId, quizId) {
+    const { data, error } = await (await client()).from('quiz_attempts')
+      .select('id, created_at')
+      .eq('user_id', userId)
+      .eq('quiz_id', quizId)
+      .limit(1)
+    check(error, 'load quiz attempt')
+    return data?.[0] || null
+  },
+
+  async listByUser(userId) {
+    const { data, error } = await (await client()).from('quiz_attempts')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+    check(error, 'list quiz attempts')
+    return data || []
+  }
+}
+
+const quizzes = {
+  async create(row) {
+    const { data, error } = await (await client()).from('quizzes').insert([row]).select().single()
+    check(error, 'store quiz')
+    return data
+  },
+
+  async findById(id) {
+    const { data, error } = await (await client()).from('quizzes').select('*').eq('id', id).maybeSingle()
+    check(error, 'load quiz')
+    return data
+  },
+
+  // submitted: true/false to only update a submitted/unsubmitted quiz; false when no row matched
+  async update(id, values, { submitted, mode } = {}) {
+    let query = (await client()).from('quizzes').update(values).eq('id', id)
+    if (submitted === true) query = query.not('submitted_at', 'is', null)
+    if (submitted === false) query = query.is('submitted_at', null)
+    if (mode) query = query.eq('mode', mode)
+
+    const { data, error } = await query.select('id')
+    check(error, 'update quiz')
+    return (data?.length || 0) > 0
+  }
+}
+
+const flashcards = {
+  async insert(rows) {
+    const { data, error } = await (await client()).from('flashcards').insert(rows).select()
+    check(error, 'store flashcards')
+    return data || []
+  },
+
+  async listDue(userId, { before, pdfId, limit } = {}) {
+    let query = (await client()).from('flashcards')
+      .select('*')
+      .eq('user_id', userId)
+      .lte('due_at', before)
+      .order('due_at', { ascending: true })
+    if (pdfId) query = query.eq('pdf_id', pdfId)
+    if (limit) query = query.limit(limit)
+
+    const { data, error } = await query
+    check(error, 'load due flashcards')
+    return data || []
+  },
+
+  async findById(id, { userId } = {}) {
+    let query = (await client()).from('flashcards').select('*').eq('id', id)
+    if (userId) query = query.eq('user_id', userId)
+
+    const { data, error } = await query.maybeSingle()
+    check(error, 'load flashcard')
+    return data
+  },
+
+  async update(id, values, { userId } = {}) {
+    let query = (await client()).from('flashcards').update(values).eq('id', id)
+    if (userId) query = query.eq('user_id', userId)
+
+    const { data, error } = await query.select().maybeSingle()
+    check(error, 'update flashcard')
+    return data
+  },
+
+  async listByUser(userId, { columns = '*' } = {}) {
+    const { data, error } = await (await client()).from('flashcards').select(columns).eq('user_id', userId)
+    check(error, 'load flashcards')
+    return data || []
+  },
+
+  // false when the user has no such card
+  async delete(id, userId) {
+    const { data, error } = await (await client()).from('flashcards').delete().eq('id', id).eq('user_id', userId).select('id')
+    check(error, 'delete flashcard')
+    return (data?.length || 0) > 0
+  }
+}
+
+const flashcardReviews = {
+  async insert(row) {
+    const { error } = await (await client()).from('flashcard_reviews').insert([row])
+    check(error, 'log flashcard review')
+  },
+
+  async listByUser(userId, { since, columns = '*' } = {}) {
+    let query = (await client()).from('flashcard_reviews').select(columns).eq('user_id', userId)
+    if (since) query = query.gte('reviewed_at', since)
+
+    const { data, error } = await query
+    check(error, 'load flashcard reviews')
+    return data || []
+  }
+}
+
+const topicMastery = {
+  async listByUser(userId, { pdfId, topics, columns = '*' } = {}) {
+    let query = (await client()).from('topic_mastery').select(columns).eq('user_id', userId)
+    if (pdfId) query = query.eq('pdf_id', pdfId)
+    if (topics) query = query.in('topic', topics)
+
+    const { data, error } = await query.order('mastery', { ascending: true })
+    check(error, 'load topic mastery')
+    return data || []
+  },
+
+  async upsert(rows) {
+    const { error } = await (await client()).from('topic_mastery').upsert(rows, { onConflict: 'user_id,pdf_id,topic' })
+    check(error, 'update topic mastery')
+  }
+}
+
+const processingJobs = {
+  async create(row) {
+    const { data, error } = await (await client()).from('pdf_processing_jobs').insert([row]).select().single()
+    check(error, 'queue PDF processing')
+    return data
+  },
+
+  // claim_pdf_processing_job() from migration 022
+  async claimNext(workerId, { staleAfterSeconds } = {}) {
+    const { data, error } = await (await client()).rpc('claim_pdf_processing_job', {
+      worker_id: workerId,
+      stale_after_seconds: staleAfterSeconds
+    })
+    check(error, 'claim job')
+    return data?.[0] || null
+  },
+
+  // Resolves to the job's status, or null when no job matched
+  async update(id, values, { unlessStatus } = {}) {
+    let query = (await client()).from('pdf_processing_jobs').update(values).eq('id', id)
+    if (unlessStatus) query = query.neq('status', unlessStatus)
+
+    const { data, error } = await query.select('status').maybeSingle()
+    check(error, 'update job')
+    return data?.status || null
+  },
+
+  // Resolves to the number of jobs updated
+  async updateByPdf(pdfId, values, { statuses } = {}) {
+    let query = (await client()).from('pdf_processing_jobs').update(values).eq('pdf_id', pdfId)
+    if (statuses) query = query.in('status', statuses)
+
+    const { data, error } = await query.select('id')
+    check(error, 'update jobs')
+    return data?.length || 0
+  },
+
+  async findLatestByPdf(pdfId, { columns = '*' } = {}) {
+    const { data, error } = await (await client()).from('pdf_processing_jobs')
+      .select(columns)
+      .eq('pdf_id', pdfId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+    check(error, 'load job')
+    return data
+  }
+}
+
+const aiUsage = {
+  // record_ai_usage() from migration 028
+  async addTokens(userId, day, tokens) {
+    const { data, error } = await (await client()).rpc('record_ai_usage', {
+      usage_user_id: userId,
+      usage_day: day,
+      usage_tokens: tokens
+    })
+    check(error, 'record AI usage')
+    return Number(data || 0)
+  },
+
+  async findDaily(userId, day) {
+    const { data, error } = await (await client()).from('ai_usage_daily')
+      .select('tokens')
+      .eq('user_id', userId)
+      .eq('day', day)
+      .maybeSingle()
+    check(error, 'load AI usage')
+    return Number(data?.tokens || 0)
+  }
+}
+
+/**
+ * @returns {Object} The repositories, keyed like `db` in repositories/index.js
+ */
+export function createSupabaseRepositories() {
+  return {
+    name: 'supabase',
+    users,
+    pdfFiles,
+    pdfChunks,
+    lexicalIndexes,
+    chatSessions,
+    chatMessages,
+    quizAttempts,
+    quizzes,
+    flashcards,
+    flashcardReviews,
+    topicMastery,
+    processingJobs,
+    aiUsage
+  }
+}
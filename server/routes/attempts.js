@@ -1,43 +1,80 @@
 import express from 'express'
 import { requireAuth } from '../middleware/auth.js'
-import { supabase } from '../supabaseClient.js'
+import { isOwnedBy, requireSelf, requireOwnedAttempt } from '../middleware/ownership.js'
+import { db } from '../repositories/index.js'
+import { getQuiz, countQuestions } from '../services/quizService.js'
+import { measuredDuration } from '../services/examMode.js'
 
 const router = express.Router()
 
+/**
+ * Look up the graded quiz an attempt belongs to
+ * Scores and questions come from the stored quiz, never from the request body, and
+ * each stored quiz is saved as an attempt only once.
+ * @returns {Promise<{quiz?: Object, status?: number, error?: string}>}
+ */
+async function resolveAttemptQuiz(quizId, userId) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+  if (!quizId || !uuidRegex.test(quizId)) {
+    return { status: 400, error: 'A valid quiz_id is required' }
+  }
+
+  const quiz = await getQuiz(quizId)
+  if (!isOwnedBy(quiz, userId)) {
+    return { status: 404, error: 'Quiz not found' }
+  }
+
+  if (!quiz.results) {
+    return { status: 409, error: 'Submit the quiz for grading before saving the attempt' }
+  }
+
+  if (quiz.results.ungraded > 0) {
+    return { status: 409, error: 'Some answers are still ungraded; retry grading before saving the attempt' }
+  }
+
+  if (await db.quizAttempts.findByQuiz(userId, quiz.id)) {
+    return { status: 409, error: 'This quiz has already been saved as an attempt' }
+  }
+
+  return { quiz }
+}
+
+/**
+ * quiz_attempts row for a graded quiz
+ * The time taken is measured from the quiz's stored timestamps, not reported by the client.
+ */
+function buildAttemptData(userId, topic, quiz, answers) {
+  const total = countQuestions(quiz.questions)
+
+  return {
+    user_id: userId,
+    quiz_id: quiz.id,
+    topic,
+    quiz_data: quiz.questions,
+    user_answers: answers,
+    score: Math.round(((quiz.results.overallScore || 0) / 100) * total),
+    total,
+    time_taken: measuredDuration(quiz),
+    feedback: quiz.results.feedback || null,
+    topic_scores: quiz.results.breakdown?.topic || null
+  }
+}
+
 /**
  * @route GET /api/attempts
- * @desc Get quiz attempts for a user
+ * @desc Get the signed-in user's quiz attempts
  * @access Private
- * @query userId - User ID to get attempts for
+ * @query userId - Optional; must be the signed-in user
  */
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requireSelf(), async (req, res) => {
   try {
-    const { userId } = req.query
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      })
-    }
-
-    // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-    if (!uuidRegex.test(userId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid user ID format'
-      })
-    }
+    const userId = req.user.id
 
     // Fetch quiz attempts from database
-    const { data: attempts, error } = await supabase
-      .from('quiz_attempts')
-      .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-
-    if (error) {
+    let attempts
+    try {
+      attempts = await db.quizAttempts.listByUser(userId)
+    } catch (error) {
       console.error('Database error:', error)
       return res.status(500).json({
         success: false,
@@ -47,7 +84,7 @@ router.get('/', requireAuth, async (req, res) => {
 
     res.json({
       success: true,
-      attempts: attempts || []
+      attempts
     })
 
   } catch (error) {
@@ -64,64 +101,38 @@ router.get('/', requireAuth, async (req, res) => {
  * @desc Create a new quiz attempt
  * @access Private
  */
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requireSelf(), async (req, res) => {
   try {
+    const user_id = req.user.id
     const {
-      user_id,
-      pdf_id,
+      quiz_id,
       topic,
-      questions,
-      answers,
-      score,
-      total_questions,
-      correct_answers,
-      time_taken
+      answers
     } = req.body
 
     // Validate required fields
-    if (!user_id || !topic || !questions || !answers || score === undefined) {
+    if (!quiz_id || !topic || !answers) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: user_id, topic, questions, answers, score'
+        error: 'Missing required fields: quiz_id, topic, answers'
       })
     }
 
-    // Validate UUID format for user_id
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-    if (!uuidRegex.test(user_id)) {
-      return res.status(400).json({
+    const { quiz, status, error: quizError } = await resolveAttemptQuiz(quiz_id, user_id)
+    if (!quiz) {
+      return res.status(status).json({
         success: false,
-        error: 'Invalid user ID format'
-      })
-    }
-
-    // Validate score is between 0 and 1
-    if (score < 0 || score > 1) {
-      return res.status(400).json({
-        success: false,
-        error: 'Score must be between 0 and 1'
+        error: quizError
       })
     }
 
     // Create quiz attempt
-    const attemptData = {
-      user_id,
-      quiz_id: pdf_id || `quiz_${Date.now()}`,
-      topic,
-      quiz_data: JSON.stringify(questions),
-      user_answers: JSON.stringify(answers),
-      score: Math.round(score * (total_questions || questions.length)),
-      total: total_questions || questions.length,
-      time_taken: time_taken || null
-    }
-
-    const { data: attempt, error } = await supabase
-      .from('quiz_attempts')
-      .insert([attemptData])
-      .select()
-      .single()
+    const attemptData = buildAttemptData(user_id, topic, quiz, answers)
 
-    if (error) {
+    let attempt
+    try {
+      attempt = await db.quizAttempts.create(attemptData)
+    } catch (error) {
       console.error('Database error:', error)
       return res.status(500).json({
         success: false,
@@ -148,89 +159,54 @@ router.post('/', requireAuth, async (req, res) => {
  * @desc Save quiz attempt (alias for POST /api/attempts)
  * @access Private
  */
-router.post('/save-attempt', requireAuth, async (req, res) => {
+export async function saveAttempt(req, res) {
   try {
     console.log('🚨🚨🚨 SAVE-ATTEMPT ENDPOINT REACHED! 🚨🚨🚨')
     console.log('🎯 Save-attempt endpoint called')
-    console.log('🎯 Request headers:', req.headers)
     console.log('🎯 Request body:', JSON.stringify(req.body, null, 2))
     console.log('🎯 Authenticated user:', req.user)
     
+    const user_id = req.user.id
     const {
-      user_id,
-      pdf_id,
+      quiz_id,
       topic,
-      questions,
-      answers,
-      score,
-      total_questions,
-      correct_answers,
-      time_taken,
-      feedback
+      answers
     } = req.body
 
     console.log('🎯 Extracted fields:', {
       user_id,
-      pdf_id,
-      topic,
-      score,
-      total_questions,
-      correct_answers,
-      time_taken
+      quiz_id,
+      topic
     })
 
     // Validate required fields
-    if (!user_id || !topic || !questions || !answers || score === undefined) {
+    if (!quiz_id || !topic || !answers) {
       console.log('❌ Missing required fields validation failed')
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: user_id, topic, questions, answers, score',
-        received: { user_id, topic, questions: !!questions, answers: !!answers, score }
-      })
-    }
-
-    // Validate UUID format for user_id
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-    if (!uuidRegex.test(user_id)) {
-      console.log('❌ UUID validation failed for user_id:', user_id)
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid user ID format'
+        error: 'Missing required fields: quiz_id, topic, answers',
+        received: { quiz_id, topic, answers: !!answers }
       })
     }
 
-    // Validate score is between 0 and 1
-    console.log('🎯 Validating score:', score, 'Type:', typeof score)
-    if (score < 0 || score > 1) {
-      console.error('❌ Score validation failed:', score)
-      return res.status(400).json({
+    const { quiz, status, error: quizError } = await resolveAttemptQuiz(quiz_id, user_id)
+    if (!quiz) {
+      console.log('❌ Quiz lookup failed:', quizError)
+      return res.status(status).json({
         success: false,
-        error: 'Score must be between 0 and 1'
+        error: quizError
       })
     }
 
-    // Create quiz attempt with feedback
-    const attemptData = {
-      user_id,
-      quiz_id: pdf_id || `quiz_${Date.now()}`,
-      topic,
-      quiz_data: JSON.stringify(questions),
-      user_answers: JSON.stringify(answers),
-      score: Math.round(score * (total_questions || questions.length)),
-      total: total_questions || questions.length,
-      time_taken: time_taken || null,
-      feedback: feedback || null
-    }
+    // Create quiz attempt with the graded score and feedback
+    const attemptData = buildAttemptData(user_id, topic, quiz, answers)
 
     console.log('Prepared attempt data for database:', attemptData)
 
-    const { data: attempt, error } = await supabase
-      .from('quiz_attempts')
-      .insert([attemptData])
-      .select()
-      .single()
-
-    if (error) {
+    let attempt
+    try {
+      attempt = await db.quizAttempts.create(attemptData)
+    } catch (error) {
       console.error('Database error:', error)
       return res.status(500).json({
         success: false,
@@ -254,59 +230,20 @@ router.post('/save-attempt', requireAuth, async (req, res) => {
       error: 'Internal server error'
     })
   }
-})
+}
+
+router.post('/save-attempt', requireAuth, requireSelf(), saveAttempt)
 
 /**
  * @route GET /api/attempts/:id
- * @desc Get a specific quiz attempt
+ * @desc Get one of the signed-in user's quiz attempts
  * @access Private
  */
-router.get('/:id', requireAuth, async (req, res) => {
-  try {
-    const { id } = req.params
-
-    // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-    if (!uuidRegex.test(id)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid attempt ID format'
-      })
-    }
-
-    // Fetch quiz attempt
-    const { data: attempt, error } = await supabase
-      .from('quiz_attempts')
-      .select('*')
-      .eq('id', id)
-      .single()
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({
-          success: false,
-          error: 'Quiz attempt not found'
-        })
-      }
-      console.error('Database error:', error)
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to fetch quiz attempt'
-      })
-    }
-
-    res.json({
-      success: true,
-      attempt
-    })
-
-  } catch (error) {
-    console.error('Server error:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    })
-  }
+router.get('/:id', requireAuth, requireOwnedAttempt(req => req.params.id), (req, res) => {
+  res.json({
+    success: true,
+    attempt: req.attempt
+  })
 })
 
 export default router
\ No newline at end of file
@@ -1,7 +1,8 @@
 // Authentication routes
 import express from 'express';
-import authService from '../services/authService.js';
+import authService, { isLocalAuthEnabled } from '../services/authService.js';
 import { requireAuth } from '../middleware/auth.js';
+import { requireSelf } from '../middleware/ownership.js';
 
 const router = express.Router();
 
@@ -70,6 +71,38 @@ router.post('/google', async (req, res) => {
   }
 });
 
+/**
+ * Sign in without Supabase (AUTH_DRIVER=local with ALLOW_LOCAL_AUTH=1, development only)
+ * @route POST /api/auth/local
+ */
+router.post('/local', async (req, res) => {
+  if (!isLocalAuthEnabled()) {
+    return res.status(404).json({ error: 'Local sign-in is disabled' });
+  }
+
+  try {
+    const { email, full_name } = req.body || {};
+
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email.trim())) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const result = await authService.signInLocal({
+      email: email.trim().toLowerCase(),
+      fullName: typeof full_name === 'string' ? full_name.trim() : null
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json({ user: result.user, session: result.session });
+  } catch (error) {
+    console.error('❌ Local sign-in error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+});
+
 /**
  * Sign out current user
  * @route POST /api/auth/signout
@@ -156,7 +189,7 @@ router.put('/profile', requireAuth, async (req, res) => {
  * Register/update user after OAuth sign-in
  * @route POST /api/auth/register-user
  */
-router.post('/register-user', requireAuth, async (req, res) => {
+router.post('/register-user', requireAuth, requireSelf(req => req.body.user?.id), async (req, res) => {
   try {
     const { user } = req.body;
     
@@ -1,20 +1,39 @@
 // Chat routes
 import { Router } from 'express'
-import { processChatMessage } from '../services/chatService.js'
+import { processChatMessage, streamChatMessage } from '../services/chatService.js'
 import { sanitizeMessage } from '../utils/ragUtils.js'
 import { requireAuth } from '../middleware/auth.js'
-import { supabase } from '../supabaseClient.js'
+import { requireSelf, requireOwnedChat, requireOwnedPdfs } from '../middleware/ownership.js'
+import { rateLimit, requireTokenBudget } from '../middleware/rateLimit.js'
+import { db } from '../repositories/index.js'
 import { getCacheStats, clearChatFromCache } from '../services/chatCache.js'
 
 const router = Router()
 
+/**
+ * Every PDF a chat request names must be the user's; a new chatId starts a chat
+ */
+const chatAccess = [
+  requireOwnedChat(req => req.body.chatId, { allowNew: true }),
+  requireOwnedPdfs(req => [req.body.pdfId, ...(Array.isArray(req.body.pdfIds) ? req.body.pdfIds : [])])
+]
+
+/**
+ * Optional multi-document scope: an array of PDF id strings
+ */
+const isValidPdfIdList = (pdfIds) =>
+  pdfIds === undefined || pdfIds === null ||
+  (Array.isArray(pdfIds) && pdfIds.every(id => typeof id === 'string' && id.length > 0))
+
 /**
  * Chat endpoint with RAG and Nebius AI integration
  * Now includes in-memory conversation context caching
+ * Grounded in `pdfId`, a set of `pdfIds`, or the whole library (`library: true`);
+ * without any of these the chat reuses the documents it was last bound to
  */
-router.post('/chat', requireAuth, async (req, res) => {
+router.post('/chat', requireAuth, rateLimit('chat'), requireTokenBudget, chatAccess, async (req, res) => {
   try {
-    const { chatId, message, pdfId } = req.body
+    const { chatId, message, pdfId, pdfIds, library } = req.body
     const userId = req.user?.id // From auth middleware
 
     // Validate input
@@ -24,6 +43,10 @@ router.post('/chat', requireAuth, async (req, res) => {
       })
     }
 
+    if (!isValidPdfIdList(pdfIds)) {
+      return res.status(400).json({ error: 'pdfIds must be an array of PDF ids' })
+    }
+
     if (!userId) {
       return res.status(401).json({
         error: 'User authentication required'
@@ -31,7 +54,7 @@ router.post('/chat', requireAuth, async (req, res) => {
     }
 
     // Process the chat message with conversation context
-    const result = await processChatMessage(chatId, message, pdfId, userId)
+    const result = await processChatMessage(chatId, message, { pdfId, pdfIds, library }, userId)
 
     // Log for debugging
     console.log(`Chat response for ${chatId}:`, {
@@ -60,55 +83,126 @@ router.post('/chat', requireAuth, async (req, res) => {
   }
 })
 
+/**
+ * Streaming chat endpoint (Server-Sent Events)
+ * Emits `delta` events with answer text as it is generated, then a single `done`
+ * event carrying the same payload as POST /chat (answer, citations, metadata).
+ * Closing the connection aborts the upstream model call.
+ */
+router.post('/chat/stream', requireAuth, rateLimit('chat'), requireTokenBudget, chatAccess, async (req, res) => {
+  const { chatId, message, pdfId, pdfIds, library } = req.body
+  const userId = req.user?.id
+
+  // Validate input
+  if (!chatId || !message) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: chatId and message are required' 
+    })
+  }
+
+  if (!isValidPdfIdList(pdfIds)) {
+    return res.status(400).json({ error: 'pdfIds must be an array of PDF ids' })
+  }
+
+  if (!userId) {
+    return res.status(401).json({
+      error: 'User authentication required'
+    })
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  })
+  res.flushHeaders()
+
+  const abortController = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort()
+    }
+  })
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  try {
+    const result = await streamChatMessage(chatId, message, { pdfId, pdfIds, library }, userId, {
+      signal: abortController.signal,
+      onDelta: (text) => sendEvent('delta', { text })
+    })
+
+    console.log(`Chat stream completed for ${chatId}:`, {
+      messageLength: message.length,
+      chunksRetrieved: result.metadata.chunksUsed,
+      responseLength: result.answer.length,
+      citationsCount: result.citations.length,
+      contextMessages: result.metadata.contextMessages
+    })
+
+    sendEvent('done', result)
+    res.end()
+
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log(`Chat stream for ${chatId} aborted by client`)
+      return
+    }
+
+    console.error('Chat stream endpoint error:', error)
+
+    let errorMessage = 'Failed to process chat message'
+    if (error.message.includes('Invalid message')) {
+      errorMessage = error.message
+    } else if (error.message.includes('API key')) {
+      errorMessage = 'AI service configuration error'
+    }
+
+    sendEvent('error', { error: errorMessage })
+    res.end()
+  }
+})
+
 /**
  * Save chat message to database
  */
-router.post('/save-chat', requireAuth, async (req, res) => {
+router.post('/save-chat', requireAuth, requireSelf(), requireOwnedChat(req => req.body.chatId, { allowNew: true }), async (req, res) => {
   try {
-    const { userId, chatId, message, isUser = true, response = null } = req.body
+    const { chatId, message, isUser = true, response = null } = req.body
+    const userId = req.user.id
 
     // Validate input
-    if (!userId || !chatId || !message) {
+    if (!chatId || !message) {
       return res.status(400).json({ 
-        error: 'Missing required fields: userId, chatId, and message are required' 
+        error: 'Missing required fields: chatId and message are required' 
       })
     }
 
-    // Validate UUID format for userId
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-    if (!uuidRegex.test(userId)) {
-      return res.status(400).json({
-        error: 'Invalid user ID format'
-      })
+    // Check if chat session exists, create if not
+    let existingChat
+    try {
+      existingChat = await db.chatSessions.findById(chatId, { userId, columns: 'id' })
+    } catch (chatCheckError) {
+      console.error('Error checking chat session:', chatCheckError)
+      return res.status(500).json({ error: 'Failed to verify chat session' })
     }
 
-    // Check if chat session exists, create if not
-    const { data: existingChat, error: chatCheckError } = await supabase
-      .from('chat_sessions')
-      .select('id')
-      .eq('id', chatId)
-      .eq('user_id', userId)
-      .single()
-
-    if (chatCheckError && chatCheckError.code === 'PGRST116') {
-      // Chat session doesn't exist, create it
-      const { error: createChatError } = await supabase
-        .from('chat_sessions')
-        .insert([{
+    if (!existingChat) {
+      try {
+        await db.chatSessions.create({
           id: chatId,
           user_id: userId,
           title: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
-        }])
-
-      if (createChatError) {
+        })
+      } catch (createChatError) {
         console.error('Error creating chat session:', createChatError)
         return res.status(500).json({ error: 'Failed to create chat session' })
       }
-    } else if (chatCheckError) {
-      console.error('Error checking chat session:', chatCheckError)
-      return res.status(500).json({ error: 'Failed to verify chat session' })
     }
 
     // Save the message
@@ -119,13 +213,10 @@ router.post('/save-chat', requireAuth, async (req, res) => {
       timestamp: new Date().toISOString()
     }
 
-    const { data: savedMessage, error: messageError } = await supabase
-      .from('chat_messages')
-      .insert([messageData])
-      .select()
-      .single()
-
-    if (messageError) {
+    let savedMessage
+    try {
+      [savedMessage] = await db.chatMessages.insert([messageData])
+    } catch (messageError) {
       console.error('Error saving message:', messageError)
       return res.status(500).json({ error: 'Failed to save message' })
     }
@@ -139,20 +230,16 @@ router.post('/save-chat', requireAuth, async (req, res) => {
         timestamp: new Date().toISOString()
       }
 
-      const { error: responseError } = await supabase
-        .from('chat_messages')
-        .insert([responseData])
-
-      if (responseError) {
+      try {
+        await db.chatMessages.insert([responseData])
+      } catch (responseError) {
         console.error('Error saving AI response:', responseError)
       }
     }
 
     // Update chat session's updated_at timestamp
-    await supabase
-      .from('chat_sessions')
-      .update({ updated_at: new Date().toISOString() })
-      .eq('id', chatId)
+    await db.chatSessions.update(chatId, { updated_at: new Date().toISOString() })
+      .catch(error => console.error('Error updating chat session timestamp:', error))
 
     res.json({
       success: true,
@@ -168,33 +255,15 @@ router.post('/save-chat', requireAuth, async (req, res) => {
 /**
  * Get chat history for a user
  */
-router.get('/chats', requireAuth, async (req, res) => {
+router.get('/chats', requireAuth, requireSelf(), async (req, res) => {
   try {
-    const { userId } = req.query
-
-    // Validate input
-    if (!userId) {
-      return res.status(400).json({ 
-        error: 'Missing required parameter: userId' 
-      })
-    }
-
-    // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-    if (!uuidRegex.test(userId)) {
-      return res.status(400).json({
-        error: 'Invalid user ID format'
-      })
-    }
+    const userId = req.user.id
 
     // Fetch chat sessions for the user
-    const { data: chatSessions, error: sessionsError } = await supabase
-      .from('chat_sessions')
-      .select('*')
-      .eq('user_id', userId)
-      .order('updated_at', { ascending: false })
-
-    if (sessionsError) {
+    let chatSessions
+    try {
+      chatSessions = await db.chatSessions.listByUser(userId)
+    } catch (sessionsError) {
       console.error('Error fetching chat sessions:', sessionsError)
       return res.status(500).json({ error: 'Failed to fetch chat sessions' })
     }
@@ -202,17 +271,15 @@ router.get('/chats', requireAuth, async (req, res) => {
     // For each chat session, get the latest message for preview
     const chatsWithPreview = await Promise.all(
       chatSessions.map(async (chat) => {
-        const { data: latestMessage, error: messageError } = await supabase
-          .from('chat_messages')
-          .select('content, timestamp, is_user')
-          .eq('chat_id', chat.id)
-          .order('timestamp', { ascending: false })
-          .limit(1)
-          .single()
+        const [latestMessage] = await db.chatMessages.listByChat(chat.id, {
+          columns: 'content, timestamp, is_user',
+          limit: 1,
+          newestFirst: true
+        }).catch(() => [])
 
         return {
           ...chat,
-          lastMessage: messageError ? null : latestMessage
+          lastMessage: latestMessage || null
         }
       })
     )
@@ -231,45 +298,22 @@ router.get('/chats', requireAuth, async (req, res) => {
 /**
  * Get messages for a specific chat
  */
-router.get('/chat/:chatId/messages', requireAuth, async (req, res) => {
+router.get('/chat/:chatId/messages', requireAuth, requireSelf(), requireOwnedChat(req => req.params.chatId), async (req, res) => {
   try {
     const { chatId } = req.params
-    const { userId } = req.query
-
-    // Validate input
-    if (!userId) {
-      return res.status(400).json({ 
-        error: 'Missing required parameter: userId' 
-      })
-    }
-
-    // Verify chat belongs to user
-    const { data: chatSession, error: chatError } = await supabase
-      .from('chat_sessions')
-      .select('id')
-      .eq('id', chatId)
-      .eq('user_id', userId)
-      .single()
-
-    if (chatError || !chatSession) {
-      return res.status(404).json({ error: 'Chat not found or access denied' })
-    }
 
     // Fetch messages for the chat
-    const { data: messages, error: messagesError } = await supabase
-      .from('chat_messages')
-      .select('*')
-      .eq('chat_id', chatId)
-      .order('timestamp', { ascending: true })
-
-    if (messagesError) {
+    let messages
+    try {
+      messages = await db.chatMessages.listByChat(chatId)
+    } catch (messagesError) {
       console.error('Error fetching messages:', messagesError)
       return res.status(500).json({ error: 'Failed to fetch messages' })
     }
 
     res.json({
       success: true,
-      messages: messages || []
+      messages
     })
 
   } catch (error) {
@@ -309,7 +353,7 @@ router.get('/cache-stats', requireAuth, (req, res) => {
 /**
  * Clear specific chat from cache (for debugging)
  */
-router.delete('/chat/:chatId/cache', requireAuth, (req, res) => {
+router.delete('/chat/:chatId/cache', requireAuth, requireOwnedChat(req => req.params.chatId), (req, res) => {
   try {
     const { chatId } = req.params
     const removed = clearChatFromCache(chatId)
@@ -329,49 +373,25 @@ router.delete('/chat/:chatId/cache', requireAuth, (req, res) => {
 /**
  * Delete chat and all its messages
  */
-router.delete('/chat/:chatId', requireAuth, async (req, res) => {
+router.delete('/chat/:chatId', requireAuth, requireOwnedChat(req => req.params.chatId), async (req, res) => {
   try {
     const { chatId } = req.params
-    const userId = req.user?.id
-
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required' })
-    }
+    const userId = req.user.id
 
     console.log(`🗑️ Deleting chat ${chatId} for user ${userId}`)
 
-    // First verify the chat belongs to the user
-    const { data: chatSession, error: verifyError } = await supabase
-      .from('chat_sessions')
-      .select('id')
-      .eq('id', chatId)
-      .eq('user_id', userId)
-      .single()
-
-    if (verifyError || !chatSession) {
-      console.error('Chat not found or access denied:', verifyError)
-      return res.status(404).json({ error: 'Chat not found or access denied' })
-    }
-
     // Delete all messages for this chat (no user_id filter needed since ownership is verified above)
-    const { error: messagesError } = await supabase
-      .from('chat_messages')
-      .delete()
-      .eq('chat_id', chatId)
-
-    if (messagesError) {
+    try {
+      await db.chatMessages.deleteByChat(chatId)
+    } catch (messagesError) {
       console.error('Error deleting chat messages:', messagesError)
       return res.status(500).json({ error: 'Failed to delete chat messages' })
     }
 
     // Delete the chat session
-    const { error: chatError } = await supabase
-      .from('chat_sessions')
-      .delete()
-      .eq('id', chatId)
-      .eq('user_id', userId)
-
-    if (chatError) {
+    try {
+      await db.chatSessions.delete(chatId, userId)
+    } catch (chatError) {
       console.error('Error deleting chat session:', chatError)
       return res.status(500).json({ error: 'Failed to delete chat session' })
     }
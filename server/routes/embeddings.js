@@ -5,24 +5,23 @@ import {
   generateEmbeddingsBatch,
   searchSimilarChunks
 } from '../embeddings.js'
-import { supabase } from '../embeddings.js'
+import { db } from '../repositories/index.js'
+import { requireAuth } from '../middleware/auth.js'
+import { requireOwnedPdf } from '../middleware/ownership.js'
+import { rateLimit } from '../middleware/rateLimit.js'
 
 const router = Router()
 
 /**
  * Create embeddings for text chunks
  */
-router.post('/create-embeddings', async (req, res) => {
+router.post('/create-embeddings', requireAuth, rateLimit('retrieval'), requireOwnedPdf(req => req.body.pdfId), async (req, res) => {
   try {
     const { texts, pdfId } = req.body
     
     if (!texts || !Array.isArray(texts)) {
       return res.status(400).json({ error: 'texts array is required' })
     }
-    
-    if (!pdfId) {
-      return res.status(400).json({ error: 'pdfId is required' })
-    }
 
     console.log(`🔄 Creating embeddings for ${texts.length} chunks`)
     
@@ -41,9 +40,9 @@ router.post('/create-embeddings', async (req, res) => {
 })
 
 /**
- * Search for similar chunks
+ * Search for similar chunks within one of the user's PDFs
  */
-router.post('/search-chunks', async (req, res) => {
+router.post('/search-chunks', requireAuth, rateLimit('retrieval'), requireOwnedPdf(req => req.body.pdfId), async (req, res) => {
   try {
     const { query, pdfId, limit = 5 } = req.body
     
@@ -73,32 +72,19 @@ router.post('/search-chunks', async (req, res) => {
 /**
  * Get embeddings status for a PDF
  */
-router.get('/embeddings-status/:pdfId', async (req, res) => {
+router.get('/embeddings-status/:pdfId', requireAuth, requireOwnedPdf(req => req.params.pdfId), async (req, res) => {
   try {
     const { pdfId } = req.params
-    
-    if (!pdfId) {
-      return res.status(400).json({ error: 'pdfId is required' })
-    }
 
     // Check if embeddings exist for this PDF
     let configured = false
     let chunksCount = 0
     
-    if (supabase) {
-      try {
-        const { data, error } = await supabase
-          .from('pdf_chunks')
-          .select('id')
-          .eq('pdf_id', pdfId)
-        
-        if (!error) {
-          configured = true
-          chunksCount = data?.length || 0
-        }
-      } catch (dbError) {
-        console.log('Database check failed:', dbError.message)
-      }
+    try {
+      chunksCount = await db.pdfChunks.countByPdf(pdfId)
+      configured = true
+    } catch (dbError) {
+      console.log('Database check failed:', dbError.message)
     }
 
     res.json({
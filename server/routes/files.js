@@ -1,13 +1,21 @@
 // File upload routes
 import { Router } from 'express'
-import { join } from 'path'
+import { join, basename } from 'path'
 import { upload } from '../middleware/index.js'
 import { config } from '../config/index.js'
 import { safeParsePDF, checkFileExists } from '../services/pdfService.js'
+import { applyOCR } from '../services/ocrService.js'
+import { enqueuePDFJob, getLatestJobForPDF } from '../services/jobQueue.js'
+import { notifyPDFWorker, processPDFNow, cancelPDFProcessing, getProcessingSnapshot } from '../services/pdfProcessingService.js'
+import { subscribeToProgress, TERMINAL_STAGES } from '../services/processingEvents.js'
 import { processPDFForEmbeddings } from '../utils/textChunking.js'
-import { generateEmbeddingsBatch, storePDFChunks } from '../embeddings.js'
-import { requireAuth } from '../middleware/auth.js'
-import { supabase } from '../supabaseClient.js'
+import { generateEmbeddingsBatch, storePDFChunks, storeLexicalIndex, deleteLexicalIndex } from '../embeddings.js'
+import { requireAuth, optionalAuth } from '../middleware/auth.js'
+import { requireSelf, requireOwnedPdf, localUploadPrefix, ownsLocalUpload } from '../middleware/ownership.js'
+import { rateLimit } from '../middleware/rateLimit.js'
+import { getStorage, putFile, deleteFiles, getSignedFileUrl } from '../services/storageService.js'
+import { createLocalFileUrl, verifyLocalFileUrl, verifyStorageFileUrl } from '../utils/signedUrls.js'
+import { db } from '../repositories/index.js'
 import fs from 'fs'
 import { v4 as uuidv4 } from 'uuid'
 
@@ -16,7 +24,7 @@ const router = Router()
 /**
  * Upload PDF file
  */
-router.post('/upload', upload.single('pdf'), async (req, res) => {
+router.post('/upload', requireAuth, upload.single('pdf'), requireSelf(), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' })
@@ -39,9 +47,9 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
 })
 
 /**
- * Upload PDF to Supabase storage and store metadata
+ * Upload PDF to storage and store metadata
  */
-router.post('/upload-pdf', requireAuth, upload.single('pdf'), async (req, res) => {
+router.post('/upload-pdf', requireAuth, upload.single('pdf'), requireSelf(), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ 
@@ -50,23 +58,7 @@ router.post('/upload-pdf', requireAuth, upload.single('pdf'), async (req, res) =
       })
     }
 
-    const { userId } = req.body
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      })
-    }
-
-    // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-    if (!uuidRegex.test(userId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid user ID format'
-      })
-    }
-
+    const userId = req.user.id
     const fileId = uuidv4()
     const fileName = req.file.originalname
     const filePath = req.file.path
@@ -77,16 +69,12 @@ router.post('/upload-pdf', requireAuth, upload.single('pdf'), async (req, res) =
     // Read file buffer
     const fileBuffer = fs.readFileSync(filePath)
 
-    // Upload to Supabase storage
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from('pdfs')
-      .upload(`${userId}/${fileId}.pdf`, fileBuffer, {
-        contentType: 'application/pdf',
-        upsert: false
-      })
-
-    if (uploadError) {
-      console.error('Supabase upload error:', uploadError)
+    // Upload to storage
+    let uploadData
+    try {
+      uploadData = await putFile(`${userId}/${fileId}.pdf`, fileBuffer, { contentType: 'application/pdf' })
+    } catch (uploadError) {
+      console.error('Storage upload error:', uploadError)
       return res.status(500).json({
         success: false,
         error: 'Failed to upload PDF to storage'
@@ -94,9 +82,8 @@ router.post('/upload-pdf', requireAuth, upload.single('pdf'), async (req, res) =
     }
 
     // Store PDF metadata in database
-    const { data: pdfFile, error: dbError } = await supabase
-      .from('pdf_files')
-      .insert([{
+    try {
+      await db.pdfFiles.create({
         id: fileId,
         user_id: userId,
         file_name: fileName,
@@ -105,40 +92,31 @@ router.post('/upload-pdf', requireAuth, upload.single('pdf'), async (req, res) =
         file_size: fileSize,
         created_at: new Date().toISOString(),
         processing_status: 'processing'
-      }])
-      .select()
-      .single()
-
-    if (dbError) {
+      })
+    } catch (dbError) {
       console.error('Database error:', dbError)
       // Try to clean up uploaded file
-      await supabase.storage.from('pdfs').remove([uploadData.path])
+      await deleteFiles([uploadData.path]).catch(error => console.warn('Error deleting file from storage:', error))
       return res.status(500).json({
         success: false,
         error: 'Failed to store PDF metadata'
       })
     }
 
-    // Start background processing for text extraction and embeddings
-    // Don't clean up local file yet - pass it to background processing
-    processUploadedPDF(fileId, userId, filePath, uploadData.path)
-      .finally(() => {
-        // Clean up local file after processing is complete
-        try {
-          fs.unlinkSync(filePath)
-        } catch (cleanupError) {
-          console.warn('Failed to clean up local file after processing:', cleanupError)
-        }
-      })
-      .catch(error => {
-        console.error('Background PDF processing failed:', error)
-        // Update status to failed
-        supabase
-          .from('pdf_files')
-          .update({ processing_status: 'failed' })
-          .eq('id', fileId)
-          .then(() => console.log('Updated PDF status to failed'))
-      })
+    // Queue text extraction and embeddings; the job outlives this request and server restarts
+    const job = { pdfId: fileId, userId, storagePath: uploadData.path, localPath: filePath }
+    let queued = false
+    try {
+      await enqueuePDFJob(job)
+      notifyPDFWorker()
+      queued = true
+    } catch (queueError) {
+      // Without the job table (migration 022 not applied) process in this request's background
+      console.warn('⚠️ Could not queue PDF job, processing inline:', queueError.message)
+    }
+    if (!queued) {
+      processPDFNow(job).catch(error => console.error('Background PDF processing failed:', error))
+    }
 
     res.json({
       success: true,
@@ -158,150 +136,20 @@ router.post('/upload-pdf', requireAuth, upload.single('pdf'), async (req, res) =
   }
 })
 
-/**
- * Background function to process uploaded PDF
- */
-async function processUploadedPDF(fileId, userId, localPath, storagePath) {
-  try {
-    console.log('🔄 Starting background processing for PDF:', fileId)
-
-    // Extract text from PDF (using existing pdfService)
-    const pdfData = await safeParsePDF(localPath)
-    if (!pdfData || !pdfData.text) {
-      throw new Error('Failed to extract text from PDF')
-    }
-
-    // Update PDF file with extracted text
-    await supabase
-      .from('pdf_files')
-      .update({ 
-        total_pages: pdfData.pageCount || 1,
-        processing_status: 'processing'
-      })
-      .eq('id', fileId)
-
-    // Process text into chunks
-    const pdfDataForChunking = {
-      text: pdfData.text,
-      numpages: pdfData.pageCount || 1
-    }
-    
-    console.log('🔍 PDF data for chunking:', {
-      textLength: pdfDataForChunking.text?.length,
-      pages: pdfDataForChunking.numpages,
-      hasText: !!pdfDataForChunking.text
-    })
-    
-    const processedResult = await processPDFForEmbeddings(pdfDataForChunking, { fileId })
-    
-    console.log('📊 Processed result:', {
-      hasChunks: !!processedResult.chunks,
-      chunksType: typeof processedResult.chunks,
-      chunksLength: processedResult.chunks?.length,
-      metadata: processedResult.metadata
-    })
-    
-    const chunks = processedResult.chunks
-    
-    if (!chunks || !Array.isArray(chunks)) {
-      throw new Error(`Invalid chunks result: expected array, got ${typeof chunks}`)
-    }
-    
-    console.log(`📄 Created ${chunks.length} chunks for PDF ${fileId}`)
-
-    if (chunks.length === 0) {
-      throw new Error('No chunks were created from PDF text')
-    }
-
-    // Generate embeddings for chunks
-    const textsToEmbed = chunks.map(chunk => chunk.text)
-    const embeddings = await generateEmbeddingsBatch(textsToEmbed)
-
-    if (embeddings.length !== chunks.length) {
-      throw new Error('Mismatch between chunks and embeddings count')
-    }
-
-    // Store chunks with embeddings in database
-    const chunksWithEmbeddings = chunks.map((chunk, index) => ({
-      id: uuidv4(),
-      pdf_id: fileId,
-      user_id: userId,
-      page: chunk.page || 1, // Default to page 1 if not provided
-      chunk_index: chunk.chunkIndex,
-      text: chunk.text,
-      embedding: JSON.stringify(embeddings[index]),
-      metadata: JSON.stringify({
-        start_char: chunk.startChar,
-        end_char: chunk.endChar,
-        word_count: chunk.text.split(' ').length
-      })
-    }))
-
-    const { error: chunksError } = await supabase
-      .from('pdf_chunks')
-      .insert(chunksWithEmbeddings)
-
-    if (chunksError) {
-      console.error('Error storing chunks:', chunksError)
-      throw chunksError
-    }
-
-    // Update PDF status to completed
-    await supabase
-      .from('pdf_files')
-      .update({ 
-        processing_status: 'completed',
-        processed_at: new Date().toISOString(),
-        total_chunks: chunksWithEmbeddings.length
-      })
-      .eq('id', fileId)
-
-    console.log('✅ PDF processing completed successfully for:', fileId)
-
-  } catch (error) {
-    console.error('❌ PDF processing failed:', error)
-    
-    // Update status to failed
-    await supabase
-      .from('pdf_files')
-      .update({ processing_status: 'failed' })
-      .eq('id', fileId)
-    
-    throw error
-  }
-}
-
 /**
  * Get user's PDF files
  */
-router.get('/pdfs', requireAuth, async (req, res) => {
+router.get('/pdfs', requireAuth, requireSelf(), async (req, res) => {
   try {
-    const { userId } = req.query
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      })
-    }
-
-    // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-    if (!uuidRegex.test(userId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid user ID format'
-      })
-    }
+    const userId = req.user.id
 
     // Fetch user's PDF files
-    const { data: pdfs, error } = await supabase
-      .from('pdf_files')
-      .select('id, file_name, original_name, file_url, file_size, processing_status, total_pages, created_at, processed_at')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-
-    if (error) {
+    let pdfs
+    try {
+      pdfs = await db.pdfFiles.listByUser(userId, {
+        columns: 'id, file_name, original_name, file_url, file_size, processing_status, total_pages, created_at, processed_at'
+      })
+    } catch (error) {
       console.error('Database error:', error)
       return res.status(500).json({
         success: false,
@@ -311,7 +159,7 @@ router.get('/pdfs', requireAuth, async (req, res) => {
 
     res.json({
       success: true,
-      pdfs: pdfs || []
+      pdfs
     })
 
   } catch (error) {
@@ -326,34 +174,17 @@ router.get('/pdfs', requireAuth, async (req, res) => {
 /**
  * Get PDF processing status
  */
-router.get('/pdf/:fileId/status', requireAuth, async (req, res) => {
+router.get('/pdf/:fileId/status', requireAuth, requireOwnedPdf(req => req.params.fileId), async (req, res) => {
   try {
     const { fileId } = req.params
 
-    if (!fileId) {
-      return res.status(400).json({
-        success: false,
-        error: 'File ID is required'
-      })
-    }
-
-    // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-    if (!uuidRegex.test(fileId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid file ID format'
-      })
-    }
-
     // Fetch PDF status
-    const { data: pdf, error } = await supabase
-      .from('pdf_files')
-      .select('id, file_name, processing_status, total_pages, created_at, processed_at')
-      .eq('id', fileId)
-      .single()
-
-    if (error) {
+    let pdf
+    try {
+      pdf = await db.pdfFiles.findById(fileId, {
+        columns: 'id, file_name, processing_status, processing_stage, total_pages, ocr_pages_total, ocr_pages_done, ocr_confidence, ocr_error, created_at, processed_at'
+      })
+    } catch (error) {
       console.error('Database error:', error)
       return res.status(500).json({
         success: false,
@@ -369,12 +200,13 @@ router.get('/pdf/:fileId/status', requireAuth, async (req, res) => {
     }
 
     // Also check if chunks exist for this PDF
-    const { count: chunkCount, error: chunksError } = await supabase
-      .from('pdf_chunks')
-      .select('*', { count: 'exact', head: true })
-      .eq('pdf_id', fileId)
+    const finalChunkCount = await db.pdfChunks.countByPdf(fileId).catch(() => 0)
 
-    const finalChunkCount = chunksError ? 0 : (chunkCount || 0)
+    // Job details are extra; the file's own status is still worth reporting without them
+    const job = await getLatestJobForPDF(fileId).catch(error => {
+      console.warn('⚠️ Could not load processing job:', error.message)
+      return null
+    })
 
     res.json({
       success: true,
@@ -382,8 +214,23 @@ router.get('/pdf/:fileId/status', requireAuth, async (req, res) => {
         id: pdf.id,
         fileName: pdf.file_name,
         processingStatus: pdf.processing_status,
+        processingStage: pdf.processing_stage || null,
         totalPages: pdf.total_pages,
+        ocr: pdf.ocr_pages_total > 0 ? {
+          pagesTotal: pdf.ocr_pages_total,
+          pagesDone: pdf.ocr_pages_done || 0,
+          averageConfidence: pdf.ocr_confidence,
+          error: pdf.ocr_error || null
+        } : null,
         chunkCount: finalChunkCount,
+        job: job ? {
+          status: job.status,
+          attempts: job.attempts,
+          maxAttempts: job.max_attempts,
+          nextRunAt: job.status === 'queued' ? job.run_after : null,
+          lastError: job.last_error,
+          progress: job.progress || {}
+        } : null,
         createdAt: pdf.created_at,
         processedAt: pdf.processed_at,
         isReady: pdf.processing_status === 'completed' && finalChunkCount > 0
@@ -400,9 +247,125 @@ router.get('/pdf/:fileId/status', requireAuth, async (req, res) => {
 })
 
 /**
- * Extract text from uploaded PDF
+ * Stream processing progress for a PDF (Server-Sent Events)
+ * Sends `progress` events until the PDF is completed, failed or cancelled.
+ */
+router.get('/pdf/:fileId/events', requireAuth, async (req, res) => {
+  const { fileId } = req.params
+
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+  if (!uuidRegex.test(fileId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid file ID format'
+    })
+  }
+
+  const openStream = () => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    })
+    res.flushHeaders()
+  }
+
+  let snapshot
+  try {
+    snapshot = await getProcessingSnapshot(fileId)
+  } catch (error) {
+    // Report it on the stream and end it; the client reconnects after a delay
+    console.error('Processing events lookup error:', error)
+    openStream()
+    res.write(`event: error\ndata: ${JSON.stringify({ error: 'Failed to load processing status' })}\n\n`)
+    return res.end()
+  }
+
+  if (!snapshot || snapshot.userId !== req.user.id) {
+    return res.status(404).json({
+      success: false,
+      error: 'PDF not found'
+    })
+  }
+
+  openStream()
+
+  let lastEvent = null
+  let unsubscribe = () => {}
+  let pollTimer = null
+  let keepAliveTimer = null
+
+  const close = () => {
+    unsubscribe()
+    clearInterval(pollTimer)
+    clearInterval(keepAliveTimer)
+    if (!res.writableEnded) res.end()
+  }
+
+  // Events arrive both from this process and from the database; only send newer ones
+  const send = (event) => {
+    if (res.writableEnded) return
+
+    const isTerminal = TERMINAL_STAGES.includes(event.stage)
+    const isNewer = !lastEvent || (isTerminal && event.stage !== lastEvent.stage) ||
+      (event.updatedAt || '') > (lastEvent.updatedAt || '')
+    if (!isNewer) return
+
+    lastEvent = event
+    res.write(`event: progress\ndata: ${JSON.stringify(event)}\n\n`)
+    if (isTerminal) close()
+  }
+
+  res.on('close', close)
+  unsubscribe = subscribeToProgress(fileId, send)
+  send(snapshot.event)
+  if (res.writableEnded) return
+
+  // Workers in other processes only report through the job row
+  pollTimer = setInterval(async () => {
+    const latest = await getProcessingSnapshot(fileId).catch(() => null)
+    if (latest) send(latest.event)
+  }, config.jobPollIntervalMs)
+
+  keepAliveTimer = setInterval(() => res.write(': keep-alive\n\n'), 15000)
+})
+
+/**
+ * Cancel an in-flight PDF processing job
+ */
+router.post('/pdf/:fileId/cancel', requireAuth, requireOwnedPdf(req => req.params.fileId), async (req, res) => {
+  try {
+    const { fileId } = req.params
+    const { pdf } = req
+
+    if (!['pending', 'processing'].includes(pdf.processing_status)) {
+      return res.status(409).json({
+        success: false,
+        error: `PDF is not being processed (status: ${pdf.processing_status})`
+      })
+    }
+
+    await cancelPDFProcessing(fileId)
+
+    res.json({
+      success: true,
+      status: 'cancelled'
+    })
+
+  } catch (error) {
+    console.error('Cancel PDF processing endpoint error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    })
+  }
+})
+
+/**
+ * Extract text from one of the user's local uploads
  */
-router.post('/extract-text', async (req, res) => {
+router.post('/extract-text', requireAuth, rateLimit('retrieval'), async (req, res) => {
   try {
     const { fileId } = req.body
 
@@ -410,6 +373,10 @@ router.post('/extract-text', async (req, res) => {
       return res.status(400).json({ error: 'File ID is required' })
     }
 
+    if (!ownsLocalUpload(req.user.id, fileId)) {
+      return res.status(404).json({ error: 'File not found' })
+    }
+
     const filePath = join(config.uploadsDir, fileId)
     
     if (!checkFileExists(filePath)) {
@@ -420,7 +387,13 @@ router.post('/extract-text', async (req, res) => {
 
     // Parse PDF
     const fileBuffer = await import('fs').then(fs => fs.default.readFileSync(filePath))
-    const pdfData = await safeParsePDF(fileBuffer)
+    let pdfData = await safeParsePDF(fileBuffer)
+
+    try {
+      pdfData = await applyOCR(pdfData, fileBuffer)
+    } catch (ocrError) {
+      console.warn('⚠️ OCR failed:', ocrError.message)
+    }
 
     // Extract and process text
     const extractedText = pdfData.text || ''
@@ -435,7 +408,7 @@ router.post('/extract-text', async (req, res) => {
       console.log('🔄 Creating embeddings for PDF:', fileId)
       
       // Process PDF into chunks
-      const processedData = processPDFForEmbeddings({ text: extractedText, numpages: pageCount }, {
+      const processedData = processPDFForEmbeddings({ text: extractedText, pages: pdfData.pages, numpages: pageCount }, {
         chunkSize: 800,
         overlap: 100,
         cleanText: true,
@@ -444,6 +417,10 @@ router.post('/extract-text', async (req, res) => {
 
       const chunks = processedData.chunks.map(chunk => ({
         page: chunk.page,
+        pageRange: chunk.pageRange,
+        startChar: chunk.startChar,
+        endChar: chunk.endChar,
+        metadata: chunk.metadata,
         text: chunk.text
       }))
 
@@ -460,6 +437,15 @@ router.post('/extract-text', async (req, res) => {
 
         // Store in Supabase
         const storedChunks = await storePDFChunks(fileId, chunksWithEmbeddings)
+
+        try {
+          await storeLexicalIndex(fileId, storedChunks.map((stored, index) => ({
+            ...stored,
+            text: chunksWithEmbeddings[index].text
+          })))
+        } catch (indexError) {
+          console.warn('⚠️ Lexical index build failed:', indexError.message)
+        }
         
         embeddingResult = {
           chunksCreated: storedChunks.length,
@@ -480,6 +466,7 @@ router.post('/extract-text', async (req, res) => {
       text: extractedText,
       pages: pageCount,
       wordCount,
+      ocr: pdfData.ocr || null,
       embeddings: embeddingResult ? {
         chunksCreated: embeddingResult.chunksCreated,
         totalWords: embeddingResult.totalWords,
@@ -494,40 +481,15 @@ router.post('/extract-text', async (req, res) => {
 })
 
 /**
- * Upload PDF file (alias for frontend compatibility)
+ * Get list of the user's uploaded files
  */
-router.post('/upload-pdf', upload.single('pdf'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' })
-    }
-
-    const fileId = req.file.filename
-    console.log('📄 PDF uploaded via /upload-pdf:', fileId)
-
-    res.json({
-      success: true,
-      fileId,
-      filename: req.file.originalname,
-      size: req.file.size
-    })
-
-  } catch (error) {
-    console.error('Upload error:', error)
-    res.status(500).json({ error: 'Failed to upload file' })
-  }
-})
-
-/**
- * Get list of uploaded files
- */
-router.get('/files', async (req, res) => {
+router.get('/files', requireAuth, async (req, res) => {
   try {
     const fs = await import('fs')
     const files = fs.default.readdirSync(config.uploadsDir)
     
     const fileList = files
-      .filter(file => file.endsWith('.pdf'))
+      .filter(file => file.endsWith('.pdf') && file.startsWith(localUploadPrefix(req.user.id)))
       .map(file => {
         const filePath = join(config.uploadsDir, file)
         const stats = fs.default.statSync(filePath)
@@ -549,15 +511,15 @@ router.get('/files', async (req, res) => {
 })
 
 /**
- * Get list of uploaded PDFs (alias for frontend compatibility)
+ * Get list of the user's uploaded PDFs (alias for frontend compatibility)
  */
-router.get('/list-pdfs', async (req, res) => {
+router.get('/list-pdfs', requireAuth, async (req, res) => {
   try {
     const fs = await import('fs')
     const files = fs.default.readdirSync(config.uploadsDir)
     
     const fileList = files
-      .filter(file => file.endsWith('.pdf'))
+      .filter(file => file.endsWith('.pdf') && file.startsWith(localUploadPrefix(req.user.id)))
       .map(file => {
         const filePath = join(config.uploadsDir, file)
         const stats = fs.default.statSync(filePath)
@@ -578,71 +540,133 @@ router.get('/list-pdfs', async (req, res) => {
   }
 })
 
+// Absolute URL for a path on this server (or an already absolute URL), for links handed to the client
+function absoluteUrl(req, path) {
+  return new URL(path, `${req.protocol}://${req.get('host')}`).href
+}
+
 /**
- * Serve PDF file from Supabase storage
+ * Short-lived signed link to a stored PDF
+ * @returns {Promise<{url: string, expiresAt: string}>}
  */
-router.get('/pdf/:fileId', requireAuth, async (req, res) => {
-  try {
-    const { fileId } = req.params
-    const userId = req.user.id
+async function createPdfUrl(req, pdfFile) {
+  const { url, expiresAt } = await getSignedFileUrl(pdfFile.file_url)
+  return { url: absoluteUrl(req, url), expiresAt }
+}
 
-    // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-    if (!uuidRegex.test(fileId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid file ID format'
-      })
+// Send a file under root, with Range support; private so shared caches never keep it
+function sendPrivateFile(res, root, relativePath) {
+  res.sendFile(relativePath, {
+    root,
+    headers: { 'Cache-Control': 'private, no-store' }
+  }, error => {
+    if (error && !res.headersSent) {
+      res.status(error.status === 404 ? 404 : 500).json({ error: error.status === 404 ? 'File not found' : 'Failed to read file' })
     }
+  })
+}
+
+/**
+ * Get a signed, expiring download link for a PDF
+ * The viewer loads the file from there directly, with Range requests
+ */
+router.get('/pdf/:fileId/url', requireAuth, requireOwnedPdf(req => req.params.fileId), async (req, res) => {
+  try {
+    const { url, expiresAt } = await createPdfUrl(req, req.pdf)
+    res.set('Cache-Control', 'no-store')
+    res.json({ success: true, url, expiresAt })
 
-    // Get PDF file info from database
-    const { data: pdfFile, error: dbError } = await supabase
-      .from('pdf_files')
-      .select('id, file_name, file_url, user_id')
-      .eq('id', fileId)
-      .eq('user_id', userId) // Ensure user can only access their own files
-      .single()
+  } catch (error) {
+    console.error('Error signing PDF URL:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create PDF download link'
+    })
+  }
+})
 
-    if (dbError || !pdfFile) {
-      console.error('PDF file not found:', dbError)
-      return res.status(404).json({
-        success: false,
-        error: 'PDF file not found'
-      })
-    }
+/**
+ * Redirect to a signed download link for a PDF
+ */
+router.get('/pdf/:fileId', requireAuth, requireOwnedPdf(req => req.params.fileId), async (req, res) => {
+  try {
+    const { url } = await createPdfUrl(req, req.pdf)
+    res.set('Cache-Control', 'no-store')
+    res.redirect(302, url)
 
-    // Download file from Supabase storage
-    const { data: fileData, error: storageError } = await supabase.storage
-      .from('pdfs')
-      .download(pdfFile.file_url)
+  } catch (error) {
+    console.error('Serve PDF endpoint error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve PDF file'
+    })
+  }
+})
 
-    if (storageError || !fileData) {
-      console.error('Error downloading PDF from storage:', storageError)
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to retrieve PDF file'
-      })
+/**
+ * Get a signed, expiring download link for one of the user's local uploads
+ */
+router.get('/uploads/:name/url', requireAuth, (req, res) => {
+  const { name } = req.params
+
+  if (!ownsLocalUpload(req.user.id, name) || !checkFileExists(join(config.uploadsDir, name))) {
+    return res.status(404).json({ error: 'File not found' })
+  }
+
+  const { path, expiresAt } = createLocalFileUrl(name)
+  res.set('Cache-Control', 'no-store')
+  res.json({ success: true, url: absoluteUrl(req, path), expiresAt })
+})
+
+/**
+ * Serve a local upload, with Range support
+ * Needs a valid signed link, or the owner's session
+ */
+router.get('/uploads/:name', optionalAuth, (req, res) => {
+  const { name } = req.params
+  const { expires, signature } = req.query
+
+  if (name !== basename(name) || !name.endsWith('.pdf')) {
+    return res.status(404).json({ error: 'File not found' })
+  }
+
+  if (signature !== undefined) {
+    if (!verifyLocalFileUrl(name, expires, signature)) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' })
     }
+  } else if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' })
+  } else if (!ownsLocalUpload(req.user.id, name)) {
+    return res.status(404).json({ error: 'File not found' })
+  }
 
-    // Convert blob to buffer
-    const buffer = Buffer.from(await fileData.arrayBuffer())
+  sendPrivateFile(res, config.uploadsDir, name)
+})
 
-    // Set appropriate headers
-    res.setHeader('Content-Type', 'application/pdf')
-    res.setHeader('Content-Disposition', `inline; filename="${pdfFile.file_name}"`)
-    res.setHeader('Content-Length', buffer.length)
-    res.setHeader('Cache-Control', 'public, max-age=3600') // Cache for 1 hour
+/**
+ * Serve a PDF kept by the local storage driver, with Range support
+ * Only reachable through a signed link from GET /api/pdf/:fileId/url
+ */
+router.get('/storage/*', (req, res) => {
+  const storage = getStorage()
+  const storagePath = req.params[0]
+  const { expires, signature } = req.query
+
+  if (storage.name !== 'local') {
+    return res.status(404).json({ error: 'File not found' })
+  }
 
-    // Send the PDF file
-    res.send(buffer)
+  if (!verifyStorageFileUrl(storagePath, expires, signature)) {
+    return res.status(403).json({ error: 'Download link is invalid or has expired' })
+  }
 
+  try {
+    storage.resolve(storagePath)
   } catch (error) {
-    console.error('Serve PDF endpoint error:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    })
+    return res.status(404).json({ error: 'File not found' })
   }
+
+  sendPrivateFile(res, storage.root, storagePath)
 })
 
 /**
@@ -660,35 +684,33 @@ router.delete('/pdf/:pdfId', requireAuth, async (req, res) => {
     console.log(`🗑️ Deleting PDF ${pdfId} for user ${userId}`)
 
     // First, get the PDF metadata to check ownership and get storage path
-    const { data: pdfData, error: fetchError } = await supabase
-      .from('pdf_files')
-      .select('*')
-      .eq('id', pdfId)
-      .eq('user_id', userId)
-      .single()
-
-    if (fetchError || !pdfData) {
-      console.error('PDF not found or access denied:', fetchError)
+    const pdfData = await db.pdfFiles.findById(pdfId).catch(fetchError => {
+      console.error('Error loading PDF:', fetchError)
+      return null
+    })
+
+    if (!pdfData || pdfData.user_id !== userId) {
       return res.status(404).json({ error: 'PDF not found' })
     }
 
     // Delete PDF chunks from embeddings table
-    const { error: chunksError } = await supabase
-      .from('pdf_chunks')
-      .delete()
-      .eq('pdf_id', pdfId)
-
-    if (chunksError) {
+    try {
+      await db.pdfChunks.deleteByPdf(pdfId)
+    } catch (chunksError) {
       console.warn('Error deleting PDF chunks:', chunksError)
     }
 
-    // Delete the file from Supabase storage
-    if (pdfData.file_url) {
-      const { error: storageError } = await supabase.storage
-        .from('pdfs')
-        .remove([pdfData.file_url])
+    try {
+      await deleteLexicalIndex(pdfId)
+    } catch (indexError) {
+      console.warn('Error deleting lexical index:', indexError)
+    }
 
-      if (storageError) {
+    // Delete the file from storage
+    if (pdfData.file_url) {
+      try {
+        await deleteFiles([pdfData.file_url])
+      } catch (storageError) {
         console.warn('Error deleting file from storage:', storageError)
       }
     }
@@ -707,13 +729,9 @@ router.delete('/pdf/:pdfId', requireAuth, async (req, res) => {
     }
 
     // Delete PDF metadata from database
-    const { error: deleteError } = await supabase
-      .from('pdf_files')
-      .delete()
-      .eq('id', pdfId)
-      .eq('user_id', userId)
-
-    if (deleteError) {
+    try {
+      await db.pdfFiles.delete(pdfId, userId)
+    } catch (deleteError) {
       console.error('Error deleting PDF metadata:', deleteError)
       return res.status(500).json({ error: 'Failed to delete PDF metadata' })
     }
@@ -0,0 +1,179 @@
+import express from 'express'
+import { requireAuth } from '../middleware/auth.js'
+import { requireOwnedPdf } from '../middleware/ownership.js'
+import { rateLimit, requireTokenBudget } from '../middleware/rateLimit.js'
+import { parseQuizScope } from '../services/quizSourceService.js'
+import { REVIEW_GRADES, previewIntervals } from '../services/spacedRepetition.js'
+import {
+  generateFlashcards,
+  createFlashcard,
+  getDueFlashcards,
+  reviewFlashcard,
+  getDeckStats,
+  deleteFlashcard
+} from '../services/flashcardService.js'
+
+const router = express.Router()
+
+const DEFAULT_GENERATE_COUNT = 10
+const MAX_GENERATE_COUNT = 30
+const MAX_DUE_LIMIT = 100
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+
+// Due cards carry the interval each grade would give, for the review buttons
+function withPreview(card) {
+  return { ...card, nextIntervals: previewIntervals(card) }
+}
+
+/**
+ * @route POST /api/flashcards/generate
+ * @desc Generate flashcards from a PDF, optionally narrowed to a topic or page range
+ * @access Private
+ */
+router.post('/generate', requireAuth, rateLimit('generation'), requireTokenBudget, requireOwnedPdf(req => req.body.pdfId), async (req, res) => {
+  try {
+    const { pdfId, count = DEFAULT_GENERATE_COUNT } = req.body
+
+    const cardCount = Number(count)
+    if (!Number.isInteger(cardCount) || cardCount < 1 || cardCount > MAX_GENERATE_COUNT) {
+      return res.status(400).json({ error: `count must be a whole number between 1 and ${MAX_GENERATE_COUNT}` })
+    }
+
+    const { scope, error: scopeError } = parseQuizScope(req.body)
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError })
+    }
+
+    const cards = await generateFlashcards({ userId: req.user.id, pdfId, scope, count: cardCount })
+    if (cards.length === 0) {
+      return res.status(404).json({
+        error: scope.pageRange ? 'No content found in the requested pages' : 'No content found for this PDF'
+      })
+    }
+
+    res.status(201).json({ success: true, cards })
+  } catch (error) {
+    console.error('Flashcard generation error:', error)
+    res.status(500).json({ error: 'Failed to generate flashcards' })
+  }
+})
+
+/**
+ * @route POST /api/flashcards
+ * @desc Save a flashcard, e.g. one bookmarked from a chat answer
+ * @access Private
+ */
+router.post('/', requireAuth, requireOwnedPdf(req => req.body.pdfId, { optional: true }), async (req, res) => {
+  try {
+    const { front, back, pdfId, page } = req.body
+
+    if (typeof front !== 'string' || !front.trim() || typeof back !== 'string' || !back.trim()) {
+      return res.status(400).json({ error: 'front and back are required' })
+    }
+
+    const card = await createFlashcard({
+      userId: req.user.id,
+      front,
+      back,
+      pdfId: pdfId || null,
+      page: page != null ? Number(page) : null
+    })
+
+    res.status(201).json({ success: true, card })
+  } catch (error) {
+    console.error('Flashcard save error:', error)
+    res.status(500).json({ error: 'Failed to save flashcard' })
+  }
+})
+
+/**
+ * @route GET /api/flashcards/due
+ * @desc Cards due for review
+ * @access Private
+ * @query pdfId - Review one deck only
+ * @query limit - Maximum number of cards (default 20)
+ */
+router.get('/due', requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(MAX_DUE_LIMIT, parseInt(req.query.limit) || 20)
+    const cards = await getDueFlashcards(req.user.id, { pdfId: req.query.pdfId || null, limit })
+
+    res.json({ success: true, cards: cards.map(withPreview) })
+  } catch (error) {
+    console.error('Due flashcards error:', error)
+    res.status(500).json({ error: 'Failed to load due flashcards' })
+  }
+})
+
+/**
+ * @route GET /api/flashcards/stats
+ * @desc Card counts, due cards and retention per deck
+ * @access Private
+ */
+router.get('/stats', requireAuth, async (req, res) => {
+  try {
+    const decks = await getDeckStats(req.user.id)
+    res.json({ success: true, decks })
+  } catch (error) {
+    console.error('Flashcard stats error:', error)
+    res.status(500).json({ error: 'Failed to load flashcard stats' })
+  }
+})
+
+/**
+ * @route POST /api/flashcards/:id/review
+ * @desc Grade a review (again, hard, good or easy) and reschedule the card
+ * @access Private
+ */
+router.post('/:id/review', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { grade } = req.body
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid flashcard id' })
+    }
+
+    if (!REVIEW_GRADES.includes(grade)) {
+      return res.status(400).json({ error: `grade must be one of: ${REVIEW_GRADES.join(', ')}` })
+    }
+
+    const card = await reviewFlashcard(id, req.user.id, grade)
+    if (!card) {
+      return res.status(404).json({ error: 'Flashcard not found' })
+    }
+
+    res.json({ success: true, card })
+  } catch (error) {
+    console.error('Flashcard review error:', error)
+    res.status(500).json({ error: 'Failed to record review' })
+  }
+})
+
+/**
+ * @route DELETE /api/flashcards/:id
+ * @desc Delete a flashcard
+ * @access Private
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid flashcard id' })
+    }
+
+    const deleted = await deleteFlashcard(id, req.user.id)
+    if (!deleted) {
+      return res.status(404).json({ error: 'Flashcard not found' })
+    }
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Flashcard delete error:', error)
+    res.status(500).json({ error: 'Failed to delete flashcard' })
+  }
+})
+
+export default router
@@ -6,9 +6,12 @@ import embeddingsRouter from './embeddings.js'
 import authRouter from './auth.js'
 import quizRouter from './quiz.js'
 import usersRouter from './users.js'
-import attemptsRouter from './attempts.js'
+import attemptsRouter, { saveAttempt } from './attempts.js'
+import flashcardsRouter from './flashcards.js'
+import masteryRouter from './mastery.js'
+import usageRouter from './usage.js'
 import { requireAuth } from '../middleware/auth.js'
-import { supabase } from '../supabaseClient.js'
+import { requireSelf } from '../middleware/ownership.js'
 
 const router = Router()
 
@@ -19,136 +22,13 @@ router.use('/api', embeddingsRouter)
 router.use('/api', quizRouter)
 router.use('/api', usersRouter)
 router.use('/api/attempts', attemptsRouter)
+router.use('/api/flashcards', flashcardsRouter)
+router.use('/api/mastery', masteryRouter)
+router.use('/api/usage', usageRouter)
 router.use('/api/auth', authRouter)
 
-// Direct API route for saving quiz attempts
-router.post('/api/save-attempt', requireAuth, async (req, res) => {
-  try {
-    console.log('🚨🚨🚨 SAVE-ATTEMPT ENDPOINT REACHED! 🚨🚨🚨')
-    console.log('🎯 Save-attempt endpoint called')
-    console.log('🎯 Request headers:', req.headers)
-    console.log('🎯 Request body:', JSON.stringify(req.body, null, 2))
-    console.log('🎯 Authenticated user:', req.user)
-    
-    const {
-      user_id,
-      pdf_id,
-      topic,
-      questions,
-      answers,
-      score,
-      total_questions,
-      correct_answers,
-      time_taken,
-      feedback
-    } = req.body
-
-    console.log('🎯 Extracted fields:', {
-      user_id,
-      pdf_id,
-      topic,
-      score,
-      total_questions,
-      correct_answers,
-      time_taken
-    })
-
-    // Calculate total questions from answers structure if not provided
-    let totalQuestions = total_questions
-    if (!totalQuestions && answers) {
-      const answersObj = typeof answers === 'string' ? JSON.parse(answers) : answers
-      totalQuestions = (answersObj.mcq?.length || 0) + 
-                      (answersObj.shortAnswer?.length || 0) + 
-                      (answersObj.longAnswer?.length || 0)
-      console.log('🎯 Calculated total questions from answers:', totalQuestions)
-    }
-
-    // Ensure we have a valid total
-    if (!totalQuestions || totalQuestions === 0) {
-      totalQuestions = 1 // Prevent division by zero
-      console.log('🎯 Using fallback total questions:', totalQuestions)
-    }
-
-    // Calculate integer score (out of totalQuestions)
-    const integerScore = Math.round(score * totalQuestions)
-    console.log('🎯 Calculated integer score:', integerScore, 'out of', totalQuestions)
-
-    // Validate required fields
-    if (!user_id || !topic || !questions || !answers || score === undefined) {
-      console.log('❌ Missing required fields validation failed')
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: user_id, topic, questions, answers, score',
-        received: { user_id, topic, questions: !!questions, answers: !!answers, score }
-      })
-    }
-
-    // Validate UUID format for user_id
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-    if (!uuidRegex.test(user_id)) {
-      console.log('❌ UUID validation failed for user_id:', user_id)
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid user ID format'
-      })
-    }
-
-    // Validate score is between 0 and 1
-    console.log('🎯 Validating score:', score, 'Type:', typeof score)
-    if (score < 0 || score > 1) {
-      console.error('❌ Score validation failed:', score)
-      return res.status(400).json({
-        success: false,
-        error: 'Score must be between 0 and 1'
-      })
-    }
-
-    // Create quiz attempt with feedback
-    const attemptData = {
-      user_id,
-      quiz_id: pdf_id || `quiz_${Date.now()}`,
-      topic,
-      quiz_data: JSON.stringify(questions || {}),
-      user_answers: JSON.stringify(answers),
-      score: integerScore,
-      total: totalQuestions,
-      time_taken: time_taken || null,
-      feedback: feedback || null
-    }
-
-    console.log('🎯 Prepared attempt data for database:', attemptData)
-
-    const { data: attempt, error } = await supabase
-      .from('quiz_attempts')
-      .insert([attemptData])
-      .select()
-      .single()
-
-    if (error) {
-      console.error('❌ Database error:', error)
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to save quiz attempt'
-      })
-    }
-
-    console.log('🎯 Database operation successful!')
-    console.log('🎯 Saved attempt:', attempt)
-
-    res.status(201).json({
-      success: true,
-      attempt,
-      message: 'Quiz attempt saved successfully'
-    })
-
-  } catch (error) {
-    console.error('❌ Save attempt endpoint error:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    })
-  }
-})
+// Direct API route for saving quiz attempts (same handler as /api/attempts/save-attempt)
+router.post('/api/save-attempt', requireAuth, requireSelf(), saveAttempt)
 
 // API health check
 router.get('/api/health', (req, res) => {
@@ -168,12 +48,28 @@ router.get('/', (req, res) => {
       upload: 'POST /api/upload',
       extractText: 'POST /api/extract-text',
       chat: 'POST /api/chat',
+      chatStream: 'POST /api/chat/stream',
       embeddings: 'POST /api/create-embeddings',
       search: 'POST /api/search-chunks',
       generateQuiz: 'POST /api/generate-quiz',
       analyzeQuiz: 'POST /api/analyze-quiz',
+      regradeQuiz: 'POST /api/regrade-quiz',
+      getQuiz: 'GET /api/quiz/:quizId',
+      saveQuizAnswers: 'PUT /api/quiz/:quizId/answers',
+      quizExportFormats: 'GET /api/quiz/:quizId/export',
+      exportQuiz: 'GET /api/quiz/:quizId/export/:format',
       saveAttempt: 'POST /api/save-attempt',
       quizAttempts: 'GET /api/quiz-attempts/:fileId',
+      mastery: 'GET /api/mastery',
+      usage: 'GET /api/usage',
+      flashcards: {
+        generate: 'POST /api/flashcards/generate',
+        create: 'POST /api/flashcards',
+        due: 'GET /api/flashcards/due',
+        review: 'POST /api/flashcards/:id/review',
+        stats: 'GET /api/flashcards/stats',
+        delete: 'DELETE /api/flashcards/:id'
+      },
       users: {
         create: 'POST /api/users',
         get: 'GET /api/users/:id',
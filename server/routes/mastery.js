@@ -0,0 +1,39 @@
+import express from 'express'
+import { requireAuth } from '../middleware/auth.js'
+import { getTopicMastery, pickWeakTopics, pickStrongTopics } from '../services/topicMastery.js'
+
+const router = express.Router()
+
+function toTopicSummary(row) {
+  return {
+    pdfId: row.pdf_id,
+    topic: row.topic,
+    mastery: Math.round(row.mastery * 100),
+    questions: row.questions,
+    updatedAt: row.updated_at
+  }
+}
+
+/**
+ * @route GET /api/mastery
+ * @desc Topic mastery of the signed-in user, with their weakest and strongest topics
+ * @access Private
+ * @query pdfId - Limit to one PDF
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const rows = await getTopicMastery(req.user.id, req.query.pdfId || null)
+
+    res.json({
+      success: true,
+      topics: rows.map(toTopicSummary),
+      weakTopics: pickWeakTopics(rows, { limit: 5 }).map(toTopicSummary),
+      strongTopics: pickStrongTopics(rows).map(toTopicSummary)
+    })
+  } catch (error) {
+    console.error('Topic mastery error:', error)
+    res.status(500).json({ error: 'Failed to load topic mastery' })
+  }
+})
+
+export default router
@@ -1,21 +1,41 @@
 // Quiz routes
 import { Router } from 'express'
-import { searchSimilarChunks, generateEmbedding } from '../embeddings.js'
-import { retrieveTopKChunks } from '../utils/vectorStorage.js'
-import { config } from '../config/index.js'
-import { OpenAI } from 'openai'
+import { jsonChatCompletion } from '../services/llmService.js'
+import { saveQuiz, getQuiz, recordQuizResults, updateQuizResults, saveDraftAnswers, getQuizSourceName, toPublicQuiz, countQuestions } from '../services/quizService.js'
+import { QUESTION_TYPES, parseQuestionCounts, normalizeQuiz, gradeAnswer, weightedScore } from '../services/questionTypes.js'
+import { parseQuizScope, selectQuizSources, formatQuizSources, attachQuestionPages, coveredPages } from '../services/quizSourceService.js'
+import { parseQuestionTargets, describeQuestionTargets, tagQuestions, levelBreakdown } from '../services/questionTags.js'
+import { gradeTextAnswer, UNGRADED } from '../services/rubricGrading.js'
+import { groundQuizFeedback } from '../services/quizFeedbackService.js'
+import { getTopicMastery, recordTopicMastery, pickWeakTopics, preferWeakTopics } from '../services/topicMastery.js'
+import { EXAM, parseTimeLimit, startExam, isExamExpired, examTiming } from '../services/examMode.js'
+import { EXPORT_FORMATS, EXPORT_FORMAT_NAMES, isExportFormat, exportSummary, exportQuiz } from '../services/quizExport.js'
+import { requireAuth } from '../middleware/auth.js'
+import { isOwnedBy, requireOwnedPdf, requireOwnedPdfs } from '../middleware/ownership.js'
+import { rateLimit, requireTokenBudget } from '../middleware/rateLimit.js'
 
 const router = Router()
-const openai = new OpenAI({
-  baseURL: 'https://api.studio.nebius.com/v1/',
-  apiKey: config.nebiusApiKey
-})
+
+/**
+ * Questions to ask the model for in a weak-areas quiz: a third more per type,
+ * so the ones on the weakest topics can be kept
+ */
+function withSpareQuestions(counts) {
+  return Object.fromEntries(Object.entries(counts).map(([type, count]) => [type, count + Math.ceil(count / 3)]))
+}
 
 /**
  * Create a fallback quiz when AI response parsing fails
  */
-function createFallbackQuiz(content, mcqCount, shortCount, longCount) {
+function createFallbackQuiz(content, counts) {
   console.log('Creating fallback quiz structure...');
+
+  // Other objective types are stood in for by MCQs
+  const mcqCount = Object.entries(counts)
+    .filter(([type]) => QUESTION_TYPES[type].group === 'objective')
+    .reduce((sum, [, count]) => sum + count, 0);
+  const shortCount = counts.shortAnswer || 0;
+  const longCount = counts.longAnswer || 0;
   
   // Extract first few sentences for basic questions
   const sentences = content.split('.').filter(s => s.trim().length > 20).slice(0, 10);
@@ -60,9 +80,9 @@ function createFallbackQuiz(content, mcqCount, shortCount, longCount) {
 /**
  * Generate quiz based on PDF content
  */
-router.post('/generate-quiz', async (req, res) => {
+router.post('/generate-quiz', requireAuth, rateLimit('generation'), requireTokenBudget, requireOwnedPdfs(req => [req.body.fileId, req.body.textId]), async (req, res) => {
   try {
-    const { fileId, textId, types } = req.body
+    const { fileId, textId, types, adaptive = false, timeLimitMinutes } = req.body
 
     // Validate input
     if (!fileId || !textId) {
@@ -71,87 +91,89 @@ router.post('/generate-quiz', async (req, res) => {
       })
     }
 
-    // Default types if not provided
-    const quizTypes = types || {
-      mcq: 3,
-      shortAnswer: 2, 
-      longAnswer: 1
+    // Questions per type (defaults to 3 MCQ, 2 short and 1 long answer)
+    const { counts, error: countsError } = parseQuestionCounts(types)
+    if (countsError) {
+      return res.status(400).json({ error: countsError })
     }
 
-    // Get relevant content from vector store
-    let searchResults = []
-    
-    try {
-      // Generate embedding for the query
-      const queryEmbedding = await generateEmbedding("Generate a comprehensive quiz")
-      
-      // Use Supabase vector search if configured
-      if (config.supabaseUrl && config.supabaseKey) {
-        searchResults = await searchSimilarChunks(textId, queryEmbedding, 10)
-      } else {
-        // Fallback to file-based search
-        searchResults = retrieveTopKChunks(textId, "Generate a comprehensive quiz", 10)
-      }
-    } catch (error) {
-      console.error('Vector search error:', error)
-      // Fallback to file-based search
-      searchResults = retrieveTopKChunks(textId, "Generate a comprehensive quiz", 10)
+    const { scope, error: scopeError } = parseQuizScope(req.body)
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError })
+    }
+
+    const { targets, error: targetsError } = parseQuestionTargets(req.body)
+    if (targetsError) {
+      return res.status(400).json({ error: targetsError })
+    }
+
+    // A time limit makes this a timed exam
+    const { timeLimitSeconds, error: timeLimitError } = parseTimeLimit(timeLimitMinutes)
+    if (timeLimitError) {
+      return res.status(400).json({ error: timeLimitError })
+    }
+
+    // "Practice my weak areas": lean retrieval and question selection towards low-mastery topics
+    if (typeof adaptive !== 'boolean') {
+      return res.status(400).json({ error: 'adaptive must be true or false' })
     }
+
+    const mastery = adaptive ? await getTopicMastery(req.user.id, fileId) : []
+    const weakTopics = pickWeakTopics(mastery)
+    const requestCounts = weakTopics.length > 0 ? withSpareQuestions(counts) : counts
+
+    // Sample source chunks across the requested topic / pages / chapters
+    const sources = await selectQuizSources(textId, { ...scope, focusTopics: weakTopics.map(row => row.topic) })
     
-    if (!searchResults || searchResults.length === 0) {
-      return res.status(404).json({ error: 'No content found for this PDF' })
+    if (sources.length === 0) {
+      return res.status(404).json({
+        error: scope.pageRange ? 'No content found in the requested pages' : 'No content found for this PDF'
+      })
     }
 
-    // Extract text from search results
-    const content = searchResults
-      .map(result => result.text || result.content)
-      .join('\n\n')
+    const content = formatQuizSources(sources)
 
-    // Generate quiz using OpenAI
-    const mcqCount = quizTypes.mcq || 3
-    const shortCount = quizTypes.shortAnswer || 2
-    const longCount = quizTypes.longAnswer || 1
+    // Answer format for each requested type, plus the per-question tags
+    const exampleQuiz = Object.fromEntries(Object.keys(counts).map(type => [type, [{
+      ...QUESTION_TYPES[type].example,
+      sources: [1],
+      difficulty: 'medium',
+      bloomLevel: 'understand',
+      sourcePage: 12,
+      topic: 'key concept'
+    }]]))
 
    const quizPrompt = `
 You are an expert educational content generator. Based ONLY on the provided content, create a well-balanced quiz that assesses conceptual understanding, not just recall.
 
 ✅ Requirements:
 1. Include exactly:
-   - ${mcqCount} multiple-choice questions (MCQs), each with 4 options and exactly ONE correct answer.
-   - ${shortCount} short-answer questions requiring 2–4 sentence explanations.
-   - ${longCount} long-answer question requiring a detailed conceptual analysis.
+${Object.entries(requestCounts).map(([type, count]) => `   - ${QUESTION_TYPES[type].prompt(count)}`).join('\n')}
 
-2. The MCQs should:
+2. Questions with options should:
    - Mix conceptual, factual, and applied questions.
    - Use realistic, challenging distractors (avoid obvious or identical ones).
-   - Clearly indicate the correct option via its index (0–3).
    - Avoid repetition of question stems.
 
-3. The short and long answer questions should:
+3. Written-answer questions should:
    - Encourage critical thinking and real-world application.
    - Avoid rephrasing the same ideas.
 
-4. Your output MUST be **valid JSON**, with NO text outside the object.
-   - Use this exact structure:
-
-{
-  "mcq": [
-    {
-      "question": "Question text",
-      "options": ["Option A", "Option B", "Option C", "Option D"],
-      "correctAnswerIndex": 0
-    }
-  ],
-  "shortAnswer": [
-    { "question": "Question text" }
-  ],
-  "longAnswer": [
-    { "question": "Question text" }
-  ]
-}
+4. The content is split into numbered sources, each labelled with its pages.
+   - Spread the questions across the sources instead of focusing on a few.
+   - For every question, list in "sources" the number(s) of the source(s) it is based on.
+${scope.topic ? `   - Focus the questions on: ${scope.topic}.\n` : ''}${weakTopics.length > 0 ? `   - The student is weakest on: ${weakTopics.map(row => row.topic).join(', ')}. Write most questions on these, using exactly these names as their "topic".\n` : ''}
+5. Difficulty and cognitive level:
+${describeQuestionTargets(targets).map(line => `   - ${line}`).join('\n')}
+   - Set "sourcePage" to the page the question mainly draws on.
+
+6. Your output MUST be **valid JSON**, with NO text outside the object.
+   - Use this exact structure, with one array per question type:
 
-5. Do not include explanations, markdown, or code fences.
-6. If a topic seems ambiguous, prioritize conceptual comprehension.
+${JSON.stringify(exampleQuiz, null, 2)}
+
+7. Do not include explanations, markdown, or code fences.
+8. If a topic seems ambiguous, prioritize conceptual comprehension.
 
 📘 Content for quiz creation:
 ${content}
@@ -161,8 +183,7 @@ Now, generate the JSON object described above. Remember:
 `;
 
 
-    const completion = await openai.chat.completions.create({
-      model: config.chatModel || "Qwen/Qwen3-30B-A3B-Thinking-2507",
+    const completion = await jsonChatCompletion({
       messages: [
         { 
           role: 'system', 
@@ -171,85 +192,30 @@ Now, generate the JSON object described above. Remember:
         { role: 'user', content: quizPrompt }
       ],
       temperature: 0.3, // Lower temperature for more consistent JSON format
-      top_p: 0.95,
-      max_tokens: 4000,
-      response_format: { type: "json_object" }
+      topP: 0.95,
+      maxTokens: 4000
     })
 
-    // Use our utility function to extract content from the Nebius response
+    // The provider layer already normalizes the response shape and parses the JSON
     let quizContent;
     try {
-      const content = extractContentFromNebiusResponse(completion);
-      
-
-      console.log('Response format was JSON object:', completion.response_format?.type === 'json_object');
-      
-      if (!content) {
-        throw new Error('Could not extract content from message object');
+      if (!completion.content) {
+        throw new Error('Could not extract content from model response');
       }
       
-      // Handle already parsed objects (some APIs might return them)
-      if (typeof content === 'object') {
-        quizContent = content;
+      if (completion.data) {
+        // Keep the requested sections, dropping questions that don't fit their type
+        quizContent = normalizeQuiz(completion.data, requestCounts);
       } else {
-        // Try to parse JSON
-        try {
-          quizContent = JSON.parse(content.trim());
-        } catch (jsonError) {
-          console.log('Initial JSON parse failed, trying to extract embedded JSON...');
-          
-          // If it fails, try to extract JSON embedded in non-JSON text
-          const jsonMatch = content.match(/(\{[\s\S]*"mcq"[\s\S]*\})/);
-          if (jsonMatch) {
-            try {
-              quizContent = JSON.parse(jsonMatch[1]);
-              console.log('Successfully extracted embedded JSON');
-            } catch (embeddedJsonError) {
-              console.error('Failed to parse embedded JSON:', embeddedJsonError.message);
-              // Create fallback quiz structure
-              quizContent = createFallbackQuiz(content, mcqCount, shortCount, longCount);
-            }
-          } else {
-            console.error('No JSON found in response, creating fallback quiz');
-            // Create fallback quiz structure
-            quizContent = createFallbackQuiz(content, mcqCount, shortCount, longCount);
-          }
-        }
+        console.error('No JSON found in response, creating fallback quiz');
+        // Create fallback quiz structure
+        quizContent = createFallbackQuiz(completion.content, counts);
       }
       
-      // Validate the quiz structure has required fields
-      if (!quizContent.mcq || !Array.isArray(quizContent.mcq) || !quizContent.shortAnswer || !quizContent.longAnswer) {
-        console.error('Quiz content missing required fields, attempting to create a valid structure');
-        
-        // Create a minimum valid structure if the fields are missing
-        quizContent = {
-          mcq: quizContent.mcq || [{
-            question: "The quiz generator couldn't create a proper MCQ. Please try again.",
-            options: ["Option A", "Option B", "Option C", "Option D"],
-            correctAnswerIndex: 0
-          }],
-          shortAnswer: quizContent.shortAnswer || [{
-            question: "What did you learn from the content provided?"
-          }],
-          longAnswer: quizContent.longAnswer || [{
-            question: "Explain the main concepts from the document in detail."
-          }]
-        };
-        
-        // Ensure mcq is an array
-        if (!Array.isArray(quizContent.mcq)) {
-          quizContent.mcq = [quizContent.mcq];
-        }
-        
-        // Ensure shortAnswer is an array
-        if (!Array.isArray(quizContent.shortAnswer)) {
-          quizContent.shortAnswer = [quizContent.shortAnswer];
-        }
-        
-        // Ensure longAnswer is an array
-        if (!Array.isArray(quizContent.longAnswer)) {
-          quizContent.longAnswer = [quizContent.longAnswer];
-        }
+      // Nothing usable came back (e.g. every question was malformed)
+      if (countQuestions(quizContent) === 0) {
+        console.error('Quiz content has no valid questions, creating fallback quiz');
+        quizContent = createFallbackQuiz(completion.content, counts);
       }
       
     } catch (error) {
@@ -281,11 +247,39 @@ Now, generate the JSON object described above. Remember:
       };
     }
 
+    // Turn cited source numbers into the pages each question was drawn from
+    quizContent = tagQuestions(attachQuestionPages(quizContent, sources), targets, { defaultTopic: scope.topic })
+
+    if (weakTopics.length > 0) {
+      quizContent = preferWeakTopics(quizContent, counts, new Map(mastery.map(row => [row.topic, row.mastery])))
+    }
+
+    // Keep the answer key on the server; the client only gets the questions.
+    // An exam's clock starts once its questions are ready.
+    const storedQuiz = await saveQuiz({
+      userId: req.user.id,
+      pdfId: fileId,
+      quiz: quizContent,
+      exam: timeLimitSeconds ? startExam(timeLimitSeconds) : null
+    })
+
     // Return quiz
     res.json({ 
-      quiz: quizContent,
+      quizId: storedQuiz.id,
+      quiz: toPublicQuiz(quizContent),
       fileId,
-      generatedAt: new Date().toISOString()
+      coverage: {
+        topic: scope.topic,
+        pageRange: scope.pageRange,
+        chapters: scope.chapters,
+        pages: coveredPages(sources)
+      },
+      targets,
+      timing: examTiming(storedQuiz),
+      adaptive: adaptive
+        ? { weakTopics: weakTopics.map(row => ({ topic: row.topic, mastery: Math.round(row.mastery * 100) })) }
+        : null,
+      generatedAt: storedQuiz.created_at || new Date().toISOString()
     })
 
   } catch (error) {
@@ -295,152 +289,235 @@ Now, generate the JSON object described above. Remember:
 })
 
 /**
- * Analyze quiz answers
+ * Every graded question with its score from 0 to 1 (written answers are marked out of 10)
+ * Ungraded written answers are left out until they are retried.
  */
-router.post('/analyze-quiz', async (req, res) => {
+function gradedQuestions(quiz, sectionResults) {
+  return Object.entries(sectionResults).flatMap(([type, results]) => results
+    .filter(result => result.status !== UNGRADED)
+    .map(result => ({
+      type,
+      question: quiz[type]?.[result.questionIndex],
+      score: QUESTION_TYPES[type].grade ? result.score : (result.score || 0) / 10
+    })))
+}
+
+/**
+ * Move the student's topic mastery with newly graded questions
+ * Mastery is a side effect of grading, so a failure here never fails the request.
+ */
+async function updateTopicMastery(storedQuiz, graded) {
   try {
-    const { answers, quiz } = req.body
+    await recordTopicMastery(storedQuiz.user_id, storedQuiz.pdf_id, graded)
+  } catch (error) {
+    console.error('Topic mastery update error:', error)
+  }
+}
 
-    // Validate input
-    if (!answers || !quiz) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: answers and quiz are required' 
-      })
+/**
+ * Overall score, level breakdown and feedback for graded sections
+ * Ungraded written answers are left out of the scores until they are retried.
+ */
+function summarizeResults(quizId, quiz, sectionResults) {
+  const graded = gradedQuestions(quiz, sectionResults)
+  const ungraded = Object.values(sectionResults)
+    .reduce((sum, results) => sum + results.filter(result => result.status === UNGRADED).length, 0)
+
+  // Objective questions count 40%, short answers 30% and long answers 30%
+  const overallScore = weightedScore(graded)
+
+  // Per-difficulty, per-Bloom-level and per-topic scores
+  const breakdown = levelBreakdown(graded)
+
+  // Generate feedback based on score
+  let feedback = ''
+  if (ungraded > 0) feedback = `${ungraded} written answer${ungraded === 1 ? ' is' : 's are'} still ungraded — retry grading for your final score.`
+  else if (overallScore >= 90) feedback = 'Outstanding! You have an excellent understanding of the material.'
+  else if (overallScore >= 80) feedback = 'Great job! You have a strong grasp of most concepts.'
+  else if (overallScore >= 70) feedback = 'Good work! You understand the core concepts but could improve in some areas.'
+  else if (overallScore >= 60) feedback = 'Not bad! You have a basic understanding but should review some topics.'
+  else feedback = 'Keep studying! Focus on the areas where you scored lowest.'
+
+  return {
+    quizId,
+    ...sectionResults,
+    overallScore,
+    breakdown,
+    ungraded,
+    feedback,
+    timestamp: new Date().toISOString()
+  }
+}
+
+/**
+ * Why a submission can't be graded, or null
+ * Each answer names a stored question (its questionIndex, else its position) at most once.
+ */
+function validateAnswers(quiz, answers) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return 'answers must be an object keyed by question type'
+  }
+
+  for (const type of Object.keys(QUESTION_TYPES)) {
+    if (answers[type] === undefined) continue
+    if (!Array.isArray(answers[type])) {
+      return `answers.${type} must be an array`
     }
 
-    // Analyze MCQ answers first (with error handling)
-    let mcqResults = [];
-    try {
-      mcqResults = (answers.mcq || []).map((answer, index) => {
-        // Check if the question and answer data is valid
-        if (!quiz.mcq || !quiz.mcq[index]) {
-          return {
-            questionIndex: answer.questionIndex || index,
-            isCorrect: false,
-            explanation: "Could not find this question in the quiz data."
-          };
-        }
-        
-        const question = quiz.mcq[index];
-        const correctAnswerIndex = question.correctAnswerIndex;
-        const isCorrect = answer.selectedAnswer === correctAnswerIndex;
-        
-        return {
-          questionIndex: answer.questionIndex,
-          isCorrect,
-          correctAnswerIndex,
-          selectedAnswerIndex: answer.selectedAnswer,
-          explanation: `The correct answer is ${String.fromCharCode(65 + correctAnswerIndex)}: ${question.options[correctAnswerIndex]}`
-        };
-      });
-    } catch (mcqError) {
-      console.error('Error analyzing MCQ answers:', mcqError);
-      mcqResults = [];
+    const questionCount = quiz[type]?.length || 0
+    const seen = new Set()
+    for (const [position, answer] of answers[type].entries()) {
+      const index = answer?.questionIndex ?? position
+      if (!Number.isInteger(index) || index < 0 || index >= questionCount) {
+        return `answers.${type}[${position}] refers to a question that is not in this quiz`
+      }
+      if (seen.has(index)) {
+        return `answers.${type} answers question ${index} more than once`
+      }
+      seen.add(index)
     }
+  }
+
+  return null
+}
+
+/**
+ * Submitted answers of one type by question index
+ * Out-of-range and repeated indexes are dropped (only autosaved drafts get here unvalidated).
+ */
+function answersByQuestion(questions, entries) {
+  const byIndex = new Map()
+  if (!Array.isArray(entries)) return byIndex
+
+  entries.forEach((answer, position) => {
+    const index = answer?.questionIndex ?? position
+    if (Number.isInteger(index) && index >= 0 && index < questions.length && !byIndex.has(index)) {
+      byIndex.set(index, answer)
+    }
+  })
+  return byIndex
+}
+
+/**
+ * Grade every stored question once against the stored quiz; unanswered questions score 0
+ * @param {Object} quiz - Stored quiz sections
+ * @param {Object} answers - { [type]: [{ questionIndex, ...answer }] }
+ */
+async function gradeAnswers(quiz, answers) {
+  // Objective question types are graded deterministically against the stored key
+  const sectionResults = {};
+  const textAnswerPromises = {};
+  
+  for (const [type, questionType] of Object.entries(QUESTION_TYPES)) {
+    const questions = Array.isArray(quiz[type]) ? quiz[type] : [];
+    if (questions.length === 0) continue;
+    const submitted = answersByQuestion(questions, answers?.[type]);
     
-    // Use OpenAI to analyze short and long answers (with error handling)
-    let shortAnswerPromises = [];
-    let longAnswerPromises = [];
-    
-    try {
-      shortAnswerPromises = (answers.shortAnswer || []).map((answer, index) => {
-        if (!quiz.shortAnswer || !quiz.shortAnswer[index] || !quiz.shortAnswer[index].question) {
-          return Promise.resolve({
-            score: 0,
-            feedback: "Could not find this question in the quiz data."
-          });
+    if (questionType.grade) {
+      sectionResults[type] = questions.map((question, index) => {
+        try {
+          return { questionIndex: index, ...gradeAnswer(type, question, submitted.get(index)) };
+        } catch (gradeError) {
+          console.error(`Error grading ${type} answer:`, gradeError);
+          return { questionIndex: index, isCorrect: false, score: 0, explanation: 'Failed to grade this answer.' };
         }
-        return analyzeTextAnswer(quiz.shortAnswer[index].question, answer.answer || "", 'short');
       });
-      
-      longAnswerPromises = (answers.longAnswer || []).map((answer, index) => {
-        if (!quiz.longAnswer || !quiz.longAnswer[index] || !quiz.longAnswer[index].question) {
+    } else {
+      // Written answers are graded by the model against each question's rubric (blank ones score 0 without it)
+      textAnswerPromises[type] = questions.map((question, index) => {
+        if (!question?.question) {
           return Promise.resolve({
+            questionIndex: index,
             score: 0,
             feedback: "Could not find this question in the quiz data."
           });
         }
-        return analyzeTextAnswer(quiz.longAnswer[index].question, answer.answer || "", 'long');
+        return gradeTextAnswer(question, submitted.get(index)?.answer || "", questionType.textLength)
+          .then(result => ({ questionIndex: index, ...result }));
       });
-    } catch (promiseError) {
-      console.error('Error setting up analysis promises:', promiseError);
-      shortAnswerPromises = [];
-      longAnswerPromises = [];
     }
-    
-    // Wait for all text answers to be analyzed with error handling
-    let shortAnswerResults = [];
-    let longAnswerResults = [];
-    
-    try {
-      [shortAnswerResults, longAnswerResults] = await Promise.all([
-        Promise.allSettled(shortAnswerPromises).then(results => 
-          results.map(r => r.status === 'fulfilled' ? r.value : { score: 0, feedback: 'Failed to analyze this answer.' })
-        ),
-        Promise.allSettled(longAnswerPromises).then(results => 
-          results.map(r => r.status === 'fulfilled' ? r.value : { score: 0, feedback: 'Failed to analyze this answer.' })
-        )
-      ]);
-    } catch (promiseError) {
-      console.error('Error resolving analysis promises:', promiseError);
-      shortAnswerResults = [];
-      longAnswerResults = [];
-    }
-
-    // Calculate overall score with safeguards
-    let mcqScore = 0;
-    let shortScore = 0;
-    let longScore = 0;
-    
-    try {
-      mcqScore = mcqResults.length > 0 
-        ? mcqResults.reduce((sum, result) => sum + (result.isCorrect ? 1 : 0), 0) / mcqResults.length
-        : 0;
-        
-      shortScore = shortAnswerResults.length > 0 
-        ? shortAnswerResults.reduce((sum, result) => sum + ((result.score || 0) / 10), 0) / shortAnswerResults.length
-        : 0;
-        
-      longScore = longAnswerResults.length > 0 
-        ? longAnswerResults.reduce((sum, result) => sum + ((result.score || 0) / 10), 0) / longAnswerResults.length
-        : 0;
-    } catch (scoreError) {
-      console.error('Error calculating scores:', scoreError);
+  }
+  
+  // Wait for all text answers to be analyzed with error handling
+  await Promise.all(Object.entries(textAnswerPromises).map(async ([type, promises]) => {
+    const settled = await Promise.allSettled(promises);
+    const submitted = answersByQuestion(quiz[type], answers?.[type]);
+    sectionResults[type] = settled.map((r, index) => r.status === 'fulfilled'
+      ? r.value
+      : { questionIndex: index, status: UNGRADED, score: null, answer: submitted.get(index)?.answer || '', feedback: 'This answer could not be graded. Retry grading to score it.' });
+  }));
+
+  return sectionResults
+}
+
+/**
+ * Analyze quiz answers against the stored answer key
+ */
+router.post('/analyze-quiz', requireAuth, rateLimit('grading'), requireTokenBudget, async (req, res) => {
+  try {
+    const { answers, quizId } = req.body
+
+    // Validate input
+    if (!answers || !quizId) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: answers and quizId are required' 
+      })
     }
-    
-    // Weight the scores (MCQ: 40%, Short: 30%, Long: 30%)
-    const weightSum = (mcqResults.length > 0 ? 0.4 : 0) + 
-                      (shortAnswerResults.length > 0 ? 0.3 : 0) + 
-                      (longAnswerResults.length > 0 ? 0.3 : 0);
-                      
-    let overallScore = 0;
-    if (weightSum > 0) {
-      const mcqWeight = mcqResults.length > 0 ? 0.4 / weightSum : 0;
-      const shortWeight = shortAnswerResults.length > 0 ? 0.3 / weightSum : 0;
-      const longWeight = longAnswerResults.length > 0 ? 0.3 / weightSum : 0;
-      
-      overallScore = Math.round((mcqScore * mcqWeight + shortScore * shortWeight + longScore * longWeight) * 100);
+
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+    if (!uuidRegex.test(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID format' })
+    }
+
+    const storedQuiz = await getQuiz(quizId)
+    if (!isOwnedBy(storedQuiz, req.user.id)) {
+      return res.status(404).json({ error: 'Quiz not found' })
     }
 
-    // Generate feedback based on score
-    let feedback = '';
-    if (overallScore >= 90) feedback = 'Outstanding! You have an excellent understanding of the material.';
-    else if (overallScore >= 80) feedback = 'Great job! You have a strong grasp of most concepts.';
-    else if (overallScore >= 70) feedback = 'Good work! You understand the core concepts but could improve in some areas.';
-    else if (overallScore >= 60) feedback = 'Not bad! You have a basic understanding but should review some topics.';
-    else feedback = 'Keep studying! Focus on the areas where you scored lowest.';
+    // Grading reveals the key, so only the first submission counts
+    if (storedQuiz.submitted_at) {
+      return res.status(409).json({
+        error: 'Quiz has already been submitted',
+        results: storedQuiz.results
+      })
+    }
+
+    const quiz = storedQuiz.questions
+
+    const invalid = validateAnswers(quiz, answers)
+    if (invalid && !isExamExpired(storedQuiz)) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    // A timed exam closes at its deadline: late answers are refused and the last autosave is graded instead
+    const expired = isExamExpired(storedQuiz)
+    const sectionResults = await gradeAnswers(quiz, expired ? storedQuiz.draft_answers || {} : answers)
+
+    // Explanations and page citations from the passages supporting each answer
+    const groundedResults = await groundQuizFeedback(storedQuiz.pdf_id, quiz, sectionResults)
+
+    const results = summarizeResults(quizId, quiz, groundedResults)
+
+    // A concurrent submission may have been graded first
+    if (!await recordQuizResults(quizId, results, expired ? new Date(storedQuiz.deadline_at) : undefined)) {
+      const latest = await getQuiz(quizId)
+      return res.status(409).json({
+        error: 'Quiz has already been submitted',
+        results: latest?.results
+      })
+    }
+
+    await updateTopicMastery(storedQuiz, gradedQuestions(quiz, groundedResults))
+
+    if (expired) {
+      return res.status(410).json({
+        error: 'Time is up: the exam was closed with your last autosaved answers',
+        results
+      })
+    }
 
     // Return results
-    res.json({ 
-      results: {
-        mcq: mcqResults,
-        shortAnswer: shortAnswerResults,
-        longAnswer: longAnswerResults,
-        overallScore,
-        feedback,
-        timestamp: new Date().toISOString()
-      }
-    })
+    res.json({ results })
 
   } catch (error) {
     console.error('Quiz analysis error:', error)
@@ -449,332 +526,240 @@ router.post('/analyze-quiz', async (req, res) => {
 })
 
 /**
- * Helper function to analyze text answers using OpenAI
+ * Retry grading of the written answers a submission left ungraded
  */
-async function analyzeTextAnswer(question, answer, type) {
-  const maxScore = 10
-  
-  // If answer is blank, return zero score
-  if (!answer || answer.trim() === '') {
-    return {
-      score: 0,
-      feedback: 'No answer provided.'
+router.post('/regrade-quiz', requireAuth, rateLimit('grading'), requireTokenBudget, async (req, res) => {
+  try {
+    const { quizId } = req.body
+
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+    if (!quizId || !uuidRegex.test(quizId)) {
+      return res.status(400).json({ error: 'A valid quizId is required' })
     }
-  }
-  
-  const prompt = `
-You are a professional educational evaluator assessing a student's ${type} answer.
 
-🧠 **Your goals:**
-- Grade the answer *fairly and objectively* based on accuracy, completeness, clarity, and relevance.
-- Be constructive — focus on how the student can improve conceptually.
-- Avoid generic praise like "Good job" without explanation.
+    const storedQuiz = await getQuiz(quizId)
+    if (!isOwnedBy(storedQuiz, req.user.id)) {
+      return res.status(404).json({ error: 'Quiz not found' })
+    }
 
----
+    if (!storedQuiz.results) {
+      return res.status(409).json({ error: 'Submit the quiz for grading first' })
+    }
 
-**Question:**
-${question}
+    if (!storedQuiz.results.ungraded) {
+      return res.json({ results: storedQuiz.results })
+    }
 
-**Student's Answer:**
-${answer}
+    const quiz = storedQuiz.questions
+    const sectionResults = {}
+    await Promise.all(Object.entries(QUESTION_TYPES).map(async ([type, questionType]) => {
+      const previous = storedQuiz.results[type]
+      if (!Array.isArray(previous)) return
 
----
+      sectionResults[type] = await Promise.all(previous.map(result => result.status === UNGRADED && quiz[type]?.[result.questionIndex]
+        ? gradeTextAnswer(quiz[type][result.questionIndex], result.answer, questionType.textLength)
+          .then(graded => ({ questionIndex: result.questionIndex, ...graded }))
+        : result))
+    }))
 
-🎯 **Your task:**
-1. Assign a score from 0 to ${maxScore}, where:
-   - 0 = completely incorrect or irrelevant
-   - ${maxScore} = perfect, well-structured, and accurate
-   - Partial credit is allowed for partially correct or incomplete answers
+    const groundedResults = await groundQuizFeedback(storedQuiz.pdf_id, quiz, sectionResults)
 
-2. Write detailed, constructive feedback covering:
-   - What the student did well (conceptual accuracy, clarity, examples)
-   - What could be improved (missed ideas, misconceptions, structure)
-   - Use plain, encouraging language.
+    const results = summarizeResults(quizId, quiz, groundedResults)
+    await updateQuizResults(quizId, results)
 
----
+    // Only the answers graded just now are new evidence of mastery
+    const newlyGraded = Object.fromEntries(Object.entries(groundedResults).map(([type, results]) => [
+      type,
+      results.filter((result, position) => storedQuiz.results[type][position]?.status === UNGRADED)
+    ]))
+    await updateTopicMastery(storedQuiz, gradedQuestions(quiz, newlyGraded))
 
-📦 **Output Format:**
-Respond ONLY with a valid JSON object — no extra text, code fences, or commentary.
+    res.json({ results })
 
-{
-  "score": 0-(${maxScore}),
-  "feedback": "Detailed, constructive comments explaining strengths and improvements."
-}
-`
+  } catch (error) {
+    console.error('Quiz regrade error:', error)
+    res.status(500).json({ error: 'Failed to regrade quiz answers' })
+  }
+})
 
+/**
+ * Load a stored quiz to resume it, e.g. after a page reload during an exam
+ * Returns the questions (never the key), the exam timing and the last autosave,
+ * or the results once the quiz has been submitted.
+ */
+router.get('/quiz/:quizId', requireAuth, async (req, res) => {
   try {
-    // Use the recommended format from the example for Nebius AI
-    const completion = await openai.chat.completions.create({
-      model: config.chatModel || "Qwen/Qwen3-30B-A3B-Thinking-2507", // Use the model from the example
-      messages: [
-        { role: 'system', content: 'You are an educational assessment AI that grades student answers fairly.' },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0.6,
-      top_p: 0.95,
-      max_tokens: 500,
-      response_format: { type: "json_object" }
-    })
+    const { quizId } = req.params
 
-    // Use our utility function to extract content from the Nebius response
-    const content = extractContentFromNebiusResponse(completion);
-    
-    // Debug what we've extracted
-    console.log('Extracted content type:', typeof content);
-    console.log('Content preview:', content ? content.substring(0, 100) : 'null');
-    
-    // If we couldn't extract content, provide a default response
-    if (!content) {
-      console.error('Failed to extract any useful content from the response');
-      return {
-        score: Math.floor(Math.random() * 5) + 1, // Random score between 1-5 as a fallback
-        feedback: 'Your answer was received but could not be fully analyzed. The provided score is an estimate.'
-      };
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+    if (!uuidRegex.test(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID format' })
     }
 
-    // If the content is already an object (some API implementations might return parsed objects)
-    if (typeof content === 'object') {
-      const result = content;
-      result.score = Math.min(Math.max(parseInt(result.score || 0), 0), maxScore);
-      result.feedback = result.feedback || 'No specific feedback available for this answer.';
-      return result;
+    const storedQuiz = await getQuiz(quizId)
+    if (!isOwnedBy(storedQuiz, req.user.id)) {
+      return res.status(404).json({ error: 'Quiz not found' })
     }
 
-    // Try multiple approaches to extract useful information
-    try {
-      // Approach 1: Direct JSON parsing
-      try {
-        const result = JSON.parse(content.trim());
-        if (result.score !== undefined) {
-          // We have a valid result object
-          result.score = Math.min(Math.max(parseInt(result.score || 0), 0), maxScore);
-          result.feedback = result.feedback || 'No specific feedback available for this answer.';
-          return result;
-        }
-      } catch (directParseError) {
-        // Move to next approach
-      }
-      
-      // Approach 2: Find JSON object within text
-      const jsonMatch = content.match(/\{[\s\S]*"score"[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          const result = JSON.parse(jsonMatch[0]);
-          if (result.score !== undefined) {
-            result.score = Math.min(Math.max(parseInt(result.score || 0), 0), maxScore);
-            result.feedback = result.feedback || 'No specific feedback available for this answer.';
-            return result;
-          }
-        } catch (jsonMatchError) {
-          // Move to next approach
-        }
-      }
-      
-      // Approach 3: Extract score and feedback separately using regex
-      let score = 0;
-      let feedback = '';
-      
-      // Try to find a score in the format: "score": 7 or score is 7 or score: 7
-      const scoreMatch = content.match(/(?:"score"|score)\s*(?::|is|=)\s*(\d+)/i);
-      if (scoreMatch && scoreMatch[1]) {
-        score = Math.min(Math.max(parseInt(scoreMatch[1], 10), 0), maxScore);
-      }
-      
-      // Try to find feedback in various formats
-      const feedbackMatch = content.match(/(?:"feedback"|feedback)\s*(?::|is|=)\s*"([^"]+)"/i);
-      if (feedbackMatch && feedbackMatch[1]) {
-        feedback = feedbackMatch[1];
-      } else {
-        feedback = extractFeedbackFromText(content);
-      }
-      
-      return {
-        score: score,
-        feedback: feedback
-      };
-      
-    } catch (allApproachesError) {
-      console.error('All extraction approaches failed:', allApproachesError);
-      
-      // Last resort - use whatever text we have as feedback
-      return {
-        score: Math.min(Math.max(Math.floor(Math.random() * 7) + 1, 0), maxScore), // More generous random score
-        feedback: content.length > 200 
-          ? content.substring(0, 200) + '...' 
-          : (content || 'Unable to analyze this answer.')
-      };
-    }
+    res.json({
+      quizId,
+      quiz: toPublicQuiz(storedQuiz.questions),
+      fileId: storedQuiz.pdf_id,
+      timing: examTiming(storedQuiz),
+      expired: isExamExpired(storedQuiz),
+      submitted: Boolean(storedQuiz.submitted_at),
+      draft: storedQuiz.submitted_at ? null : storedQuiz.draft_answers || null,
+      draftSavedAt: storedQuiz.draft_saved_at || null,
+      results: storedQuiz.results || null
+    })
+
   } catch (error) {
-    console.error('Error during answer analysis:', error);
-    return {
-      score: 0,
-      feedback: 'Error analyzing answer. Please try again.'
-    };
+    console.error('Quiz load error:', error)
+    res.status(500).json({ error: 'Failed to load quiz' })
   }
-}
+})
 
 /**
- * Helper function to inspect and extract content from Nebius response objects
- * which may have a different structure than standard OpenAI responses
+ * Autosave the answers of a timed exam in progress
+ * Answers use the analyze-quiz shape: { [type]: [{ questionIndex, ...answer }] }
  */
-function extractContentFromNebiusResponse(responseObj) {
-  if (!responseObj || !responseObj.choices || !responseObj.choices[0]) {
-    console.log('Invalid response object structure');
-    return null;
-  }
-  
-  const message = responseObj.choices[0].message;
-  
-  // If message is directly a string, return it
-  if (typeof message === 'string') {
-    return message;
-  }
-  
-  // If message is an object, inspect it for useful content
-  if (message && typeof message === 'object') {
-    // Log the structure for debugging
-    console.log('Message object keys:', Object.keys(message));
-    
-    // For Nebius AI specifically, check for content in this order of priority:
-    // 1. Look for direct JSON in content field
-    if (message.content) {
-      // Try to detect if content contains JSON
-      const contentStr = message.content.trim();
-      if (contentStr.startsWith('{') && contentStr.endsWith('}')) {
-        return contentStr;
-      }
+router.put('/quiz/:quizId/answers', requireAuth, async (req, res) => {
+  try {
+    const { quizId } = req.params
+    const { answers } = req.body
+
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+    if (!uuidRegex.test(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID format' })
     }
-    
-    // 2. Look for structured JSON in the content field
-    try {
-      if (message.content && typeof message.content === 'object' && message.content.score !== undefined) {
-        return JSON.stringify(message.content);
-      }
-    } catch (err) {
-      // Continue to next check
+
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers) ||
+        Object.values(answers).some(section => !Array.isArray(section))) {
+      return res.status(400).json({ error: 'answers must map question types to arrays of answers' })
     }
-    
-    // 3. Check if there's a JSON string in any field
-    for (const key of Object.keys(message)) {
-      const value = message[key];
-      if (typeof value === 'string') {
-        // Look for JSON pattern
-        const trimmed = value.trim();
-        if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
-          try {
-            JSON.parse(trimmed); // Validate it's real JSON
-            console.log(`Found JSON in field: ${key}`);
-            return trimmed;
-          } catch (e) {
-            // Not valid JSON, continue checking
-          }
-        }
-      }
+
+    const storedQuiz = await getQuiz(quizId)
+    if (!isOwnedBy(storedQuiz, req.user.id)) {
+      return res.status(404).json({ error: 'Quiz not found' })
     }
-    
-    // 4. Check for JSON embedded in longer text (especially in reasoning_content)
-    if (message.reasoning_content && typeof message.reasoning_content === 'string') {
-      const jsonMatch = message.reasoning_content.match(/(\{[\s\S]*\})/);
-      if (jsonMatch) {
-        try {
-          JSON.parse(jsonMatch[1]); // Validate it's real JSON
-          console.log('Found JSON in reasoning_content');
-          return jsonMatch[1];
-        } catch (e) {
-          // Not valid JSON, continue checking
-        }
-      }
+
+    if (storedQuiz.mode !== EXAM) {
+      return res.status(400).json({ error: 'Only timed exams are autosaved' })
     }
-    
-    // 5. Check content field as standard in OpenAI
-    if (message.content && typeof message.content === 'string') {
-      return message.content;
+
+    if (storedQuiz.submitted_at) {
+      return res.status(409).json({ error: 'Quiz has already been submitted' })
     }
-    
-    // 6. Use reasoning_content as it appears to contain useful information
-    if (message.reasoning_content && typeof message.reasoning_content === 'string') {
-      return message.reasoning_content;
+
+    if (isExamExpired(storedQuiz)) {
+      return res.status(410).json({ error: 'Time is up: answers can no longer be changed' })
     }
-    
-    // 7. Try any field with substantial text
-    for (const key of Object.keys(message)) {
-      if (typeof message[key] === 'string' && message[key].length > 50) {
-        console.log(`Found potential content in key: ${key}`);
-        return message[key];
-      }
+
+    const savedAt = await saveDraftAnswers(quizId, answers)
+    if (!savedAt) {
+      return res.status(409).json({ error: 'Quiz has already been submitted' })
     }
+
+    res.json({ savedAt, timing: examTiming(storedQuiz) })
+
+  } catch (error) {
+    console.error('Answer autosave error:', error)
+    res.status(500).json({ error: 'Failed to save answers' })
   }
-  
-  console.log('Could not extract content from message');
-  return null;
+})
+
+/**
+ * Whether a quiz's answers may leave the server: once it is graded, or its exam deadline has passed
+ */
+function answersReleased(storedQuiz) {
+  return Boolean(storedQuiz.submitted_at) || isExamExpired(storedQuiz)
 }
 
 /**
- * Helper function to extract feedback from non-JSON text
+ * Load a stored quiz for export, answer key included
+ * An exam still running can't be exported at all, and formats carrying the answers
+ * wait until the quiz is submitted. An unknown format is refused before any of that.
+ * @param {string} [format] - The format to be downloaded; omitted when listing formats
+ * @returns {Promise<{quiz?: Object, status?: number, error?: string}>}
  */
-function extractFeedbackFromText(text) {
-  // Try to find content that looks like feedback
-  if (!text) return 'No feedback available.';
-  
-  // Look for "feedback:" in quotes with content after it (common in JSON-like responses)
-  const jsonFeedbackMatch = text.match(/"feedback"\s*:\s*"([^"]+)"/);
-  if (jsonFeedbackMatch && jsonFeedbackMatch[1]) {
-    return jsonFeedbackMatch[1].trim();
+async function resolveExportQuiz(quizId, userId, format) {
+  if (format !== undefined && !isExportFormat(format)) {
+    return { status: 400, error: `Unknown export format: ${format}. Supported: ${EXPORT_FORMAT_NAMES.join(', ')}` }
   }
-  
-  // Look for feedback in sentence structure
-  const sentenceFeedbackMatch = text.match(/feedback\s*(?:is|:)\s*["']?([^"'\.]+(?:\.[^"'\.]+)*)["']?/i);
-  if (sentenceFeedbackMatch && sentenceFeedbackMatch[1]) {
-    return sentenceFeedbackMatch[1].trim();
+
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+  if (!uuidRegex.test(quizId)) {
+    return { status: 400, error: 'Invalid quiz ID format' }
   }
-  
-  // Look for other common patterns that might contain feedback
-  const feedbackPatterns = [
-    /feedback[:\s]+([^\.]+\.)/i,
-    /assessment[:\s]+([^\.]+\.)/i,
-    /evaluation[:\s]+([^\.]+\.)/i,
-    /comments?[:\s]+([^\.]+\.)/i,
-    /grading[:\s]+([^\.]+\.)/i,
-    /analysis[:\s]+([^\.]+\.)/i,
-    /demonstrates[:\s]+([^\.]+\.)/i
-  ];
-  
-  for (const pattern of feedbackPatterns) {
-    const match = text.match(pattern);
-    if (match && match[1]) {
-      return match[1].trim();
-    }
+
+  const storedQuiz = await getQuiz(quizId)
+  if (!isOwnedBy(storedQuiz, userId)) {
+    return { status: 404, error: 'Quiz not found' }
   }
-  
-  // Special case for Nebius model responses - look for reasoning content
-  // Often begins with "We are grading" or "I need to grade"
-  if (text.includes("grading") || text.includes("grade this")) {
-    // Grab the first few sentences after grading statement
-    const gradingContentMatch = text.match(/(grading|grade this)([^.]+\.[^.]+\.)/i);
-    if (gradingContentMatch && gradingContentMatch[2]) {
-      return "Based on assessment: " + gradingContentMatch[2].trim();
+
+  if (storedQuiz.mode === EXAM && !storedQuiz.submitted_at && !isExamExpired(storedQuiz)) {
+    return { status: 409, error: 'Finish the exam before exporting it' }
+  }
+
+  if (format && EXPORT_FORMATS[format].includesAnswers && !answersReleased(storedQuiz)) {
+    return { status: 409, error: 'Submit the quiz before exporting a format that includes its answers' }
+  }
+
+  return { quiz: storedQuiz }
+}
+
+/**
+ * Export formats for a stored quiz, with the questions each one would leave out
+ */
+router.get('/quiz/:quizId/export', requireAuth, async (req, res) => {
+  try {
+    const { quiz: storedQuiz, status, error } = await resolveExportQuiz(req.params.quizId, req.user.id)
+    if (error) {
+      return res.status(status).json({ error })
     }
+
+    const released = answersReleased(storedQuiz)
+    res.json({
+      quizId: storedQuiz.id,
+      formats: exportSummary(storedQuiz.questions).map(entry => ({ ...entry, available: released || !entry.includesAnswers }))
+    })
+
+  } catch (error) {
+    console.error('Quiz export listing error:', error)
+    res.status(500).json({ error: 'Failed to list export formats' })
   }
-  
-  // If we have a long text, try to extract the most meaningful part
-  if (text.length > 100) {
-    // Look for sentences that seem to be evaluative
-    const evaluativeSentences = text.match(/[^.!?]+(?:good|excellent|poor|needs|improve|correct|accurate|well|strong|weak|issue)[^.!?]+[.!?]/gi);
-    if (evaluativeSentences && evaluativeSentences.length > 0) {
-      return evaluativeSentences.slice(0, 2).join(' ');
+})
+
+/**
+ * Download a stored quiz as Moodle XML, GIFT, a QTI 2.1 package, a printable worksheet or its answer key
+ * Questions the format cannot hold are listed in the X-Export-Skipped header (JSON).
+ */
+router.get('/quiz/:quizId/export/:format', requireAuth, async (req, res) => {
+  try {
+    const { format } = req.params
+    const { quiz: storedQuiz, status, error } = await resolveExportQuiz(req.params.quizId, req.user.id, format)
+    if (error) {
+      return res.status(status).json({ error })
     }
-    
-    // If nothing else works, return a portion of the text
-    return text.substring(0, 200) + '...';
+
+    const title = (await getQuizSourceName(storedQuiz.pdf_id).catch(() => null))?.replace(/\.pdf$/i, '') || 'Quiz'
+    const { content, filename, contentType, skipped } = exportQuiz(storedQuiz.questions, format, { title })
+
+    res.setHeader('Content-Type', contentType)
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    res.setHeader('X-Export-Skipped', JSON.stringify(skipped))
+    res.send(content)
+
+  } catch (error) {
+    console.error('Quiz export error:', error)
+    res.status(500).json({ error: 'Failed to export quiz' })
   }
-  
-  return text || 'No feedback available.';
-}
+})
 
 /**
  * Get saved quiz attempts for a user
  */
-router.get('/quiz-attempts/:fileId', async (req, res) => {
+router.get('/quiz-attempts/:fileId', requireAuth, requireOwnedPdf(req => req.params.fileId), async (req, res) => {
   // Placeholder - would be implemented with database integration
   res.json({ 
     attempts: [] 
@@ -0,0 +1,28 @@
+import express from 'express'
+import { requireAuth } from '../middleware/auth.js'
+import { ROUTE_CLASSES, rateLimitStatus } from '../middleware/rateLimit.js'
+import { getDailyUsage } from '../services/usageService.js'
+
+const router = express.Router()
+
+/**
+ * @route GET /api/usage
+ * @desc AI tokens the signed-in user spent today against their daily budget, and their per-minute request limits
+ * @access Private
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const usage = await getDailyUsage(req.user.id)
+
+    res.json({
+      success: true,
+      usage,
+      rateLimits: Object.keys(ROUTE_CLASSES).map(routeClass => rateLimitStatus(routeClass, req.user.id))
+    })
+  } catch (error) {
+    console.error('Usage error:', error)
+    res.status(500).json({ error: 'Failed to load usage' })
+  }
+})
+
+export default router
@@ -1,15 +1,17 @@
 // Users routes
 import { Router } from 'express';
-import { supabase } from '../supabaseClient.js';
+import { db } from '../repositories/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireSelf } from '../middleware/ownership.js';
 
 const router = Router();
 
 /**
- * Create or update user (upsert)
+ * Create or update the signed-in user's record (upsert)
  * @route POST /api/users
- * @body { email, full_name, avatar_url? }
+ * @body { email, full_name, avatar_url? } - email must be the signed-in user's
  */
-router.post('/users', async (req, res) => {
+router.post('/users', requireAuth, async (req, res) => {
   try {
     const { email, full_name, avatar_url } = req.body;
 
@@ -28,6 +30,13 @@ router.post('/users', async (req, res) => {
       });
     }
 
+    // Upserting by email would otherwise overwrite someone else's record
+    if (email.trim().toLowerCase() !== req.user.email?.toLowerCase()) {
+      return res.status(403).json({ 
+        error: 'You can only access your own data' 
+      });
+    }
+
     // Prepare user data
     const userData = {
       email: email.trim().toLowerCase(),
@@ -39,17 +48,11 @@ router.post('/users', async (req, res) => {
     console.log('Creating/updating user:', { email: userData.email, full_name: userData.full_name });
 
     // Upsert user (insert or update if exists)
-    const { data, error } = await supabase
-      .from('users')
-      .upsert(userData, { 
-        onConflict: 'email',
-        ignoreDuplicates: false 
-      })
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Supabase error creating/updating user:', error);
+    let data;
+    try {
+      data = await db.users.upsert(userData, { onConflict: 'email' });
+    } catch (error) {
+      console.error('Database error creating/updating user:', error);
       return res.status(500).json({ 
         error: 'Failed to create/update user',
         details: error.message 
@@ -76,7 +79,7 @@ router.post('/users', async (req, res) => {
  * Get user by ID
  * @route GET /api/users/:id
  */
-router.get('/users/:id', async (req, res) => {
+router.get('/users/:id', requireAuth, requireSelf(req => req.params.id), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -91,27 +94,23 @@ router.get('/users/:id', async (req, res) => {
     console.log('Fetching user:', id);
 
     // Get user from database
-    const { data, error } = await supabase
-      .from('users')
-      .select('id, email, full_name, avatar_url, created_at, updated_at')
-      .eq('id', id)
-      .single();
-
-    if (error) {
-      console.error('Supabase error fetching user:', error);
-      
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({ 
-          error: 'User not found' 
-        });
-      }
-
+    let data;
+    try {
+      data = await db.users.findById(id, { columns: 'id, email, full_name, avatar_url, created_at, updated_at' });
+    } catch (error) {
+      console.error('Database error fetching user:', error);
       return res.status(500).json({ 
         error: 'Failed to fetch user',
         details: error.message 
       });
     }
 
+    if (!data) {
+      return res.status(404).json({ 
+        error: 'User not found' 
+      });
+    }
+
     console.log('User fetched successfully:', data.id);
 
     res.json({
@@ -133,7 +132,7 @@ router.get('/users/:id', async (req, res) => {
  * @route PUT /api/users/:id
  * @body { full_name?, avatar_url? }
  */
-router.put('/users/:id', async (req, res) => {
+router.put('/users/:id', requireAuth, requireSelf(req => req.params.id), async (req, res) => {
   try {
     const { id } = req.params;
     const { full_name, avatar_url } = req.body;
@@ -169,28 +168,23 @@ router.put('/users/:id', async (req, res) => {
     console.log('Updating user:', id, updateData);
 
     // Update user in database
-    const { data, error } = await supabase
-      .from('users')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Supabase error updating user:', error);
-      
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({ 
-          error: 'User not found' 
-        });
-      }
-
+    let data;
+    try {
+      data = await db.users.update(id, updateData);
+    } catch (error) {
+      console.error('Database error updating user:', error);
       return res.status(500).json({ 
         error: 'Failed to update user',
         details: error.message 
       });
     }
 
+    if (!data) {
+      return res.status(404).json({ 
+        error: 'User not found' 
+      });
+    }
+
     console.log('User updated successfully:', data.id);
 
     res.json({
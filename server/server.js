@@ -6,6 +6,10 @@ import { config } from './config/index.js'
 import { configureMiddleware } from './middleware/index.js'
 import routes from './routes/index.js'
 import { initializeDatabase } from './embeddings.js'
+import { isDatabaseConfigured } from './repositories/index.js'
+import { getProviderInfo } from './services/llmService.js'
+import { isLocalAuthEnabled } from './services/authService.js'
+import { startPDFProcessingWorker } from './services/pdfProcessingService.js'
 
 // Create Express application
 const app = express()
@@ -29,7 +33,7 @@ app.use('*', (req, res) => {
       embeddings: 'POST /api/create-embeddings',
       search: 'POST /api/search-chunks',
       users: 'POST /api/users, GET /api/users/:id, PUT /api/users/:id',
-      pdfs: 'GET /api/pdfs, GET /api/pdf/:fileId',
+      pdfs: 'GET /api/pdfs, GET /api/pdf/:fileId/url',
       attempts: 'GET /api/attempts, POST /api/attempts, POST /api/attempts/save-attempt',
       health: 'GET /api/health'
     }
@@ -54,25 +58,40 @@ app.use((error, req, res, next) => {
 async function startServer() {
   try {
     // Initialize database connection
-    if (config.supabaseUrl && config.supabaseKey) {
+    if (isDatabaseConfigured()) {
       console.log('Initializing database connection...')
       const dbInitialized = await initializeDatabase()
       if (dbInitialized) {
         console.log('✅ Database connection successful')
       } else {
-        console.log('⚠️  Database initialization failed - check Supabase configuration')
+        console.log(`⚠️  Database initialization failed - check ${config.databaseDriver === 'supabase' ? 'Supabase configuration' : `SQLITE_PATH (${config.sqlitePath})`}`)
       }
     } else {
       console.log('⚠️  Supabase configuration missing - vector search will be unavailable')
     }
 
+    if (config.authDriver === 'local' && !isLocalAuthEnabled()) {
+      console.log(config.nodeEnv === 'production'
+        ? '⚠️  AUTH_DRIVER=local is ignored in production - using Supabase Auth'
+        : '⚠️  AUTH_DRIVER=local needs ALLOW_LOCAL_AUTH=1 - using Supabase Auth')
+    }
+
     // Start listening
     app.listen(config.port, () => {
       console.log(`🚀 Server running on port ${config.port}`)
       console.log(`📍 Environment: ${config.nodeEnv}`)
       console.log(`📁 Uploads directory: ${config.uploadsDir}`)
-      console.log(`🤖 AI Model: ${config.chatModel}`)
+      console.log(`🗃️  Database: ${config.databaseDriver === 'sqlite' ? `sqlite (${config.sqlitePath})` : config.databaseDriver}`)
+      console.log(`🗄️  PDF storage: ${config.storageDriver === 'local' ? `local (${config.storageDir})` : config.storageDriver}`)
+      console.log(`🔑 Auth: ${isLocalAuthEnabled() ? 'local (POST /api/auth/local)' : 'supabase'}`)
+      const llm = getProviderInfo()
+      console.log(`🤖 AI Provider: ${llm.provider} (${llm.chatModel}, embeddings: ${llm.embedModel})`)
       console.log(`🔗 Vector dimensions: ${config.embeddingDimensions}`)
+
+      // Process queued PDFs in this process unless a separate `node worker.js` handles them
+      if (config.jobWorker === 'inline' && isDatabaseConfigured()) {
+        startPDFProcessingWorker()
+      }
       
       if (config.nodeEnv === 'development') {
         console.log(`\n🔗 Available endpoints:`)
@@ -1,20 +1,85 @@
-// Authentication Service for Supabase
+// Authentication Service: Supabase Auth, or local tokens when AUTH_DRIVER=local
+import crypto from 'crypto';
 import { createClient } from '@supabase/supabase-js';
 import { config } from '../config/index.js';
+import { db } from '../repositories/index.js';
 
-// Create Supabase client for authentication
-const supabase = createClient(
-  config.supabaseUrl,
-  config.supabaseKey
-);
+// Supabase client for authentication, created on first use
+let supabase = null;
 
-// Create Supabase admin client (with service role key for admin operations)
-const supabaseAdmin = config.supabaseServiceKey
-  ? createClient(
-      config.supabaseUrl,
-      config.supabaseServiceKey
-    )
-  : null;
+function supabaseAuth() {
+  if (!supabase) {
+    if (!config.supabaseUrl || !config.supabaseKey) {
+      throw new Error('SUPABASE_URL and SUPABASE_KEY are required for Supabase Auth (or set AUTH_DRIVER=local)');
+    }
+    supabase = createClient(config.supabaseUrl, config.supabaseKey);
+  }
+  return supabase.auth;
+}
+
+/*
+ * Local sign-in for offline development and integration tests: POST /api/auth/local
+ * takes an email, creates the user if needed and returns an HMAC-signed token
+ * ("local.<payload>.<signature>") that expires after LOCAL_AUTH_TTL_SECONDS.
+ * There is no password, so anyone who can reach the server can sign in as any user:
+ * it needs ALLOW_LOCAL_AUTH=1 on top of AUTH_DRIVER=local and is refused in production.
+ */
+
+// Used when LOCAL_AUTH_SECRET is unset; tokens then only work against this process
+const processSecret = crypto.randomBytes(32);
+
+export function isLocalAuthEnabled() {
+  return config.authDriver === 'local' && config.allowLocalAuth && config.nodeEnv !== 'production';
+}
+
+function localSignature(payload) {
+  return crypto
+    .createHmac('sha256', config.localAuthSecret || processSecret)
+    .update(payload)
+    .digest('hex');
+}
+
+function createLocalToken(user, now = Date.now()) {
+  const expires = Math.floor(now / 1000) + config.localAuthTtlSeconds;
+  const payload = Buffer.from(JSON.stringify({ sub: user.id, email: user.email, exp: expires })).toString('base64url');
+  return { token: `local.${payload}.${localSignature(payload)}`, expiresAt: new Date(expires * 1000).toISOString() };
+}
+
+// The token's claims, or null if it isn't a valid, unexpired local token
+function readLocalToken(token, now = Date.now()) {
+  const [prefix, payload, givenSignature] = token.split('.');
+  if (prefix !== 'local' || !payload || !/^[0-9a-f]{64}$/.test(givenSignature || '')) {
+    return null;
+  }
+  if (!crypto.timingSafeEqual(Buffer.from(givenSignature, 'hex'), Buffer.from(localSignature(payload), 'hex'))) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return Number.isInteger(claims.exp) && claims.exp * 1000 >= now ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// Profile row -> the Supabase Auth user shape the routes expect on req.user
+function localUser(profile) {
+  return {
+    id: profile.id,
+    email: profile.email,
+    user_metadata: { full_name: profile.full_name, avatar_url: profile.avatar_url }
+  };
+}
+
+async function verifyLocalSession(token) {
+  const claims = readLocalToken(token);
+  if (!claims) return { valid: false };
+
+  // Deleted users lose access even while their token is unexpired
+  const profile = await db.users.findById(claims.sub);
+  return profile ? { valid: true, user: localUser(profile) } : { valid: false };
+}
 
 /**
  * Authentication service for handling Supabase auth operations
@@ -29,7 +94,11 @@ export const authService = {
     if (!token) return null;
     
     try {
-      const { data: { user }, error } = await supabase.auth.getUser(token);
+      if (isLocalAuthEnabled()) {
+        return (await verifyLocalSession(token)).user || null;
+      }
+
+      const { data: { user }, error } = await supabaseAuth().getUser(token);
       
       if (error) {
         console.error('Error getting user by token:', error);
@@ -49,8 +118,12 @@ export const authService = {
    * @returns {Object} - Session info or error
    */
   async signInWithGoogle(code) {
+    if (isLocalAuthEnabled()) {
+      return { success: false, error: 'Google sign-in is unavailable with AUTH_DRIVER=local' };
+    }
+
     try {
-      const { data, error } = await supabase.auth.exchangeCodeForSession(code);
+      const { data, error } = await supabaseAuth().exchangeCodeForSession(code);
       
       if (error) {
         return { success: false, error: error.message };
@@ -70,9 +143,12 @@ export const authService = {
    */
   async signOut(token) {
     if (!token) return { success: false, error: 'No token provided' };
+
+    // Local tokens aren't stored: the client drops its copy and it expires on its own
+    if (isLocalAuthEnabled()) return { success: true };
     
     try {
-      const { error } = await supabase.auth.admin.signOut(token);
+      const { error } = await supabaseAuth().admin.signOut(token);
       
       if (error) {
         return { success: false, error: error.message };
@@ -94,21 +170,7 @@ export const authService = {
     if (!userId) return null;
     
     try {
-      // Use admin client to bypass RLS for user lookup
-      const client = supabaseAdmin || supabase;
-      
-      const { data, error } = await client
-        .from('users')
-        .select('*')
-        .eq('id', userId)
-        .single();
-      
-      if (error) {
-        console.error('Error getting user profile:', error);
-        return null;
-      }
-      
-      return data;
+      return await db.users.findById(userId);
     } catch (error) {
       console.error('Error in getUserProfile:', error);
       return null;
@@ -126,48 +188,45 @@ export const authService = {
     }
 
     try {
-      // For debugging: check if we have admin client
-      const hasAdminClient = !!supabaseAdmin;
-      console.log('🔧 Admin client available:', hasAdminClient);
-      
-      // Use admin client to bypass RLS for user creation, fallback to regular client
-      const client = supabaseAdmin || supabase;
-      console.log('🔧 Using client type:', supabaseAdmin ? 'ADMIN' : 'REGULAR');
-      
-      // First try to insert with the exact Supabase Auth user ID
-      const { data, error } = await client
-        .from('users')
-        .upsert([{
-          id: profile.id, // Use the exact Supabase Auth user ID
-          email: profile.email,
-          full_name: profile.full_name,
-          avatar_url: profile.avatar_url,
-          updated_at: new Date().toISOString()
-        }], { 
-          onConflict: 'id',
-          ignoreDuplicates: false // Force update if exists
-        })
-        .select(); // Return the created/updated record
-
-      if (error) {
-        console.error('Database error creating user profile:', error);
-        
-        // If RLS error and we're not using admin client, suggest the fix
-        if (error.code === '42501' && !supabaseAdmin) {
-          return { success: false, error: 'RLS policy blocking user creation. Need to configure SUPABASE_SERVICE_KEY or disable RLS on users table.' };
-        }
-        
-        return { success: false, error: error.message };
-      }
+      // Keyed by the exact Supabase Auth user ID
+      const data = await db.users.upsert({
+        id: profile.id,
+        email: profile.email,
+        full_name: profile.full_name,
+        avatar_url: profile.avatar_url,
+        updated_at: new Date().toISOString()
+      });
 
       console.log('✅ User profile created/updated successfully:', data);
-      return { success: true, data };
+      return { success: true, data: [data] };
     } catch (error) {
       console.error('Error in upsertUserProfile:', error);
       return { success: false, error: error.message };
     }
   },
   
+  /**
+   * Sign in without Supabase (AUTH_DRIVER=local), creating the user on first sign-in
+   * @param {Object} params - { email, fullName }
+   * @returns {Object} - { success, user, session: { access_token, expires_at } } or error
+   */
+  async signInLocal({ email, fullName }) {
+    if (!isLocalAuthEnabled()) {
+      return { success: false, error: 'Local sign-in is disabled' };
+    }
+
+    try {
+      // Keeps the stored name unless a new one is given
+      const profile = await db.users.upsert({ email, full_name: fullName || undefined }, { onConflict: 'email' });
+      const { token, expiresAt } = createLocalToken(profile);
+
+      return { success: true, user: localUser(profile), session: { access_token: token, expires_at: expiresAt } };
+    } catch (error) {
+      console.error('Error in signInLocal:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
   /**
    * Verify session
    * @param {string} token - JWT token
@@ -177,7 +236,11 @@ export const authService = {
     if (!token) return { valid: false };
     
     try {
-      const { data: { user }, error } = await supabase.auth.getUser(token);
+      if (isLocalAuthEnabled()) {
+        return await verifyLocalSession(token);
+      }
+
+      const { data: { user }, error } = await supabaseAuth().getUser(token);
       
       if (error || !user) {
         return { valid: false };
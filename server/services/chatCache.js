@@ -2,19 +2,19 @@
  * In-Memory Chat Context Cache
  * 
  * This module provides fast, in-memory caching of chat conversations while maintaining
- * full persistence to Supabase. It enables continuous conversation context without
+ * full persistence to the database. It enables continuous conversation context without
  * needing to fetch chat history on every API call.
  * 
  * Key features:
  * - In-memory storage of recent messages per chatId
- * - Automatic cache miss handling by fetching from Supabase
+ * - Automatic cache miss handling by fetching from the database
  * - Message trimming to manage token usage (configurable limit)
  * - Inactive session cleanup to prevent memory bloat
  * - Thread-safe operations with proper error handling
  * - Graceful degradation on cache failures
  */
 
-import { supabase } from '../supabaseClient.js'
+import { db } from '../repositories/index.js'
 
 // Cache configuration
 const CACHE_CONFIG = {
@@ -46,7 +46,7 @@ const lastAccessTimes = new Map()
  */
 
 /**
- * Get chat context from cache or fetch from Supabase
+ * Get chat context from cache or fetch from the database
  */
 export async function getChatContext(chatId, userId) {
   try {
@@ -56,42 +56,39 @@ export async function getChatContext(chatId, userId) {
     // Check if already cached
     if (chatCache.has(chatId)) {
       const context = chatCache.get(chatId)
+      if (context.userId !== userId) {
+        return null
+      }
       context.lastAccessed = Date.now()
       
       console.log(`📋 Cache hit for chatId: ${chatId} (${context.messages.length} messages)`)
       return context
     }
 
-    console.log(`🔍 Cache miss for chatId: ${chatId}, fetching from Supabase...`)
+    console.log(`🔍 Cache miss for chatId: ${chatId}, fetching from the database...`)
     
     // Fetch chat session info
-    const { data: chatSession, error: sessionError } = await supabase
-      .from('chat_sessions')
-      .select('id, user_id, pdf_id, title')
-      .eq('id', chatId)
-      .eq('user_id', userId)
-      .single()
-
-    if (sessionError || !chatSession) {
+    const chatSession = await db.chatSessions.findById(chatId, { userId, columns: 'id, user_id, pdf_id, title' })
+
+    if (!chatSession) {
       console.log(`❌ Chat session not found: ${chatId}`)
       return null
     }
 
     // Fetch recent messages for context
-    const { data: messages, error: messagesError } = await supabase
-      .from('chat_messages')
-      .select('content, is_user, timestamp')
-      .eq('chat_id', chatId)
-      .order('timestamp', { ascending: true })
-      .limit(CACHE_CONFIG.maxMessagesPerChat)
-
-    if (messagesError) {
+    let messages
+    try {
+      messages = await db.chatMessages.listByChat(chatId, {
+        columns: 'content, is_user, timestamp',
+        limit: CACHE_CONFIG.maxMessagesPerChat
+      })
+    } catch (messagesError) {
       console.error('❌ Error fetching messages for cache:', messagesError)
       return null
     }
 
     // Convert to LLM-friendly format
-    const formattedMessages = (messages || []).map(msg => ({
+    const formattedMessages = messages.map(msg => ({
       role: msg.is_user ? 'user' : 'assistant',
       content: msg.content,
       timestamp: msg.timestamp
@@ -121,7 +118,7 @@ export async function getChatContext(chatId, userId) {
 }
 
 /**
- * Add new message to chat context and persist to Supabase
+ * Add new message to chat context and persist to the database
  */
 export async function addMessageToContext(chatId, userId, userMessage, assistantResponse, pdfId = null) {
   try {
@@ -142,19 +139,17 @@ export async function addMessageToContext(chatId, userId, userMessage, assistant
         isLoaded: true
       }
       
-      // Create chat session in Supabase
-      const { error: sessionError } = await supabase
-        .from('chat_sessions')
-        .insert([{
+      // Create chat session in the database
+      try {
+        await db.chatSessions.create({
           id: chatId,
           user_id: userId,
           title: context.title,
           pdf_id: pdfId,
           created_at: timestamp,
           updated_at: timestamp
-        }])
-
-      if (sessionError) {
+        })
+      } catch (sessionError) {
         console.error('❌ Error creating chat session:', sessionError)
         throw new Error('Failed to create chat session')
       }
@@ -187,7 +182,7 @@ export async function addMessageToContext(chatId, userId, userMessage, assistant
     context.lastAccessed = Date.now()
     setCacheWithLimits(chatId, context)
 
-    // Persist to Supabase (both messages)
+    // Persist to the database (both messages)
     const messagesToSave = [
       {
         chat_id: chatId,
@@ -203,22 +198,17 @@ export async function addMessageToContext(chatId, userId, userMessage, assistant
       }
     ]
 
-    const { error: messagesError } = await supabase
-      .from('chat_messages')
-      .insert(messagesToSave)
-
-    if (messagesError) {
-      console.error('❌ Error persisting messages to Supabase:', messagesError)
+    try {
+      await db.chatMessages.insert(messagesToSave)
+    } catch (messagesError) {
+      console.error('❌ Error persisting messages to the database:', messagesError)
       // Don't throw here - cache still works, just persistence failed
     }
 
     // Update chat session timestamp
-    const { error: updateError } = await supabase
-      .from('chat_sessions')
-      .update({ updated_at: timestamp })
-      .eq('id', chatId)
-
-    if (updateError) {
+    try {
+      await db.chatSessions.update(chatId, { updated_at: timestamp })
+    } catch (updateError) {
       console.error('❌ Error updating chat session timestamp:', updateError)
     }
 
@@ -342,8 +332,9 @@ export function clearAllCache() {
   return count
 }
 
-// Start cleanup interval
+// Start cleanup interval (it shouldn't keep the process alive on its own)
 const cleanupInterval = setInterval(cleanupInactiveChats, CACHE_CONFIG.cleanupIntervalMs)
+cleanupInterval.unref()
 
 // Graceful shutdown cleanup
 process.on('SIGINT', () => {
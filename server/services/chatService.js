@@ -1,129 +1,50 @@
 // Chat service for handling AI conversations
-import OpenAI from 'openai'
+import { chatCompletion, streamChatCompletion } from './llmService.js'
 import { config } from '../config/index.js'
 import {
   generateEmbedding,
-  searchSimilarChunks
+  searchSimilarChunksMulti,
+  searchLexicalChunks
 } from '../embeddings.js'
 import {
   constructRAGPrompt,
   sanitizeMessage,
   parseAIResponse,
+  createAnswerStreamParser,
   createSystemPrompt,
   truncateContext,
   estimateTokenCount,
   logRAGOperation
 } from '../utils/ragUtils.js'
 import { retrieveTopKChunks } from '../utils/vectorStorage.js'
+import { reciprocalRankFusion } from '../utils/bm25.js'
+import { rerankChunks, isRerankEnabled } from './rerankService.js'
 import { getChatContext, addMessageToContext, getConversationHistory } from './chatCache.js'
-
-// Initialize Nebius AI client
-const nebiusClient = new OpenAI({
-  baseURL: 'https://api.studio.nebius.com/v1/',
-  apiKey: config.nebiusApiKey,
-})
+import { resolveChatDocuments, saveSessionDocuments } from './documentScope.js'
+import { isDatabaseConfigured } from '../repositories/index.js'
 
 /**
  * Process chat message with enhanced conversation persistence and RAG optimization
  * @param {string} chatId - Unique chat session identifier
  * @param {string} message - User message
- * @param {string|null} pdfId - Optional PDF document ID for RAG
+ * @param {string|Object|null} documents - PDF id, or { pdfId, pdfIds, library } to ground the chat in several PDFs
  * @param {string|null} userId - User ID for conversation persistence
  */
-export async function processChatMessage(chatId, message, pdfId = null, userId = null) {
+export async function processChatMessage(chatId, message, documents = null, userId = null) {
   try {
-    const sanitizedMessage = sanitizeMessage(message);
-    let retrievedChunks = [];
-    let citations = [];
-
-    // Automatic conversation context loading
-    let conversationContext = null;
-    if (chatId) {
-      try {
-        // Use a default userId if none provided (for anonymous sessions)
-        const effectiveUserId = userId || `anonymous_${chatId}`;
-        conversationContext = await getChatContext(chatId, effectiveUserId);
-        
-        logRAGOperation('context_loaded', {
-          chatId,
-          userId: effectiveUserId,
-          messageCount: conversationContext?.messages?.length || 0
-        });
-      } catch (contextError) {
-        logRAGOperation('context_load_failed', {
-          chatId,
-          error: contextError.message
-        }, true);
-        // Continue without context - don't fail the entire request
-      }
-    }
-
-    // Enhanced PDF chunk retrieval with smart context management
-    if (pdfId) {
-      retrievedChunks = await retrievePDFChunks(pdfId, sanitizedMessage);
-      
-      // Generate citations from retrieved chunks
-      citations = retrievedChunks.map(chunk => ({
-        page: chunk.page,
-        snippet: chunk.text.substring(0, 150) + (chunk.text.length > 150 ? '...' : ''),
-        similarity: Math.round(chunk.similarity * 100) / 100
-      }));
-    }
+    const turn = await prepareChatTurn(chatId, message, documents, userId);
 
     let aiResponse;
 
-    if (retrievedChunks.length > 0) {
+    if (turn.retrievedChunks.length > 0) {
       // RAG-based response with enhanced context and conversation history
-      aiResponse = await generateRAGResponse(sanitizedMessage, retrievedChunks, conversationContext);
+      aiResponse = await generateRAGResponse(turn.sanitizedMessage, turn.retrievedChunks, turn.conversationContext);
     } else {
       // General conversation with conversation history
-      aiResponse = await generateGeneralResponse(sanitizedMessage, conversationContext);
+      aiResponse = await generateGeneralResponse(turn.sanitizedMessage, turn.conversationContext);
     }
 
-    // Merge citations intelligently
-    let finalCitations = aiResponse.citations || [];
-    if (finalCitations.length === 0 && 
-        aiResponse.answer && 
-        !aiResponse.answer.includes('error') && 
-        !aiResponse.answer.includes('empty response') &&
-        citations.length > 0) {
-      finalCitations = citations.slice(0, 5); // Limit to top 5 citations
-    }
-
-    // Automatic conversation persistence
-    if (chatId) {
-      try {
-        const effectiveUserId = userId || `anonymous_${chatId}`;
-        await addMessageToContext(chatId, effectiveUserId, sanitizedMessage, aiResponse.answer, pdfId);
-        
-        logRAGOperation('context_saved', {
-          chatId,
-          userId: effectiveUserId,
-          messageLength: sanitizedMessage.length,
-          responseLength: aiResponse.answer.length
-        });
-      } catch (saveError) {
-        logRAGOperation('context_save_failed', {
-          chatId,
-          error: saveError.message
-        }, true);
-        // Continue anyway - save failure shouldn't break the response
-      }
-    }
-
-    return {
-      success: true,
-      answer: aiResponse.answer,
-      citations: finalCitations,
-      metadata: {
-        chatId,
-        pdfId: pdfId || null,
-        chunksUsed: retrievedChunks.length,
-        timestamp: new Date().toISOString(),
-        contextMessages: conversationContext?.messages?.length || 0,
-        hasHistory: !!(conversationContext?.messages?.length)
-      }
-    };
+    return await finalizeChatTurn(turn, aiResponse);
 
   } catch (error) {
     logRAGOperation('processing_error', {
@@ -137,106 +58,433 @@ export async function processChatMessage(chatId, message, pdfId = null, userId =
 }
 
 /**
- * Enhanced PDF chunk retrieval with fallback strategies
+ * Streaming variant of processChatMessage.
+ * Emits answer text through onDelta as the model generates it and resolves with the
+ * same payload as processChatMessage once the stream completes. The turn is only
+ * persisted after a complete answer; aborting the signal cancels the upstream call.
+ * @param {string} chatId - Unique chat session identifier
+ * @param {string} message - User message
+ * @param {string|Object|null} documents - PDF id, or { pdfId, pdfIds, library } to ground the chat in several PDFs
+ * @param {string|null} userId - User ID for conversation persistence
+ * @param {Object} options - { onDelta(text), signal }
+ */
+export async function streamChatMessage(chatId, message, documents = null, userId = null, options = {}) {
+  const { onDelta = () => {}, signal } = options;
+
+  try {
+    const turn = await prepareChatTurn(chatId, message, documents, userId);
+    const isRAG = turn.retrievedChunks.length > 0;
+
+    const messages = isRAG
+      ? buildRAGMessages(turn.sanitizedMessage, turn.retrievedChunks, turn.conversationContext)
+      : buildGeneralMessages(turn.sanitizedMessage, turn.conversationContext);
+
+    // RAG prompts ask for a JSON envelope, so only the "answer" field is forwarded
+    const answerParser = createAnswerStreamParser({ json: isRAG });
+    let streamedAnswer = '';
+    let usage = null;
+    let model = null;
+    let aiResponse;
+
+    try {
+      const stream = streamChatCompletion({
+        messages,
+        temperature: isRAG ? 0.3 : 0.6,
+        maxTokens: 10000,
+        topP: 0.95,
+        signal
+      });
+
+      for await (const part of stream) {
+        if (part.usage) {
+          usage = part.usage;
+        }
+        if (part.model) {
+          model = part.model;
+        }
+
+        if (!part.content) continue;
+
+        const delta = answerParser.push(part.content);
+        if (delta) {
+          streamedAnswer += delta;
+          onDelta(delta);
+        }
+      }
+
+      logRAGOperation('api_response', {
+        streamed: true,
+        usage,
+        model
+      }, true);
+
+      const rawResponse = answerParser.raw;
+
+      if (rawResponse.trim().length === 0) {
+        logRAGOperation('empty_response', { chunks: turn.retrievedChunks.length, streamed: true }, true);
+        aiResponse = isRAG
+          ? createFallbackResponse(turn.retrievedChunks, 'empty_ai_response')
+          : { answer: '', citations: [] };
+      } else {
+        aiResponse = isRAG ? parseAIResponse(rawResponse) : { answer: rawResponse, citations: [] };
+      }
+
+    } catch (apiError) {
+      if (signal?.aborted) {
+        logRAGOperation('stream_aborted', {
+          chatId,
+          streamedLength: streamedAnswer.length
+        }, true);
+        throw apiError;
+      }
+
+      const errorCategory = categorizeApiError(apiError);
+
+      logRAGOperation('api_error', {
+        category: errorCategory,
+        message: apiError.message,
+        status: apiError.status,
+        streamed: true
+      }, true);
+
+      if (!isRAG) {
+        throw apiError;
+      }
+
+      aiResponse = createFallbackResponse(turn.retrievedChunks, errorCategory);
+    }
+
+    // Client went away after the last token - don't persist a turn nobody saw
+    if (signal?.aborted) {
+      throw new Error('Chat stream aborted');
+    }
+
+    return await finalizeChatTurn(turn, aiResponse);
+
+  } catch (error) {
+    if (!signal?.aborted) {
+      logRAGOperation('processing_error', {
+        chatId,
+        error: error.message,
+        stack: error.stack
+      }, true);
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Load conversation context and retrieve PDF chunks for a chat turn
+ */
+async function prepareChatTurn(chatId, message, documents, userId) {
+  const sanitizedMessage = sanitizeMessage(message);
+  let retrievedChunks = [];
+  let citations = [];
+
+  // Automatic conversation context loading
+  let conversationContext = null;
+  if (chatId) {
+    try {
+      // Use a default userId if none provided (for anonymous sessions)
+      const effectiveUserId = userId || `anonymous_${chatId}`;
+      conversationContext = await getChatContext(chatId, effectiveUserId);
+      
+      logRAGOperation('context_loaded', {
+        chatId,
+        userId: effectiveUserId,
+        messageCount: conversationContext?.messages?.length || 0
+      });
+    } catch (contextError) {
+      logRAGOperation('context_load_failed', {
+        chatId,
+        error: contextError.message
+      }, true);
+      // Continue without context - don't fail the entire request
+    }
+  }
+
+  // Which PDFs this turn is grounded in (request, else the chat's stored binding)
+  const documentScope = await resolveChatDocuments(chatId, userId, documents);
+  const pdfIds = documentScope.pdfIds;
+
+  // Enhanced PDF chunk retrieval with smart context management
+  if (pdfIds.length > 0) {
+    retrievedChunks = await retrievePDFChunks(pdfIds, sanitizedMessage, documentScope.documents);
+    
+    // Generate citations from retrieved chunks
+    citations = retrievedChunks.map(chunk => ({
+      pdfId: chunk.pdfId || null,
+      documentName: chunk.documentName || null,
+      page: chunk.pageRange ?? chunk.page,
+      confidence: chunk.metadata?.confidence || 'medium',
+      snippet: chunk.text.substring(0, 150) + (chunk.text.length > 150 ? '...' : ''),
+      similarity: Math.round((chunk.similarity || 0) * 100) / 100,
+      retrievers: chunk.retrievers || ['vector'],
+      ...(chunk.rerankScore !== undefined ? { rerankScore: chunk.rerankScore } : {})
+    }));
+  }
+
+  return {
+    chatId,
+    userId,
+    pdfId: pdfIds[0] || null,
+    documentScope,
+    sanitizedMessage,
+    conversationContext,
+    retrievedChunks,
+    citations
+  };
+}
+
+/**
+ * Merge citations, persist the completed turn and build the response payload
+ */
+async function finalizeChatTurn(turn, aiResponse) {
+  const { chatId, userId, pdfId, documentScope, sanitizedMessage, conversationContext, retrievedChunks, citations } = turn;
+
+  // Merge citations intelligently
+  let finalCitations = aiResponse.citations || [];
+  if (finalCitations.length === 0 && 
+      aiResponse.answer && 
+      !aiResponse.answer.includes('error') && 
+      !aiResponse.answer.includes('empty response') &&
+      citations.length > 0) {
+    finalCitations = citations.slice(0, 5); // Limit to top 5 citations
+  } else if (citations.length > 0) {
+    // Model-written citations only carry document/page + snippet; attach the
+    // source document id and retrieval scores of the cited page
+    finalCitations = finalCitations.map(citation => {
+      const citedPage = String(citation.page).split('-')[0].trim();
+      const source = citations.find(candidate =>
+        String(candidate.page).split('-')[0].trim() === citedPage &&
+        (!citation.document || !candidate.documentName || candidate.documentName === citation.document)
+      );
+      if (!source) return citation;
+
+      const { page, snippet, ...sourceDetails } = source;
+      return { ...citation, ...sourceDetails };
+    });
+  }
+
+  // Automatic conversation persistence
+  if (chatId) {
+    try {
+      const effectiveUserId = userId || `anonymous_${chatId}`;
+      await addMessageToContext(chatId, effectiveUserId, sanitizedMessage, aiResponse.answer, pdfId);
+      
+      logRAGOperation('context_saved', {
+        chatId,
+        userId: effectiveUserId,
+        messageLength: sanitizedMessage.length,
+        responseLength: aiResponse.answer.length
+      });
+
+      // Bind the chat to the documents it was asked about, so later turns reuse them
+      if (userId && documentScope.explicit) {
+        await saveSessionDocuments(chatId, userId, documentScope);
+      }
+    } catch (saveError) {
+      logRAGOperation('context_save_failed', {
+        chatId,
+        error: saveError.message
+      }, true);
+      // Continue anyway - save failure shouldn't break the response
+    }
+  }
+
+  return {
+    success: true,
+    answer: aiResponse.answer,
+    citations: finalCitations,
+    metadata: {
+      chatId,
+      pdfId: pdfId || null,
+      pdfIds: documentScope.pdfIds,
+      library: documentScope.library,
+      documents: documentScope.documents,
+      chunksUsed: retrievedChunks.length,
+      timestamp: new Date().toISOString(),
+      contextMessages: conversationContext?.messages?.length || 0,
+      hasHistory: !!(conversationContext?.messages?.length)
+    }
+  };
+}
+
+/**
+ * Retrieve the chunks that go into the prompt: search, optional rerank, then
+ * trim to the context budget
+ * @param {string[]} pdfIds - PDFs to search
+ * @param {string} message - User question
+ * @param {Array} documents - { id, name } for each PDF, used to label chunks
  */
-async function retrievePDFChunks(pdfId, message) {
+async function retrievePDFChunks(pdfIds, message, documents = []) {
   const topK = config.topKChunks || 10;
+  const rerank = isRerankEnabled();
+  const documentNames = new Map(documents.map(doc => [doc.id, doc.name]));
+
+  let chunks = await searchPDFChunks(pdfIds, message, rerank ? Math.max(topK, config.rerankCandidates) : topK);
+  chunks = chunks.map(chunk => ({ ...chunk, documentName: documentNames.get(chunk.pdfId) || null }));
+
+  if (rerank) {
+    chunks = await rerankChunks(message, chunks, { topN: config.rerankTopN });
+  }
+
+  return truncateContext(chunks, config.maxContextLength || 4000);
+}
+
+/**
+ * Keep at most `perDocument` chunks from each PDF, preserving order
+ */
+function applyDocumentQuota(chunks, perDocument) {
+  const counts = new Map();
+  return chunks.filter(chunk => {
+    const count = counts.get(chunk.pdfId) || 0;
+    if (count >= perDocument) return false;
+    counts.set(chunk.pdfId, count + 1);
+    return true;
+  });
+}
+
+/**
+ * Enhanced PDF chunk search with fallback strategies
+ * Vector and BM25 results are merged with reciprocal rank fusion; every chunk
+ * reports the retrievers that found it. Across several PDFs each document gets
+ * a quota so no single file crowds out the rest.
+ */
+async function searchPDFChunks(pdfIds, message, topK) {
+  const fusionOptions = {
+    k: config.rrfK,
+    weights: {
+      vector: config.vectorWeight,
+      lexical: config.hybridSearch ? config.lexicalWeight : 0
+    }
+  };
+  const perDocument = pdfIds.length === 1
+    ? topK
+    : (config.maxChunksPerDocument || Math.max(2, Math.ceil(topK / pdfIds.length)));
   
   try {
-    // Primary: Use Supabase vector search if configured
-    if (config.supabaseUrl && config.supabaseKey) {
-      const queryEmbedding = await generateEmbedding(message);
-      const similarChunks = await searchSimilarChunks(pdfId, queryEmbedding, topK);
-      
-      const retrievedChunks = similarChunks.map(chunk => ({
+    // Primary: Use the database's vector + lexical search if configured
+    if (isDatabaseConfigured()) {
+      const [vectorResult, lexicalResult] = await Promise.allSettled([
+        generateEmbedding(message).then(queryEmbedding => searchSimilarChunksMulti(pdfIds, queryEmbedding, perDocument)),
+        config.hybridSearch
+          ? Promise.all(pdfIds.map(pdfId => searchLexicalChunks(pdfId, message, perDocument)))
+          : Promise.resolve([])
+      ]);
+
+      if (vectorResult.status === 'rejected') {
+        logRAGOperation('vector_search_failed', {
+          pdfIds,
+          error: vectorResult.reason?.message
+        }, true);
+      }
+
+      const vectorChunks = (vectorResult.value || []).map(chunk => ({
         id: chunk.id,
+        pdfId: chunk.pdf_id,
         text: chunk.text,
         page: chunk.page,
+        pageRange: chunk.pageRange ?? chunk.metadata?.pageRange ?? chunk.page,
         similarity: chunk.similarity || 0,
+        retrieverScore: chunk.similarity || 0,
         metadata: {
+          ...chunk.metadata,
           chunkIndex: chunk.chunk_index
         }
       }));
-      
-      logRAGOperation('vector_search_success', {
-        pdfId,
-        query: message.substring(0, 100),
-        chunksFound: retrievedChunks.length,
-        topSimilarity: retrievedChunks[0]?.similarity || 0
-      });
-      
-      return truncateContext(retrievedChunks, config.maxContextLength || 4000);
+
+      const lexicalChunks = (lexicalResult.value || [])
+        .flat()
+        .sort((a, b) => b.bm25Score - a.bm25Score)
+        .map(chunk => ({
+          id: chunk.id,
+          pdfId: chunk.pdf_id,
+          text: chunk.text,
+          page: chunk.page,
+          pageRange: chunk.pageRange ?? chunk.metadata?.pageRange ?? chunk.page,
+          retrieverScore: chunk.bm25Score,
+          metadata: {
+            ...chunk.metadata,
+            chunkIndex: chunk.chunk_index
+          }
+        }));
+
+      if (vectorResult.status === 'fulfilled' || lexicalChunks.length > 0) {
+        const fusedChunks = reciprocalRankFusion(
+          { vector: vectorChunks, lexical: lexicalChunks },
+          fusionOptions
+        );
+        const retrievedChunks = applyDocumentQuota(fusedChunks, perDocument).slice(0, topK);
+
+        logRAGOperation('hybrid_search_success', {
+          pdfIds,
+          query: message.substring(0, 100),
+          vectorHits: vectorChunks.length,
+          lexicalHits: lexicalChunks.length,
+          chunksFound: retrievedChunks.length,
+          perDocument,
+          topSimilarity: vectorChunks[0]?.similarity || 0
+        });
+        
+        return retrievedChunks;
+      }
     }
   } catch (vectorError) {
     logRAGOperation('vector_search_failed', {
-      pdfId,
+      pdfIds,
       error: vectorError.message
     }, true);
   }
 
   // Fallback: Use file-based search
   try {
-    const fallbackChunks = retrieveTopKChunks(pdfId, message, topK);
+    const fallbackChunks = pdfIds
+      .flatMap(pdfId => retrieveTopKChunks(pdfId, message, perDocument, {
+        rrfK: fusionOptions.k,
+        weights: fusionOptions.weights
+      }).map(chunk => ({ ...chunk, pdfId })))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
     
     logRAGOperation('fallback_search_success', {
-      pdfId,
+      pdfIds,
       chunksFound: fallbackChunks.length
     });
     
-    return truncateContext(fallbackChunks, config.maxContextLength || 4000);
+    return fallbackChunks;
   } catch (fallbackError) {
     logRAGOperation('all_search_failed', {
-      pdfId,
+      pdfIds,
       error: fallbackError.message
     }, true);
     
     return [];
   }
 }
-
 /**
  * Generate RAG response with PDF context and conversation history
  * Enhanced with better prompt construction, context management, and error handling
  */
 async function generateRAGResponse(message, retrievedChunks, conversationContext = null) {
-  const isDevelopment = process.env.NODE_ENV === 'development';
-  
-  // Enhanced prompt construction with dynamic chunk selection and context
-  const ragPrompt = constructRAGPrompt(message, retrievedChunks, conversationContext, {
-    maxChunks: 8,                    // Optimize for token usage
-    includeContextSummary: true,     // Add conversation continuity
-    includeSimilarityScores: isDevelopment // Debug info in dev only
-  });
-  
-  // Smart message building with conversation history management
-  const messages = buildMessagesArray(ragPrompt, conversationContext);
-  
-  // Log essential operation details
-  logRAGOperation('prompt_construction', {
-    chunkCount: retrievedChunks.length,
-    selectedChunks: Math.min(8, retrievedChunks.length),
-    estimatedTokens: estimateTokenCount(ragPrompt),
-    hasConversationHistory: !!(conversationContext?.messages?.length),
-    messageCount: messages.length
-  }, true); // Force log for monitoring
+  const messages = buildRAGMessages(message, retrievedChunks, conversationContext);
   
   try {
-    const chatCompletion = await nebiusClient.chat.completions.create({
-      model: config.chatModel,
+    const completion = await chatCompletion({
       temperature: 0.3,
-      max_tokens: 10000,
-      top_p: 0.95,
+      maxTokens: 10000,
+      topP: 0.95,
       messages
     });
 
     // Log API response details (essential info only)
     logRAGOperation('api_response', {
-      choices: chatCompletion.choices?.length || 0,
-      usage: chatCompletion.usage,
-      model: chatCompletion.model
+      usage: completion.usage,
+      model: completion.model
     }, true);
     
-    const rawResponse = chatCompletion.choices[0]?.message?.content || '';
+    const rawResponse = completion.content || '';
     
     // Handle empty response
     if (rawResponse.trim().length === 0) {
@@ -270,6 +518,34 @@ async function generateRAGResponse(message, retrievedChunks, conversationContext
   }
 }
 
+/**
+ * Construct the RAG prompt and wrap it with system prompt and conversation history
+ */
+function buildRAGMessages(message, retrievedChunks, conversationContext = null) {
+  const isDevelopment = process.env.NODE_ENV === 'development';
+  
+  // Enhanced prompt construction with dynamic chunk selection and context
+  const ragPrompt = constructRAGPrompt(message, retrievedChunks, conversationContext, {
+    maxChunks: 8,                    // Optimize for token usage
+    includeContextSummary: true,     // Add conversation continuity
+    includeSimilarityScores: isDevelopment // Debug info in dev only
+  });
+  
+  // Smart message building with conversation history management
+  const messages = buildMessagesArray(ragPrompt, conversationContext);
+  
+  // Log essential operation details
+  logRAGOperation('prompt_construction', {
+    chunkCount: retrievedChunks.length,
+    selectedChunks: Math.min(8, retrievedChunks.length),
+    estimatedTokens: estimateTokenCount(ragPrompt),
+    hasConversationHistory: !!(conversationContext?.messages?.length),
+    messageCount: messages.length
+  }, true); // Force log for monitoring
+  
+  return messages;
+}
+
 /**
  * Build messages array with optimized conversation history
  */
@@ -351,13 +627,13 @@ function createFallbackResponse(retrievedChunks, errorType) {
   if (retrievedChunks?.length > 0) {
     const contextPreview = retrievedChunks
       .slice(0, 3) // Top 3 most relevant
-      .map(chunk => `Page ${chunk.page}: ${chunk.text.substring(0, 150)}...`)
+      .map(chunk => `Page ${chunk.pageRange ?? chunk.page}: ${chunk.text.substring(0, 150)}...`)
       .join('\n\n');
     
     return {
       answer: `${answer}\n\nHowever, I found some relevant information in the PDF:\n\n${contextPreview}`,
       citations: retrievedChunks.slice(0, 3).map(chunk => ({
-        page: chunk.page,
+        page: chunk.pageRange ?? chunk.page,
         snippet: chunk.text.substring(0, 150) + '...'
       }))
     };
@@ -371,45 +647,16 @@ function createFallbackResponse(retrievedChunks, errorType) {
  */
 async function generateGeneralResponse(message, conversationContext = null) {
   try {
-    // Build messages with optimized conversation history
-    const messages = [
-      {
-        role: "system",
-        content: "You are a helpful educational assistant. Provide clear, accurate, and educational responses to help students learn better. When explaining mathematical concepts, use LaTeX formatting: $expression$ for inline math and $$expression$$ for display math. Examples: $E=mc^2$, $$F = ma$$, $\\pi$, $\\alpha$, $\\frac{a}{b}$, $\\sqrt{x}$."
-      }
-    ];
+    const messages = buildGeneralMessages(message, conversationContext);
 
-    // Add conversation history with intelligent management
-    if (conversationContext?.messages?.length > 0) {
-      const maxHistoryMessages = 8; // Last 4 exchanges for general chat
-      const recentMessages = conversationContext.messages.slice(-maxHistoryMessages);
-      
-      messages.push(...recentMessages.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      })));
-      
-      logRAGOperation('general_chat_history', {
-        availableMessages: conversationContext.messages.length,
-        includedMessages: recentMessages.length
-      });
-    }
-
-    // Add current message
-    messages.push({
-      role: "user",
-      content: message
-    });
-
-    const chatCompletion = await nebiusClient.chat.completions.create({
-      model: config.chatModel,
+    const completion = await chatCompletion({
       temperature: 0.6,
-      max_tokens: 10000,
-      top_p: 0.95,
+      maxTokens: 10000,
+      topP: 0.95,
       messages
     });
 
-    const rawResponse = chatCompletion.choices[0]?.message?.content || '';
+    const rawResponse = completion.content || '';
     
     logRAGOperation('general_response', {
       responseLength: rawResponse.length,
@@ -428,4 +675,40 @@ async function generateGeneralResponse(message, conversationContext = null) {
     
     throw error;
   }
+}
+
+/**
+ * Build messages for a general (non-PDF) conversation with recent history
+ */
+function buildGeneralMessages(message, conversationContext = null) {
+  const messages = [
+    {
+      role: "system",
+      content: "You are a helpful educational assistant. Provide clear, accurate, and educational responses to help students learn better. When explaining mathematical concepts, use LaTeX formatting: $expression$ for inline math and $$expression$$ for display math. Examples: $E=mc^2$, $$F = ma$$, $\\pi$, $\\alpha$, $\\frac{a}{b}$, $\\sqrt{x}$."
+    }
+  ];
+
+  // Add conversation history with intelligent management
+  if (conversationContext?.messages?.length > 0) {
+    const maxHistoryMessages = 8; // Last 4 exchanges for general chat
+    const recentMessages = conversationContext.messages.slice(-maxHistoryMessages);
+    
+    messages.push(...recentMessages.map(msg => ({
+      role: msg.role,
+      content: msg.content
+    })));
+    
+    logRAGOperation('general_chat_history', {
+      availableMessages: conversationContext.messages.length,
+      includedMessages: recentMessages.length
+    });
+  }
+
+  // Add current message
+  messages.push({
+    role: "user",
+    content: message
+  });
+
+  return messages;
 }
\ No newline at end of file
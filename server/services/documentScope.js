@@ -0,0 +1,124 @@
+/**
+ * Document scope for chat sessions
+ *
+ * A chat can be grounded in one PDF, an explicit set of PDFs, or the user's whole
+ * library. The scope comes from the request when given and is remembered on the
+ * chat session (chat_sessions.pdf_ids / use_library) so later turns reuse it.
+ */
+
+import { db } from '../repositories/index.js'
+import { config } from '../config/index.js'
+
+/**
+ * Normalize what a chat request asked for
+ * Accepts a bare pdfId string (legacy callers) or { pdfId, pdfIds, library }
+ * @returns {{pdfIds: string[], library: boolean, explicit: boolean}}
+ */
+export function normalizeDocumentRequest(documents) {
+  if (!documents) {
+    return { pdfIds: [], library: false, explicit: false }
+  }
+
+  if (typeof documents === 'string') {
+    return { pdfIds: [documents], library: false, explicit: true }
+  }
+
+  const pdfIds = Array.isArray(documents.pdfIds) && documents.pdfIds.length > 0
+    ? documents.pdfIds
+    : (documents.pdfId ? [documents.pdfId] : [])
+
+  return {
+    pdfIds: [...new Set(pdfIds.filter(id => typeof id === 'string' && id.length > 0))],
+    library: documents.library === true,
+    explicit: documents.library === true || pdfIds.length > 0
+  }
+}
+
+/**
+ * Load the document binding stored on a chat session
+ */
+async function getSessionDocuments(chatId, userId) {
+  const data = await db.chatSessions.findById(chatId, { userId, columns: 'pdf_id, pdf_ids, use_library' }).catch(() => null)
+
+  if (!data) {
+    return null
+  }
+
+  return {
+    pdfIds: data.pdf_ids?.length ? data.pdf_ids : (data.pdf_id ? [data.pdf_id] : []),
+    library: !!data.use_library
+  }
+}
+
+/**
+ * Remember a chat's document binding for later turns
+ */
+export async function saveSessionDocuments(chatId, userId, scope) {
+  try {
+    await db.chatSessions.update(chatId, {
+      pdf_id: scope.pdfIds[0] || null,
+      pdf_ids: scope.pdfIds,
+      use_library: scope.library
+    }, { userId })
+  } catch (error) {
+    console.warn('⚠️ Could not save chat document scope:', error.message)
+  }
+}
+
+/**
+ * Resolve which PDFs a chat turn should retrieve from
+ * Requested ids are narrowed to PDFs the user owns; names are attached for citations.
+ * @param {string|null} chatId
+ * @param {string|null} userId
+ * @param {string|Object|null} documents - pdfId or { pdfId, pdfIds, library }
+ * @returns {Promise<{pdfIds: string[], documents: Array<{id: string, name: string|null}>, library: boolean, explicit: boolean}>}
+ */
+export async function resolveChatDocuments(chatId, userId, documents) {
+  let scope = normalizeDocumentRequest(documents)
+
+  if (!scope.explicit && chatId && userId) {
+    const stored = await getSessionDocuments(chatId, userId)
+    if (stored) {
+      scope = { ...stored, explicit: false }
+    }
+  }
+
+  if (!userId || (!scope.library && scope.pdfIds.length === 0)) {
+    return { ...scope, documents: scope.pdfIds.map(id => ({ id, name: null })) }
+  }
+
+  let files
+  try {
+    files = await db.pdfFiles.listByUser(userId, {
+      ...(scope.library ? { status: 'completed' } : { ids: scope.pdfIds }),
+      limit: config.maxChatDocuments,
+      columns: 'id, original_name, file_name'
+    })
+  } catch (error) {
+    // Ids that are not pdf_files rows (e.g. the local sample store) can't be looked up; search them as given
+    console.warn('⚠️ Could not resolve chat documents:', error.message)
+    return { ...scope, documents: scope.pdfIds.map(id => ({ id, name: null })) }
+  }
+
+  const owned = files.map(file => ({
+    id: file.id,
+    name: file.original_name || file.file_name
+  }))
+
+  // Keep the order the user picked the documents in
+  const documentsInOrder = scope.library
+    ? owned
+    : scope.pdfIds.map(id => owned.find(file => file.id === id)).filter(Boolean)
+
+  return {
+    ...scope,
+    pdfIds: documentsInOrder.map(file => file.id),
+    documents: documentsInOrder
+  }
+}
+
+export default {
+  normalizeDocumentRequest,
+  resolveChatDocuments,
+  saveSessionDocuments
+}
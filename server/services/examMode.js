@@ -0,0 +1,94 @@
+/**
+ * Timed exam mode
+ *
+ * An exam is a stored quiz with a time limit. The server starts the clock when
+ * the quiz is generated and owns the deadline: the browser's timer is only a
+ * display, submissions after the deadline are refused, and the duration saved
+ * with an attempt is measured from the stored timestamps.
+ */
+
+import { config } from '../config/index.js'
+
+export const PRACTICE = 'practice'
+export const EXAM = 'exam'
+
+/**
+ * Validate the optional timeLimitMinutes of a quiz request
+ * @returns {{ timeLimitSeconds: number|null, error: string|null }}
+ */
+export function parseTimeLimit(timeLimitMinutes) {
+  if (timeLimitMinutes === undefined || timeLimitMinutes === null || timeLimitMinutes === '') {
+    return { timeLimitSeconds: null, error: null }
+  }
+
+  const minutes = Number(timeLimitMinutes)
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > config.examMaxMinutes) {
+    return { timeLimitSeconds: null, error: `timeLimitMinutes must be a whole number between 1 and ${config.examMaxMinutes}` }
+  }
+
+  return { timeLimitSeconds: minutes * 60, error: null }
+}
+
+/**
+ * Columns that start an exam now
+ */
+export function startExam(timeLimitSeconds, now = new Date()) {
+  return {
+    mode: EXAM,
+    time_limit_seconds: timeLimitSeconds,
+    started_at: now.toISOString(),
+    deadline_at: new Date(now.getTime() + timeLimitSeconds * 1000).toISOString()
+  }
+}
+
+/**
+ * Whether an exam's time is up, allowing the grace period for answers sent at the deadline
+ * Practice quizzes never expire.
+ */
+export function isExamExpired(quiz, now = new Date()) {
+  if (quiz.mode !== EXAM || !quiz.deadline_at) return false
+  return now.getTime() > new Date(quiz.deadline_at).getTime() + config.examGraceSeconds * 1000
+}
+
+/**
+ * Timing of a stored quiz as sent to the client
+ * serverTime lets the client correct its clock before counting down to the deadline.
+ */
+export function examTiming(quiz, now = new Date()) {
+  if (quiz.mode !== EXAM) return { mode: PRACTICE }
+
+  return {
+    mode: EXAM,
+    timeLimitSeconds: quiz.time_limit_seconds,
+    startedAt: quiz.started_at,
+    deadline: quiz.deadline_at,
+    serverTime: now.toISOString(),
+    remainingSeconds: Math.max(0, Math.ceil((new Date(quiz.deadline_at).getTime() - now.getTime()) / 1000))
+  }
+}
+
+/**
+ * Seconds a submitted quiz took, from the server's own timestamps
+ * Exams run from start to submission, never longer than the time limit; practice
+ * quizzes from generation to submission.
+ * @returns {number|null} null while the quiz is unsubmitted
+ */
+export function measuredDuration(quiz) {
+  if (!quiz.submitted_at) return null
+
+  const start = new Date(quiz.mode === EXAM ? quiz.started_at : quiz.created_at).getTime()
+  const seconds = Math.max(0, Math.round((new Date(quiz.submitted_at).getTime() - start) / 1000))
+  if (Number.isNaN(seconds)) return null
+
+  return quiz.mode === EXAM && quiz.time_limit_seconds ? Math.min(seconds, quiz.time_limit_seconds) : seconds
+}
+
+export default {
+  PRACTICE,
+  EXAM,
+  parseTimeLimit,
+  startExam,
+  isExamExpired,
+  examTiming,
+  measuredDuration
+}
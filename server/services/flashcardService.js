@@ -0,0 +1,182 @@
+/**
+ * Flashcards
+ *
+ * Cards are written from chunks of a PDF (picked with the same retrieval quizzes
+ * use) or saved from a chat answer the student bookmarks. Each card keeps the
+ * page it came from and is scheduled with the SM-2 rules in spacedRepetition.js.
+ * A card's PDF is its deck.
+ */
+
+import { db } from '../repositories/index.js'
+import { jsonChatCompletion } from './llmService.js'
+import { selectQuizSources, formatQuizSources } from './quizSourceService.js'
+import { newCardSchedule, scheduleReview, deckStats } from './spacedRepetition.js'
+
+const MAX_FRONT_LENGTH = 500
+const MAX_BACK_LENGTH = 2000
+
+function clip(value, max) {
+  return typeof value === 'string' ? value.trim().substring(0, max) : ''
+}
+
+/**
+ * Cards from the model's output, each linked to the source it cites
+ * Cards without both sides are dropped; an invalid source falls back to the first one.
+ * @param {Object} data - { cards: [{ front, back, source }] }
+ * @param {Array} sources - selectQuizSources result, as numbered in the prompt
+ * @param {number} count - Maximum number of cards
+ */
+export function parseGeneratedCards(data, sources, count) {
+  if (!Array.isArray(data?.cards)) return []
+
+  return data.cards
+    .map(card => {
+      const source = sources[Number(card?.source) - 1] || sources[0]
+      return {
+        front: clip(card?.front, MAX_FRONT_LENGTH),
+        back: clip(card?.back, MAX_BACK_LENGTH),
+        source_page: source?.pages.start ?? null,
+        source_chunk_id: source?.id != null ? String(source.id) : null
+      }
+    })
+    .filter(card => card.front && card.back)
+    .slice(0, count)
+}
+
+function buildCardPrompt(sources, count, topic) {
+  return `Write ${count} flashcards for studying the content below.
+
+- Each card tests ONE fact, definition or idea; the front is a question or cue, the back a short answer.
+- Spread the cards across the sources and avoid near-duplicates.
+${topic ? `- Focus on: ${topic}.\n` : ''}- Set "source" to the number of the source each card is based on.
+
+${formatQuizSources(sources)}
+
+Respond ONLY with JSON in this format:
+{"cards": [{"front": "What is ...?", "back": "...", "source": 1}]}`
+}
+
+/**
+ * Generate and store cards from a PDF
+ * @param {Object} params - { userId, pdfId, scope (parseQuizScope result), count }
+ * @returns {Promise<Array>} The stored cards (empty when the PDF has no matching content)
+ */
+export async function generateFlashcards({ userId, pdfId, scope, count }) {
+  const sources = await selectQuizSources(pdfId, scope)
+  if (sources.length === 0) return []
+
+  const completion = await jsonChatCompletion({
+    messages: [
+      { role: 'system', content: 'You write concise study flashcards strictly from the provided course material. Respond only with JSON.' },
+      { role: 'user', content: buildCardPrompt(sources, count, scope.topic) }
+    ],
+    temperature: 0.5,
+    maxTokens: 3000
+  })
+
+  const cards = parseGeneratedCards(completion.data, sources, count)
+  if (cards.length === 0) {
+    throw new Error('Failed to generate flashcards: the model returned no usable cards')
+  }
+
+  const schedule = newCardSchedule()
+  return db.flashcards.insert(cards.map(card => ({ ...card, ...schedule, user_id: userId, pdf_id: pdfId, origin: 'pdf' })))
+}
+
+/**
+ * Store a card the student wrote or bookmarked from a chat answer
+ * @param {Object} params - { userId, front, back, pdfId, page }
+ */
+export async function createFlashcard({ userId, front, back, pdfId = null, page = null }) {
+  const [card] = await db.flashcards.insert([{
+    user_id: userId,
+    pdf_id: pdfId,
+    front: clip(front, MAX_FRONT_LENGTH),
+    back: clip(back, MAX_BACK_LENGTH),
+    origin: 'chat',
+    source_page: Number.isInteger(page) && page > 0 ? page : null,
+    ...newCardSchedule()
+  }])
+  return card
+}
+
+/**
+ * Cards due for review, most overdue first
+ * @param {string} userId
+ * @param {Object} options - { pdfId } to review one deck, { limit }
+ */
+export async function getDueFlashcards(userId, { pdfId = null, limit = 20 } = {}) {
+  return db.flashcards.listDue(userId, { before: new Date().toISOString(), pdfId, limit })
+}
+
+/**
+ * Grade a review and reschedule the card
+ * @returns {Promise<Object|null>} The updated card, or null if the user has no such card
+ */
+export async function reviewFlashcard(cardId, userId, grade, now = new Date()) {
+  const card = await db.flashcards.findById(cardId, { userId })
+  if (!card) return null
+
+  const next = scheduleReview(card, grade, now)
+  const updated = await db.flashcards.update(cardId, next, { userId })
+
+  try {
+    await db.flashcardReviews.insert({ card_id: cardId, user_id: userId, grade, interval_days: next.interval_days, reviewed_at: next.last_reviewed_at })
+  } catch (error) {
+    // The schedule is already saved; a missing log row only affects stats
+    console.error('Failed to log flashcard review:', error.message)
+  }
+
+  return updated
+}
+
+/**
+ * Per-deck statistics for a user, one entry per PDF (cards without one share a deck)
+ * @returns {Promise<Array>} [{ pdfId, name, ...deckStats }]
+ */
+export async function getDeckStats(userId, now = new Date()) {
+  const cards = await db.flashcards.listByUser(userId, { columns: 'id, pdf_id, interval_days, due_at, last_reviewed_at' })
+
+  const since = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString()
+  const reviews = await db.flashcardReviews.listByUser(userId, { since, columns: 'card_id, grade, reviewed_at' })
+
+  const decks = new Map()
+  cards.forEach(card => {
+    const key = card.pdf_id || null
+    if (!decks.has(key)) decks.set(key, [])
+    decks.get(key).push(card)
+  })
+
+  const pdfIds = [...decks.keys()].filter(Boolean)
+  const names = new Map()
+  if (pdfIds.length > 0) {
+    const files = await db.pdfFiles.findByIds(pdfIds, { columns: 'id, original_name, file_name' }).catch(() => [])
+    files.forEach(file => names.set(file.id, file.original_name || file.file_name))
+  }
+
+  const deckOfCard = new Map(cards.map(card => [card.id, card.pdf_id || null]))
+
+  return [...decks.entries()].map(([pdfId, deckCards]) => ({
+    pdfId,
+    name: pdfId ? names.get(pdfId) || null : null,
+    ...deckStats(deckCards, reviews.filter(review => deckOfCard.get(review.card_id) === pdfId), now)
+  }))
+}
+
+/**
+ * Delete one of the user's cards
+ * @returns {Promise<boolean>} false if the user has no such card
+ */
+export async function deleteFlashcard(cardId, userId) {
+  return db.flashcards.delete(cardId, userId)
+}
+
+export default {
+  parseGeneratedCards,
+  generateFlashcards,
+  createFlashcard,
+  getDueFlashcards,
+  reviewFlashcard,
+  getDeckStats,
+  deleteFlashcard
+}
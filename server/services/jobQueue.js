@@ -0,0 +1,226 @@
+/**
+ * Durable job queue for PDF processing
+ *
+ * Jobs live in the pdf_processing_jobs table (Supabase or SQLite), so an upload
+ * survives a server restart: a worker (in the API process or `node worker.js`) claims due jobs,
+ * heartbeats while running and reschedules failures with exponential backoff.
+ * Jobs whose worker died are reclaimed once their heartbeat goes stale.
+ */
+
+import os from 'os'
+import { db } from '../repositories/index.js'
+import { config } from '../config/index.js'
+import { getRetryDelay } from '../utils/retry.js'
+
+/**
+ * Queue a PDF for extraction and embedding
+ * @param {Object} job - { pdfId, userId, storagePath, localPath }
+ * @returns {Promise<Object>} The job row
+ */
+export async function enqueuePDFJob({ pdfId, userId, storagePath = null, localPath = null }) {
+  const data = await db.processingJobs.create({
+    pdf_id: pdfId,
+    user_id: userId,
+    storage_path: storagePath,
+    local_path: localPath,
+    max_attempts: config.jobMaxAttempts
+  })
+
+  console.log('📥 Queued PDF processing job:', data.id, 'for PDF', pdfId)
+  return data
+}
+
+/**
+ * Claim the next runnable job for this worker, or null when the queue is idle
+ */
+export async function claimNextJob(workerId) {
+  return db.processingJobs.claimNext(workerId, { staleAfterSeconds: Math.ceil(config.jobStaleAfterMs / 1000) })
+}
+
+/**
+ * Record that a running job is still alive, optionally with progress details
+ * @returns {Promise<string|null>} The job's current status ('cancelled' once a user cancels it)
+ */
+export async function heartbeatJob(jobId, progress) {
+  try {
+    return await db.processingJobs.update(jobId, {
+      heartbeat_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      ...(progress ? { progress } : {})
+    })
+  } catch (error) {
+    console.warn('⚠️ Job heartbeat failed:', error.message)
+    return null
+  }
+}
+
+/**
+ * Mark a job finished
+ */
+export async function completeJob(jobId) {
+  const now = new Date().toISOString()
+  try {
+    await db.processingJobs.update(
+      jobId,
+      { status: 'completed', completed_at: now, updated_at: now, locked_by: null, last_error: null },
+      { unlessStatus: 'cancelled' }
+    )
+  } catch (error) {
+    console.warn('⚠️ Could not mark job completed:', error.message)
+  }
+}
+
+/**
+ * Reschedule a failed job with backoff, or fail it for good once out of attempts
+ * @returns {Promise<boolean>} true when the job will be retried
+ */
+export async function failJob(job, error) {
+  const willRetry = job.attempts < job.max_attempts
+  const now = new Date()
+  const update = willRetry
+    ? {
+        status: 'queued',
+        run_after: new Date(now.getTime() + getRetryDelay(job.attempts, {
+          baseDelayMs: config.jobRetryBaseMs,
+          maxDelayMs: 10 * 60 * 1000
+        })).toISOString()
+      }
+    : { status: 'failed', completed_at: now.toISOString() }
+
+  try {
+    await db.processingJobs.update(
+      job.id,
+      { ...update, locked_by: null, last_error: error.message, updated_at: now.toISOString() },
+      { unlessStatus: 'cancelled' }
+    )
+  } catch (updateError) {
+    console.warn('⚠️ Could not record job failure:', updateError.message)
+  }
+
+  return willRetry
+}
+
+/**
+ * Cancel a PDF's queued or running jobs. Workers notice on their next heartbeat.
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+export async function cancelPDFJobs(pdfId) {
+  const now = new Date().toISOString()
+  return db.processingJobs.updateByPdf(
+    pdfId,
+    { status: 'cancelled', completed_at: now, updated_at: now, locked_by: null },
+    { statuses: ['queued', 'running'] }
+  )
+}
+
+/**
+ * Latest job for a PDF (for status reporting), or null if it has none
+ */
+export async function getLatestJobForPDF(pdfId) {
+  return db.processingJobs.findLatestByPdf(pdfId, {
+    columns: 'id, status, attempts, max_attempts, run_after, progress, last_error, updated_at'
+  })
+}
+
+/**
+ * Poll the queue and run jobs one at a time
+ * @param {Function} handler - async (job, { heartbeat, signal }) => void; throw to fail the attempt.
+ *   signal aborts when the job is cancelled
+ * @param {Object} options - { workerId, pollIntervalMs, onFailure(job, error, willRetry), onCancel(job) }
+ * @returns {{stop: Function, workerId: string}} stop() resolves once the current job finishes
+ */
+export function startJobWorker(handler, options = {}) {
+  const workerId = options.workerId || `${os.hostname()}:${process.pid}`
+  const pollIntervalMs = options.pollIntervalMs || config.jobPollIntervalMs
+  let stopped = false
+  let wakeUp = null
+  let lastQueueError = null
+
+  const sleep = (ms) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms)
+    wakeUp = () => {
+      clearTimeout(timer)
+      resolve()
+    }
+  })
+
+  const runJob = async (job) => {
+    console.log(`⚙️ Worker ${workerId} running job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`)
+
+    const abortController = new AbortController()
+    const heartbeat = async (progress) => {
+      const status = await heartbeatJob(job.id, progress)
+      if (status === 'cancelled') abortController.abort()
+    }
+
+    // Keep the claim fresh while the handler works through long documents
+    const heartbeatTimer = setInterval(() => heartbeat(), Math.max(1000, config.jobStaleAfterMs / 4))
+
+    try {
+      await handler(job, { heartbeat, signal: abortController.signal })
+      await completeJob(job.id)
+      console.log('✅ Job completed:', job.id)
+    } catch (error) {
+      // Cancelled through the database (heartbeat) or by a cancel request in this process
+      if (abortController.signal.aborted || error.name === 'AbortError') {
+        console.log('🛑 Job cancelled:', job.id)
+        await options.onCancel?.(job)
+        return
+      }
+
+      const willRetry = await failJob(job, error)
+      console.error(`❌ Job ${job.id} failed (${willRetry ? 'will retry' : 'giving up'}):`, error.message)
+      await options.onFailure?.(job, error, willRetry)
+    } finally {
+      clearInterval(heartbeatTimer)
+    }
+  }
+
+  const loop = (async () => {
+    console.log(`👷 PDF job worker ${workerId} started`)
+
+    while (!stopped) {
+      let job = null
+      try {
+        job = await claimNextJob(workerId)
+        lastQueueError = null
+      } catch (error) {
+        // Warn once per distinct error rather than on every poll
+        if (error.message !== lastQueueError) {
+          console.warn('⚠️ Job queue unavailable:', error.message)
+          lastQueueError = error.message
+        }
+      }
+
+      if (job) {
+        await runJob(job)
+      } else {
+        await sleep(pollIntervalMs)
+      }
+    }
+
+    console.log(`👷 PDF job worker ${workerId} stopped`)
+  })()
+
+  return {
+    workerId,
+    // Check for work now instead of waiting for the next poll (e.g. right after enqueueing)
+    poke: () => wakeUp?.(),
+    stop: async () => {
+      stopped = true
+      wakeUp?.()
+      await loop
+    }
+  }
+}
+
+export default {
+  enqueuePDFJob,
+  claimNextJob,
+  heartbeatJob,
+  completeJob,
+  failJob,
+  cancelPDFJobs,
+  getLatestJobForPDF,
+  startJobWorker
+}
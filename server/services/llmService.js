@@ -0,0 +1,435 @@
+/**
+ * LLM Provider Layer
+ *
+ * Single entry point for every model call the server makes (chat, JSON-mode chat,
+ * streaming chat and embeddings). The active provider is selected with
+ * `config.llmProvider` and resolved from a small registry:
+ *
+ * - nebius:  Nebius AI Studio (default)
+ * - openai:  any OpenAI-compatible endpoint (LLM_BASE_URL + LLM_API_KEY)
+ * - ollama:  local Ollama / llama.cpp server exposing the OpenAI-compatible /v1 API
+ * - fake:    deterministic, network-free provider for tests and offline demos
+ *
+ * Every provider implements the same shape:
+ *   chat({ messages, model, temperature, maxTokens, topP, jsonMode, signal }) -> { content, usage, model }
+ *   stream({ ...same }) -> async iterable of { content } deltas, then a final { usage }
+ *   embed(text, { model }) -> number[]
+ */
+
+import OpenAI from 'openai'
+import { config } from '../config/index.js'
+
+/**
+ * Pull usable text out of a chat completion message.
+ * Thinking models (e.g. Qwen on Nebius) sometimes leave `content` empty and put the
+ * answer - or the JSON we asked for - inside `reasoning_content` instead.
+ */
+function extractMessageContent(message, jsonMode = false) {
+  if (!message) return ''
+
+  if (typeof message === 'string') return message
+
+  const content = typeof message.content === 'string' ? message.content : ''
+  if (content.trim()) return content
+
+  const reasoning = typeof message.reasoning_content === 'string' ? message.reasoning_content : ''
+  if (jsonMode && reasoning) {
+    const jsonMatch = reasoning.match(/(\{[\s\S]*\})/)
+    if (jsonMatch) {
+      try {
+        JSON.parse(jsonMatch[1])
+        return jsonMatch[1]
+      } catch (error) {
+        // Not valid JSON - fall through to the raw reasoning text
+      }
+    }
+  }
+
+  return reasoning
+}
+
+/**
+ * Provider for any server speaking the OpenAI chat/embeddings API
+ */
+function createOpenAICompatibleProvider({ name, baseURL, apiKey, defaultChatModel, defaultEmbedModel, streamUsage = true }) {
+  const client = new OpenAI({ baseURL, apiKey })
+
+  const buildRequest = ({ messages, model, temperature = 0.3, maxTokens = 4000, topP = 0.95, jsonMode = false }) => ({
+    model: model || config.chatModel || defaultChatModel,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+    top_p: topP,
+    ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+  })
+
+  return {
+    name,
+    baseURL,
+    defaultChatModel: config.chatModel || defaultChatModel,
+    defaultEmbedModel: config.embedModel || defaultEmbedModel,
+
+    async chat(options) {
+      const completion = await client.chat.completions.create(buildRequest(options), { signal: options.signal })
+
+      return {
+        content: extractMessageContent(completion.choices?.[0]?.message, options.jsonMode),
+        usage: completion.usage || null,
+        model: completion.model
+      }
+    },
+
+    async *stream(options) {
+      const request = {
+        ...buildRequest(options),
+        stream: true,
+        ...(streamUsage ? { stream_options: { include_usage: true } } : {})
+      }
+      const stream = await client.chat.completions.create(request, { signal: options.signal })
+
+      let usage = null
+      for await (const part of stream) {
+        if (part.usage) {
+          usage = part.usage
+        }
+
+        const content = part.choices?.[0]?.delta?.content
+        if (content) {
+          yield { content }
+        }
+      }
+
+      yield { usage, model: request.model }
+    },
+
+    async embed(text, options = {}) {
+      const response = await client.embeddings.create({
+        model: options.model || config.embedModel || defaultEmbedModel,
+        input: text
+      })
+
+      if (!response.data || response.data.length === 0) {
+        throw new Error('No embedding data received from API')
+      }
+
+      return response.data[0].embedding
+    }
+  }
+}
+
+/**
+ * Default fake reply: echoes the latest user message, wrapped in the
+ * {"answer", "citations"} envelope when JSON is expected
+ */
+function defaultFakeResponder(messages, { jsonMode }) {
+  const lastUser = [...messages].reverse().find(msg => msg.role === 'user')
+  const prompt = (lastUser?.content || '').trim()
+  const answer = `[fake] ${prompt.substring(0, 200)}`
+
+  if (jsonMode || prompt.includes('"answer"')) {
+    return JSON.stringify({ answer, citations: [] })
+  }
+  return answer
+}
+
+/**
+ * Deterministic bag-of-words embedding: texts sharing words get similar vectors,
+ * which is enough for retrieval to behave sensibly without a model
+ */
+function fakeEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0)
+  const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || []
+
+  for (const word of words) {
+    let hash = 2166136261
+    for (let i = 0; i < word.length; i++) {
+      hash ^= word.charCodeAt(i)
+      hash = Math.imul(hash, 16777619)
+    }
+    vector[Math.abs(hash) % dimensions] += 1
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0))
+  return norm > 0 ? vector.map(val => val / norm) : vector
+}
+
+/**
+ * Network-free provider. Replies come from `responder(messages, options)`, which
+ * tests can swap with setFakeResponder() to script model output.
+ */
+function createFakeProvider() {
+  let responder = defaultFakeResponder
+
+  const respond = async (options) => {
+    const content = await responder(options.messages || [], options)
+    return typeof content === 'string' ? content : JSON.stringify(content)
+  }
+
+  return {
+    name: 'fake',
+    baseURL: null,
+    defaultChatModel: 'fake-chat',
+    defaultEmbedModel: 'fake-embed',
+
+    setResponder(fn) {
+      responder = fn || defaultFakeResponder
+    },
+
+    async chat(options) {
+      const content = await respond(options)
+      return {
+        content,
+        usage: { prompt_tokens: 0, completion_tokens: content.length, total_tokens: content.length },
+        model: 'fake-chat'
+      }
+    },
+
+    async *stream(options) {
+      const content = await respond(options)
+      // Split on word boundaries so consumers see several deltas
+      for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+        if (options.signal?.aborted) {
+          const abortError = new Error('Request was aborted.')
+          abortError.name = 'AbortError'
+          throw abortError
+        }
+        yield { content: piece }
+      }
+      yield { usage: { prompt_tokens: 0, completion_tokens: content.length, total_tokens: content.length }, model: 'fake-chat' }
+    },
+
+    async embed(text) {
+      return fakeEmbedding(text, config.embeddingDimensions)
+    }
+  }
+}
+
+// Provider registry - factories are called lazily so unused providers need no credentials
+const providerFactories = {
+  nebius: () => createOpenAICompatibleProvider({
+    name: 'nebius',
+    baseURL: 'https://api.studio.nebius.com/v1/',
+    apiKey: config.nebiusApiKey,
+    defaultChatModel: 'Qwen/Qwen3-235B-A22B-Thinking-2507',
+    defaultEmbedModel: 'Qwen/Qwen3-Embedding-8B'
+  }),
+  openai: () => createOpenAICompatibleProvider({
+    name: 'openai',
+    baseURL: config.llmBaseUrl || 'https://api.openai.com/v1',
+    apiKey: config.llmApiKey,
+    defaultChatModel: 'gpt-4o-mini',
+    defaultEmbedModel: 'text-embedding-3-small'
+  }),
+  ollama: () => createOpenAICompatibleProvider({
+    name: 'ollama',
+    baseURL: config.llmBaseUrl || 'http://localhost:11434/v1',
+    apiKey: config.llmApiKey || 'ollama', // Local servers ignore the key but the SDK requires one
+    defaultChatModel: 'llama3.1',
+    defaultEmbedModel: 'nomic-embed-text',
+    streamUsage: false
+  }),
+  fake: () => createFakeProvider()
+}
+
+let activeProvider = null
+const usageListeners = []
+
+/**
+ * Register an additional provider factory under a name usable in LLM_PROVIDER
+ */
+export function registerLLMProvider(name, factory) {
+  providerFactories[name] = factory
+}
+
+/**
+ * Switch the active provider (by registry name or provider object). Mainly for tests.
+ */
+export function setLLMProvider(nameOrProvider) {
+  if (typeof nameOrProvider === 'string') {
+    const factory = providerFactories[nameOrProvider]
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${nameOrProvider}`)
+    }
+    activeProvider = factory()
+  } else {
+    activeProvider = nameOrProvider
+  }
+  return activeProvider
+}
+
+/**
+ * Get the active provider, creating it from config on first use
+ */
+export function getLLMProvider() {
+  if (!activeProvider) {
+    setLLMProvider(config.llmProvider)
+  }
+  return activeProvider
+}
+
+/**
+ * Script the fake provider's replies (no-op for other providers)
+ */
+export function setFakeResponder(fn) {
+  getLLMProvider().setResponder?.(fn)
+}
+
+/**
+ * Describe the active provider for logs and health checks
+ */
+export function getProviderInfo() {
+  const provider = getLLMProvider()
+  return {
+    provider: provider.name,
+    baseURL: provider.baseURL,
+    chatModel: provider.defaultChatModel,
+    embedModel: provider.defaultEmbedModel
+  }
+}
+
+/**
+ * Be told the token usage of every completion (e.g. to charge it to a user's budget)
+ * @param {Function} listener - async (usage, model) => void; failures are logged, never thrown
+ */
+export function onCompletionUsage(listener) {
+  usageListeners.push(listener)
+}
+
+// Rough size of English text in tokens, for completions whose provider reports no usage
+const CHARS_PER_TOKEN = 4
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN)
+}
+
+function messageText(message) {
+  if (typeof message?.content === 'string') return message.content
+  return Array.isArray(message?.content) ? message.content.map(part => part?.text || '').join('') : ''
+}
+
+/**
+ * Usage estimated from the prompt and the text generated so far
+ * Used when the provider sends none (Ollama streams) or the stream ends early (client abort).
+ */
+export function estimateUsage(messages, generated) {
+  const promptTokens = (messages || []).reduce((sum, message) => sum + estimateTokens(messageText(message)), 0)
+  const completionTokens = estimateTokens(generated)
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens, estimated: true }
+}
+
+async function reportUsage(usage, model) {
+  if (!usage) return
+  for (const listener of usageListeners) {
+    try {
+      await listener(usage, model)
+    } catch (error) {
+      console.error('Completion usage listener error:', error)
+    }
+  }
+}
+
+/**
+ * Chat completion
+ * @param {Object} options - { messages, model, temperature, maxTokens, topP, jsonMode, signal }
+ * @returns {Promise<{content: string, usage: Object|null, model: string}>}
+ */
+export async function chatCompletion(options) {
+  const result = await getLLMProvider().chat(options)
+  await reportUsage(result.usage || estimateUsage(options.messages, result.content), result.model)
+  return result
+}
+
+/**
+ * Streaming chat completion
+ * Yields { content } deltas followed by a single { usage, model } summary. A stream that
+ * ends without the provider's usage (aborted, or a provider that sends none) is charged
+ * an estimate of what it generated.
+ * @param {Object} options - Same as chatCompletion
+ */
+export async function* streamChatCompletion(options) {
+  let generated = ''
+  let model = options.model || null
+  let reported = false
+
+  try {
+    for await (const part of getLLMProvider().stream(options)) {
+      if (part.content) generated += part.content
+      if (part.model) model = part.model
+      if (part.usage) {
+        reported = true
+        await reportUsage(part.usage, part.model)
+      }
+      yield part
+    }
+  } finally {
+    // A request that failed before producing anything isn't charged
+    if (!reported && (generated || options.signal?.aborted)) {
+      await reportUsage(estimateUsage(options.messages, generated), model)
+    }
+  }
+}
+
+/**
+ * JSON-mode chat completion with tolerant parsing of the model output
+ * @param {Object} options - Same as chatCompletion
+ * @returns {Promise<{data: Object|null, content: string, usage: Object|null, model: string}>}
+ *   `data` is null when no JSON object could be recovered from `content`
+ */
+export async function jsonChatCompletion(options) {
+  const result = await chatCompletion({ ...options, jsonMode: true })
+  return { ...result, data: parseJSONContent(result.content) }
+}
+
+/**
+ * Generate an embedding vector for a single text
+ * @param {string} text
+ * @param {Object} options - { model }
+ * @returns {Promise<number[]>}
+ */
+export async function createEmbedding(text, options = {}) {
+  return getLLMProvider().embed(text, options)
+}
+
+/**
+ * Recover a JSON object from model output: plain JSON, fenced code block or
+ * an object embedded in surrounding prose
+ */
+export function parseJSONContent(content) {
+  if (!content || typeof content !== 'string') return null
+
+  const candidates = [content.trim()]
+
+  const codeBlockMatch = content.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/)
+  if (codeBlockMatch) candidates.push(codeBlockMatch[1])
+
+  const objectMatch = content.match(/\{[\s\S]*\}/)
+  if (objectMatch) candidates.push(objectMatch[0])
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate)
+      if (parsed && typeof parsed === 'object') {
+        return parsed
+      }
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return null
+}
+
+export default {
+  onCompletionUsage,
+  chatCompletion,
+  streamChatCompletion,
+  jsonChatCompletion,
+  estimateUsage,
+  createEmbedding,
+  parseJSONContent,
+  getLLMProvider,
+  setLLMProvider,
+  registerLLMProvider,
+  setFakeResponder,
+  getProviderInfo
+}
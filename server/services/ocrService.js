@@ -0,0 +1,161 @@
+/**
+ * OCR fallback for scanned PDFs
+ *
+ * Pages that come out of pdf-parse with no usable text layer are rendered to
+ * images with pdfjs-dist and read with tesseract.js. Both libraries are loaded
+ * on first use, so uploads with a normal text layer never start an OCR worker.
+ */
+
+import { config } from '../config/index.js'
+
+/**
+ * Whether a page's extracted text is too thin to be a real text layer
+ */
+export function pageNeedsOCR(text) {
+  return (text || '').replace(/\s+/g, '').length < config.ocrMinPageChars
+}
+
+/**
+ * Page numbers of a parsed PDF that need OCR
+ * @param {Array<{page: number, text: string}>} pages
+ * @returns {number[]}
+ */
+export function findPagesNeedingOCR(pages = []) {
+  return pages
+    .filter(page => pageNeedsOCR(page.text))
+    .map(page => page.page)
+    .slice(0, config.ocrMaxPages)
+}
+
+/**
+ * Default engine: one tesseract.js worker per document
+ */
+async function createTesseractEngine() {
+  const { createWorker } = await import('tesseract.js')
+  const worker = await createWorker(config.ocrLanguage, undefined, {
+    ...(config.ocrLangPath ? { langPath: config.ocrLangPath } : {})
+  })
+
+  return {
+    async recognize(image) {
+      const { data } = await worker.recognize(image)
+      return { text: data.text || '', confidence: data.confidence || 0 }
+    },
+    terminate: () => worker.terminate()
+  }
+}
+
+let createEngine = createTesseractEngine
+
+/**
+ * Swap the OCR engine factory (tests use a scripted engine); null restores tesseract.js
+ * @param {Function|null} factory - async () => ({ recognize(image), terminate() })
+ */
+export function setOCREngine(factory) {
+  createEngine = factory || createTesseractEngine
+}
+
+/**
+ * Render one PDF page to a PNG buffer
+ */
+async function renderPage(pdfDocument, pageNumber) {
+  const page = await pdfDocument.getPage(pageNumber)
+  const viewport = page.getViewport({ scale: config.ocrRenderScale })
+  const { canvas, context } = pdfDocument.canvasFactory.create(viewport.width, viewport.height)
+
+  try {
+    await page.render({ canvasContext: context, viewport }).promise
+    return canvas.toBuffer('image/png')
+  } finally {
+    page.cleanup()
+  }
+}
+
+/**
+ * OCR the given pages of a PDF
+ * @param {Buffer|Uint8Array} dataBuffer - PDF bytes
+ * @param {number[]} pageNumbers - 1-based pages to read
+ * @param {Object} options
+ * @param {Function} [options.onPage] - Called after each page with { page, done, total }
+ * @returns {Promise<Array<{page: number, text: string, confidence: number}>>} confidence is 0-1
+ */
+export async function ocrPages(dataBuffer, pageNumbers, { onPage } = {}) {
+  if (!pageNumbers?.length) return []
+
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs')
+  const pdfDocument = await pdfjs.getDocument({
+    data: new Uint8Array(dataBuffer),
+    disableFontFace: true,
+    verbosity: 0
+  }).promise
+  const engine = await createEngine()
+  const results = []
+
+  try {
+    for (const pageNumber of pageNumbers) {
+      const image = await renderPage(pdfDocument, pageNumber)
+      const { text, confidence } = await engine.recognize(image)
+
+      results.push({
+        page: pageNumber,
+        text: text.trim(),
+        confidence: Math.round(confidence) / 100
+      })
+      await onPage?.({ page: pageNumber, done: results.length, total: pageNumbers.length })
+    }
+  } finally {
+    await engine.terminate()
+    await pdfDocument.destroy()
+  }
+
+  return results
+}
+
+/**
+ * Fill in pages without a text layer using OCR
+ * Returns the parse result with OCR text merged into pages/text and an `ocr`
+ * summary; each OCR'd page carries source: 'ocr' and its ocrConfidence.
+ * @param {Object} pdfData - safeParsePDF result
+ * @param {Buffer} dataBuffer - PDF bytes
+ * @param {Object} options - Passed to ocrPages
+ */
+export async function applyOCR(pdfData, dataBuffer, options = {}) {
+  const targets = config.ocrEnabled ? findPagesNeedingOCR(pdfData.pages) : []
+  if (targets.length === 0) {
+    return { ...pdfData, ocr: null }
+  }
+
+  console.log(`🔎 Running OCR on ${targets.length} page(s) without a text layer`)
+  const results = await ocrPages(dataBuffer, targets, options)
+
+  const pages = pdfData.pages.map(page => {
+    const result = results.find(ocrPage => ocrPage.page === page.page)
+    return result
+      ? { ...page, text: result.text, source: 'ocr', ocrConfidence: result.confidence }
+      : page
+  })
+
+  const averageConfidence = results.length > 0
+    ? Math.round(results.reduce((sum, page) => sum + page.confidence, 0) / results.length * 100) / 100
+    : null
+
+  console.log(`✅ OCR finished for ${results.length} page(s), average confidence ${averageConfidence}`)
+
+  return {
+    ...pdfData,
+    pages,
+    text: pages.map(page => `\n\n${page.text}`).join(''),
+    ocr: {
+      pages: results.map(({ page, confidence }) => ({ page, confidence })),
+      averageConfidence
+    }
+  }
+}
+
+export default {
+  pageNeedsOCR,
+  findPagesNeedingOCR,
+  setOCREngine,
+  ocrPages,
+  applyOCR
+}
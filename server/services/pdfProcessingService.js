@@ -0,0 +1,421 @@
+/**
+ * PDF ingestion pipeline, run as jobs from the processing queue
+ *
+ * Extracts text (OCR for scanned pages), chunks it, embeds the chunks and builds
+ * the lexical index. Embedded chunks are stored batch by batch and chunking is
+ * deterministic, so a retried or resumed job only embeds the chunks that are not
+ * in pdf_chunks yet. Each stage reports progress events and checks for
+ * cancellation between units of work.
+ */
+
+import fs from 'fs'
+import { v4 as uuidv4 } from 'uuid'
+import { db } from '../repositories/index.js'
+import { config } from '../config/index.js'
+import { safeParsePDF } from './pdfService.js'
+import { getFile } from './storageService.js'
+import { applyOCR, findPagesNeedingOCR } from './ocrService.js'
+import { startJobWorker, cancelPDFJobs, getLatestJobForPDF } from './jobQueue.js'
+import { createProgressTracker, publishProgress, getLatestProgress } from './processingEvents.js'
+import { processPDFForEmbeddings } from '../utils/textChunking.js'
+import { generateEmbeddingsBatch, storeLexicalIndex, deleteLexicalIndex, deletePDFChunks } from '../embeddings.js'
+
+let activeWorker = null
+
+// Runs in this process by PDF id, so a cancel request can stop them immediately
+const activeRuns = new Map()
+
+/**
+ * Read the job's PDF: the upload's local copy when it still exists, otherwise
+ * the stored original (another machine, or the temp file is gone after a restart)
+ */
+async function loadJobPDF(job) {
+  if (job.local_path && fs.existsSync(job.local_path)) {
+    return fs.readFileSync(job.local_path)
+  }
+
+  if (!job.storage_path) {
+    throw new Error('PDF file is no longer available')
+  }
+
+  return getFile(job.storage_path)
+}
+
+/**
+ * Record the PDF's processing state; a failed write is logged, not fatal to the run
+ */
+function updatePDFStatus(pdfId, values) {
+  return db.pdfFiles.update(pdfId, values)
+    .catch(error => console.warn(`⚠️ Could not update PDF ${pdfId}:`, error.message))
+}
+
+/**
+ * Chunks already stored for a PDF (the embedding checkpoint)
+ */
+function fetchStoredChunks(pdfId, columns = 'id, chunk_index, page, text') {
+  return db.pdfChunks.listByPdf(pdfId, { columns })
+}
+
+/**
+ * Chunks that still need an embedding, given the chunk indexes already stored
+ * @param {Array} chunks - processPDFForEmbeddings chunks
+ * @param {Set<number>} storedIndexes
+ */
+export function selectPendingChunks(chunks, storedIndexes) {
+  return chunks.filter(chunk => !storedIndexes.has(chunk.chunkIndex))
+}
+
+/**
+ * pdf_chunks row for an embedded chunk
+ */
+function buildChunkRow(pdfId, userId, chunk, embedding) {
+  return {
+    id: uuidv4(),
+    pdf_id: pdfId,
+    user_id: userId,
+    page: chunk.page || 1, // Default to page 1 if not provided
+    chunk_index: chunk.chunkIndex,
+    text: chunk.text,
+    embedding: JSON.stringify(embedding),
+    metadata: {
+      start_char: chunk.startChar,
+      end_char: chunk.endChar,
+      start_page: chunk.startPage || chunk.page || 1,
+      end_page: chunk.endPage || chunk.page || 1,
+      start_page_char: chunk.startPageChar,
+      end_page_char: chunk.endPageChar,
+      pageRange: chunk.pageRange || chunk.page || 1,
+      confidence: chunk.metadata?.confidence || 'medium',
+      estimationMethod: chunk.metadata?.estimationMethod || 'basic',
+      ...(chunk.metadata?.ocr ? { ocr: true, ocrConfidence: chunk.metadata.ocrConfidence } : {}),
+      word_count: chunk.text.split(' ').length
+    }
+  }
+}
+
+/**
+ * Extract page text, running OCR over pages without a text layer
+ */
+async function extractPDFText(fileId, dataBuffer, { progress, signal }) {
+  await progress.update('parsing', { message: 'Reading PDF' })
+
+  let pdfData = await safeParsePDF(dataBuffer, {
+    onPage: ({ parsed, total }) => progress.update('parsing', { current: parsed, total })
+  })
+  signal?.throwIfAborted()
+
+  if (!pdfData) {
+    throw new Error('Failed to extract text from PDF')
+  }
+
+  // Update PDF file with extracted text
+  await updatePDFStatus(fileId, {
+    total_pages: pdfData.pageCount || 1,
+    processing_status: 'processing',
+    processing_stage: 'extracting'
+  })
+
+  // Scanned pages have no text layer; read them with OCR
+  const ocrTargets = config.ocrEnabled ? findPagesNeedingOCR(pdfData.pages) : []
+  if (ocrTargets.length > 0) {
+    await updatePDFStatus(fileId, { processing_stage: 'ocr', ocr_pages_total: ocrTargets.length, ocr_pages_done: 0 })
+
+    try {
+      await progress.update('ocr', { current: 0, total: ocrTargets.length })
+      pdfData = await applyOCR(pdfData, dataBuffer, {
+        onPage: async ({ done, total }) => {
+          signal?.throwIfAborted()
+          await updatePDFStatus(fileId, { ocr_pages_done: done })
+          await progress.update('ocr', { current: done, total })
+        }
+      })
+      // Clears a failure left by an earlier attempt (separate so a missing migration 029 only skips this)
+      await updatePDFStatus(fileId, { ocr_error: null })
+    } catch (ocrError) {
+      signal?.throwIfAborted()
+
+      // Whatever text layer the PDF has is still usable; keep the reason for the status route
+      console.warn('⚠️ OCR failed:', ocrError.message)
+      await updatePDFStatus(fileId, { ocr_error: ocrError.message })
+    }
+  }
+
+  if (!pdfData.text?.trim()) {
+    throw new Error('Failed to extract text from PDF')
+  }
+
+  return pdfData
+}
+
+/**
+ * Process one queued PDF: extract, chunk, embed (resuming from stored chunks) and index
+ * @param {Object} job - pdf_processing_jobs row
+ * @param {Object} context - { heartbeat(progress), signal } from the job worker
+ */
+export async function processPDFJob(job, { heartbeat, signal } = {}) {
+  const { pdf_id: fileId, user_id: userId } = job
+  console.log('🔄 Starting background processing for PDF:', fileId)
+
+  const progress = createProgressTracker(fileId, { persist: heartbeat })
+
+  const dataBuffer = await loadJobPDF(job)
+  const pdfData = await extractPDFText(fileId, dataBuffer, { progress, signal })
+
+  await updatePDFStatus(fileId, {
+    processing_stage: 'embedding',
+    ...(pdfData.ocr ? { ocr_confidence: pdfData.ocr.averageConfidence } : {})
+  })
+
+  // Process text into chunks
+  await progress.update('chunking', { message: 'Splitting text into chunks' })
+  const processedResult = processPDFForEmbeddings({
+    text: pdfData.text,
+    pages: pdfData.pages,
+    numpages: pdfData.pageCount || 1
+  }, { fileId })
+
+  const chunks = processedResult.chunks
+  console.log(`📄 Created ${chunks.length} chunks for PDF ${fileId}`, processedResult.metadata)
+
+  if (chunks.length === 0) {
+    throw new Error('No chunks were created from PDF text')
+  }
+
+  // Resume from the last checkpoint: only embed chunks that aren't stored yet
+  const storedIndexes = new Set((await fetchStoredChunks(fileId, 'chunk_index')).map(row => row.chunk_index))
+  const pendingChunks = selectPendingChunks(chunks, storedIndexes)
+  let embeddedCount = chunks.length - pendingChunks.length
+
+  if (embeddedCount > 0) {
+    console.log(`⏩ Resuming PDF ${fileId}: ${embeddedCount}/${chunks.length} chunks already embedded`)
+  }
+
+  await progress.update('embedding', { current: embeddedCount, total: chunks.length })
+
+  // Store every batch as soon as it is embedded so a crash loses at most one batch
+  await generateEmbeddingsBatch(pendingChunks.map(chunk => chunk.text), 10, {
+    onBatch: async (embeddings, startIndex) => {
+      signal?.throwIfAborted()
+
+      const rows = embeddings.map((embedding, offset) =>
+        buildChunkRow(fileId, userId, pendingChunks[startIndex + offset], embedding)
+      )
+
+      await db.pdfChunks.insert(rows)
+
+      embeddedCount += rows.length
+      await progress.update('embedding', { current: embeddedCount, total: chunks.length })
+    }
+  })
+
+  // Build the BM25 index used by hybrid retrieval (vector search still works without it)
+  signal?.throwIfAborted()
+  await progress.update('indexing', { message: 'Building keyword index' })
+  try {
+    await storeLexicalIndex(fileId, await fetchStoredChunks(fileId))
+  } catch (indexError) {
+    console.warn('⚠️ Lexical index build failed:', indexError.message)
+  }
+
+  // Update PDF status to completed
+  await updatePDFStatus(fileId, {
+    processing_status: 'completed',
+    processed_at: new Date().toISOString(),
+    total_chunks: chunks.length
+  })
+
+  await progress.update('completed', { current: chunks.length, total: chunks.length, message: `Created ${chunks.length} chunks` })
+  console.log('✅ PDF processing completed successfully for:', fileId)
+}
+
+/**
+ * Delete the upload's temporary copy once its job no longer needs it
+ */
+function removeLocalCopy(job) {
+  if (!job.local_path) return
+
+  try {
+    if (fs.existsSync(job.local_path)) {
+      fs.unlinkSync(job.local_path)
+    }
+  } catch (cleanupError) {
+    console.warn('Failed to clean up local file after processing:', cleanupError)
+  }
+}
+
+/**
+ * Publish an end-of-run event (failure, retry or cancellation) for stream subscribers
+ */
+function publishOutcome(pdfId, stage, message = null) {
+  const now = new Date().toISOString()
+  publishProgress(pdfId, {
+    stage,
+    message,
+    current: 0,
+    total: 0,
+    percent: getLatestProgress(pdfId)?.percent ?? 0,
+    etaSeconds: null,
+    startedAt: getLatestProgress(pdfId)?.startedAt || now,
+    updatedAt: now
+  })
+}
+
+/**
+ * Remove whatever a cancelled run managed to store and mark the PDF cancelled
+ */
+async function discardPartialResults(pdfId) {
+  try {
+    await deletePDFChunks(pdfId)
+    await deleteLexicalIndex(pdfId)
+  } catch (error) {
+    console.warn('⚠️ Could not remove partial results of cancelled PDF:', error.message)
+  }
+
+  await updatePDFStatus(pdfId, { processing_status: 'cancelled', processing_stage: null })
+}
+
+/**
+ * Run processPDFJob so that cancelPDFProcessing can abort it from this process
+ */
+async function runCancellable(job, { heartbeat, signal } = {}) {
+  const controller = new AbortController()
+  activeRuns.set(job.pdf_id, controller)
+
+  try {
+    await processPDFJob(job, {
+      heartbeat,
+      signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
+    })
+  } finally {
+    activeRuns.delete(job.pdf_id)
+  }
+}
+
+/**
+ * Start a worker that processes queued PDFs
+ * @param {Object} options - Passed to startJobWorker ({ workerId, pollIntervalMs })
+ */
+export function startPDFProcessingWorker(options = {}) {
+  activeWorker = startJobWorker(async (job, context) => {
+    await runCancellable(job, context)
+    removeLocalCopy(job)
+  }, {
+    ...options,
+    onFailure: async (job, error, willRetry) => {
+      if (willRetry) {
+        publishOutcome(job.pdf_id, 'queued', `Retrying after error: ${error.message}`)
+        return
+      }
+
+      await updatePDFStatus(job.pdf_id, { processing_status: 'failed' })
+      publishOutcome(job.pdf_id, 'failed', error.message)
+      removeLocalCopy(job)
+    },
+    onCancel: async (job) => {
+      // A batch may have been stored after the cancel request cleaned up
+      await discardPartialResults(job.pdf_id)
+      removeLocalCopy(job)
+    }
+  })
+
+  return activeWorker
+}
+
+/**
+ * Let this process's worker pick up a freshly queued job right away
+ */
+export function notifyPDFWorker() {
+  activeWorker?.poke()
+}
+
+/**
+ * Process a PDF immediately without the queue (used when the queue table is unavailable)
+ */
+export async function processPDFNow({ pdfId, userId, storagePath = null, localPath = null }) {
+  const job = { pdf_id: pdfId, user_id: userId, storage_path: storagePath, local_path: localPath }
+
+  try {
+    await runCancellable(job)
+  } catch (error) {
+    if (error.name === 'AbortError') return
+
+    console.error('❌ PDF processing failed:', error)
+    await updatePDFStatus(pdfId, { processing_status: 'failed' })
+    publishOutcome(pdfId, 'failed', error.message)
+    throw error
+  } finally {
+    removeLocalCopy(job)
+  }
+}
+
+/**
+ * Cancel a PDF's processing: stops a run in this process right away, and runs in
+ * other worker processes on their next heartbeat, then discards partial chunks
+ */
+export async function cancelPDFProcessing(pdfId) {
+  activeRuns.get(pdfId)?.abort()
+
+  try {
+    await cancelPDFJobs(pdfId)
+  } catch (error) {
+    // No job table: only in-process runs exist
+    console.warn('⚠️ Could not cancel queued jobs:', error.message)
+  }
+
+  await discardPartialResults(pdfId)
+  publishOutcome(pdfId, 'cancelled', 'Processing cancelled')
+  console.log('🛑 PDF processing cancelled for:', pdfId)
+}
+
+/**
+ * Current progress of a PDF as a progress event, from this process's latest event
+ * or the stored file and job state (covers workers in other processes)
+ * @returns {Promise<{userId: string, event: Object}|null>} null when the PDF doesn't exist;
+ *   throws when the database can't be read, so callers don't mistake an outage for a missing PDF
+ */
+export async function getProcessingSnapshot(pdfId) {
+  const pdf = await db.pdfFiles.findById(pdfId, {
+    columns: 'id, user_id, processing_status, total_chunks, created_at, processed_at'
+  })
+
+  if (!pdf) return null
+
+  const job = await getLatestJobForPDF(pdfId)
+  const stored = job?.progress?.stage ? job.progress : null
+  const local = getLatestProgress(pdfId)
+  const latest = [local, stored].filter(Boolean)
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))[0]
+
+  const base = {
+    message: null,
+    current: 0,
+    total: 0,
+    percent: 0,
+    etaSeconds: null,
+    startedAt: latest?.startedAt || pdf.created_at,
+    updatedAt: job?.updated_at || pdf.processed_at || pdf.created_at
+  }
+
+  let event
+  if (pdf.processing_status === 'completed') {
+    event = { ...base, stage: 'completed', current: pdf.total_chunks || 0, total: pdf.total_chunks || 0, percent: 100, updatedAt: pdf.processed_at || base.updatedAt }
+  } else if (pdf.processing_status === 'failed' || pdf.processing_status === 'cancelled') {
+    event = { ...base, stage: pdf.processing_status, message: pdf.processing_status === 'failed' ? job?.last_error || null : 'Processing cancelled', percent: latest?.percent ?? 0 }
+  } else if (latest) {
+    event = latest
+  } else {
+    event = { ...base, stage: 'queued', message: job?.last_error ? `Retrying after error: ${job.last_error}` : null }
+  }
+
+  return { userId: pdf.user_id, event }
+}
+
+export default {
+  processPDFJob,
+  selectPendingChunks,
+  startPDFProcessingWorker,
+  notifyPDFWorker,
+  processPDFNow,
+  cancelPDFProcessing,
+  getProcessingSnapshot
+}
@@ -21,26 +21,82 @@ async function loadPdfParse() {
   return pdfParse
 }
 
+/**
+ * Page renderer for pdf-parse that also keeps each page's text
+ * Mirrors pdf-parse's default line joining so the combined text is unchanged.
+ */
+function createPageCollector(onPage) {
+  const pages = []
+  let parsedCount = 0
+
+  const pagerender = async (pageData) => {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    })
+
+    let lastY
+    let text = ''
+    for (const item of textContent.items) {
+      if (lastY == item.transform[5] || !lastY) {
+        text += item.str
+      } else {
+        text += '\n' + item.str
+      }
+      lastY = item.transform[5]
+    }
+
+    pages[pageData.pageIndex] = text
+    parsedCount++
+    await onPage?.({ page: pageData.pageIndex + 1, parsed: parsedCount, total: pageData.transport?.numPages || 0 })
+    return text
+  }
+
+  return { pages, pagerender }
+}
+
+/**
+ * Parse a PDF and attach page-by-page text
+ * @returns {Promise<Object>} pdf-parse result plus pageCount and pages: [{ page, text }]
+ */
+async function parseWithPages(pdfParseFunc, dataBuffer, { onPage, ...options } = {}) {
+  const collector = createPageCollector(onPage)
+
+  // The bundled pdf.js reads a Buffer's underlying ArrayBuffer from byte 0, which breaks
+  // small files that Node allocates from its shared pool; hand it a standalone copy
+  const data = Buffer.isBuffer(dataBuffer) ? new Uint8Array(dataBuffer) : dataBuffer
+  const result = await pdfParseFunc(data, { ...options, pagerender: collector.pagerender })
+
+  // Pages pdf-parse failed to render come back empty rather than shifting later pages
+  const pages = Array.from({ length: result.numpages || collector.pages.length }, (_, index) => ({
+    page: index + 1,
+    text: collector.pages[index] || ''
+  }))
+
+  return {
+    ...result,
+    pages,
+    pageCount: result.numpages || estimatePageCount(result.text) || 1
+  }
+}
+
 /**
  * Safe PDF parsing function with comprehensive error handling
+ * @param {Buffer} dataBuffer
+ * @param {Object} options - { onPage({ page, parsed, total }) } called as each page is read
  */
-export async function safeParsePDF(dataBuffer) {
+export async function safeParsePDF(dataBuffer, { onPage } = {}) {
   try {
     const pdfParseFunc = await loadPdfParse()
     
     // Parse the PDF with error handling for test file issues
-    const result = await pdfParseFunc(dataBuffer, {
+    const normalizedResult = await parseWithPages(pdfParseFunc, dataBuffer, {
       // Set options to prevent test file access
       normalizeWhitespace: false,
-      disableCombineTextItems: false
+      disableCombineTextItems: false,
+      onPage
     })
     
-    // Normalize the result to include pageCount property and better page detection
-    const normalizedResult = {
-      ...result,
-      pageCount: result.numpages || estimatePageCount(result.text) || 1
-    }
-    
     console.log('✅ PDF parsed successfully, text length:', normalizedResult.text?.length || 0, 'pages:', normalizedResult.pageCount)
     return normalizedResult
   } catch (error) {
@@ -49,13 +105,7 @@ export async function safeParsePDF(dataBuffer) {
       console.log('⚠️ Ignoring test file error, attempting direct parse...')
       try {
         const pdfParseFunc = await loadPdfParse()
-        const result = await pdfParseFunc(dataBuffer)
-        
-        // Normalize the result here too
-        const normalizedResult = {
-          ...result,
-          pageCount: result.numpages || estimatePageCount(result.text) || 1
-        }
+        const normalizedResult = await parseWithPages(pdfParseFunc, dataBuffer, { onPage })
         
         console.log('✅ PDF parsed successfully after ignoring test error, text length:', normalizedResult.text?.length || 0, 'pages:', normalizedResult.pageCount)
         return normalizedResult
@@ -0,0 +1,156 @@
+/**
+ * PDF processing progress events
+ *
+ * The processing pipeline reports each stage (parsing pages, OCR, chunking,
+ * embedding, indexing) through a progress tracker. Events go to subscribers in
+ * this process (the SSE route) and are persisted on the job row so a stream
+ * served by another process can follow a separate worker.
+ */
+
+import { EventEmitter } from 'events'
+
+// Share of the overall progress bar covered by each stage
+const STAGE_RANGES = {
+  queued: [0, 0],
+  parsing: [0, 10],
+  ocr: [10, 40],
+  chunking: [40, 42],
+  embedding: [42, 97],
+  indexing: [97, 100]
+}
+
+// Without OCR its share goes to embedding
+const STAGE_RANGES_WITHOUT_OCR = {
+  ...STAGE_RANGES,
+  ocr: [10, 10],
+  chunking: [10, 12],
+  embedding: [12, 97]
+}
+
+export const TERMINAL_STAGES = ['completed', 'failed', 'cancelled']
+
+// Persist at most this often (stage changes are always persisted)
+const PERSIST_INTERVAL_MS = 1000
+
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0)
+
+const latestEvents = new Map()
+
+/**
+ * Overall completion (0-100) for a stage and how far through it the pipeline is
+ * @param {string} stage
+ * @param {number} fraction - 0-1 within the stage
+ * @param {Object} options - { ocr } whether the document went through OCR
+ */
+export function overallPercent(stage, fraction = 0, { ocr = false } = {}) {
+  if (stage === 'completed') return 100
+
+  const range = (ocr ? STAGE_RANGES : STAGE_RANGES_WITHOUT_OCR)[stage]
+  if (!range) return 0
+
+  const clamped = Math.min(1, Math.max(0, fraction || 0))
+  return Math.round(range[0] + (range[1] - range[0]) * clamped)
+}
+
+/**
+ * Seconds left in a stage at its current rate, or null until there is a rate to go on
+ */
+export function estimateRemainingSeconds({ current, total, startedAt, startCount = 0, now = Date.now() }) {
+  const done = current - startCount
+  const elapsedMs = now - startedAt
+  if (!total || done <= 0 || elapsedMs <= 0 || current >= total) {
+    return current >= total && total ? 0 : null
+  }
+
+  return Math.round((total - current) * (elapsedMs / done) / 1000)
+}
+
+/**
+ * Send an event to this process's subscribers and remember it as the latest
+ */
+export function publishProgress(pdfId, event) {
+  latestEvents.set(pdfId, event)
+  emitter.emit(pdfId, event)
+
+  // Terminal events stay available briefly for streams that connect late
+  if (TERMINAL_STAGES.includes(event.stage)) {
+    setTimeout(() => {
+      if (latestEvents.get(pdfId) === event) latestEvents.delete(pdfId)
+    }, 60 * 1000).unref()
+  }
+}
+
+/**
+ * Latest event published in this process for a PDF, if any
+ */
+export function getLatestProgress(pdfId) {
+  return latestEvents.get(pdfId) || null
+}
+
+/**
+ * Listen for a PDF's progress events
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToProgress(pdfId, listener) {
+  emitter.on(pdfId, listener)
+  return () => emitter.off(pdfId, listener)
+}
+
+/**
+ * Track one processing run: computes overall percent and stage ETA, publishes
+ * every update and persists them (throttled) through `persist`
+ * @param {string} pdfId
+ * @param {Object} options - { persist(event) }
+ */
+export function createProgressTracker(pdfId, { persist } = {}) {
+  const startedAt = new Date().toISOString()
+  let stageState = null
+  let lastPersistAt = 0
+  let ocr = false
+
+  const update = async (stage, { current = 0, total = 0, message } = {}) => {
+    const now = Date.now()
+    const stageChanged = stageState?.stage !== stage
+    if (stage === 'ocr') ocr = true
+
+    // Measure the rate from the first update of the stage (resumed work is excluded)
+    if (stageChanged) {
+      stageState = { stage, startedAt: now, startCount: current }
+    }
+
+    const fraction = total > 0 ? current / total : (TERMINAL_STAGES.includes(stage) ? 1 : 0)
+    const event = {
+      stage,
+      message: message || null,
+      current,
+      total,
+      percent: overallPercent(stage, fraction, { ocr }),
+      etaSeconds: TERMINAL_STAGES.includes(stage)
+        ? null
+        : estimateRemainingSeconds({ current, total, startedAt: stageState.startedAt, startCount: stageState.startCount, now }),
+      startedAt,
+      updatedAt: new Date(now).toISOString()
+    }
+
+    publishProgress(pdfId, event)
+
+    if (persist && (stageChanged || now - lastPersistAt >= PERSIST_INTERVAL_MS || TERMINAL_STAGES.includes(stage))) {
+      lastPersistAt = now
+      await persist(event)
+    }
+
+    return event
+  }
+
+  return { update }
+}
+
+export default {
+  overallPercent,
+  estimateRemainingSeconds,
+  publishProgress,
+  getLatestProgress,
+  subscribeToProgress,
+  createProgressTracker
+}
@@ -0,0 +1,194 @@
+/**
+ * Difficulty, Bloom's-taxonomy and topic tags for quiz questions
+ *
+ * generate-quiz asks the model for a difficulty, Bloom level and topic per
+ * question; the labels it returns are normalized and checked here before the
+ * quiz is stored, and graded quizzes are broken down by all three.
+ */
+
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard']
+export const QUIZ_DIFFICULTIES = [...DIFFICULTY_LEVELS, 'mixed']
+export const BLOOM_LEVELS = ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create']
+
+// Other names the model (or older taxonomy editions) use for the same levels
+const BLOOM_ALIASES = {
+  knowledge: 'remember',
+  recall: 'remember',
+  comprehension: 'understand',
+  application: 'apply',
+  analyse: 'analyze',
+  analysis: 'analyze',
+  evaluation: 'evaluate',
+  synthesis: 'create',
+  creation: 'create'
+}
+
+const MAX_TOPIC_LENGTH = 60
+
+const DIFFICULTY_ALIASES = {
+  simple: 'easy',
+  basic: 'easy',
+  moderate: 'medium',
+  intermediate: 'medium',
+  difficult: 'hard',
+  advanced: 'hard',
+  challenging: 'hard'
+}
+
+/**
+ * A known difficulty level, or null
+ */
+export function normalizeDifficulty(value) {
+  if (typeof value !== 'string') return null
+  const level = value.trim().toLowerCase()
+  return DIFFICULTY_LEVELS.includes(level) ? level : (DIFFICULTY_ALIASES[level] || null)
+}
+
+/**
+ * A known Bloom level (accepts "Analyzing", "analysis", "Synthesis", ...), or null
+ */
+export function normalizeBloomLevel(value) {
+  if (typeof value !== 'string') return null
+  const level = value.trim().toLowerCase()
+  if (BLOOM_LEVELS.includes(level) || BLOOM_ALIASES[level]) return BLOOM_ALIASES[level] || level
+
+  // Gerund forms: remembering, understanding, applying, analyzing, evaluating, creating
+  const stem = level.replace(/ing$/, '')
+  const candidates = [stem, `${stem}e`]
+  return BLOOM_LEVELS.find(bloom => candidates.includes(bloom)) ||
+    candidates.map(candidate => BLOOM_ALIASES[candidate]).find(Boolean) || null
+}
+
+/**
+ * Topic label as a stable key: lower case, single spaces, no trailing punctuation
+ * Mastery is tracked per label, so "Photosynthesis." and "photosynthesis" must match.
+ */
+export function normalizeTopic(value) {
+  if (typeof value !== 'string') return null
+  const topic = value.replace(/\s+/g, ' ').trim().replace(/[.:;,!?]+$/, '').toLowerCase().substring(0, MAX_TOPIC_LENGTH).trim()
+  return topic || null
+}
+
+/**
+ * Validate the optional difficulty / bloomLevels of a quiz request
+ * @returns {{ targets: Object|null, error: string|null }}
+ */
+export function parseQuestionTargets({ difficulty, bloomLevels } = {}) {
+  const targets = { difficulty: 'mixed', bloomLevels: [] }
+
+  if (difficulty !== undefined && difficulty !== null && difficulty !== '') {
+    const level = typeof difficulty === 'string' ? difficulty.trim().toLowerCase() : null
+    if (!QUIZ_DIFFICULTIES.includes(level)) {
+      return { targets: null, error: `difficulty must be one of: ${QUIZ_DIFFICULTIES.join(', ')}` }
+    }
+    targets.difficulty = level
+  }
+
+  if (bloomLevels !== undefined && bloomLevels !== null) {
+    const levels = Array.isArray(bloomLevels) ? bloomLevels.map(normalizeBloomLevel) : [null]
+    if (levels.includes(null)) {
+      return { targets: null, error: `bloomLevels must be an array of: ${BLOOM_LEVELS.join(', ')}` }
+    }
+    targets.bloomLevels = BLOOM_LEVELS.filter(level => levels.includes(level))
+  }
+
+  return { targets, error: null }
+}
+
+/**
+ * Prompt lines describing the requested difficulty and Bloom levels
+ */
+export function describeQuestionTargets(targets) {
+  const difficulty = targets.difficulty === 'mixed'
+    ? 'Mix easy, medium and hard questions.'
+    : `Make every question ${targets.difficulty} difficulty.`
+  const bloom = targets.bloomLevels.length > 0
+    ? `Only target these Bloom's taxonomy levels: ${targets.bloomLevels.join(', ')}.`
+    : "Cover a range of Bloom's taxonomy levels suited to the difficulty."
+
+  return [
+    difficulty,
+    bloom,
+    `Label every question with "difficulty" (${DIFFICULTY_LEVELS.join(' | ')}) and "bloomLevel" (${BLOOM_LEVELS.join(' | ')}).`,
+    'Label every question with "topic": the concept it tests in 1-4 words, using the same label for questions on the same concept.'
+  ]
+}
+
+/**
+ * Validate and fill in each question's difficulty, bloomLevel, topic and sourcePage
+ * Unknown difficulties fall back to the requested level (medium for a mixed quiz)
+ * and unknown Bloom levels to the only requested one, if there is exactly one.
+ * Questions without a topic get the quiz's topic, if it had one.
+ * sourcePage must be one of the question's `pages`; otherwise the first of them.
+ * @param {Object} quiz - { mcq, shortAnswer, longAnswer } sections
+ * @param {Object} targets - parseQuestionTargets result
+ * @param {Object} options - { defaultTopic }
+ */
+export function tagQuestions(quiz, targets, { defaultTopic = null } = {}) {
+  const defaultDifficulty = targets.difficulty === 'mixed' ? 'medium' : targets.difficulty
+  const defaultBloom = targets.bloomLevels.length === 1 ? targets.bloomLevels[0] : null
+
+  return Object.fromEntries(Object.entries(quiz).map(([section, questions]) => [
+    section,
+    Array.isArray(questions)
+      ? questions.map(question => {
+          const pages = Array.isArray(question?.pages) ? question.pages : []
+          const sourcePage = Number(question?.sourcePage)
+          return {
+            ...question,
+            difficulty: normalizeDifficulty(question?.difficulty) || defaultDifficulty,
+            bloomLevel: normalizeBloomLevel(question?.bloomLevel) || defaultBloom,
+            topic: normalizeTopic(question?.topic) || normalizeTopic(defaultTopic),
+            sourcePage: pages.includes(sourcePage) ? sourcePage : (pages[0] ?? null)
+          }
+        })
+      : questions
+  ]))
+}
+
+/**
+ * Score per difficulty, per Bloom level and per topic
+ * Difficulties and Bloom levels are listed in taxonomy order, topics as they first appear.
+ * @param {Array} graded - [{ question, score }] with score between 0 and 1
+ * @returns {{ difficulty: Object, bloomLevel: Object, topic: Object }} level -> { questions, score (percent) }
+ */
+export function levelBreakdown(graded) {
+  const breakdown = { difficulty: {}, bloomLevel: {}, topic: {} }
+
+  graded.forEach(({ question, score }) => {
+    for (const tag of Object.keys(breakdown)) {
+      const level = question?.[tag]
+      if (!level) continue
+      const entry = breakdown[tag][level] || (breakdown[tag][level] = { questions: 0, total: 0 })
+      entry.questions += 1
+      entry.total += Math.min(1, Math.max(0, score || 0))
+    }
+  })
+
+  const orders = { difficulty: DIFFICULTY_LEVELS, bloomLevel: BLOOM_LEVELS, topic: Object.keys(breakdown.topic) }
+  for (const tag of Object.keys(breakdown)) {
+    breakdown[tag] = Object.fromEntries(
+      orders[tag]
+        .filter(level => breakdown[tag][level])
+        .map(level => {
+          const { questions, total } = breakdown[tag][level]
+          return [level, { questions, score: Math.round(total / questions * 100) }]
+        })
+    )
+  }
+
+  return breakdown
+}
+
+export default {
+  DIFFICULTY_LEVELS,
+  QUIZ_DIFFICULTIES,
+  BLOOM_LEVELS,
+  normalizeDifficulty,
+  normalizeBloomLevel,
+  normalizeTopic,
+  parseQuestionTargets,
+  describeQuestionTargets,
+  tagQuestions,
+  levelBreakdown
+}
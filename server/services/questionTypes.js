@@ -0,0 +1,453 @@
+/**
+ * Quiz question types
+ *
+ * A quiz is an object of sections keyed by question type. Each type describes
+ * how the model is asked to write it, how a generated question is checked and
+ * normalized before it is stored, which of its fields are the answer key, which
+ * are shown to the student before grading, and how an answer is graded. Objective types are graded here, deterministically;
+ * free-text types (no `grade`) carry a reference answer and a point rubric and
+ * are graded against it by services/rubricGrading.js.
+ */
+
+const MAX_PER_TYPE = 10
+const MAX_QUESTIONS = 30
+
+export const DEFAULT_QUESTION_COUNTS = { mcq: 3, shortAnswer: 2, longAnswer: 1 }
+
+// Share of the overall score per group; a quiz without a group spreads its share over the rest
+const GROUP_WEIGHTS = { objective: 0.4, short: 0.3, long: 0.3 }
+
+const letter = index => String.fromCharCode(65 + index)
+
+const isText = value => typeof value === 'string' && value.trim().length > 0
+
+function toIndexList(value, length) {
+  const list = Array.isArray(value) ? value : [value]
+  return [...new Set(list.map(Number))].filter(index => Number.isInteger(index) && index >= 0 && index < length)
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value
+  if (typeof value === 'string' && ['true', 'false'].includes(value.trim().toLowerCase())) {
+    return value.trim().toLowerCase() === 'true'
+  }
+  return null
+}
+
+/**
+ * Parse a typed number: "1,234.5", " 42 ", "3e8"
+ */
+export function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value !== 'string' || !value.trim()) return null
+  const parsed = Number(value.trim().replace(/[,\s]/g, ''))
+  return Number.isFinite(parsed) ? parsed : null
+}
+
+/**
+ * Lower-case, collapse whitespace and drop surrounding punctuation, for comparing typed answers
+ */
+export function normalizeAnswerText(value) {
+  return String(value ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^[\s"'“”‘’.,;:!?()]+|[\s"'“”‘’.,;:!?()]+$/g, '')
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const swap = shuffled[i]
+    shuffled[i] = shuffled[j]
+    shuffled[j] = swap
+  }
+  return shuffled
+}
+
+const BLANK_PATTERN = /_{3,}/g
+
+const MAX_RUBRIC_CRITERIA = 6
+const MAX_CRITERION_POINTS = 10
+
+// Used when a question has no rubric of its own (model left it out, fallback quiz, older quizzes)
+export const DEFAULT_RUBRICS = {
+  short: [
+    { criterion: 'Answers the question accurately', points: 3 },
+    { criterion: 'Supports the answer with relevant detail from the material', points: 2 }
+  ],
+  long: [
+    { criterion: 'Covers the central concepts accurately', points: 4 },
+    { criterion: 'Develops the analysis with evidence or examples from the material', points: 4 },
+    { criterion: 'Is organised and clearly argued', points: 2 }
+  ]
+}
+
+/**
+ * Clean up a generated rubric: [{ criterion, points }] with whole points between 1 and 10
+ * @returns {Array|null} null when no criterion survives
+ */
+export function normalizeRubric(rubric) {
+  const criteria = (Array.isArray(rubric) ? rubric : [])
+    .filter(item => item && isText(item.criterion))
+    .map(item => ({
+      criterion: item.criterion.trim(),
+      points: Math.min(MAX_CRITERION_POINTS, Math.max(1, Math.round(Number(item.points) || 1)))
+    }))
+    .slice(0, MAX_RUBRIC_CRITERIA)
+  return criteria.length > 0 ? criteria : null
+}
+
+function withRubric(question, textLength) {
+  return {
+    ...question,
+    referenceAnswer: isText(question.referenceAnswer) ? question.referenceAnswer.trim() : null,
+    rubric: normalizeRubric(question.rubric) || DEFAULT_RUBRICS[textLength].map(item => ({ ...item }))
+  }
+}
+
+const rubricExample = {
+  question: 'Question text',
+  referenceAnswer: 'What a full-marks answer says',
+  rubric: [
+    { criterion: 'First point a full answer must make', points: 2 },
+    { criterion: 'Second point a full answer must make', points: 1 }
+  ]
+}
+
+export const QUESTION_TYPES = {
+  mcq: {
+    group: 'objective',
+    answerKeyFields: ['correctAnswerIndex'],
+    publicFields: ['options'],
+    prompt: count => `${count} multiple-choice questions (MCQs), each with 4 options and exactly ONE correct answer given by its index (0–3) in "correctAnswerIndex".`,
+    example: { question: 'Question text', options: ['Option A', 'Option B', 'Option C', 'Option D'], correctAnswerIndex: 0 },
+    normalize(question) {
+      const options = Array.isArray(question.options) ? question.options.filter(isText) : []
+      const correctAnswerIndex = Number(question.correctAnswerIndex)
+      if (options.length < 2 || !Number.isInteger(correctAnswerIndex) || !options[correctAnswerIndex]) return null
+      return { ...question, options, correctAnswerIndex }
+    },
+    grade(question, answer) {
+      const isCorrect = answer.selectedAnswer === question.correctAnswerIndex
+      return {
+        isCorrect,
+        score: isCorrect ? 1 : 0,
+        correctAnswerIndex: question.correctAnswerIndex,
+        selectedAnswerIndex: answer.selectedAnswer,
+        explanation: `The correct answer is ${letter(question.correctAnswerIndex)}: ${question.options[question.correctAnswerIndex]}`
+      }
+    }
+  },
+
+  trueFalse: {
+    group: 'objective',
+    answerKeyFields: ['correctAnswer'],
+    publicFields: [],
+    prompt: count => `${count} true/false statements, with "correctAnswer" set to true or false.`,
+    example: { question: 'Statement to judge', correctAnswer: true },
+    normalize(question) {
+      const correctAnswer = toBoolean(question.correctAnswer)
+      return correctAnswer === null ? null : { ...question, correctAnswer }
+    },
+    grade(question, answer) {
+      const isCorrect = toBoolean(answer.selectedAnswer) === question.correctAnswer
+      return {
+        isCorrect,
+        score: isCorrect ? 1 : 0,
+        correctAnswer: question.correctAnswer,
+        explanation: `The statement is ${question.correctAnswer ? 'true' : 'false'}.`
+      }
+    }
+  },
+
+  multiSelect: {
+    group: 'objective',
+    answerKeyFields: ['correctAnswerIndexes'],
+    publicFields: ['options'],
+    prompt: count => `${count} multi-select questions with 4–6 options of which two or more are correct; list every correct option index in "correctAnswerIndexes".`,
+    example: { question: 'Question text (select all that apply)', options: ['Option A', 'Option B', 'Option C', 'Option D'], correctAnswerIndexes: [0, 2] },
+    normalize(question) {
+      const options = Array.isArray(question.options) ? question.options.filter(isText) : []
+      const correctAnswerIndexes = toIndexList(question.correctAnswerIndexes, options.length).sort((a, b) => a - b)
+      if (options.length < 3 || correctAnswerIndexes.length === 0) return null
+      return { ...question, options, correctAnswerIndexes }
+    },
+    // Partial credit: each wrong pick cancels a right one
+    grade(question, answer) {
+      const selected = toIndexList(answer.selectedAnswers ?? [], question.options.length)
+      const hits = selected.filter(index => question.correctAnswerIndexes.includes(index)).length
+      const wrongPicks = selected.length - hits
+      const isCorrect = hits === question.correctAnswerIndexes.length && wrongPicks === 0
+      return {
+        isCorrect,
+        score: Math.max(0, (hits - wrongPicks) / question.correctAnswerIndexes.length),
+        correctAnswerIndexes: question.correctAnswerIndexes,
+        selectedAnswerIndexes: selected,
+        explanation: `The correct answers are ${question.correctAnswerIndexes.map(letter).join(', ')}.`
+      }
+    }
+  },
+
+  cloze: {
+    group: 'objective',
+    answerKeyFields: ['acceptedAnswers'],
+    publicFields: ['blankCount'],
+    prompt: count => `${count} fill-in-the-blank sentences; mark each blank with "____" and give the accepted answer(s) for each blank, in order, in "answers" (a word or short phrase each, alternatives as an array).`,
+    example: { question: 'The ____ is the powerhouse of the ____.', answers: [['mitochondrion', 'mitochondria'], 'cell'] },
+    normalize(question) {
+      if (!isText(question.question)) return null
+      const blankCount = (question.question.match(BLANK_PATTERN) || []).length
+      const answers = Array.isArray(question.answers) ? question.answers : []
+      const acceptedAnswers = answers.map(accepted => (Array.isArray(accepted) ? accepted : [accepted]).filter(isText))
+      if (blankCount === 0 || acceptedAnswers.length !== blankCount || acceptedAnswers.some(list => list.length === 0)) return null
+
+      const normalized = { ...question, blankCount, acceptedAnswers }
+      delete normalized.answers
+      return normalized
+    },
+    grade(question, answer) {
+      const given = Array.isArray(answer.answers) ? answer.answers : []
+      const blanks = question.acceptedAnswers.map((accepted, index) =>
+        accepted.map(normalizeAnswerText).includes(normalizeAnswerText(given[index]))
+      )
+      const correctCount = blanks.filter(Boolean).length
+      return {
+        isCorrect: correctCount === blanks.length,
+        score: correctCount / blanks.length,
+        blanks,
+        correctAnswers: question.acceptedAnswers.map(accepted => accepted[0]),
+        explanation: `Accepted answers: ${question.acceptedAnswers.map(accepted => accepted.join(' / ')).join('; ')}`
+      }
+    }
+  },
+
+  matching: {
+    group: 'objective',
+    answerKeyFields: ['correctMatches'],
+    publicFields: ['left', 'right'],
+    prompt: count => `${count} matching questions, each with 3–5 "pairs" of a "left" item and the "right" item it matches.`,
+    example: { question: 'Match each term with its definition', pairs: [{ left: 'Term 1', right: 'Definition 1' }, { left: 'Term 2', right: 'Definition 2' }, { left: 'Term 3', right: 'Definition 3' }] },
+    // The right column is shuffled; correctMatches[i] is the right index that matches left[i]
+    normalize(question, { random = Math.random } = {}) {
+      const pairs = (Array.isArray(question.pairs) ? question.pairs : []).filter(pair => isText(pair?.left) && isText(pair?.right))
+      if (pairs.length < 2 || new Set(pairs.map(pair => pair.right)).size !== pairs.length) return null
+
+      const right = shuffle(pairs.map(pair => pair.right), random)
+      const normalized = {
+        ...question,
+        left: pairs.map(pair => pair.left),
+        right,
+        correctMatches: pairs.map(pair => right.indexOf(pair.right))
+      }
+      delete normalized.pairs
+      return normalized
+    },
+    grade(question, answer) {
+      const matches = Array.isArray(answer.matches) ? answer.matches.map(Number) : []
+      const correct = question.correctMatches.map((rightIndex, index) => matches[index] === rightIndex)
+      const correctCount = correct.filter(Boolean).length
+      return {
+        isCorrect: correctCount === correct.length,
+        score: correctCount / correct.length,
+        matchResults: correct,
+        correctMatches: question.correctMatches,
+        explanation: question.left.map((item, index) => `${item} → ${question.right[question.correctMatches[index]]}`).join('; ')
+      }
+    }
+  },
+
+  numeric: {
+    group: 'objective',
+    answerKeyFields: ['correctValue'],
+    publicFields: ['tolerance', 'unit'],
+    prompt: count => `${count} numeric questions with a single numeric "answer", the allowed "tolerance" (absolute, 0 for exact) and an optional "unit".`,
+    example: { question: 'Question with a numeric answer', answer: 9.81, tolerance: 0.01, unit: 'm/s²' },
+    normalize(question) {
+      const correctValue = parseNumber(question.answer ?? question.correctValue)
+      if (correctValue === null) return null
+
+      const normalized = {
+        ...question,
+        correctValue,
+        tolerance: Math.abs(parseNumber(question.tolerance) || 0),
+        unit: isText(question.unit) ? question.unit.trim() : null
+      }
+      delete normalized.answer
+      return normalized
+    },
+    grade(question, answer) {
+      const value = parseNumber(answer.value)
+      // Absorb floating-point noise on "exact" answers
+      const allowed = question.tolerance + 1e-9 * Math.max(1, Math.abs(question.correctValue))
+      const isCorrect = value !== null && Math.abs(value - question.correctValue) <= allowed
+      const unit = question.unit ? ` ${question.unit}` : ''
+      return {
+        isCorrect,
+        score: isCorrect ? 1 : 0,
+        correctValue: question.correctValue,
+        submittedValue: value,
+        explanation: `The correct answer is ${question.correctValue}${unit}${question.tolerance ? ` (±${question.tolerance})` : ''}.`
+      }
+    }
+  },
+
+  // Written answers: the rubric and reference answer stay server-side until grading
+  shortAnswer: {
+    group: 'short',
+    answerKeyFields: ['referenceAnswer', 'rubric'],
+    publicFields: [],
+    textLength: 'short',
+    prompt: count => `${count} short-answer questions requiring 2–4 sentence explanations, each with a "referenceAnswer" and a "rubric" of 2–4 criteria worth 1–3 points each.`,
+    example: rubricExample,
+    normalize: question => withRubric(question, 'short')
+  },
+
+  longAnswer: {
+    group: 'long',
+    answerKeyFields: ['referenceAnswer', 'rubric'],
+    publicFields: [],
+    textLength: 'long',
+    prompt: count => `${count} long-answer question${count === 1 ? '' : 's'} requiring a detailed conceptual analysis, each with a "referenceAnswer" and a "rubric" of 3–6 criteria worth 1–4 points each.`,
+    example: rubricExample,
+    normalize: question => withRubric(question, 'long')
+  }
+}
+
+export const QUESTION_TYPE_NAMES = Object.keys(QUESTION_TYPES)
+
+/**
+ * Whether a client- or model-supplied name is one of the question types
+ * Own keys only, so names such as "constructor" or "__proto__" are not types.
+ */
+export function isQuestionType(type) {
+  return typeof type === 'string' && Object.hasOwn(QUESTION_TYPES, type)
+}
+
+// The definition of a question type, or undefined for unknown names
+function questionType(type) {
+  return isQuestionType(type) ? QUESTION_TYPES[type] : undefined
+}
+
+// Fields every question may show before grading: its text and the tags and pages from generation
+const COMMON_PUBLIC_FIELDS = ['question', 'difficulty', 'bloomLevel', 'topic', 'sourcePage', 'pages']
+
+/**
+ * A question as the student sees it before grading
+ * Built from the fields listed for its type, so anything else the model added stays server-side.
+ * @param {string} type - Question type (sections of unknown types keep only the common fields)
+ */
+export function toPublicQuestion(type, question) {
+  const fields = [...COMMON_PUBLIC_FIELDS, ...(questionType(type)?.publicFields || [])]
+  return Object.fromEntries(fields
+    .filter(field => question?.[field] !== undefined)
+    .map(field => [field, question[field]]))
+}
+
+/**
+ * Answer key fields of every question type
+ */
+export const ANSWER_KEY_FIELDS = [...new Set(Object.values(QUESTION_TYPES).flatMap(type => type.answerKeyFields))]
+
+/**
+ * Validate the requested number of questions per type
+ * @param {Object} types - { mcq: 3, trueFalse: 2, ... }; defaults when omitted
+ * @returns {{ counts: Object|null, error: string|null }}
+ */
+export function parseQuestionCounts(types) {
+  if (types === undefined || types === null) {
+    return { counts: { ...DEFAULT_QUESTION_COUNTS }, error: null }
+  }
+  if (typeof types !== 'object' || Array.isArray(types)) {
+    return { counts: null, error: 'types must map question types to counts' }
+  }
+
+  const counts = {}
+  for (const [type, value] of Object.entries(types)) {
+    if (!isQuestionType(type)) {
+      return { counts: null, error: `Unknown question type: ${type}. Supported: ${QUESTION_TYPE_NAMES.join(', ')}` }
+    }
+    const count = Number(value)
+    if (!Number.isInteger(count) || count < 0 || count > MAX_PER_TYPE) {
+      return { counts: null, error: `types.${type} must be a whole number between 0 and ${MAX_PER_TYPE}` }
+    }
+    if (count > 0) counts[type] = count
+  }
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0)
+  if (total === 0 || total > MAX_QUESTIONS) {
+    return { counts: null, error: `A quiz needs between 1 and ${MAX_QUESTIONS} questions` }
+  }
+
+  return { counts, error: null }
+}
+
+/**
+ * Keep the requested sections of a generated quiz, dropping malformed questions
+ * @param {Object} raw - Parsed model output
+ * @param {Object} counts - parseQuestionCounts result
+ * @param {Object} options - { random } for matching shuffles
+ */
+export function normalizeQuiz(raw, counts, options = {}) {
+  return Object.fromEntries(Object.entries(counts).filter(([type]) => isQuestionType(type)).map(([type, count]) => {
+    const section = Array.isArray(raw?.[type]) ? raw[type] : (raw?.[type] ? [raw[type]] : [])
+    const questions = section
+      .filter(question => question && isText(question.question))
+      .map(question => questionType(type).normalize({ ...question, question: question.question.trim() }, options))
+      .filter(Boolean)
+      .slice(0, count)
+    return [type, questions]
+  }))
+}
+
+/**
+ * Grade one answer to an objective question
+ * @returns {Object} { isCorrect, score (0-1), explanation, ... }
+ */
+export function gradeAnswer(type, question, answer = {}) {
+  return questionType(type).grade(question, answer || {})
+}
+
+/**
+ * Overall percentage from per-question scores, weighting each group (objective, short, long)
+ * @param {Array} graded - [{ type, score }] with score between 0 and 1
+ */
+export function weightedScore(graded) {
+  const byGroup = {}
+  graded.forEach(({ type, score }) => {
+    const group = questionType(type)?.group
+    if (!group) return
+    if (!byGroup[group]) byGroup[group] = []
+    byGroup[group].push(Math.min(1, Math.max(0, score || 0)))
+  })
+
+  const groups = Object.keys(byGroup)
+  const weightSum = groups.reduce((sum, group) => sum + GROUP_WEIGHTS[group], 0)
+  if (weightSum === 0) return 0
+
+  const total = groups.reduce((sum, group) => {
+    const scores = byGroup[group]
+    return sum + (scores.reduce((a, b) => a + b, 0) / scores.length) * (GROUP_WEIGHTS[group] / weightSum)
+  }, 0)
+
+  return Math.round(total * 100)
+}
+
+export default {
+  QUESTION_TYPES,
+  QUESTION_TYPE_NAMES,
+  isQuestionType,
+  ANSWER_KEY_FIELDS,
+  toPublicQuestion,
+  DEFAULT_QUESTION_COUNTS,
+  parseQuestionCounts,
+  normalizeQuiz,
+  gradeAnswer,
+  weightedScore,
+  parseNumber,
+  normalizeAnswerText,
+  normalizeRubric,
+  DEFAULT_RUBRICS
+}
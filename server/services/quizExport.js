@@ -0,0 +1,642 @@
+/**
+ * Quiz export
+ *
+ * Turns a stored quiz (answer key included) into files teachers can take
+ * elsewhere: Moodle XML, GIFT text, an IMS QTI 2.1 content package, and a
+ * printable HTML worksheet with a separate answer key. A question a format
+ * cannot represent is left out of that file and listed in `skipped`, so the
+ * caller can tell the user instead of losing it quietly.
+ */
+
+import { isQuestionType } from './questionTypes.js'
+import { createZip } from '../utils/zip.js'
+
+// Section headings, in the order questions are exported
+const TYPE_LABELS = {
+  mcq: 'Multiple choice',
+  trueFalse: 'True or false',
+  multiSelect: 'Select all that apply',
+  cloze: 'Fill in the blanks',
+  matching: 'Matching',
+  numeric: 'Numeric answers',
+  shortAnswer: 'Short answer',
+  longAnswer: 'Long answer'
+}
+
+const BLANK_PATTERN = /_{3,}/g
+
+const letter = index => String.fromCharCode(65 + index)
+
+const escapeXml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+// GIFT reserves ~ = # { } : and the backslash itself
+const escapeGift = value => String(value ?? '')
+  .replace(/[\\~=#{}:]/g, char => `\\${char}`)
+  .replace(/\r?\n/g, '\\n')
+
+// Moodle embedded-answer (cloze) syntax reserves } # ~ / " and the backslash
+const escapeClozeAnswer = value => String(value ?? '').replace(/[\\}#~/"]/g, char => `\\${char}`)
+
+// Moodle only accepts certain grade fractions; 100/n rounded to five decimals is one of them for n <= 10
+const fraction = (count, sign = 1) => String(Number((sign * 100 / count).toFixed(5)))
+
+const questionText = question => question.unit
+  ? `${question.question} (answer in ${question.unit})`
+  : question.question
+
+const totalPoints = question => (question.rubric || []).reduce((sum, item) => sum + item.points, 0) || 1
+
+/**
+ * Questions of a quiz in export order, numbered continuously across sections
+ */
+export function listQuestions(quiz) {
+  const items = []
+  Object.keys(TYPE_LABELS).forEach(type => {
+    const questions = Array.isArray(quiz?.[type]) ? quiz[type] : []
+    questions.forEach((question, questionIndex) => {
+      items.push({ type, questionIndex, number: items.length + 1, question })
+    })
+  })
+  return items
+}
+
+// Moodle XML ---------------------------------------------------------------
+
+function moodleAnswer(fractionValue, text, extra = '') {
+  return `    <answer fraction="${fractionValue}" format="plain_text">\n      <text>${escapeXml(text)}</text>${extra}\n    </answer>`
+}
+
+function moodleQuestion({ type, number, question }) {
+  const header = (moodleType, text = questionText(question), grade = 1) => [
+    `  <question type="${moodleType}">`,
+    `    <name><text>Q${number}</text></name>`,
+    `    <questiontext format="plain_text"><text>${escapeXml(text)}</text></questiontext>`,
+    `    <defaultgrade>${grade}</defaultgrade>`
+  ]
+
+  switch (type) {
+    case 'mcq':
+      return [
+        ...header('multichoice'),
+        '    <single>true</single>',
+        '    <shuffleanswers>1</shuffleanswers>',
+        '    <answernumbering>ABCD</answernumbering>',
+        ...question.options.map((option, index) => moodleAnswer(index === question.correctAnswerIndex ? 100 : 0, option)),
+        '  </question>'
+      ].join('\n')
+
+    case 'trueFalse':
+      return [
+        ...header('truefalse'),
+        moodleAnswer(question.correctAnswer ? 100 : 0, 'true'),
+        moodleAnswer(question.correctAnswer ? 0 : 100, 'false'),
+        '  </question>'
+      ].join('\n')
+
+    // Same partial credit as our own grading: each wrong pick cancels a right one
+    case 'multiSelect': {
+      const count = question.correctAnswerIndexes.length
+      return [
+        ...header('multichoice'),
+        '    <single>false</single>',
+        '    <shuffleanswers>1</shuffleanswers>',
+        '    <answernumbering>ABCD</answernumbering>',
+        ...question.options.map((option, index) => moodleAnswer(
+          question.correctAnswerIndexes.includes(index) ? fraction(count) : fraction(count, -1),
+          option
+        )),
+        '  </question>'
+      ].join('\n')
+    }
+
+    case 'cloze': {
+      let blank = 0
+      const text = question.question.replace(BLANK_PATTERN, () => {
+        const accepted = question.acceptedAnswers[blank++] || []
+        return `{1:SHORTANSWER:${accepted.map(answer => `=${escapeClozeAnswer(answer)}`).join('~')}}`
+      })
+      return [...header('cloze', text), '  </question>'].join('\n')
+    }
+
+    case 'matching':
+      return [
+        ...header('matching'),
+        '    <shuffleanswers>1</shuffleanswers>',
+        ...question.left.map((item, index) => [
+          '    <subquestion format="plain_text">',
+          `      <text>${escapeXml(item)}</text>`,
+          `      <answer><text>${escapeXml(question.right[question.correctMatches[index]])}</text></answer>`,
+          '    </subquestion>'
+        ].join('\n')),
+        '  </question>'
+      ].join('\n')
+
+    case 'numeric':
+      return [
+        ...header('numerical'),
+        moodleAnswer(100, question.correctValue, `\n      <tolerance>${question.tolerance}</tolerance>`),
+        '  </question>'
+      ].join('\n')
+
+    // Written answers become essays with the reference answer and rubric as grader information
+    default:
+      return [
+        ...header('essay', question.question, totalPoints(question)),
+        '    <responseformat>editor</responseformat>',
+        `    <responsefieldlines>${type === 'longAnswer' ? 20 : 5}</responsefieldlines>`,
+        `    <graderinfo format="plain_text"><text>${escapeXml(graderNotes(question))}</text></graderinfo>`,
+        '  </question>'
+      ].join('\n')
+  }
+}
+
+function buildMoodleXml(items, { title }) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<quiz>',
+    '  <question type="category">',
+    `    <category><text>$course$/${escapeXml(title)}</text></category>`,
+    '  </question>',
+    ...items.map(moodleQuestion),
+    '</quiz>',
+    ''
+  ].join('\n')
+}
+
+function graderNotes(question) {
+  return [
+    question.referenceAnswer && `Reference answer: ${question.referenceAnswer}`,
+    'Rubric:',
+    ...(question.rubric || []).map(item => `- ${item.criterion} (${item.points} pt${item.points === 1 ? '' : 's'})`)
+  ].filter(Boolean).join('\n')
+}
+
+// GIFT ---------------------------------------------------------------------
+
+function giftUnsupported(type, question) {
+  if (type === 'cloze' && question.acceptedAnswers.length > 1) {
+    return 'GIFT allows only one blank per question'
+  }
+  if (type === 'matching' && question.left.length < 3) {
+    return 'GIFT matching questions need at least three pairs'
+  }
+  return null
+}
+
+function giftQuestion({ type, number, question }) {
+  const name = `::Q${number}:: `
+  const text = escapeGift(questionText(question))
+
+  switch (type) {
+    case 'mcq':
+      return `${name}${text} {\n${question.options.map((option, index) =>
+        `  ${index === question.correctAnswerIndex ? '=' : '~'}${escapeGift(option)}`).join('\n')}\n}`
+
+    case 'trueFalse':
+      return `${name}${text} {${question.correctAnswer ? 'T' : 'F'}}`
+
+    case 'multiSelect': {
+      const count = question.correctAnswerIndexes.length
+      return `${name}${text} {\n${question.options.map((option, index) => {
+        const weight = question.correctAnswerIndexes.includes(index) ? fraction(count) : fraction(count, -1)
+        return `  ~%${weight}%${escapeGift(option)}`
+      }).join('\n')}\n}`
+    }
+
+    // Missing-word format: the answer block sits where the blank was
+    case 'cloze': {
+      const [before, after] = question.question.split(BLANK_PATTERN)
+      const answers = question.acceptedAnswers[0].map(answer => `=${escapeGift(answer)}`).join(' ')
+      return `${name}${escapeGift(before)}{${answers}}${escapeGift(after)}`
+    }
+
+    case 'matching':
+      return `${name}${text} {\n${question.left.map((item, index) =>
+        `  =${escapeGift(item)} -> ${escapeGift(question.right[question.correctMatches[index]])}`).join('\n')}\n}`
+
+    case 'numeric':
+      return `${name}${text} {#${question.correctValue}:${question.tolerance}}`
+
+    default:
+      return `${graderNotes(question).split('\n').map(line => `// ${line}`).join('\n')}\n${name}${text} {}`
+  }
+}
+
+function buildGift(items, { title }) {
+  return [
+    `// ${title}`,
+    `$CATEGORY: $course$/${title.replace(/\r?\n/g, ' ')}`,
+    '',
+    ...items.map(item => `${giftQuestion(item)}\n`)
+  ].join('\n')
+}
+
+// IMS QTI 2.1 --------------------------------------------------------------
+
+const QTI_NAMESPACE = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"'
+const QTI_TEMPLATES = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates'
+const SCORE_OUTCOME = '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>'
+
+const qtiChoices = options => options
+  .map((option, index) => `      <simpleChoice identifier="choice-${index}">${escapeXml(option)}</simpleChoice>`)
+
+const qtiValues = values => values.map(value => `      <value>${escapeXml(value)}</value>`).join('\n')
+
+function qtiItemParts({ type, question }) {
+  const prompt = `      <prompt>${escapeXml(questionText(question))}</prompt>`
+
+  switch (type) {
+    case 'mcq':
+    case 'trueFalse': {
+      const options = type === 'mcq' ? question.options : ['True', 'False']
+      const correct = type === 'mcq' ? question.correctAnswerIndex : (question.correctAnswer ? 0 : 1)
+      return {
+        declarations: `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">\n    <correctResponse>\n${qtiValues([`choice-${correct}`])}\n    </correctResponse>\n  </responseDeclaration>`,
+        body: ['    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">', prompt, ...qtiChoices(options), '    </choiceInteraction>'].join('\n'),
+        processing: `  <responseProcessing template="${QTI_TEMPLATES}/match_correct"/>`
+      }
+    }
+
+    case 'multiSelect': {
+      const weight = 1 / question.correctAnswerIndexes.length
+      const entries = question.options.map((option, index) =>
+        `      <mapEntry mapKey="choice-${index}" mappedValue="${question.correctAnswerIndexes.includes(index) ? weight : -weight}"/>`)
+      return {
+        declarations: [
+          '  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="identifier">',
+          `    <correctResponse>\n${qtiValues(question.correctAnswerIndexes.map(index => `choice-${index}`))}\n    </correctResponse>`,
+          '    <mapping lowerBound="0" upperBound="1" defaultValue="0">',
+          ...entries,
+          '    </mapping>',
+          '  </responseDeclaration>'
+        ].join('\n'),
+        body: ['    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="0">', prompt, ...qtiChoices(question.options), '    </choiceInteraction>'].join('\n'),
+        processing: `  <responseProcessing template="${QTI_TEMPLATES}/map_response"/>`
+      }
+    }
+
+    // One text entry per blank, each scored by its own mapping of accepted answers
+    case 'cloze': {
+      const parts = question.question.split(BLANK_PATTERN)
+      const declarations = question.acceptedAnswers.map((accepted, index) => [
+        `  <responseDeclaration identifier="RESPONSE_${index + 1}" cardinality="single" baseType="string">`,
+        `    <correctResponse>\n${qtiValues([accepted[0]])}\n    </correctResponse>`,
+        '    <mapping defaultValue="0">',
+        ...accepted.map(answer => `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`),
+        '    </mapping>',
+        '  </responseDeclaration>'
+      ].join('\n'))
+      const text = parts.map((part, index) => index < parts.length - 1
+        ? `${escapeXml(part)}<textEntryInteraction responseIdentifier="RESPONSE_${index + 1}" expectedLength="15"/>`
+        : escapeXml(part)).join('')
+      return {
+        declarations: declarations.join('\n'),
+        body: `    <p>${text}</p>`,
+        processing: [
+          '  <responseProcessing>',
+          '    <setOutcomeValue identifier="SCORE">',
+          '      <sum>',
+          ...question.acceptedAnswers.map((accepted, index) => `        <mapResponse identifier="RESPONSE_${index + 1}"/>`),
+          '      </sum>',
+          '    </setOutcomeValue>',
+          '  </responseProcessing>'
+        ].join('\n')
+      }
+    }
+
+    case 'matching': {
+      const pairs = question.left.map((item, index) => `L${index} R${question.correctMatches[index]}`)
+      const matchSet = (items, prefix) => [
+        '      <simpleMatchSet>',
+        ...items.map((item, index) => `        <simpleAssociableChoice identifier="${prefix}${index}" matchMax="1">${escapeXml(item)}</simpleAssociableChoice>`),
+        '      </simpleMatchSet>'
+      ]
+      return {
+        declarations: [
+          '  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">',
+          `    <correctResponse>\n${qtiValues(pairs)}\n    </correctResponse>`,
+          '    <mapping defaultValue="0">',
+          ...pairs.map(pair => `      <mapEntry mapKey="${pair}" mappedValue="1"/>`),
+          '    </mapping>',
+          '  </responseDeclaration>'
+        ].join('\n'),
+        body: [
+          `    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${question.left.length}">`,
+          prompt,
+          ...matchSet(question.left, 'L'),
+          ...matchSet(question.right, 'R'),
+          '    </matchInteraction>'
+        ].join('\n'),
+        processing: `  <responseProcessing template="${QTI_TEMPLATES}/map_response"/>`
+      }
+    }
+
+    case 'numeric': {
+      const tolerance = question.tolerance
+        ? `toleranceMode="absolute" tolerance="${question.tolerance} ${question.tolerance}"`
+        : 'toleranceMode="exact"'
+      return {
+        declarations: `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">\n    <correctResponse>\n${qtiValues([question.correctValue])}\n    </correctResponse>\n  </responseDeclaration>`,
+        body: `    <p>${escapeXml(questionText(question))}</p>\n    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/></p>`,
+        processing: [
+          '  <responseProcessing>',
+          '    <responseCondition>',
+          '      <responseIf>',
+          `        <equal ${tolerance}><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`,
+          '        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>',
+          '      </responseIf>',
+          '      <responseElse>',
+          '        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>',
+          '      </responseElse>',
+          '    </responseCondition>',
+          '  </responseProcessing>'
+        ].join('\n')
+      }
+    }
+
+    // Scored by hand: the rubric travels in a scorer-only block
+    default:
+      return {
+        declarations: '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>',
+        body: [
+          '    <rubricBlock view="scorer">',
+          ...graderNotes(question).split('\n').map(line => `      <p>${escapeXml(line)}</p>`),
+          '    </rubricBlock>',
+          `    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="${type === 'longAnswer' ? 20 : 5}">`,
+          prompt,
+          '    </extendedTextInteraction>'
+        ].join('\n'),
+        processing: ''
+      }
+  }
+}
+
+function qtiItem(item) {
+  const { declarations, body, processing } = qtiItemParts(item)
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem ${QTI_NAMESPACE} identifier="item-${item.number}" title="Question ${item.number}" adaptive="false" timeDependent="false">`,
+    declarations,
+    SCORE_OUTCOME,
+    '  <itemBody>',
+    body,
+    '  </itemBody>',
+    processing,
+    '</assessmentItem>',
+    ''
+  ].filter(Boolean).join('\n')
+}
+
+function buildQtiPackage(items, { title }) {
+  const itemFiles = items.map(item => ({ name: `items/item-${item.number}.xml`, content: qtiItem(item) }))
+
+  const test = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentTest ${QTI_NAMESPACE} identifier="quiz" title="${escapeXml(title)}">`,
+    '  <testPart identifier="part-1" navigationMode="nonlinear" submissionMode="simultaneous">',
+    '    <assessmentSection identifier="section-1" title="Questions" visible="true">',
+    ...items.map(item => `      <assessmentItemRef identifier="item-${item.number}" href="items/item-${item.number}.xml"/>`),
+    '    </assessmentSection>',
+    '  </testPart>',
+    '</assessmentTest>',
+    ''
+  ].join('\n')
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="quiz-package">',
+    '  <metadata>',
+    '    <schema>QTIv2.1 Package</schema>',
+    '    <schemaversion>1.0.0</schemaversion>',
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    '    <resource identifier="quiz" type="imsqti_test_xmlv2p1" href="assessment.xml">',
+    '      <file href="assessment.xml"/>',
+    ...items.map(item => `      <dependency identifierref="item-${item.number}"/>`),
+    '    </resource>',
+    ...itemFiles.map(({ name }, index) => [
+      `    <resource identifier="item-${items[index].number}" type="imsqti_item_xmlv2p1" href="${name}">`,
+      `      <file href="${name}"/>`,
+      '    </resource>'
+    ].join('\n')),
+    '  </resources>',
+    '</manifest>',
+    ''
+  ].join('\n')
+
+  return createZip([
+    { name: 'imsmanifest.xml', content: manifest },
+    { name: 'assessment.xml', content: test },
+    ...itemFiles
+  ])
+}
+
+// Printable worksheet and answer key --------------------------------------
+
+const PRINT_STYLES = `
+    body { font-family: Georgia, serif; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; color: #111; line-height: 1.5; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.1rem; border-bottom: 1px solid #999; padding-bottom: 0.2rem; margin-top: 2rem; }
+    .meta { display: flex; gap: 2rem; color: #444; margin-bottom: 1.5rem; }
+    .question { break-inside: avoid; margin: 1rem 0 1.5rem; }
+    .options { list-style: none; padding-left: 1.5rem; margin: 0.5rem 0; }
+    .options li { margin: 0.2rem 0; }
+    .line { border-bottom: 1px solid #bbb; height: 1.8rem; }
+    .blank { display: inline-block; min-width: 6rem; border-bottom: 1px solid #111; }
+    table.matching { border-collapse: collapse; margin-top: 0.5rem; }
+    table.matching td { padding: 0.25rem 1.5rem 0.25rem 0; vertical-align: top; }
+    .answer { color: #0a5a2a; }
+    @media print { body { margin: 0; } }`
+
+const escapeHtml = escapeXml
+
+function htmlPage(title, heading, sections) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${PRINT_STYLES}
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(heading)}</h1>
+${sections.join('\n')}
+</body>
+</html>
+`
+}
+
+// Sections of consecutive questions of the same type
+function bySection(items, render) {
+  const sections = []
+  items.forEach(item => {
+    if (sections.at(-1)?.type !== item.type) sections.push({ type: item.type, items: [] })
+    sections.at(-1).items.push(item)
+  })
+  return sections.map(({ type, items: sectionItems }) =>
+    `  <h2>${TYPE_LABELS[type]}</h2>\n${sectionItems.map(item => `  <div class="question">\n${render(item)}\n  </div>`).join('\n')}`)
+}
+
+const lines = count => Array.from({ length: count }, () => '    <div class="line"></div>').join('\n')
+
+function worksheetQuestion({ type, number, question }) {
+  const heading = text => `    <p><strong>${number}.</strong> ${text}</p>`
+
+  switch (type) {
+    case 'mcq':
+    case 'multiSelect':
+      return [
+        heading(escapeHtml(question.question)),
+        '    <ul class="options">',
+        ...question.options.map((option, index) => `      <li>☐ ${letter(index)}. ${escapeHtml(option)}</li>`),
+        '    </ul>'
+      ].join('\n')
+    case 'trueFalse':
+      return `${heading(escapeHtml(question.question))}\n    <ul class="options"><li>☐ True &nbsp;&nbsp; ☐ False</li></ul>`
+    case 'cloze':
+      return heading(escapeHtml(question.question).replace(BLANK_PATTERN, '<span class="blank">&nbsp;</span>'))
+    case 'matching':
+      return [
+        heading(escapeHtml(question.question)),
+        '    <table class="matching">',
+        ...question.left.map((item, index) => `      <tr><td>${index + 1}. ${escapeHtml(item)} &nbsp;____</td><td>${letter(index)}. ${escapeHtml(question.right[index])}</td></tr>`),
+        '    </table>'
+      ].join('\n')
+    case 'numeric':
+      return `${heading(escapeHtml(question.question))}\n    <p>Answer: <span class="blank">&nbsp;</span> ${escapeHtml(question.unit || '')}</p>`
+    default:
+      return `${heading(escapeHtml(question.question))}\n${lines(type === 'longAnswer' ? 12 : 4)}`
+  }
+}
+
+function answerKeyEntry({ type, number, question }) {
+  const heading = `    <p><strong>${number}.</strong> ${escapeHtml(question.question)}</p>`
+  const answer = text => `${heading}\n    <p class="answer">${text}</p>`
+
+  switch (type) {
+    case 'mcq':
+      return answer(`${letter(question.correctAnswerIndex)}. ${escapeHtml(question.options[question.correctAnswerIndex])}`)
+    case 'multiSelect':
+      return answer(question.correctAnswerIndexes.map(index => `${letter(index)}. ${escapeHtml(question.options[index])}`).join('<br>'))
+    case 'trueFalse':
+      return answer(question.correctAnswer ? 'True' : 'False')
+    case 'cloze':
+      return answer(question.acceptedAnswers.map((accepted, index) => `(${index + 1}) ${accepted.map(escapeHtml).join(' / ')}`).join('<br>'))
+    case 'matching':
+      return answer(question.left.map((item, index) =>
+        `${index + 1} → ${letter(question.correctMatches[index])} (${escapeHtml(item)} → ${escapeHtml(question.right[question.correctMatches[index]])})`).join('<br>'))
+    case 'numeric':
+      return answer(`${question.correctValue}${question.unit ? ` ${escapeHtml(question.unit)}` : ''}${question.tolerance ? ` (±${question.tolerance})` : ''}`)
+    default:
+      return [
+        heading,
+        question.referenceAnswer && `    <p class="answer">${escapeHtml(question.referenceAnswer)}</p>`,
+        '    <ul>',
+        ...(question.rubric || []).map(item => `      <li>${escapeHtml(item.criterion)} (${item.points} pt${item.points === 1 ? '' : 's'})</li>`),
+        '    </ul>'
+      ].filter(Boolean).join('\n')
+  }
+}
+
+function buildWorksheet(items, { title }) {
+  return htmlPage(title, title, [
+    '  <div class="meta"><span>Name: ____________________</span><span>Date: __________</span></div>',
+    ...bySection(items, worksheetQuestion)
+  ])
+}
+
+function buildAnswerKey(items, { title }) {
+  return htmlPage(`${title} — answer key`, `${title}: answer key`, bySection(items, answerKeyEntry))
+}
+
+// -------------------------------------------------------------------------
+
+// includesAnswers: the file carries the answer key, so it is only served once the quiz is graded
+export const EXPORT_FORMATS = {
+  moodle: { label: 'Moodle XML', extension: 'xml', contentType: 'application/xml; charset=utf-8', includesAnswers: true, build: buildMoodleXml },
+  gift: { label: 'GIFT (Moodle text)', extension: 'gift.txt', contentType: 'text/plain; charset=utf-8', includesAnswers: true, build: buildGift, unsupported: giftUnsupported },
+  qti: { label: 'IMS QTI 2.1 package', extension: 'qti.zip', contentType: 'application/zip', includesAnswers: true, build: buildQtiPackage },
+  worksheet: { label: 'Printable worksheet', extension: 'html', contentType: 'text/html; charset=utf-8', includesAnswers: false, build: buildWorksheet },
+  answerKey: { label: 'Answer key', extension: 'answer-key.html', contentType: 'text/html; charset=utf-8', includesAnswers: true, build: buildAnswerKey }
+}
+
+export const EXPORT_FORMAT_NAMES = Object.keys(EXPORT_FORMATS)
+
+/**
+ * Whether a requested name is one of the export formats
+ * Own keys only, so names such as "constructor" or "toString" are not formats.
+ */
+export function isExportFormat(format) {
+  return typeof format === 'string' && Object.hasOwn(EXPORT_FORMATS, format)
+}
+
+/**
+ * Split a quiz's questions into those a format can hold and those it cannot
+ * @returns {{ items: Array, skipped: Array }} skipped: [{ type, questionIndex, number, reason }]
+ */
+function partition(quiz, format) {
+  const items = []
+  const skipped = []
+  listQuestions(quiz).forEach(item => {
+    const reason = !isQuestionType(item.type)
+      ? 'Unknown question type'
+      : EXPORT_FORMATS[format].unsupported?.(item.type, item.question)
+    if (reason) {
+      skipped.push({ type: item.type, questionIndex: item.questionIndex, number: item.number, reason })
+    } else {
+      items.push(item)
+    }
+  })
+  return { items, skipped }
+}
+
+/**
+ * Questions each export format would include and leave out
+ * @returns {Array} [{ format, label, includesAnswers, exported, skipped }]
+ */
+export function exportSummary(quiz) {
+  return EXPORT_FORMAT_NAMES.map(format => {
+    const { items, skipped } = partition(quiz, format)
+    return { format, label: EXPORT_FORMATS[format].label, includesAnswers: EXPORT_FORMATS[format].includesAnswers, exported: items.length, skipped }
+  })
+}
+
+/**
+ * Export a stored quiz
+ * @param {Object} quiz - Stored quiz sections, answer key included
+ * @param {string} format - One of EXPORT_FORMAT_NAMES
+ * @param {Object} options - { title }
+ * @returns {{ content: string|Buffer, filename: string, contentType: string, skipped: Array }}
+ */
+export function exportQuiz(quiz, format, { title = 'Quiz' } = {}) {
+  if (!isExportFormat(format)) {
+    throw new Error(`Unknown export format: ${format}`)
+  }
+  const exporter = EXPORT_FORMATS[format]
+
+  const { items, skipped } = partition(quiz, format)
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'quiz'
+
+  return {
+    content: exporter.build(items, { title }),
+    filename: `${slug}.${exporter.extension}`,
+    contentType: exporter.contentType,
+    skipped
+  }
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_FORMAT_NAMES,
+  isExportFormat,
+  listQuestions,
+  exportSummary,
+  exportQuiz
+}
@@ -0,0 +1,155 @@
+/**
+ * Grounded quiz feedback
+ *
+ * After grading, each question gets the passages of its PDF that support the
+ * correct answer, an explanation written from those passages and page citations
+ * the client can open in the PDF viewer. Grounding is best-effort: when retrieval
+ * or the model fails, results keep their grading and whatever citations were found.
+ */
+
+import { config } from '../config/index.js'
+import { jsonChatCompletion } from './llmService.js'
+import { searchSourcePassages } from './quizSourceService.js'
+import { UNGRADED } from './rubricGrading.js'
+
+// Passages are clipped in the prompt to keep one call per quiz bounded
+const MAX_PASSAGE_CHARS = 500
+const SNIPPET_CHARS = 150
+
+/**
+ * What the correct answer says, for retrieval and for the prompt
+ */
+function answerKeyText(question, result) {
+  return question.referenceAnswer || result.explanation || ''
+}
+
+/**
+ * Citation in the shape chat citations use, so the client opens it the same way
+ */
+export function toCitation(pdfId, passage) {
+  return {
+    pdfId,
+    page: passage.pages.start,
+    pages: passage.pages,
+    snippet: passage.text.substring(0, SNIPPET_CHARS) + (passage.text.length > SNIPPET_CHARS ? '...' : '')
+  }
+}
+
+function describeOutcome(result) {
+  if (typeof result.isCorrect === 'boolean') return result.isCorrect ? 'answered correctly' : 'answered incorrectly'
+  return `scored ${result.score}/10`
+}
+
+function buildFeedbackPrompt(items) {
+  const blocks = items.map((item, index) => {
+    const passages = item.passages
+      .map((passage, passageIndex) => {
+        const pages = passage.pages.start === passage.pages.end
+          ? `page ${passage.pages.start}`
+          : `pages ${passage.pages.start}-${passage.pages.end}`
+        return `  [${passageIndex + 1} — ${pages}] ${passage.text.substring(0, MAX_PASSAGE_CHARS)}`
+      })
+      .join('\n')
+
+    return `Question ${index + 1}: ${item.question.question}
+Correct answer: ${answerKeyText(item.question, item.result) || 'See the passages.'}
+Student ${describeOutcome(item.result)}.
+Passages:
+${passages}`
+  })
+
+  return `For each quiz question below, explain in 2-3 sentences why the correct answer is correct,
+using ONLY the passages given for that question. If the student got it wrong, point out what to
+revisit. List the numbers of the passages your explanation relies on.
+
+${blocks.join('\n\n')}
+
+Respond ONLY with JSON in this format:
+{"explanations": [{"id": 1, "explanation": "Why, per the passages", "passages": [1]}]}`
+}
+
+/**
+ * Read the model's explanations, keyed by question number
+ * @returns {Map<number, {explanation: string, passages: number[]}>}
+ */
+export function parseFeedbackExplanations(data) {
+  const explanations = new Map()
+  if (!Array.isArray(data?.explanations)) return explanations
+
+  data.explanations.forEach(entry => {
+    const id = Number(entry?.id)
+    if (!Number.isInteger(id) || typeof entry.explanation !== 'string' || !entry.explanation.trim()) return
+    explanations.set(id, {
+      explanation: entry.explanation.trim(),
+      passages: (Array.isArray(entry.passages) ? entry.passages : []).map(Number).filter(Number.isInteger)
+    })
+  })
+
+  return explanations
+}
+
+/**
+ * Add `groundedExplanation` and `citations` to graded quiz results
+ * Ungraded answers and results that already carry citations are left as they are.
+ * @param {string} pdfId - PDF the quiz was generated from
+ * @param {Object} quiz - Stored quiz sections
+ * @param {Object} sectionResults - Graded results per question type
+ * @param {Object} options - { passages } per question, { search } to swap the passage search
+ * @returns {Promise<Object>} sectionResults with grounding added
+ */
+export async function groundQuizFeedback(pdfId, quiz, sectionResults, options = {}) {
+  const { passages: passageCount = config.quizFeedbackPassages, search = searchSourcePassages } = options
+  if (!pdfId) return sectionResults
+
+  const pending = Object.entries(sectionResults).flatMap(([type, results]) => results
+    .map((result, position) => ({ type, position, result, question: quiz[type]?.[result.questionIndex] }))
+    .filter(item => item.question && item.result.status !== UNGRADED && !item.result.citations))
+
+  const items = (await Promise.all(pending.map(async item => {
+    try {
+      const query = `${item.question.question} ${answerKeyText(item.question, item.result)}`.trim()
+      return { ...item, passages: await search(pdfId, query, passageCount) }
+    } catch (error) {
+      console.error('Feedback passage search failed:', error.message)
+      return { ...item, passages: [] }
+    }
+  }))).filter(item => item.passages.length > 0)
+
+  if (items.length === 0) return sectionResults
+
+  let explanations = new Map()
+  try {
+    const completion = await jsonChatCompletion({
+      messages: [
+        { role: 'system', content: 'You explain quiz answers strictly from the provided course passages. Respond only with JSON.' },
+        { role: 'user', content: buildFeedbackPrompt(items) }
+      ],
+      temperature: 0,
+      maxTokens: 3000
+    })
+    explanations = parseFeedbackExplanations(completion.data)
+  } catch (error) {
+    console.error('Grounded feedback generation failed:', error.message)
+  }
+
+  const grounded = Object.fromEntries(Object.entries(sectionResults).map(([type, results]) => [type, [...results]]))
+  items.forEach((item, index) => {
+    const note = explanations.get(index + 1)
+    // Cite the passages the explanation used; without one, every retrieved passage is still a pointer
+    const cited = note?.passages.map(number => item.passages[number - 1]).filter(Boolean) || []
+
+    grounded[item.type][item.position] = {
+      ...item.result,
+      ...(note ? { groundedExplanation: note.explanation } : {}),
+      citations: (cited.length > 0 ? cited : item.passages).map(passage => toCitation(pdfId, passage))
+    }
+  })
+
+  return grounded
+}
+
+export default {
+  groundQuizFeedback,
+  parseFeedbackExplanations,
+  toCitation
+}
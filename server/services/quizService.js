@@ -0,0 +1,95 @@
+/**
+ * Server-side quiz storage
+ *
+ * Generated quizzes are stored with their answer keys; clients get a quiz id and
+ * the questions only, and answers are graded against the stored copy.
+ */
+
+import { db } from '../repositories/index.js'
+import { toPublicQuestion } from './questionTypes.js'
+
+/**
+ * The quiz as sent to the browser: only the fields each question type shows before grading
+ * @param {Object} quiz - Sections of question objects keyed by question type
+ */
+export function toPublicQuiz(quiz) {
+  return Object.fromEntries(Object.entries(quiz || {}).map(([section, questions]) => [
+    section,
+    Array.isArray(questions)
+      ? questions.map(question => toPublicQuestion(section, question))
+      : questions
+  ]))
+}
+
+/**
+ * Store a generated quiz
+ * @param {Object} params - { userId, pdfId, quiz, exam } where exam holds the startExam columns of a timed quiz
+ * @returns {Promise<Object>} The stored quiz row
+ */
+export async function saveQuiz({ userId = null, pdfId = null, quiz, exam = null }) {
+  return db.quizzes.create({ user_id: userId, pdf_id: pdfId, questions: quiz, ...exam })
+}
+
+/**
+ * Load a stored quiz, or null if it doesn't exist
+ */
+export async function getQuiz(quizId) {
+  return db.quizzes.findById(quizId)
+}
+
+/**
+ * Record the graded results of a quiz's first submission
+ * @param {string} quizId
+ * @param {Object} results
+ * @param {Date} submittedAt - Defaults to now; an expired exam is closed at its deadline
+ * @returns {Promise<boolean>} false when the quiz had already been submitted
+ */
+export async function recordQuizResults(quizId, results, submittedAt = new Date()) {
+  return db.quizzes.update(quizId, { results, submitted_at: submittedAt.toISOString() }, { submitted: false })
+}
+
+/**
+ * Replace the results of an already submitted quiz (e.g. after ungraded answers were retried)
+ */
+export async function updateQuizResults(quizId, results) {
+  await db.quizzes.update(quizId, { results }, { submitted: true })
+}
+
+/**
+ * Autosave the answers of an exam in progress
+ * @returns {Promise<string|null>} When they were saved, or null if the exam was already submitted
+ */
+export async function saveDraftAnswers(quizId, answers) {
+  const savedAt = new Date().toISOString()
+  const saved = await db.quizzes.update(quizId, { draft_answers: answers, draft_saved_at: savedAt }, { submitted: false, mode: 'exam' })
+  return saved ? savedAt : null
+}
+
+/**
+ * Name of the PDF a quiz was generated from, e.g. to title an export
+ * @returns {Promise<string|null>}
+ */
+export async function getQuizSourceName(pdfId) {
+  if (!pdfId) return null
+
+  const data = await db.pdfFiles.findById(pdfId, { columns: 'original_name, file_name' })
+  return data ? data.original_name || data.file_name : null
+}
+
+/**
+ * Number of questions across all sections of a quiz
+ */
+export function countQuestions(quiz) {
+  return Object.values(quiz || {}).reduce((sum, questions) => sum + (Array.isArray(questions) ? questions.length : 0), 0)
+}
+
+export default {
+  toPublicQuiz,
+  saveQuiz,
+  getQuiz,
+  recordQuizResults,
+  updateQuizResults,
+  saveDraftAnswers,
+  getQuizSourceName,
+  countQuestions
+}
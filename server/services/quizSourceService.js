@@ -0,0 +1,358 @@
+/**
+ * Quiz source selection
+ *
+ * Picks the chunks a quiz is written from. A request can narrow the material to
+ * a topic, a page range or a list of chapter headings; within that span chunks
+ * are sampled evenly so a quiz on a long book isn't built from the same few
+ * passages every time. Each source keeps its pages so questions can cite them.
+ */
+
+import { db, isDatabaseConfigured } from '../repositories/index.js'
+import { generateEmbedding, searchSimilarChunks, searchLexicalChunks } from '../embeddings.js'
+import { retrieveTopKChunks } from '../utils/vectorStorage.js'
+import { reciprocalRankFusion } from '../utils/bm25.js'
+import { config } from '../config/index.js'
+
+const MAX_TOPIC_LENGTH = 200
+const MAX_CHAPTERS = 20
+
+// Retrieval candidates gathered per query, as a multiple of the sources wanted
+const CANDIDATE_MULTIPLIER = 4
+
+/**
+ * Validate the optional topic / pageRange / chapters of a quiz request
+ * pageRange may be { start, end } or a string like "12-40" (or a single page "12")
+ * @returns {{ scope: Object|null, error: string|null }}
+ */
+export function parseQuizScope({ topic, pageRange, chapters } = {}) {
+  const scope = { topic: null, pageRange: null, chapters: [] }
+
+  if (topic !== undefined && topic !== null && topic !== '') {
+    if (typeof topic !== 'string' || !topic.trim()) {
+      return { scope: null, error: 'topic must be a non-empty string' }
+    }
+    scope.topic = topic.trim().slice(0, MAX_TOPIC_LENGTH)
+  }
+
+  if (pageRange !== undefined && pageRange !== null && pageRange !== '') {
+    let start, end
+    if (typeof pageRange === 'string') {
+      const match = pageRange.trim().match(/^(\d+)\s*(?:[-–]\s*(\d+))?$/)
+      if (match) {
+        start = Number(match[1])
+        end = Number(match[2] ?? match[1])
+      }
+    } else if (typeof pageRange === 'object') {
+      start = Number(pageRange.start)
+      end = Number(pageRange.end ?? pageRange.start)
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+      return { scope: null, error: 'pageRange must be { start, end } or "start-end" with 1 <= start <= end' }
+    }
+    scope.pageRange = { start, end }
+  }
+
+  if (chapters !== undefined && chapters !== null) {
+    if (!Array.isArray(chapters) || chapters.some(chapter => typeof chapter !== 'string')) {
+      return { scope: null, error: 'chapters must be an array of chapter headings' }
+    }
+    scope.chapters = [...new Set(chapters.map(chapter => chapter.trim()).filter(Boolean))]
+    if (scope.chapters.length > MAX_CHAPTERS) {
+      return { scope: null, error: `At most ${MAX_CHAPTERS} chapters can be requested` }
+    }
+  }
+
+  return { scope, error: null }
+}
+
+/**
+ * First and last page a chunk covers
+ */
+export function chunkPages(chunk) {
+  const start = Number(chunk.metadata?.start_page ?? chunk.metadata?.startPage ?? chunk.page) || 1
+  const end = Number(chunk.metadata?.end_page ?? chunk.metadata?.endPage ?? start) || start
+  return { start, end: Math.max(start, end) }
+}
+
+function overlapsRange(chunk, pageRange) {
+  if (!pageRange) return true
+  const pages = chunkPages(chunk)
+  return pages.start <= pageRange.end && pages.end >= pageRange.start
+}
+
+function chunkOrder(chunk) {
+  return chunk.chunk_index ?? chunk.chunkIndex ?? chunkPages(chunk).start
+}
+
+/**
+ * Spread `count` picks over the candidates' span: candidates are put in document
+ * order, split into `count` consecutive strata and the best-scoring chunk of each
+ * stratum is taken (ties are broken at random so repeat quizzes vary)
+ * @param {Array} candidates - chunks with an optional relevance `score`
+ * @param {number} count
+ * @param {Object} options - { random } source of randomness, for tests
+ */
+export function sampleChunksForCoverage(candidates, count, { random = Math.random } = {}) {
+  const ordered = [...candidates].sort((a, b) => chunkOrder(a) - chunkOrder(b))
+  if (ordered.length <= count) return ordered
+
+  const picks = []
+  for (let stratum = 0; stratum < count; stratum++) {
+    const from = Math.floor(stratum * ordered.length / count)
+    const to = Math.floor((stratum + 1) * ordered.length / count)
+    const slice = ordered.slice(from, to)
+
+    const bestScore = Math.max(...slice.map(chunk => chunk.score || 0))
+    const best = slice.filter(chunk => (chunk.score || 0) === bestScore)
+    picks.push(best[Math.floor(random() * best.length)])
+  }
+
+  return picks
+}
+
+/**
+ * Fuse vector and keyword results for one query over a PDF
+ */
+async function searchQuizCandidates(pdfId, query, limit) {
+  const [vectorResult, lexicalResult] = await Promise.allSettled([
+    generateEmbedding(query).then(embedding => searchSimilarChunks(pdfId, embedding, limit)),
+    config.hybridSearch ? searchLexicalChunks(pdfId, query, limit) : Promise.resolve([])
+  ])
+
+  if (vectorResult.status === 'rejected') {
+    console.warn('Quiz vector search failed:', vectorResult.reason?.message)
+  }
+
+  return reciprocalRankFusion(
+    {
+      vector: vectorResult.value || [],
+      lexical: (lexicalResult.value || []).map(chunk => ({ ...chunk, retrieverScore: chunk.bm25Score }))
+    },
+    {
+      k: config.rrfK,
+      weights: { vector: config.vectorWeight, lexical: config.hybridSearch ? config.lexicalWeight : 0 }
+    }
+  )
+}
+
+/**
+ * Every stored chunk of a PDF inside the page range, without text
+ */
+async function fetchChunkOutline(pdfId, pageRange) {
+  // `page` is where a chunk starts; chunks starting earlier may still run into the range
+  const rows = await db.pdfChunks.listByPdf(pdfId, {
+    columns: 'id, page, chunk_index, metadata',
+    maxPage: pageRange?.end
+  })
+
+  return rows.filter(chunk => overlapsRange(chunk, pageRange))
+}
+
+async function fetchChunkTexts(ids) {
+  if (ids.length === 0) return new Map()
+
+  const data = await db.pdfChunks.findByIds(ids, { columns: 'id, text' })
+
+  return new Map(data.map(row => [String(row.id), row.text]))
+}
+
+/**
+ * Queries to retrieve with: one per chapter (each scoped by the topic, if any), or the topic
+ */
+function scopeQueries(scope) {
+  if (scope.chapters.length > 0) {
+    return scope.chapters.map(chapter => scope.topic ? `${chapter}: ${scope.topic}` : chapter)
+  }
+  if (scope.topic) return [scope.topic]
+  return scope.focusTopics || []
+}
+
+/**
+ * Sources to retrieve by query; the rest are sampled evenly from the span
+ * A requested topic or chapter list gets all of them, weak-topic focus only a share.
+ */
+function queryBudget(scope, count) {
+  const focusOnly = !scope.topic && scope.chapters.length === 0 && scope.focusTopics?.length > 0
+  return focusOnly ? Math.max(1, Math.round(count * config.adaptiveFocusShare)) : count
+}
+
+/**
+ * Select from Supabase: the page range bounds the candidates, topic/chapter
+ * searches score them, and each chapter gets an equal share of the sources
+ */
+async function selectStoredSources(pdfId, scope, count) {
+  const outline = await fetchChunkOutline(pdfId, scope.pageRange)
+  if (outline.length === 0) return []
+
+  const queries = scopeQueries(scope)
+  let selected
+
+  if (queries.length === 0) {
+    selected = sampleChunksForCoverage(outline, count)
+  } else {
+    const inScope = new Map(outline.map(chunk => [String(chunk.id), chunk]))
+    const perQuery = Math.max(1, Math.ceil(queryBudget(scope, count) / queries.length))
+    const picked = new Map()
+
+    for (const query of queries) {
+      const matches = (await searchQuizCandidates(pdfId, query, perQuery * CANDIDATE_MULTIPLIER))
+        .filter(chunk => inScope.has(String(chunk.id)) && !picked.has(String(chunk.id)))
+
+      sampleChunksForCoverage(matches, perQuery).forEach(chunk => picked.set(String(chunk.id), chunk))
+    }
+
+    selected = [...picked.values()]
+
+    // Narrow topics can match fewer chunks than wanted; fill the gap evenly from the span
+    if (selected.length < count) {
+      const rest = outline.filter(chunk => !picked.has(String(chunk.id)))
+      selected.push(...sampleChunksForCoverage(rest, count - selected.length))
+    }
+  }
+
+  const texts = await fetchChunkTexts(selected.map(chunk => chunk.id))
+
+  return selected
+    .map(chunk => ({ ...chunk, text: chunk.text || texts.get(String(chunk.id)) }))
+    .filter(chunk => chunk.text)
+}
+
+/**
+ * Select from the local embeddings file (no Supabase)
+ */
+function selectLocalSources(pdfId, scope, count) {
+  const query = [...scope.chapters, scope.topic].filter(Boolean).join(' ') ||
+    (scope.focusTopics || []).join(' ') || 'Generate a comprehensive quiz'
+  const candidates = retrieveTopKChunks(pdfId, query, Number.MAX_SAFE_INTEGER, {
+    rrfK: config.rrfK,
+    weights: { vector: config.vectorWeight, lexical: config.hybridSearch ? config.lexicalWeight : 0 }
+  }).filter(chunk => overlapsRange(chunk, scope.pageRange))
+
+  const queries = scopeQueries(scope)
+  if (queries.length === 0) {
+    return sampleChunksForCoverage(candidates.map(chunk => ({ ...chunk, score: 0 })), count)
+  }
+
+  const budget = queryBudget(scope, count)
+  const matched = sampleChunksForCoverage(candidates.slice(0, budget * CANDIDATE_MULTIPLIER), budget)
+  if (matched.length >= count) return matched
+
+  const picked = new Set(matched.map(chunk => String(chunk.id)))
+  const rest = candidates.filter(chunk => !picked.has(String(chunk.id))).map(chunk => ({ ...chunk, score: 0 }))
+  return [...matched, ...sampleChunksForCoverage(rest, count - matched.length)]
+}
+
+/**
+ * Chunks to write a quiz from, in document order, each with its `pages`
+ * @param {string} pdfId
+ * @param {Object} scope - parseQuizScope result, optionally with `focusTopics` to lean towards
+ * @param {number} count - Number of chunks wanted
+ */
+export async function selectQuizSources(pdfId, scope, count = config.quizSourceChunks) {
+  let chunks
+
+  if (isDatabaseConfigured()) {
+    try {
+      chunks = await selectStoredSources(pdfId, scope, count)
+    } catch (error) {
+      console.error('Quiz source selection error:', error)
+      chunks = selectLocalSources(pdfId, scope, count)
+    }
+  } else {
+    chunks = selectLocalSources(pdfId, scope, count)
+  }
+
+  return chunks
+    .sort((a, b) => chunkOrder(a) - chunkOrder(b))
+    .map(chunk => ({ id: chunk.id, text: chunk.text || chunk.content, pages: chunkPages(chunk) }))
+}
+
+/**
+ * Passages of a PDF that best match a query, best first, each with its `pages`
+ * @param {string} pdfId
+ * @param {string} query
+ * @param {number} count - Number of passages wanted
+ */
+export async function searchSourcePassages(pdfId, query, count) {
+  const searchLocal = () => retrieveTopKChunks(pdfId, query, count, {
+    rrfK: config.rrfK,
+    weights: { vector: config.vectorWeight, lexical: config.hybridSearch ? config.lexicalWeight : 0 }
+  })
+
+  let chunks
+  if (isDatabaseConfigured()) {
+    try {
+      chunks = (await searchQuizCandidates(pdfId, query, count)).slice(0, count)
+    } catch (error) {
+      console.error('Source passage search error:', error)
+      chunks = searchLocal()
+    }
+  } else {
+    chunks = searchLocal()
+  }
+
+  return chunks
+    .filter(chunk => chunk.text || chunk.content)
+    .map(chunk => ({ id: chunk.id, text: chunk.text || chunk.content, pages: chunkPages(chunk) }))
+}
+
+function formatPages({ start, end }) {
+  return start === end ? `page ${start}` : `pages ${start}-${end}`
+}
+
+/**
+ * Content block for the quiz prompt, one numbered source per chunk
+ */
+export function formatQuizSources(sources) {
+  return sources
+    .map((source, index) => `[Source ${index + 1} — ${formatPages(source.pages)}]\n${source.text}`)
+    .join('\n\n')
+}
+
+function expandPages(ranges) {
+  const pages = new Set()
+  ranges.forEach(({ start, end }) => {
+    for (let page = start; page <= end; page++) pages.add(page)
+  })
+  return [...pages].sort((a, b) => a - b)
+}
+
+/**
+ * Replace each question's cited source numbers with the pages they cover
+ * Questions citing nothing valid get an empty page list.
+ * @param {Object} quiz - { mcq, shortAnswer, longAnswer } with `sources: [n, ...]` per question
+ * @param {Array} sources - selectQuizSources result, as numbered in the prompt
+ */
+export function attachQuestionPages(quiz, sources) {
+  return Object.fromEntries(Object.entries(quiz).map(([section, questions]) => [
+    section,
+    Array.isArray(questions)
+      ? questions.map(question => {
+          const { sources: cited, ...rest } = question || {}
+          const ranges = (Array.isArray(cited) ? cited : [cited])
+            .map(number => sources[Number(number) - 1]?.pages)
+            .filter(Boolean)
+          return { ...rest, pages: expandPages(ranges) }
+        })
+      : questions
+  ]))
+}
+
+/**
+ * Pages the quiz's material was drawn from
+ */
+export function coveredPages(sources) {
+  return expandPages(sources.map(source => source.pages))
+}
+
+export default {
+  parseQuizScope,
+  chunkPages,
+  sampleChunksForCoverage,
+  selectQuizSources,
+  searchSourcePassages,
+  formatQuizSources,
+  attachQuestionPages,
+  coveredPages
+}
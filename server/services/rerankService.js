@@ -0,0 +1,184 @@
+/**
+ * Reranking stage between retrieval and prompt construction
+ *
+ * Retrieval casts a wide net (config.rerankCandidates); the reranker scores each
+ * candidate against the question and keeps the best config.rerankTopN.
+ * Selected with config.rerankProvider:
+ *
+ * - none:      reranking disabled (default)
+ * - llm:       one JSON-mode scoring prompt through the active LLM provider
+ * - endpoint:  a rerank model server (Cohere / Jina / Voyage style `POST { query, documents }`)
+ *
+ * Any failure leaves the retrieval order untouched, so reranking can never
+ * make a chat request fail.
+ */
+
+import { config } from '../config/index.js'
+import { jsonChatCompletion } from './llmService.js'
+import { logRAGOperation } from '../utils/ragUtils.js'
+
+// Passages are clipped before scoring to keep the LLM prompt bounded
+const MAX_PASSAGE_CHARS = 600
+
+/**
+ * Whether a reranker is configured
+ */
+export function isRerankEnabled() {
+  return ['llm', 'endpoint'].includes(config.rerankProvider)
+}
+
+/**
+ * Score passages with an LLM relevance prompt
+ * @returns {Promise<number[]>} Relevance per passage in [0, 1]
+ */
+async function scoreWithLLM(question, passages, signal) {
+  const numbered = passages
+    .map((text, index) => `[${index + 1}] ${text.substring(0, MAX_PASSAGE_CHARS)}`)
+    .join('\n\n')
+
+  const completion = await jsonChatCompletion({
+    messages: [
+      {
+        role: 'system',
+        content: 'You rate how useful passages are for answering a question. Respond only with JSON.'
+      },
+      {
+        role: 'user',
+        content: `Question: ${question}
+
+Passages:
+${numbered}
+
+Rate every passage from 0 (irrelevant) to 10 (directly answers the question).
+Respond in this JSON format:
+{"scores": [{"id": 1, "score": 7}, {"id": 2, "score": 0}]}`
+      }
+    ],
+    temperature: 0,
+    maxTokens: 1000,
+    signal
+  })
+
+  const scores = completion.data?.scores
+  if (!Array.isArray(scores) || scores.length === 0) {
+    throw new Error('LLM reranker returned no scores')
+  }
+
+  const relevance = new Array(passages.length).fill(0)
+  for (const entry of scores) {
+    const index = Number(entry?.id) - 1
+    const score = Number(entry?.score)
+    if (index >= 0 && index < passages.length && Number.isFinite(score)) {
+      relevance[index] = Math.min(Math.max(score / 10, 0), 1)
+    }
+  }
+  return relevance
+}
+
+/**
+ * Score passages with a dedicated rerank model endpoint
+ * Accepts `{ results | data: [{ index, relevance_score }] }` or a bare `[{ index, score }]` array
+ * @returns {Promise<number[]>} Relevance per passage
+ */
+async function scoreWithEndpoint(question, passages, signal) {
+  if (!config.rerankUrl) {
+    throw new Error('RERANK_URL is required for the endpoint reranker')
+  }
+
+  const response = await fetch(config.rerankUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(config.rerankApiKey ? { 'Authorization': `Bearer ${config.rerankApiKey}` } : {})
+    },
+    body: JSON.stringify({
+      ...(config.rerankModel ? { model: config.rerankModel } : {}),
+      query: question,
+      documents: passages,
+      top_n: passages.length
+    }),
+    signal
+  })
+
+  if (!response.ok) {
+    throw new Error(`Rerank endpoint responded with status ${response.status}`)
+  }
+
+  const payload = await response.json()
+  const results = Array.isArray(payload) ? payload : (payload.results || payload.data || [])
+
+  const relevance = new Array(passages.length).fill(0)
+  for (const result of results) {
+    const score = Number(result.relevance_score ?? result.score)
+    if (result.index >= 0 && result.index < passages.length && Number.isFinite(score)) {
+      relevance[result.index] = score
+    }
+  }
+  return relevance
+}
+
+/**
+ * Rerank retrieved chunks against the question and keep the best N
+ * @param {string} question - User question
+ * @param {Array} chunks - Retrieved candidates, best-first
+ * @param {Object} options - { topN, signal }
+ * @returns {Promise<Array>} Chunks with `rerankScore` and `retrievalRank`, best-first
+ */
+export async function rerankChunks(question, chunks, options = {}) {
+  const { topN = config.rerankTopN, signal } = options
+
+  if (!isRerankEnabled() || chunks.length === 0) {
+    return chunks.slice(0, topN)
+  }
+
+  const startedAt = Date.now()
+  const passages = chunks.map(chunk => chunk.text || '')
+
+  try {
+    const relevance = config.rerankProvider === 'endpoint'
+      ? await scoreWithEndpoint(question, passages, signal)
+      : await scoreWithLLM(question, passages, signal)
+
+    const reranked = chunks
+      .map((chunk, index) => ({
+        ...chunk,
+        rerankScore: Math.round(relevance[index] * 1000) / 1000,
+        retrievalRank: index + 1
+      }))
+      // Stable sort: ties keep their retrieval order
+      .sort((a, b) => b.rerankScore - a.rerankScore)
+      .slice(0, topN)
+
+    logRAGOperation('rerank_complete', {
+      method: config.rerankProvider,
+      candidates: chunks.length,
+      kept: reranked.length,
+      latencyMs: Date.now() - startedAt,
+      ranking: reranked.map(chunk => ({
+        page: chunk.page,
+        rerankScore: chunk.rerankScore,
+        retrievalRank: chunk.retrievalRank,
+        retrievers: chunk.retrievers
+      }))
+    })
+
+    return reranked
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error
+    }
+
+    logRAGOperation('rerank_failed', {
+      method: config.rerankProvider,
+      candidates: chunks.length,
+      error: error.message
+    }, true)
+
+    return chunks.slice(0, topN)
+  }
+}
+
+export default {
+  rerankChunks,
+  isRerankEnabled
+}
@@ -0,0 +1,161 @@
+/**
+ * Rubric grading for written (short / long) answers
+ *
+ * Each written question carries a point rubric and a reference answer. The model
+ * awards points per criterion at temperature 0; the score is the share of rubric
+ * points earned, on the 0-10 scale the quiz results use. When the model output
+ * cannot be read the answer is marked "ungraded" so it can be retried - it is
+ * never given a made-up score.
+ */
+
+import { jsonChatCompletion } from './llmService.js'
+import { normalizeRubric, DEFAULT_RUBRICS } from './questionTypes.js'
+
+export const GRADED = 'graded'
+export const UNGRADED = 'ungraded'
+
+const MAX_SCORE = 10
+
+// One immediate retry before giving up and leaving the answer ungraded
+const GRADING_ATTEMPTS = 2
+
+const UNGRADED_FEEDBACK = 'This answer could not be graded. Retry grading to score it.'
+
+/**
+ * The rubric a question is graded against, falling back to the default for its length
+ * @param {Object} question - Stored question
+ * @param {string} textLength - 'short' | 'long'
+ */
+export function rubricFor(question, textLength) {
+  return normalizeRubric(question?.rubric) || DEFAULT_RUBRICS[textLength] || DEFAULT_RUBRICS.short
+}
+
+function buildGradingPrompt(question, answer, rubric, textLength) {
+  const criteria = rubric
+    .map((item, index) => `${index + 1}. ${item.criterion} (${item.points} point${item.points === 1 ? '' : 's'})`)
+    .join('\n')
+
+  return `You are grading a student's ${textLength} answer against a fixed rubric.
+
+Question:
+${question.question}
+
+${question.referenceAnswer ? `Reference answer:\n${question.referenceAnswer}\n\n` : ''}Rubric:
+${criteria}
+
+Student's answer:
+${answer}
+
+For every rubric criterion, award between 0 and its points (half points allowed) based only on
+what the student's answer actually says. Do not reward length or style beyond the criteria.
+Then write short, constructive feedback: what the answer got right and what it is missing.
+
+Respond ONLY with JSON in this format:
+{"criteria": [{"id": 1, "awarded": 1.5, "comment": "Why"}], "feedback": "Overall feedback"}`
+}
+
+/**
+ * Read per-criterion credit from the model output
+ * Every criterion must be scored; anything else counts as unreadable.
+ * @param {Object|null} data - Parsed model JSON
+ * @param {Array} rubric - [{ criterion, points }]
+ * @returns {Object|null} { criteria, points, maxPoints, feedback } or null
+ */
+export function parseRubricGrade(data, rubric) {
+  if (!data || !Array.isArray(data.criteria)) return null
+
+  const criteria = []
+  for (const [index, item] of rubric.entries()) {
+    const entry = data.criteria.find(candidate => Number(candidate?.id) === index + 1)
+      ?? (data.criteria.every(candidate => candidate?.id === undefined) ? data.criteria[index] : undefined)
+    const awarded = Number(entry?.awarded)
+    if (!Number.isFinite(awarded)) return null
+
+    criteria.push({
+      criterion: item.criterion,
+      points: item.points,
+      // Clamp to the criterion's range, in half points
+      awarded: Math.round(Math.min(item.points, Math.max(0, awarded)) * 2) / 2,
+      comment: typeof entry.comment === 'string' ? entry.comment.trim() : ''
+    })
+  }
+
+  const points = criteria.reduce((sum, item) => sum + item.awarded, 0)
+  const maxPoints = criteria.reduce((sum, item) => sum + item.points, 0)
+  const feedback = typeof data.feedback === 'string' && data.feedback.trim()
+    ? data.feedback.trim()
+    : criteria.map(item => item.comment).filter(Boolean).join(' ')
+
+  return { criteria, points, maxPoints, feedback: feedback || 'Graded against the rubric.' }
+}
+
+function gradedResult(grade, question) {
+  return {
+    status: GRADED,
+    score: Math.round((grade.points / grade.maxPoints) * MAX_SCORE * 10) / 10,
+    points: grade.points,
+    maxPoints: grade.maxPoints,
+    criteria: grade.criteria,
+    feedback: grade.feedback,
+    referenceAnswer: question.referenceAnswer || null
+  }
+}
+
+/**
+ * Grade a written answer against its question's rubric
+ * @param {Object} question - Stored question ({ question, referenceAnswer, rubric })
+ * @param {string} answer - Student's answer
+ * @param {string} textLength - 'short' | 'long'
+ * @returns {Promise<Object>} Graded result (score out of 10 with per-criterion credit)
+ *   or { status: 'ungraded', score: null, answer, feedback } when the model output was unusable
+ */
+export async function gradeTextAnswer(question, answer, textLength = 'short') {
+  const rubric = rubricFor(question, textLength)
+  const text = typeof answer === 'string' ? answer.trim() : ''
+
+  // A blank answer earns nothing on any criterion; no need to ask the model
+  if (!text) {
+    return gradedResult({
+      criteria: rubric.map(item => ({ ...item, awarded: 0, comment: '' })),
+      points: 0,
+      maxPoints: rubric.reduce((sum, item) => sum + item.points, 0),
+      feedback: 'No answer provided.'
+    }, question)
+  }
+
+  for (let attempt = 1; attempt <= GRADING_ATTEMPTS; attempt++) {
+    try {
+      const completion = await jsonChatCompletion({
+        messages: [
+          { role: 'system', content: 'You are an educational assessor who grades answers strictly against a rubric. Respond only with JSON.' },
+          { role: 'user', content: buildGradingPrompt(question, text, rubric, textLength) }
+        ],
+        temperature: 0,
+        maxTokens: 800
+      })
+
+      const grade = parseRubricGrade(completion.data, rubric)
+      if (grade) {
+        return gradedResult(grade, question)
+      }
+      console.error(`Rubric grading returned unreadable output (attempt ${attempt}/${GRADING_ATTEMPTS})`)
+    } catch (error) {
+      console.error(`Rubric grading failed (attempt ${attempt}/${GRADING_ATTEMPTS}):`, error.message)
+    }
+  }
+
+  return {
+    status: UNGRADED,
+    score: null,
+    answer: text,
+    feedback: UNGRADED_FEEDBACK
+  }
+}
+
+export default {
+  GRADED,
+  UNGRADED,
+  rubricFor,
+  parseRubricGrade,
+  gradeTextAnswer
+}
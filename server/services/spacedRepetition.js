@@ -0,0 +1,156 @@
+/**
+ * Spaced-repetition scheduling (SM-2)
+ *
+ * A review is graded again / hard / good / easy. "again" is a lapse: the card
+ * restarts and comes back in a few minutes. Otherwise the interval grows from
+ * 1 day to 6 days and then by the card's ease factor, which itself moves with
+ * each grade (never below 1.3). Hard reviews grow the interval more slowly and
+ * easy ones get a bonus.
+ */
+
+export const REVIEW_GRADES = ['again', 'hard', 'good', 'easy']
+
+// SM-2 response quality (0-5) for each grade
+const GRADE_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 }
+
+export const DEFAULT_EASE = 2.5
+const MIN_EASE = 1.3
+const RELEARN_MINUTES = 10
+const HARD_FACTOR = 1.2
+const EASY_BONUS = 1.3
+const MAX_INTERVAL_DAYS = 365
+
+// A card whose interval reaches this many days counts as mature in stats
+export const MATURE_INTERVAL_DAYS = 21
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Scheduling fields of a card that has never been reviewed
+ */
+export function newCardSchedule(now = new Date()) {
+  return {
+    ease: DEFAULT_EASE,
+    interval_days: 0,
+    repetitions: 0,
+    lapses: 0,
+    due_at: now.toISOString()
+  }
+}
+
+/**
+ * Next schedule of a card after a review
+ * @param {Object} card - { ease, interval_days, repetitions, lapses }
+ * @param {string} grade - again | hard | good | easy
+ * @param {Date} now - Review time
+ * @returns {Object} { ease, interval_days, repetitions, lapses, due_at, last_reviewed_at }
+ */
+export function scheduleReview(card, grade, now = new Date()) {
+  const quality = GRADE_QUALITY[grade]
+  if (quality === undefined) {
+    throw new Error(`Unknown review grade: ${grade}`)
+  }
+
+  const ease = Number(card.ease) || DEFAULT_EASE
+  const interval = Number(card.interval_days) || 0
+  const repetitions = Number(card.repetitions) || 0
+  const lapses = Number(card.lapses) || 0
+
+  // SM-2 ease update, applied on every review
+  const nextEase = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)))
+
+  if (grade === 'again') {
+    return {
+      ease: round(nextEase),
+      interval_days: 0,
+      repetitions: 0,
+      lapses: lapses + 1,
+      due_at: new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000).toISOString(),
+      last_reviewed_at: now.toISOString()
+    }
+  }
+
+  let nextInterval
+  if (repetitions === 0) {
+    nextInterval = grade === 'easy' ? 4 : 1
+  } else if (repetitions === 1) {
+    nextInterval = grade === 'hard' ? 3 : 6
+  } else if (grade === 'hard') {
+    nextInterval = interval * HARD_FACTOR
+  } else {
+    nextInterval = interval * nextEase
+  }
+  if (grade === 'easy' && repetitions > 0) nextInterval *= EASY_BONUS
+
+  // Always move forward at least a day, and stay within a year
+  nextInterval = Math.min(MAX_INTERVAL_DAYS, Math.max(1, Math.round(nextInterval)))
+
+  return {
+    ease: round(nextEase),
+    interval_days: nextInterval,
+    repetitions: repetitions + 1,
+    lapses,
+    due_at: new Date(now.getTime() + nextInterval * DAY_MS).toISOString(),
+    last_reviewed_at: now.toISOString()
+  }
+}
+
+/**
+ * When each grade would bring the card back, for labelling the review buttons
+ * @returns {Object} { again: '10m', hard: '1d', good: '1d', easy: '4d' }
+ */
+export function previewIntervals(card, now = new Date()) {
+  return Object.fromEntries(REVIEW_GRADES.map(grade => {
+    const next = scheduleReview(card, grade, now)
+    return [grade, formatInterval(new Date(next.due_at).getTime() - now.getTime())]
+  }))
+}
+
+function formatInterval(ms) {
+  const minutes = Math.round(ms / 60000)
+  if (minutes < 60) return `${minutes}m`
+  const days = Math.round(ms / DAY_MS)
+  if (days < 30) return `${days}d`
+  if (days < 365) return `${Math.round(days / 30)}mo`
+  return `${Math.round(days / 365)}y`
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * Deck statistics from its cards and review log
+ * @param {Array} cards - Card rows
+ * @param {Array} reviews - Review rows ({ grade, reviewed_at }) of those cards
+ * @param {Date} now
+ */
+export function deckStats(cards, reviews = [], now = new Date()) {
+  const nowMs = now.getTime()
+  const weekAgo = nowMs - 7 * DAY_MS
+  const monthAgo = nowMs - 30 * DAY_MS
+
+  const recent = reviews.filter(review => new Date(review.reviewed_at).getTime() >= monthAgo)
+  const remembered = recent.filter(review => review.grade !== 'again').length
+
+  return {
+    total: cards.length,
+    new: cards.filter(card => !card.last_reviewed_at).length,
+    due: cards.filter(card => new Date(card.due_at).getTime() <= nowMs).length,
+    learning: cards.filter(card => card.last_reviewed_at && card.interval_days < MATURE_INTERVAL_DAYS).length,
+    mature: cards.filter(card => card.interval_days >= MATURE_INTERVAL_DAYS).length,
+    reviewsLast7Days: reviews.filter(review => new Date(review.reviewed_at).getTime() >= weekAgo).length,
+    // Share of reviews in the last 30 days that weren't lapses
+    retention: recent.length > 0 ? Math.round((remembered / recent.length) * 100) : null
+  }
+}
+
+export default {
+  REVIEW_GRADES,
+  DEFAULT_EASE,
+  MATURE_INTERVAL_DAYS,
+  newCardSchedule,
+  scheduleReview,
+  previewIntervals,
+  deckStats
+}
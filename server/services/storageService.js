@@ -0,0 +1,236 @@
+/**
+ * File Storage Layer
+ *
+ * Single entry point for the stored PDFs (upload, processing, viewing, deletion).
+ * The backend is selected with `config.storageDriver`:
+ *
+ * - supabase: the `pdfs` bucket in Supabase Storage (default)
+ * - local:    a directory on this machine (`config.storageDir`), served to the
+ *             viewer through HMAC-signed links on GET /api/storage/*
+ *
+ * Paths are bucket-relative (`<userId>/<pdfId>.pdf`) and stored in pdf_files.file_url,
+ * so they mean the same thing to every driver. Every driver implements:
+ *   put(path, body, { contentType, upsert }) -> { path }
+ *   get(path) -> Buffer
+ *   stream(path, { start, end }) -> Readable (byte range inclusive, like HTTP Range)
+ *   delete(paths) -> void
+ *   signedUrl(path, { expiresIn }) -> { url, expiresAt } (url may be relative to the API)
+ */
+
+import fs from 'fs'
+import { dirname, resolve, sep } from 'path'
+import { Readable } from 'stream'
+import { config } from '../config/index.js'
+import { createStorageFileUrl } from '../utils/signedUrls.js'
+
+function storageError(action, path, error) {
+  return new Error(`Failed to ${action} ${path}: ${error?.message || error}`)
+}
+
+function expiryFrom(expiresIn) {
+  return new Date(Date.now() + expiresIn * 1000).toISOString()
+}
+
+/**
+ * Supabase Storage bucket. The client is only created when this driver first
+ * touches a file (supabaseClient.js creates it lazily too), so the local driver
+ * needs no Supabase credentials; with DATABASE_DRIVER=sqlite and AUTH_DRIVER=local
+ * neither does the rest of the server.
+ */
+function createSupabaseDriver(bucket) {
+  const files = async () => {
+    const { supabase } = await import('../supabaseClient.js')
+    return supabase.storage.from(bucket)
+  }
+
+  const driver = {
+    name: 'supabase',
+
+    async put(path, body, { contentType = 'application/pdf', upsert = false } = {}) {
+      const { data, error } = await (await files()).upload(path, body, { contentType, upsert })
+      if (error) throw storageError('upload', path, error)
+      return { path: data.path }
+    },
+
+    async get(path) {
+      const { data, error } = await (await files()).download(path)
+      if (error || !data) throw storageError('download', path, error)
+      return Buffer.from(await data.arrayBuffer())
+    },
+
+    async stream(path, { start, end } = {}) {
+      // Storage answers Range requests on signed URLs
+      const { url } = await driver.signedUrl(path, { expiresIn: 60 })
+      const headers = start === undefined ? {} : { Range: `bytes=${start}-${end ?? ''}` }
+      const response = await fetch(url, { headers })
+      if (!response.ok) throw storageError('stream', path, `status ${response.status}`)
+      return Readable.fromWeb(response.body)
+    },
+
+    async delete(paths) {
+      const { error } = await (await files()).remove(paths)
+      if (error) throw storageError('delete', paths.join(', '), error)
+    },
+
+    async signedUrl(path, { expiresIn = config.signedUrlTtlSeconds } = {}) {
+      const { data, error } = await (await files()).createSignedUrl(path, expiresIn)
+      if (error || !data?.signedUrl) throw storageError('sign', path, error || 'no URL returned')
+      return { url: data.signedUrl, expiresAt: expiryFrom(expiresIn) }
+    }
+  }
+
+  return driver
+}
+
+/**
+ * Directory on local disk, laid out like the bucket
+ */
+function createLocalDriver(root) {
+  const rootDir = resolve(root)
+
+  const driver = {
+    name: 'local',
+    root: rootDir,
+
+    // Absolute file path for a storage path; never outside the root
+    resolve(path) {
+      const filePath = resolve(rootDir, String(path).replace(/^\/+/, ''))
+      if (!filePath.startsWith(rootDir + sep)) {
+        throw new Error(`Invalid storage path: ${path}`)
+      }
+      return filePath
+    },
+
+    async put(path, body, { upsert = false } = {}) {
+      const filePath = driver.resolve(path)
+      await fs.promises.mkdir(dirname(filePath), { recursive: true })
+      try {
+        await fs.promises.writeFile(filePath, body, { flag: upsert ? 'w' : 'wx' })
+      } catch (error) {
+        throw storageError('upload', path, error.code === 'EEXIST' ? 'file already exists' : error)
+      }
+      return { path }
+    },
+
+    async get(path) {
+      try {
+        return await fs.promises.readFile(driver.resolve(path))
+      } catch (error) {
+        throw storageError('download', path, error)
+      }
+    },
+
+    async stream(path, { start, end } = {}) {
+      const filePath = driver.resolve(path)
+      await fs.promises.access(filePath).catch(error => {
+        throw storageError('stream', path, error)
+      })
+      return fs.createReadStream(filePath, { start, end })
+    },
+
+    async delete(paths) {
+      await Promise.all(paths.map(path => fs.promises.rm(driver.resolve(path), { force: true })))
+    },
+
+    async signedUrl(path, { expiresIn = config.signedUrlTtlSeconds } = {}) {
+      driver.resolve(path)
+      const { path: url, expiresAt } = createStorageFileUrl(path, { ttlSeconds: expiresIn })
+      return { url, expiresAt }
+    }
+  }
+
+  return driver
+}
+
+// Driver registry - created on first use
+const driverFactories = {
+  supabase: () => createSupabaseDriver('pdfs'),
+  local: () => createLocalDriver(config.storageDir)
+}
+
+let activeDriver = null
+
+/**
+ * Register an additional driver factory under a name usable in STORAGE_DRIVER
+ */
+export function registerStorageDriver(name, factory) {
+  driverFactories[name] = factory
+}
+
+/**
+ * Switch the active driver (by registry name or driver object). Mainly for tests.
+ */
+export function setStorageDriver(nameOrDriver) {
+  if (typeof nameOrDriver === 'string') {
+    const factory = driverFactories[nameOrDriver]
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${nameOrDriver}`)
+    }
+    activeDriver = factory()
+  } else {
+    activeDriver = nameOrDriver
+  }
+  return activeDriver
+}
+
+/**
+ * Get the active driver, creating it from config on first use
+ */
+export function getStorage() {
+  if (!activeDriver) {
+    setStorageDriver(config.storageDriver)
+  }
+  return activeDriver
+}
+
+/**
+ * Store a file
+ * @param {string} path - Bucket-relative path
+ * @param {Buffer} body - File contents
+ * @returns {Promise<{path: string}>}
+ */
+export function putFile(path, body, options) {
+  return getStorage().put(path, body, options)
+}
+
+/**
+ * Read a whole stored file
+ * @returns {Promise<Buffer>}
+ */
+export function getFile(path) {
+  return getStorage().get(path)
+}
+
+/**
+ * Read a stored file as a stream, optionally a byte range
+ * @returns {Promise<import('stream').Readable>}
+ */
+export function streamFile(path, range) {
+  return getStorage().stream(path, range)
+}
+
+/**
+ * Delete stored files; missing files are not an error
+ */
+export function deleteFiles(paths) {
+  return getStorage().delete(paths)
+}
+
+/**
+ * Short-lived link the client can download a stored file from
+ * @returns {Promise<{url: string, expiresAt: string}>}
+ */
+export function getSignedFileUrl(path, options) {
+  return getStorage().signedUrl(path, options)
+}
+
+export default {
+  getStorage,
+  setStorageDriver,
+  registerStorageDriver,
+  putFile,
+  getFile,
+  streamFile,
+  deleteFiles,
+  getSignedFileUrl
+}
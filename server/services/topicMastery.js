@@ -0,0 +1,139 @@
+/**
+ * Per-topic mastery
+ *
+ * Each student has a mastery estimate (0-1) per topic of each PDF, starting at
+ * 0.5. Every graded question on a topic moves it towards the question's score:
+ * early questions count as a running average, later ones with a fixed weight so
+ * recent performance keeps mattering. Weak-areas quizzes are built around the
+ * topics with the lowest estimates.
+ */
+
+import { db } from '../repositories/index.js'
+import { config } from '../config/index.js'
+
+export const PRIOR_MASTERY = 0.5
+// Weight of a new question once a topic has a few behind it
+const MIN_LEARNING_RATE = 0.2
+const MAX_WEAK_TOPICS = 3
+// Mastery from which a topic counts as a strength on the dashboard
+const STRONG_MASTERY = 0.8
+
+/**
+ * Mastery after one more graded question on the topic
+ * @param {Object} entry - { mastery, questions } (missing for a new topic)
+ * @param {number} score - Question score between 0 and 1
+ */
+export function updateMastery(entry, score) {
+  const questions = entry?.questions || 0
+  const mastery = typeof entry?.mastery === 'number' ? entry.mastery : PRIOR_MASTERY
+  const clamped = Math.min(1, Math.max(0, score || 0))
+
+  // The prior counts as one question, so the first answer moves mastery halfway
+  const rate = Math.max(MIN_LEARNING_RATE, 1 / (questions + 2))
+
+  return {
+    mastery: Math.round((mastery + rate * (clamped - mastery)) * 1000) / 1000,
+    questions: questions + 1,
+    last_score: clamped
+  }
+}
+
+/**
+ * Fold graded questions into mastery entries, keyed by topic
+ * @param {Map<string, Object>} current - topic -> { mastery, questions }
+ * @param {Array} graded - [{ question, score }] with score between 0 and 1
+ * @returns {Map<string, Object>} Updated entries for the topics that were graded
+ */
+export function applyGradedQuestions(current, graded) {
+  const updated = new Map()
+  graded.forEach(({ question, score }) => {
+    const topic = question?.topic
+    if (!topic) return
+    updated.set(topic, updateMastery(updated.get(topic) || current.get(topic), score))
+  })
+  return updated
+}
+
+/**
+ * Topics below the weak threshold, weakest first
+ * @param {Array} rows - topic_mastery rows
+ */
+export function pickWeakTopics(rows, { threshold = config.masteryWeakThreshold, limit = MAX_WEAK_TOPICS } = {}) {
+  return rows
+    .filter(row => row.mastery < threshold)
+    .sort((a, b) => a.mastery - b.mastery || b.questions - a.questions)
+    .slice(0, limit)
+}
+
+/**
+ * Topics at or above the strength threshold, strongest first
+ * @param {Array} rows - topic_mastery rows
+ */
+export function pickStrongTopics(rows, { limit = 5 } = {}) {
+  return rows
+    .filter(row => row.mastery >= STRONG_MASTERY)
+    .sort((a, b) => b.mastery - a.mastery || b.questions - a.questions)
+    .slice(0, limit)
+}
+
+/**
+ * Keep the requested number of questions per type, preferring low-mastery topics
+ * Unseen topics rank at the prior; kept questions stay in their original order.
+ * @param {Object} quiz - Tagged quiz sections, possibly with extra questions
+ * @param {Object} counts - Questions wanted per type
+ * @param {Map<string, number>} masteryByTopic - topic -> mastery
+ */
+export function preferWeakTopics(quiz, counts, masteryByTopic) {
+  return Object.fromEntries(Object.entries(quiz).map(([type, questions]) => {
+    if (!Array.isArray(questions) || counts[type] === undefined) return [type, questions]
+
+    const keep = new Set(questions
+      .map((question, index) => ({ index, mastery: masteryByTopic.get(question.topic) ?? PRIOR_MASTERY }))
+      .sort((a, b) => a.mastery - b.mastery || a.index - b.index)
+      .slice(0, counts[type])
+      .map(item => item.index))
+
+    return [type, questions.filter((question, index) => keep.has(index))]
+  }))
+}
+
+/**
+ * A student's topic mastery, weakest first
+ * @param {string} userId
+ * @param {string|null} pdfId - Limit to one PDF
+ */
+export async function getTopicMastery(userId, pdfId = null) {
+  return db.topicMastery.listByUser(userId, { pdfId })
+}
+
+/**
+ * Update a student's mastery of a PDF's topics from newly graded questions
+ * @param {string} userId
+ * @param {string} pdfId
+ * @param {Array} graded - [{ question, score }] with score between 0 and 1
+ */
+export async function recordTopicMastery(userId, pdfId, graded) {
+  const topics = [...new Set(graded.map(({ question }) => question?.topic).filter(Boolean))]
+  if (!userId || !pdfId || topics.length === 0) return
+
+  const rows = await db.topicMastery.listByUser(userId, { pdfId, topics, columns: 'topic, mastery, questions' })
+
+  const current = new Map(rows.map(row => [row.topic, row]))
+  const updated = applyGradedQuestions(current, graded)
+  const now = new Date().toISOString()
+
+  await db.topicMastery.upsert(
+    [...updated.entries()].map(([topic, entry]) => ({ user_id: userId, pdf_id: pdfId, topic, ...entry, updated_at: now }))
+  )
+}
+
+export default {
+  PRIOR_MASTERY,
+  updateMastery,
+  applyGradedQuestions,
+  pickWeakTopics,
+  pickStrongTopics,
+  preferWeakTopics,
+  getTopicMastery,
+  recordTopicMastery
+}
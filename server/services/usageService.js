@@ -0,0 +1,143 @@
+// AI usage per user: daily token budgets and the request a model call is charged to
+import { AsyncLocalStorage } from 'async_hooks'
+import { db } from '../repositories/index.js'
+import { config } from '../config/index.js'
+import { onCompletionUsage } from './llmService.js'
+
+/*
+ * Every completion goes through llmService, which reports its `usage` to
+ * recordTokenUsage() (registered below). It is charged to the user whose request
+ * is being handled: the AI routes run inside runWithUsageScope(req.user.id, ...),
+ * so grading, feedback and reranking calls deep in the services are counted
+ * without threading a userId through them. Calls outside a request (the PDF
+ * worker) are not charged.
+ *
+ * Daily totals live in ai_usage_daily (migration 028 on Supabase; always present in
+ * SQLite). Without the table they are kept in this process's memory, which is
+ * enough for a single API server.
+ */
+
+const usageScope = new AsyncLocalStorage()
+const memoryTotals = new Map() // `${userId}:${day}` -> tokens
+let warnedMissingTable = false
+
+/**
+ * UTC day (YYYY-MM-DD) usage is counted against
+ */
+export function usageDay(now = new Date()) {
+  return now.toISOString().slice(0, 10)
+}
+
+/**
+ * When the day's budget starts over (next UTC midnight)
+ */
+export function nextBudgetReset(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+}
+
+/**
+ * Tokens spent by one completion, from its `usage` report
+ */
+export function tokensFromUsage(usage) {
+  if (!usage) return 0
+  const total = Number(usage.total_tokens ?? (Number(usage.prompt_tokens || 0) + Number(usage.completion_tokens || 0)))
+  return Number.isFinite(total) && total > 0 ? Math.round(total) : 0
+}
+
+/**
+ * Run fn with model calls charged to the user
+ */
+export function runWithUsageScope(userId, fn) {
+  return usageScope.run({ userId }, fn)
+}
+
+/**
+ * User the current model call is charged to, if any
+ */
+export function currentUsageUser() {
+  return usageScope.getStore()?.userId || null
+}
+
+function warnMissingTable(error) {
+  if (warnedMissingTable) return
+  warnedMissingTable = true
+  console.warn('⚠️ AI usage table unavailable (run migration 028), counting in memory:', error.message)
+}
+
+function addMemoryTokens(userId, day, tokens) {
+  const key = `${userId}:${day}`
+  memoryTotals.set(key, (memoryTotals.get(key) || 0) + tokens)
+
+  // Only the current day matters for the budget
+  for (const stored of memoryTotals.keys()) {
+    if (!stored.endsWith(`:${day}`)) memoryTotals.delete(stored)
+  }
+}
+
+/**
+ * Charge a completion's tokens to the user of the current request
+ * @param {Object|null} usage - Completion usage ({ total_tokens } or prompt + completion tokens)
+ * @returns {Promise<number>} Tokens recorded (0 outside a request or without usage)
+ */
+export async function recordTokenUsage(usage, now = new Date()) {
+  const userId = currentUsageUser()
+  const tokens = tokensFromUsage(usage)
+  if (!userId || tokens === 0) return 0
+
+  const day = usageDay(now)
+  addMemoryTokens(userId, day, tokens)
+
+  try {
+    await db.aiUsage.addTokens(userId, day, tokens)
+  } catch (error) {
+    warnMissingTable(error)
+  }
+
+  return tokens
+}
+
+/**
+ * Today's token usage against the daily budget
+ * @returns {Promise<{day: string, tokensUsed: number, budget: number|null, remaining: number|null, resetsAt: string}>}
+ *   budget and remaining are null when no budget is configured
+ */
+export async function getDailyUsage(userId, now = new Date()) {
+  const day = usageDay(now)
+  let tokensUsed = memoryTotals.get(`${userId}:${day}`) || 0
+
+  try {
+    tokensUsed = await db.aiUsage.findDaily(userId, day)
+  } catch (error) {
+    warnMissingTable(error)
+  }
+
+  const budget = config.aiDailyTokenBudget > 0 ? config.aiDailyTokenBudget : null
+
+  return {
+    day,
+    tokensUsed,
+    budget,
+    remaining: budget === null ? null : Math.max(0, budget - tokensUsed),
+    resetsAt: nextBudgetReset(now).toISOString()
+  }
+}
+
+onCompletionUsage(usage => recordTokenUsage(usage))
+
+/**
+ * Forget in-memory totals (tests)
+ */
+export function resetUsageTotals() {
+  memoryTotals.clear()
+}
+
+export default {
+  usageDay,
+  nextBudgetReset,
+  tokensFromUsage,
+  runWithUsageScope,
+  currentUsageUser,
+  recordTokenUsage,
+  getDailyUsage,
+  resetUsageTotals
+}
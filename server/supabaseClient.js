@@ -1,37 +1,21 @@
 // Server-side Supabase client utility
+// Created on first use, so the local drivers (DATABASE_DRIVER=sqlite, STORAGE_DRIVER=local,
+// AUTH_DRIVER=local) run without Supabase credentials
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+let client = null;
 
-if (!supabaseUrl || !supabaseServiceKey) {
-  console.error('Missing Supabase environment variables:', {
-    url: !!supabaseUrl,
-    serviceKey: !!supabaseServiceKey
-  });
-  throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
-}
-
-// Create a single supabase client for server-side operations
-// Using service role key for full database access
-export const supabase = createClient(supabaseUrl, supabaseServiceKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false
-  }
-});
-
-// Verify connection on startup
+// Verify connection once the client exists
 async function verifyConnection() {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('pdf_chunks')
       .select('count', { count: 'exact', head: true });
-    
+
     if (error) {
       console.warn('⚠️  Supabase connection warning:', error.message);
     } else {
@@ -42,7 +26,37 @@ async function verifyConnection() {
   }
 }
 
-// Initialize connection check
-verifyConnection();
+/**
+ * The server-side client, created on first call
+ * Uses the service role key for full database access.
+ */
+export function getSupabase() {
+  if (!client) {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY are required by the Supabase drivers');
+    }
+
+    client = createClient(supabaseUrl, supabaseServiceKey, {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      }
+    });
+    verifyConnection();
+  }
+
+  return client;
+}
+
+// Forwards to the client, creating it on first use (tests replace from/rpc/storage here)
+export const supabase = {
+  from: (...args) => getSupabase().from(...args),
+  rpc: (...args) => getSupabase().rpc(...args),
+  get storage() { return getSupabase().storage; },
+  get auth() { return getSupabase().auth; }
+};
 
 export default supabase;
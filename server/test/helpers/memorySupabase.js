@@ -0,0 +1,184 @@
+/**
+ * In-memory stand-in for the Supabase client in route tests
+ * Covers the query builder calls the routes make; tables are plain arrays of rows.
+ */
+
+import { randomUUID } from 'crypto'
+
+class MemoryQuery {
+  constructor(rows) {
+    this.rows = rows
+    this.action = 'select'
+    this.filters = []
+    this.returning = false
+  }
+
+  select(columns, { count, head } = {}) {
+    if (this.action === 'select') {
+      this.count = count
+      this.head = head
+    } else {
+      this.returning = true
+    }
+    return this
+  }
+
+  insert(rows) {
+    this.action = 'insert'
+    this.payload = [].concat(rows)
+    return this
+  }
+
+  upsert(rows, { onConflict = 'id' } = {}) {
+    this.action = 'upsert'
+    this.payload = [].concat(rows)
+    this.conflictKey = onConflict
+    return this
+  }
+
+  update(values) {
+    this.action = 'update'
+    this.payload = values
+    return this
+  }
+
+  delete() {
+    this.action = 'delete'
+    return this
+  }
+
+  eq(column, value) { return this.where(row => row[column] === value) }
+  neq(column, value) { return this.where(row => row[column] !== value) }
+  is(column, value) { return this.where(row => (row[column] ?? null) === value) }
+  in(column, values) { return this.where(row => values.includes(row[column])) }
+  gte(column, value) { return this.where(row => row[column] >= value) }
+  lte(column, value) { return this.where(row => row[column] <= value) }
+
+  not(column, operator, value) {
+    if (operator !== 'is') throw new Error(`Unsupported not() operator: ${operator}`)
+    return this.where(row => (row[column] ?? null) !== value)
+  }
+
+  where(predicate) {
+    this.filters.push(predicate)
+    return this
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.sort = { column, ascending }
+    return this
+  }
+
+  limit(count) {
+    this.window = [0, count]
+    return this
+  }
+
+  range(from, to) {
+    this.window = [from, to + 1]
+    return this
+  }
+
+  single() {
+    this.mode = 'single'
+    return this
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle'
+    return this
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject)
+  }
+
+  matching() {
+    return this.rows.filter(row => this.filters.every(predicate => predicate(row)))
+  }
+
+  mutate() {
+    const now = new Date().toISOString()
+
+    if (this.action === 'insert') {
+      const inserted = this.payload.map(row => ({ id: randomUUID(), created_at: now, ...row }))
+      this.rows.push(...inserted)
+      return inserted
+    }
+
+    if (this.action === 'upsert') {
+      return this.payload.map(row => {
+        const existing = this.rows.find(stored => stored[this.conflictKey] === row[this.conflictKey])
+        if (existing) return Object.assign(existing, row)
+        const inserted = { id: randomUUID(), created_at: now, ...row }
+        this.rows.push(inserted)
+        return inserted
+      })
+    }
+
+    const affected = this.matching()
+    if (this.action === 'update') {
+      affected.forEach(row => Object.assign(row, this.payload))
+    } else {
+      affected.forEach(row => this.rows.splice(this.rows.indexOf(row), 1))
+    }
+    return affected
+  }
+
+  execute() {
+    let data = this.action === 'select' ? this.matching() : this.mutate()
+
+    if (this.action === 'select' && this.sort) {
+      const { column, ascending } = this.sort
+      data = [...data].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1))
+    }
+    if (this.window) {
+      data = data.slice(...this.window)
+    }
+
+    const count = this.count ? data.length : null
+    if (this.head) {
+      return { data: null, count, error: null }
+    }
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null }
+    }
+
+    data = data.map(row => ({ ...row }))
+    if (this.mode === 'single') {
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } }
+    }
+    if (this.mode === 'maybeSingle') {
+      return { data: data[0] || null, error: null }
+    }
+    return { data, count, error: null }
+  }
+}
+
+/**
+ * Build an in-memory client seeded with rows per table
+ * @param {Object} tables - { tableName: [row, ...] }
+ * @returns {{ tables: Object, from: Function, rpc: Function, storage: Object }}
+ */
+export function createMemorySupabase(tables = {}) {
+  const rowsOf = name => (tables[name] ||= [])
+
+  return {
+    tables,
+    from: table => new MemoryQuery(rowsOf(table)),
+    rpc: async () => ({ data: [], error: null }),
+    storage: {
+      from: () => ({
+        upload: async path => ({ data: { path }, error: null }),
+        download: async () => ({ data: new Blob(['%PDF-1.4\n']), error: null }),
+        remove: async paths => ({ data: paths, error: null }),
+        createSignedUrl: async (path, expiresIn) => ({
+          data: { signedUrl: `https://storage.test/object/sign/pdfs/${path}?expiresIn=${expiresIn}` },
+          error: null
+        })
+      })
+    }
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * PDF fixtures for server tests
+ */
+
+/**
+ * Build a minimal PDF with one line of Helvetica text per page
+ * An empty string produces a page with no text layer (like a scanned page)
+ */
+export function buildPDF(pageTexts) {
+  const objects = []
+  const fontId = 3 + pageTexts.length * 2
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>'
+  objects[2] = `<< /Type /Pages /Kids [${pageTexts.map((_, i) => `${3 + i * 2} 0 R`).join(' ')}] /Count ${pageTexts.length} >>`
+  pageTexts.forEach((text, i) => {
+    const stream = text ? `BT /F1 12 Tf 72 720 Td (${text}) Tj ET` : ''
+    objects[3 + i * 2] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${4 + i * 2} 0 R /Resources << /Font << /F1 ${fontId} 0 R >> >> >>`
+    objects[4 + i * 2] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+  })
+  objects[fontId] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+
+  let pdf = '%PDF-1.4\n'
+  const offsets = []
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`
+  }
+
+  const xrefOffset = pdf.length
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  return Buffer.from(pdf, 'latin1')
+}
@@ -0,0 +1,237 @@
+/**
+ * Simple test for resource ownership across the API
+ * Signs in as one user and tries every route on another user's chats, PDFs, quizzes,
+ * attempts, flashcards and profile; also checks each route refuses anonymous requests.
+ */
+
+import assert from 'assert'
+import express from 'express'
+import fs from 'fs'
+import { randomUUID } from 'crypto'
+import { config } from '../config/index.js'
+import { supabase } from '../supabaseClient.js'
+import authService from '../services/authService.js'
+import apiRoutes from '../routes/index.js'
+import { createMemorySupabase } from './helpers/memorySupabase.js'
+import { buildPDF } from './helpers/pdfFixture.js'
+
+const alice = { id: randomUUID(), email: 'alice@example.com' }
+const bob = { id: randomUUID(), email: 'bob@example.com' }
+const tokens = { 'alice-token': alice, 'bob-token': bob }
+
+const ids = {
+  pdf: randomUUID(),
+  chat: randomUUID(),
+  quiz: randomUUID(),
+  legacyQuiz: randomUUID(),
+  attempt: randomUUID(),
+  card: randomUUID()
+}
+
+const quizQuestions = { mcq: [{ question: 'Q?', options: ['A', 'B'], correctAnswerIndex: 0 }] }
+
+const memory = createMemorySupabase({
+  users: [{ id: alice.id, email: alice.email, full_name: 'Alice' }],
+  pdf_files: [{ id: ids.pdf, user_id: alice.id, file_name: 'notes.pdf', original_name: 'notes.pdf', file_url: `${alice.id}/${ids.pdf}.pdf`, processing_status: 'completed' }],
+  pdf_chunks: [{ id: randomUUID(), pdf_id: ids.pdf, content: 'Alice only' }],
+  chat_sessions: [{ id: ids.chat, user_id: alice.id, title: 'Alice chat', pdf_id: ids.pdf }],
+  chat_messages: [{ id: randomUUID(), chat_id: ids.chat, role: 'user', content: 'secret question' }],
+  quizzes: [
+    { id: ids.quiz, user_id: alice.id, pdf_id: ids.pdf, questions: quizQuestions, mode: 'practice', results: { overallScore: 100, ungraded: 0 }, submitted_at: new Date().toISOString() },
+    // Stored before quizzes had to have an owner
+    { id: ids.legacyQuiz, user_id: null, pdf_id: ids.pdf, questions: quizQuestions, mode: 'practice' }
+  ],
+  quiz_attempts: [{ id: ids.attempt, user_id: alice.id, quiz_id: ids.quiz, topic: 'notes', score: 1, total: 1 }],
+  flashcards: [{ id: ids.card, user_id: alice.id, pdf_id: ids.pdf, front: 'F', back: 'B', due_at: new Date().toISOString() }]
+})
+
+// Another user's resource answers like a missing one (404); naming another user is refused (403)
+const crossUserCases = [
+  ['GET', `/api/pdfs?userId=${alice.id}`, null, 403],
+  ['POST', '/api/upload-pdf', { userId: alice.id }, 403],
+  ['GET', `/api/pdf/${ids.pdf}/status`, null, 404],
+  ['GET', `/api/pdf/${ids.pdf}/events`, null, 404],
+  ['POST', `/api/pdf/${ids.pdf}/cancel`, {}, 404],
+  ['GET', `/api/pdf/${ids.pdf}`, null, 404],
+  ['GET', `/api/pdf/${ids.pdf}/url`, null, 404],
+  ['GET', `/api/uploads/${alice.id}-1700000000000-notes.pdf`, null, 404],
+  ['GET', `/api/uploads/${alice.id}-1700000000000-notes.pdf/url`, null, 404],
+  ['DELETE', `/api/pdf/${ids.pdf}`, null, 404],
+  ['POST', '/api/extract-text', { fileId: `${alice.id}-1700000000000-notes.pdf` }, 404],
+  ['POST', '/api/chat', { chatId: ids.chat, message: 'hi' }, 404],
+  ['POST', '/api/chat', { chatId: randomUUID(), message: 'hi', pdfId: ids.pdf }, 404],
+  ['POST', '/api/chat/stream', { chatId: randomUUID(), message: 'hi', pdfIds: [ids.pdf] }, 404],
+  ['POST', '/api/save-chat', { chatId: ids.chat, message: 'hi', userId: alice.id }, 403],
+  ['POST', '/api/save-chat', { chatId: ids.chat, message: 'hi' }, 404],
+  ['GET', `/api/chats?userId=${alice.id}`, null, 403],
+  ['GET', `/api/chat/${ids.chat}/messages`, null, 404],
+  ['DELETE', `/api/chat/${ids.chat}/cache`, null, 404],
+  ['DELETE', `/api/chat/${ids.chat}`, null, 404],
+  ['POST', '/api/create-embeddings', { texts: ['x'], pdfId: ids.pdf }, 404],
+  ['POST', '/api/search-chunks', { query: 'secret', pdfId: ids.pdf }, 404],
+  ['POST', '/api/search-chunks', { query: 'secret' }, 400],
+  ['GET', `/api/embeddings-status/${ids.pdf}`, null, 404],
+  ['POST', '/api/generate-quiz', { fileId: ids.pdf, textId: ids.pdf }, 404],
+  ['POST', '/api/analyze-quiz', { quizId: ids.quiz, answers: { mcq: [] } }, 404],
+  ['POST', '/api/analyze-quiz', { quizId: ids.legacyQuiz, answers: { mcq: [] } }, 404],
+  ['POST', '/api/regrade-quiz', { quizId: ids.quiz }, 404],
+  ['GET', `/api/quiz/${ids.quiz}`, null, 404],
+  ['PUT', `/api/quiz/${ids.quiz}/answers`, { answers: { mcq: [] } }, 404],
+  ['GET', `/api/quiz/${ids.quiz}/export`, null, 404],
+  ['GET', `/api/quiz/${ids.quiz}/export/gift`, null, 404],
+  ['GET', `/api/quiz-attempts/${ids.pdf}`, null, 404],
+  ['GET', `/api/attempts?userId=${alice.id}`, null, 403],
+  ['POST', '/api/attempts', { user_id: alice.id, quiz_id: ids.quiz, topic: 't', answers: {} }, 403],
+  ['POST', '/api/attempts', { quiz_id: ids.quiz, topic: 't', answers: {} }, 404],
+  ['POST', '/api/attempts/save-attempt', { user_id: alice.id, quiz_id: ids.quiz, topic: 't', answers: {} }, 403],
+  ['POST', '/api/save-attempt', { quiz_id: ids.quiz, topic: 't', answers: {} }, 404],
+  ['GET', `/api/attempts/${ids.attempt}`, null, 404],
+  ['POST', '/api/auth/register-user', { user: { id: alice.id, email: alice.email } }, 403],
+  ['POST', '/api/users', { email: alice.email, full_name: 'Mallory' }, 403],
+  ['GET', `/api/users/${alice.id}`, null, 403],
+  ['PUT', `/api/users/${alice.id}`, { full_name: 'Mallory' }, 403],
+  ['POST', '/api/flashcards/generate', { pdfId: ids.pdf }, 404],
+  ['POST', '/api/flashcards', { front: 'F', back: 'B', pdfId: ids.pdf }, 404],
+  ['POST', `/api/flashcards/${ids.card}/review`, { grade: 'good' }, 404],
+  ['DELETE', `/api/flashcards/${ids.card}`, null, 404]
+]
+
+// The owner still gets through, so the rejections above are about ownership
+const ownerCases = [
+  ['GET', `/api/pdfs?userId=${alice.id}`],
+  ['GET', `/api/pdf/${ids.pdf}/status`],
+  ['GET', `/api/pdf/${ids.pdf}/url`],
+  ['GET', `/api/chats?userId=${alice.id}`],
+  ['GET', `/api/chat/${ids.chat}/messages`],
+  ['GET', `/api/quiz/${ids.quiz}`],
+  ['GET', `/api/quiz/${ids.quiz}/export`],
+  ['GET', `/api/attempts/${ids.attempt}`],
+  ['GET', `/api/users/${alice.id}`]
+]
+
+// Malformed ids are refused before any lookup
+const malformedIdCases = [
+  ['GET', '/api/chat/not-a-uuid/messages', null],
+  ['DELETE', '/api/chat/not-a-uuid', null],
+  ['POST', '/api/chat', { chatId: 'not-a-uuid', message: 'hi' }],
+  ['GET', '/api/attempts/not-a-uuid', null]
+]
+
+// Names that are only inherited object keys are refused as unknown (400, not a 500 on lookup)
+const inheritedNameCases = [
+  ['POST', '/api/generate-quiz', { fileId: ids.pdf, textId: ids.pdf, types: { constructor: 1 } }],
+  ['POST', '/api/generate-quiz', { fileId: ids.pdf, textId: ids.pdf, types: JSON.parse('{"__proto__": 1}') }],
+  ['GET', `/api/quiz/${ids.quiz}/export/constructor`, null],
+  ['GET', `/api/quiz/${ids.quiz}/export/toString`, null]
+]
+
+// Routes whose anonymous use was allowed before
+const anonymousCases = [
+  ['POST', '/api/upload'],
+  ['GET', '/api/files'],
+  ['GET', '/api/list-pdfs'],
+  ['GET', '/api/mastery']
+]
+
+async function request(baseUrl, method, path, token, body) {
+  const headers = { 'Content-Type': 'application/json' }
+  if (token) headers.Authorization = `Bearer ${token}`
+
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const text = await response.text()
+  return { status: response.status, text }
+}
+
+async function testAuthorization() {
+  console.log('🧪 Testing Resource Ownership...\n')
+
+  supabase.from = memory.from
+  supabase.rpc = memory.rpc
+  Object.defineProperty(supabase, 'storage', { value: memory.storage, configurable: true })
+  authService.verifySession = async token => tokens[token] ? { valid: true, user: tokens[token] } : { valid: false }
+
+  const app = express()
+  app.use(express.json())
+  app.use(apiRoutes)
+  const server = app.listen(0)
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+
+  try {
+    console.log('1️⃣ Testing another user\'s resources are out of reach')
+    for (const [method, path, body, expected] of crossUserCases) {
+      const { status, text } = await request(baseUrl, method, path, 'bob-token', body)
+      assert.strictEqual(status, expected, `${method} ${path} answered ${status}: ${text}`)
+      assert.ok(!text.includes('secret question') && !text.includes('Alice only'), `${method} ${path} leaked data`)
+    }
+    console.log('   Result:', crossUserCases.length, 'cross-user requests rejected')
+
+    console.log('\n2️⃣ Testing nothing was changed on the owner\'s behalf')
+    assert.strictEqual(memory.tables.chat_sessions.length, 1)
+    assert.strictEqual(memory.tables.chat_messages.length, 1)
+    assert.strictEqual(memory.tables.pdf_files.length, 1)
+    assert.strictEqual(memory.tables.flashcards.length, 1)
+    assert.strictEqual(memory.tables.users[0].full_name, 'Alice')
+    assert.strictEqual(memory.tables.quiz_attempts.length, 1)
+    console.log('   Result: chats, PDFs, flashcards, attempts and profile untouched')
+
+    console.log('\n3️⃣ Testing every route refuses anonymous requests')
+    const routes = [...crossUserCases, ...anonymousCases]
+    for (const [method, path, body] of routes) {
+      const { status } = await request(baseUrl, method, path, null, body)
+      assert.strictEqual(status, 401, `${method} ${path} answered ${status} without a session`)
+    }
+    console.log('   Result:', routes.length, 'anonymous requests refused')
+
+    console.log('\n4️⃣ Testing the owner still has access')
+    for (const [method, path] of ownerCases) {
+      const { status, text } = await request(baseUrl, method, path, 'alice-token')
+      assert.strictEqual(status, 200, `${method} ${path} answered ${status} for the owner: ${text}`)
+    }
+    // Alice's quiz already has its attempt; a second one is refused
+    const duplicate = await request(baseUrl, 'POST', '/api/attempts', 'alice-token', { quiz_id: ids.quiz, topic: 't', answers: {} })
+    assert.strictEqual(duplicate.status, 409, duplicate.text)
+    assert.strictEqual(memory.tables.quiz_attempts.length, 1)
+    console.log('   Result:', ownerCases.length, 'owner requests served')
+
+    console.log('\n5️⃣ Testing malformed ids answer 400')
+    for (const [method, path, body] of malformedIdCases) {
+      const { status, text } = await request(baseUrl, method, path, 'alice-token', body)
+      assert.strictEqual(status, 400, `${method} ${path} answered ${status}: ${text}`)
+    }
+    console.log('   Result:', malformedIdCases.length, 'malformed ids refused')
+
+    console.log('\n6️⃣ Testing inherited object keys are not accepted as names')
+    for (const [method, path, body] of inheritedNameCases) {
+      const { status, text } = await request(baseUrl, method, path, 'alice-token', body)
+      assert.strictEqual(status, 400, `${method} ${path} ${JSON.stringify(body)} answered ${status}: ${text}`)
+    }
+    console.log('   Result:', inheritedNameCases.length, 'inherited names refused')
+
+    console.log('\n7️⃣ Testing refused uploads leave no file behind')
+    const uploadsBefore = fs.readdirSync(config.uploadsDir)
+    for (const path of ['/api/upload-pdf', '/api/upload']) {
+      const form = new FormData()
+      form.append('userId', alice.id)
+      form.append('pdf', new Blob([buildPDF(['Uploaded in Alice\'s name.'])], { type: 'application/pdf' }), 'claimed.pdf')
+      const response = await fetch(baseUrl + path, { method: 'POST', headers: { Authorization: 'Bearer bob-token' }, body: form })
+      assert.strictEqual(response.status, 403, `POST ${path} answered ${response.status}`)
+    }
+    assert.deepStrictEqual(fs.readdirSync(config.uploadsDir), uploadsBefore)
+    console.log('   Result: both upload routes refused the claim and removed the file')
+
+    console.log('\n✅ Resource Ownership Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  } finally {
+    server.close()
+  }
+}
+
+// Run the test
+testAuthorization()
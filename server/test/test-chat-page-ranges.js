@@ -0,0 +1,69 @@
+/**
+ * Simple test for page ranges in chat answers
+ * A chunk that spans pages 4-5 must reach the prompt and the citations with its full
+ * range and page confidence, not just its first page.
+ */
+
+import assert from 'assert'
+import { randomUUID } from 'crypto'
+import { config } from '../config/index.js'
+import { setLLMProvider, setFakeResponder, createEmbedding } from '../services/llmService.js'
+import { processChatMessage } from '../services/chatService.js'
+import { db, setDatabaseDriver } from '../repositories/index.js'
+
+async function testChatPageRanges() {
+  console.log('🧪 Testing Chat Page Ranges...\n')
+
+  setLLMProvider('fake')
+  config.embeddingDimensions = 256
+  config.databaseDriver = 'sqlite'
+  config.sqlitePath = ':memory:'
+  setDatabaseDriver('sqlite')
+
+  try {
+    const user = await db.users.upsert({ email: 'ranges@example.com', full_name: 'Ranges' }, { onConflict: 'email' })
+    const pdf = await db.pdfFiles.create({ user_id: user.id, file_name: 'cells.pdf', processing_status: 'completed' })
+    const text = 'Ribosomes build proteins from amino acids by reading messenger RNA, a process that continues onto the next page.'
+    await db.pdfChunks.insert([{
+      pdf_id: pdf.id,
+      page: 4,
+      chunk_index: 0,
+      text,
+      embedding: await createEmbedding(text),
+      metadata: { pageRange: '4-5', confidence: 'exact' }
+    }])
+
+    let prompt = ''
+    setFakeResponder(messages => {
+      prompt = messages.map(message => message.content).join('\n')
+      return { answer: 'Ribosomes build proteins.', citations: [] }
+    })
+
+    console.log('1️⃣ Testing the range reaches the prompt and retrieval citations')
+    const answer = await processChatMessage(randomUUID(), 'What do ribosomes build?', pdf.id, user.id)
+    assert.ok(prompt.includes(`Page 4-5: ${text}`), 'prompt should label the chunk with its page range')
+    assert.strictEqual(answer.citations[0].page, '4-5')
+    assert.strictEqual(answer.citations[0].confidence, 'exact')
+    assert.strictEqual(answer.citations[0].pdfId, pdf.id)
+    console.log('   Result: cited page', answer.citations[0].page, 'with', answer.citations[0].confidence, 'confidence')
+
+    console.log('\n2️⃣ Testing model-written citations of the range keep their source details')
+    setFakeResponder(() => ({
+      answer: 'Ribosomes build proteins.',
+      citations: [{ page: '4-5', snippet: 'Ribosomes build proteins' }]
+    }))
+    const cited = await processChatMessage(randomUUID(), 'What do ribosomes build?', pdf.id, user.id)
+    assert.strictEqual(cited.citations[0].page, '4-5')
+    assert.strictEqual(cited.citations[0].pdfId, pdf.id)
+    assert.strictEqual(cited.citations[0].confidence, 'exact')
+    console.log('   Result: model citation matched to', cited.citations[0].pdfId)
+
+    console.log('\n✅ Chat Page Ranges Test Completed Successfully!')
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testChatPageRanges()
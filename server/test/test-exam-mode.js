@@ -0,0 +1,82 @@
+/**
+ * Simple test for timed exam mode
+ * Checks time limit validation, deadlines, expiry with the grace period and the measured duration
+ */
+
+import assert from 'assert'
+import { config } from '../config/index.js'
+import {
+  parseTimeLimit,
+  startExam,
+  isExamExpired,
+  examTiming,
+  measuredDuration,
+  EXAM,
+  PRACTICE
+} from '../services/examMode.js'
+
+async function testExamMode() {
+  console.log('🧪 Testing Exam Mode...\n')
+
+  try {
+    console.log('1️⃣ Testing time limit validation')
+    assert.deepStrictEqual(parseTimeLimit(undefined), { timeLimitSeconds: null, error: null })
+    assert.deepStrictEqual(parseTimeLimit(''), { timeLimitSeconds: null, error: null })
+    assert.deepStrictEqual(parseTimeLimit('15'), { timeLimitSeconds: 900, error: null })
+    assert.ok(parseTimeLimit(0).error)
+    assert.ok(parseTimeLimit(2.5).error)
+    assert.ok(parseTimeLimit('soon').error)
+    assert.ok(parseTimeLimit(config.examMaxMinutes + 1).error)
+    console.log('   Result: 15 minutes →', parseTimeLimit('15').timeLimitSeconds, 'seconds')
+
+    console.log('\n2️⃣ Testing an exam starts with a server deadline')
+    const start = new Date('2026-01-01T10:00:00.000Z')
+    const exam = startExam(600, start)
+    assert.deepStrictEqual(exam, {
+      mode: EXAM,
+      time_limit_seconds: 600,
+      started_at: '2026-01-01T10:00:00.000Z',
+      deadline_at: '2026-01-01T10:10:00.000Z'
+    })
+    console.log('   Result: deadline', exam.deadline_at)
+
+    console.log('\n3️⃣ Testing expiry allows the grace period')
+    const deadline = new Date(exam.deadline_at).getTime()
+    const graceMs = config.examGraceSeconds * 1000
+    assert.strictEqual(isExamExpired(exam, new Date(deadline - 1000)), false)
+    assert.strictEqual(isExamExpired(exam, new Date(deadline + graceMs)), false)
+    assert.strictEqual(isExamExpired(exam, new Date(deadline + graceMs + 1)), true)
+    assert.strictEqual(isExamExpired({ mode: PRACTICE, created_at: exam.started_at }, new Date(deadline + 3600000)), false)
+    console.log('   Result: grace period of', config.examGraceSeconds, 'seconds')
+
+    console.log('\n4️⃣ Testing the timing sent to the client')
+    const timing = examTiming(exam, new Date('2026-01-01T10:04:00.500Z'))
+    assert.strictEqual(timing.mode, EXAM)
+    assert.strictEqual(timing.remainingSeconds, 360)
+    assert.strictEqual(timing.serverTime, '2026-01-01T10:04:00.500Z')
+    assert.strictEqual(examTiming(exam, new Date(deadline + 60000)).remainingSeconds, 0)
+    assert.deepStrictEqual(examTiming({ mode: PRACTICE }), { mode: PRACTICE })
+    console.log('   Result:', timing.remainingSeconds, 'seconds left')
+
+    console.log('\n5️⃣ Testing the duration comes from stored timestamps')
+    assert.strictEqual(measuredDuration(exam), null)
+    assert.strictEqual(measuredDuration({ ...exam, submitted_at: '2026-01-01T10:07:30.000Z' }), 450)
+    // A late submission graded from the autosave never counts past the limit
+    assert.strictEqual(measuredDuration({ ...exam, submitted_at: '2026-01-01T10:10:05.000Z' }), 600)
+    assert.strictEqual(measuredDuration({
+      mode: PRACTICE,
+      created_at: '2026-01-01T09:00:00.000Z',
+      submitted_at: '2026-01-01T09:12:00.000Z'
+    }), 720)
+    console.log('   Result: 450s exam, capped at 600s, 720s practice')
+
+    console.log('\n✅ Exam Mode Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testExamMode()
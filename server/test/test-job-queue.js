@@ -0,0 +1,78 @@
+/**
+ * Simple test for PDF job retries and resumable embedding
+ * Covers backoff, which errors are retried and picking up where a crashed job stopped
+ */
+
+import assert from 'assert'
+import { withRetry, isRetryableError, getRetryDelay } from '../utils/retry.js'
+import { selectPendingChunks } from '../services/pdfProcessingService.js'
+
+function httpError(status, headers = {}) {
+  const error = new Error(`HTTP ${status}`)
+  error.status = status
+  error.headers = headers
+  return error
+}
+
+async function testJobQueue() {
+  console.log('🧪 Testing PDF Job Retries...\n')
+
+  try {
+    console.log('1️⃣ Testing 429 and 5xx responses are retried')
+    const retries = []
+    let calls = 0
+    const result = await withRetry(async () => {
+      calls++
+      if (calls === 1) throw httpError(429)
+      if (calls === 2) throw httpError(503)
+      return 'embedded'
+    }, { baseDelayMs: 1, onRetry: (error, attempt) => retries.push(`${attempt}:${error.status}`) })
+    assert.strictEqual(result, 'embedded')
+    assert.deepStrictEqual(retries, ['1:429', '2:503'])
+    console.log('   Result:', retries)
+
+    console.log('\n2️⃣ Testing client errors fail immediately')
+    calls = 0
+    await assert.rejects(withRetry(async () => {
+      calls++
+      throw httpError(400)
+    }, { baseDelayMs: 1 }), /HTTP 400/)
+    assert.strictEqual(calls, 1)
+    assert.strictEqual(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true)
+    assert.strictEqual(isRetryableError(Object.assign(new Error('aborted'), { name: 'AbortError' })), false)
+    console.log('   Result: 400 not retried, ECONNRESET retried')
+
+    console.log('\n3️⃣ Testing retries give up after the limit')
+    calls = 0
+    await assert.rejects(withRetry(async () => {
+      calls++
+      throw httpError(500)
+    }, { retries: 2, baseDelayMs: 1 }), /HTTP 500/)
+    assert.strictEqual(calls, 3)
+    console.log('   Result:', calls, 'attempts')
+
+    console.log('\n4️⃣ Testing backoff doubles, caps and honours Retry-After')
+    const delays = [1, 2, 3, 4, 5].map(attempt => getRetryDelay(attempt, { baseDelayMs: 1000, maxDelayMs: 5000, jitter: false }))
+    assert.deepStrictEqual(delays, [1000, 2000, 4000, 5000, 5000])
+    assert.strictEqual(getRetryDelay(1, { error: httpError(429, { 'retry-after': '7' }) }), 7000)
+    const jittered = getRetryDelay(3, { baseDelayMs: 1000 })
+    assert.ok(jittered >= 2000 && jittered <= 4000)
+    console.log('   Result:', delays)
+
+    console.log('\n5️⃣ Testing a resumed job only embeds missing chunks')
+    const chunks = [0, 1, 2, 3, 4].map(chunkIndex => ({ chunkIndex, text: `chunk ${chunkIndex}` }))
+    const pending = selectPendingChunks(chunks, new Set([0, 1, 3]))
+    assert.deepStrictEqual(pending.map(chunk => chunk.chunkIndex), [2, 4])
+    assert.strictEqual(selectPendingChunks(chunks, new Set()).length, 5)
+    console.log('   Result: pending', pending.map(chunk => chunk.chunkIndex))
+
+    console.log('\n✅ PDF Job Retry Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testJobQueue()
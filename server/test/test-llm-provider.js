@@ -0,0 +1,72 @@
+/**
+ * Simple test for the LLM provider layer
+ * Runs entirely offline against the deterministic fake provider
+ */
+
+import assert from 'assert'
+import {
+  setLLMProvider,
+  setFakeResponder,
+  chatCompletion,
+  jsonChatCompletion,
+  streamChatCompletion,
+  createEmbedding,
+  getProviderInfo
+} from '../services/llmService.js'
+import { cosineSimilarity } from '../utils/vectorStorage.js'
+
+async function testLLMProvider() {
+  console.log('🧪 Testing LLM Provider Layer (fake provider)...\n')
+
+  try {
+    setLLMProvider('fake')
+
+    console.log('1️⃣ Testing provider info')
+    const info = getProviderInfo()
+    assert.strictEqual(info.provider, 'fake')
+    console.log('   Result:', info)
+
+    console.log('\n2️⃣ Testing chat completion')
+    const chat = await chatCompletion({ messages: [{ role: 'user', content: 'What is entropy?' }] })
+    assert.strictEqual(chat.content, '[fake] What is entropy?')
+    console.log('   Result:', chat.content)
+
+    console.log('\n3️⃣ Testing JSON-mode chat with a scripted responder')
+    setFakeResponder(() => 'Sure! ```json\n{"score": 7, "feedback": "Solid answer"}\n```')
+    const graded = await jsonChatCompletion({ messages: [{ role: 'user', content: 'Grade this' }] })
+    assert.deepStrictEqual(graded.data, { score: 7, feedback: 'Solid answer' })
+    console.log('   Result:', graded.data)
+
+    console.log('\n4️⃣ Testing streaming chat')
+    setFakeResponder(() => 'Entropy measures disorder.')
+    let streamed = ''
+    let usage = null
+    for await (const part of streamChatCompletion({ messages: [] })) {
+      if (part.content) streamed += part.content
+      if (part.usage) usage = part.usage
+    }
+    assert.strictEqual(streamed, 'Entropy measures disorder.')
+    assert.ok(usage)
+    console.log('   Result:', streamed)
+    setFakeResponder(null)
+
+    console.log('\n5️⃣ Testing deterministic embeddings')
+    const [a, b, c] = await Promise.all([
+      createEmbedding('the second law of thermodynamics'),
+      createEmbedding('thermodynamics second law'),
+      createEmbedding('photosynthesis in plants')
+    ])
+    assert.deepStrictEqual(a, await createEmbedding('the second law of thermodynamics'))
+    assert.ok(cosineSimilarity(a, b) > cosineSimilarity(a, c))
+    console.log('   Result: related', cosineSimilarity(a, b).toFixed(2), 'vs unrelated', cosineSimilarity(a, c).toFixed(2))
+
+    console.log('\n✅ LLM Provider Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testLLMProvider()
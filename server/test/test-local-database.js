@@ -0,0 +1,264 @@
+/**
+ * Simple test for the repository layer's SQLite driver
+ * Checks the repositories on an in-memory database, then runs local sign-in -> upload ->
+ * queued processing -> chat -> quiz -> flashcards -> delete through the API with SQLite,
+ * local storage, local auth and the fake LLM. Supabase settings are cleared first, so any
+ * table or sign-in still tied to Supabase fails the test.
+ */
+
+import assert from 'assert'
+import express from 'express'
+import fs from 'fs'
+import os from 'os'
+import { join } from 'path'
+import { randomUUID } from 'crypto'
+import { config } from '../config/index.js'
+import apiRoutes from '../routes/index.js'
+import { setLLMProvider, createEmbedding } from '../services/llmService.js'
+import { setStorageDriver } from '../services/storageService.js'
+import { startPDFProcessingWorker } from '../services/pdfProcessingService.js'
+import { saveQuiz } from '../services/quizService.js'
+import { db, setDatabaseDriver } from '../repositories/index.js'
+import { localUploadPrefix } from '../middleware/ownership.js'
+import { buildPDF } from './helpers/pdfFixture.js'
+
+const SUPABASE_SETTINGS = ['SUPABASE_URL', 'SUPABASE_KEY', 'SUPABASE_SERVICE_KEY']
+
+async function waitUntilReady(baseUrl, fileId, headers) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { status } = await (await fetch(`${baseUrl}/api/pdf/${fileId}/status`, { headers })).json()
+    if (status.isReady || status.processingStatus === 'failed') return status
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  throw new Error(`PDF ${fileId} was not processed in time`)
+}
+
+async function testLocalDatabase() {
+  console.log('🧪 Testing SQLite Database Driver...\n')
+
+  SUPABASE_SETTINGS.forEach(name => delete process.env[name])
+  config.supabaseUrl = config.supabaseKey = config.supabaseServiceKey = undefined
+  config.authDriver = 'local'
+  config.allowLocalAuth = false
+  setLLMProvider('fake')
+  config.embeddingDimensions = 256
+
+  config.databaseDriver = 'sqlite'
+  config.sqlitePath = ':memory:'
+  const { database } = setDatabaseDriver('sqlite')
+
+  config.storageDir = fs.mkdtempSync(join(os.tmpdir(), 'pdf-storage-'))
+  setStorageDriver('local')
+
+  const app = express()
+  app.use(express.json())
+  app.use(apiRoutes)
+  const server = app.listen(0)
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+  const worker = startPDFProcessingWorker({ pollIntervalMs: 50 })
+  let owner = null
+
+  try {
+    console.log('1️⃣ Testing users, PDFs and attempts round-trip as Supabase rows')
+    const created = await db.users.upsert({ email: 'a@example.com', full_name: 'A' }, { onConflict: 'email' })
+    const renamed = await db.users.upsert({ email: 'a@example.com', full_name: 'Ada' }, { onConflict: 'email' })
+    assert.strictEqual(renamed.id, created.id)
+    assert.strictEqual(renamed.full_name, 'Ada')
+    assert.strictEqual(await db.users.update(randomUUID(), { full_name: 'Nobody' }), null)
+
+    const pdf = await db.pdfFiles.create({ user_id: created.id, file_name: 'a.pdf', metadata: { source: 'test' } })
+    assert.strictEqual(pdf.processing_status, 'pending')
+    assert.deepStrictEqual(pdf.metadata, { source: 'test' })
+    assert.deepStrictEqual(await db.pdfFiles.findById(pdf.id, { columns: 'id, file_name' }), { id: pdf.id, file_name: 'a.pdf' })
+    assert.strictEqual((await db.pdfFiles.listByUser(created.id, { status: 'completed' })).length, 0)
+    await assert.rejects(db.pdfFiles.create({ user_id: created.id, file_name: 'b.pdf', colour: 'red' }), /Unknown column pdf_files\.colour/)
+
+    const attempt = await db.quizAttempts.create({ user_id: created.id, quiz_id: 'q1', score: 2, total: 3, user_answers: { 0: 'B' } })
+    assert.strictEqual(attempt.percentage, 66.67)
+    assert.deepStrictEqual(attempt.user_answers, { 0: 'B' })
+    console.log('   Result: user', created.id, 'attempt at', attempt.percentage, '%')
+
+    console.log('\n2️⃣ Testing chunk storage and in-process vector search')
+    const texts = ['photosynthesis in green leaves', 'the french revolution of 1789', 'leaves turn sunlight into sugar']
+    const embeddings = await Promise.all(texts.map(text => createEmbedding(text)))
+    const otherPdf = await db.pdfFiles.create({ user_id: created.id, file_name: 'c.pdf' })
+    const stored = await db.pdfChunks.insert(texts.map((text, index) => ({
+      pdf_id: index < 2 ? pdf.id : otherPdf.id,
+      page: index + 1,
+      chunk_index: index,
+      text,
+      // Both forms the callers store: pgvector text and plain arrays
+      embedding: index === 0 ? JSON.stringify(embeddings[index]) : embeddings[index],
+      metadata: { pageRange: index + 1 }
+    })))
+    assert.deepStrictEqual(stored.map(row => row.chunk_index), [0, 1, 2])
+    assert.strictEqual(await db.pdfChunks.countByPdf(pdf.id), 2)
+    assert.deepStrictEqual((await db.pdfChunks.listByPdf(pdf.id, { maxPage: 1 })).map(row => row.text), [texts[0]])
+
+    const query = await createEmbedding('green leaves')
+    const [best] = await db.pdfChunks.searchSimilar(pdf.id, query, { threshold: 0.1, limit: 5 })
+    assert.strictEqual(best.text, texts[0])
+    assert.ok(best.similarity > 0.5)
+    const across = await db.pdfChunks.searchSimilarMulti([pdf.id, otherPdf.id], query, { threshold: 0.1, perPdf: 1 })
+    assert.deepStrictEqual(across.map(row => row.pdf_id).sort(), [pdf.id, otherPdf.id].sort())
+
+    await db.pdfChunks.deleteByPdf(pdf.id)
+    assert.deepStrictEqual(await db.pdfChunks.searchSimilar(pdf.id, query), [])
+    console.log('   Result: best match', JSON.stringify(best.text), 'similarity', best.similarity.toFixed(2))
+
+    console.log('\n3️⃣ Testing local sign-in, queued processing and chat')
+    // AUTH_DRIVER=local alone does not turn on password-less sign-in
+    assert.strictEqual((await fetch(`${baseUrl}/api/auth/local`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'owner@example.com' })
+    })).status, 404)
+    config.allowLocalAuth = true
+
+    assert.strictEqual((await fetch(`${baseUrl}/api/auth/local`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'not-an-email' })
+    })).status, 400)
+    const signIn = await fetch(`${baseUrl}/api/auth/local`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'Owner@Example.com', full_name: 'Owner' })
+    })
+    assert.strictEqual(signIn.status, 200)
+    const { user, session } = await signIn.json()
+    owner = user
+    assert.strictEqual(owner.email, 'owner@example.com')
+    const asOwner = { Authorization: `Bearer ${session.access_token}`, 'Content-Type': 'application/json' }
+
+    const { user: current } = await (await fetch(`${baseUrl}/api/auth/user`, { headers: asOwner })).json()
+    assert.strictEqual(current.id, owner.id)
+    const [prefix, payload] = session.access_token.split('.')
+    const forged = `${prefix}.${payload}.${'0'.repeat(64)}`
+    assert.strictEqual((await fetch(`${baseUrl}/api/pdfs`, { headers: { Authorization: `Bearer ${forged}` } })).status, 401)
+
+    const form = new FormData()
+    const pdfBytes = buildPDF([
+      'Mitochondria are the powerhouse of the cell. They turn glucose and oxygen into ATP through cellular respiration.',
+      'Ribosomes build proteins from amino acids. They read messenger RNA and link the amino acids in the order it encodes.'
+    ])
+    form.append('pdf', new Blob([pdfBytes], { type: 'application/pdf' }), 'biology.pdf')
+    const uploaded = await fetch(`${baseUrl}/api/upload-pdf`, { method: 'POST', headers: { Authorization: asOwner.Authorization }, body: form })
+    assert.strictEqual(uploaded.status, 200)
+    const { fileId } = await uploaded.json()
+
+    const status = await waitUntilReady(baseUrl, fileId, asOwner)
+    assert.strictEqual(status.processingStatus, 'completed')
+    assert.ok(status.chunkCount > 0)
+    const job = database.prepare('SELECT status, attempts FROM pdf_processing_jobs WHERE pdf_id = ?').get(fileId)
+    assert.deepStrictEqual(job, { status: 'completed', attempts: 1 })
+    const { pdfs } = await (await fetch(`${baseUrl}/api/pdfs`, { headers: asOwner })).json()
+    assert.deepStrictEqual(pdfs.map(row => row.id), [fileId])
+
+    const chatId = randomUUID()
+    const chat = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: asOwner,
+      body: JSON.stringify({ chatId, message: 'What do ribosomes build?', pdfId: fileId })
+    })
+    assert.strictEqual(chat.status, 200)
+    const answer = await chat.json()
+    assert.ok(answer.metadata.chunksUsed > 0)
+
+    const { chats } = await (await fetch(`${baseUrl}/api/chats`, { headers: asOwner })).json()
+    assert.strictEqual(chats[0].id, chatId)
+    assert.strictEqual(chats[0].lastMessage.is_user, false)
+    const { messages } = await (await fetch(`${baseUrl}/api/chat/${chatId}/messages`, { headers: asOwner })).json()
+    assert.deepStrictEqual(messages.map(message => message.is_user), [true, false])
+
+    const { usage } = await (await fetch(`${baseUrl}/api/usage`, { headers: asOwner })).json()
+    assert.ok(usage.tokensUsed > 0)
+    assert.strictEqual(database.prepare('SELECT tokens FROM ai_usage_daily WHERE user_id = ?').get(owner.id).tokens, usage.tokensUsed)
+    console.log('   Result:', status.chunkCount, 'chunks retrieved from SQLite, chat', chatId, 'saved,', usage.tokensUsed, 'tokens charged')
+
+    console.log('\n4️⃣ Testing stored quizzes, topic mastery and attempts')
+    const { id: quizId } = await saveQuiz({
+      userId: owner.id,
+      pdfId: fileId,
+      quiz: {
+        mcq: [
+          { question: 'What do ribosomes build?', options: ['Proteins', 'Sugar'], correctAnswerIndex: 0, topic: 'Ribosomes' },
+          { question: 'What do mitochondria make?', options: ['RNA', 'ATP'], correctAnswerIndex: 1, topic: 'Mitochondria' }
+        ]
+      }
+    })
+    const graded = await fetch(`${baseUrl}/api/analyze-quiz`, {
+      method: 'POST',
+      headers: asOwner,
+      body: JSON.stringify({ quizId, answers: { mcq: [{ questionIndex: 0, selectedAnswer: 0 }, { questionIndex: 1, selectedAnswer: 0 }] } })
+    })
+    assert.strictEqual(graded.status, 200)
+    assert.strictEqual((await graded.json()).results.overallScore, 50)
+    const resubmitted = await fetch(`${baseUrl}/api/analyze-quiz`, { method: 'POST', headers: asOwner, body: JSON.stringify({ quizId, answers: { mcq: [] } }) })
+    assert.strictEqual(resubmitted.status, 409)
+
+    const { topics } = await (await fetch(`${baseUrl}/api/mastery?pdfId=${fileId}`, { headers: asOwner })).json()
+    assert.deepStrictEqual(topics.map(topic => topic.topic), ['Mitochondria', 'Ribosomes'])
+
+    const saved = await fetch(`${baseUrl}/api/attempts`, {
+      method: 'POST',
+      headers: asOwner,
+      body: JSON.stringify({ quiz_id: quizId, topic: 'Cells', answers: { 0: 'A', 1: 'C' } })
+    })
+    assert.strictEqual(saved.status, 201)
+    const savedAgain = await fetch(`${baseUrl}/api/save-attempt`, {
+      method: 'POST',
+      headers: asOwner,
+      body: JSON.stringify({ quiz_id: quizId, topic: 'Cells', answers: { 0: 'A', 1: 'C' } })
+    })
+    assert.strictEqual(savedAgain.status, 409)
+    const { attempts } = await (await fetch(`${baseUrl}/api/attempts`, { headers: asOwner })).json()
+    assert.strictEqual(attempts.length, 1)
+    assert.strictEqual(attempts[0].percentage, 50)
+    console.log('   Result: quiz graded at', attempts[0].percentage, '%, mastery of', topics.map(topic => `${topic.topic} ${topic.mastery}%`).join(', '))
+
+    console.log('\n5️⃣ Testing flashcards and deletes')
+    const savedCard = await fetch(`${baseUrl}/api/flashcards`, {
+      method: 'POST',
+      headers: asOwner,
+      body: JSON.stringify({ front: 'What do ribosomes build?', back: 'Proteins', pdfId: fileId, page: 2 })
+    })
+    assert.strictEqual(savedCard.status, 201)
+    const { card } = await savedCard.json()
+    const { cards } = await (await fetch(`${baseUrl}/api/flashcards/due`, { headers: asOwner })).json()
+    assert.deepStrictEqual(cards.map(due => due.id), [card.id])
+
+    const reviewed = await fetch(`${baseUrl}/api/flashcards/${card.id}/review`, { method: 'POST', headers: asOwner, body: JSON.stringify({ grade: 'good' }) })
+    assert.strictEqual(reviewed.status, 200)
+    assert.ok((await reviewed.json()).card.due_at > new Date().toISOString())
+    const { decks } = await (await fetch(`${baseUrl}/api/flashcards/stats`, { headers: asOwner })).json()
+    assert.strictEqual(decks[0].name, 'biology.pdf')
+    assert.strictEqual((await (await fetch(`${baseUrl}/api/flashcards/due`, { headers: asOwner })).json()).cards.length, 0)
+    assert.strictEqual((await fetch(`${baseUrl}/api/flashcards/${card.id}`, { method: 'DELETE', headers: asOwner })).status, 200)
+    assert.strictEqual((await fetch(`${baseUrl}/api/flashcards/${card.id}`, { method: 'DELETE', headers: asOwner })).status, 404)
+
+    assert.strictEqual((await fetch(`${baseUrl}/api/chat/${chatId}`, { method: 'DELETE', headers: asOwner })).status, 200)
+    assert.strictEqual((await fetch(`${baseUrl}/api/pdf/${fileId}`, { method: 'DELETE', headers: asOwner })).status, 200)
+    assert.strictEqual(await db.pdfChunks.countByPdf(fileId), 0)
+    assert.strictEqual(await db.lexicalIndexes.findByPdf(fileId), null)
+    assert.strictEqual(database.prepare('SELECT COUNT(*) AS count FROM chat_messages').get().count, 0)
+    console.log(`   Result: card reviewed in deck ${decks[0].name}; card, chat and PDF deleted`)
+
+    console.log('\n✅ SQLite Database Driver Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  } finally {
+    await worker.stop()
+    server.close()
+    database.close()
+    fs.rmSync(config.storageDir, { recursive: true, force: true })
+    for (const file of owner ? fs.readdirSync(config.uploadsDir) : []) {
+      if (file.startsWith(localUploadPrefix(owner.id))) fs.rmSync(join(config.uploadsDir, file))
+    }
+  }
+}
+
+// Run the test
+testLocalDatabase()
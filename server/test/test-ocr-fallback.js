@@ -0,0 +1,102 @@
+/**
+ * Simple test for the OCR fallback
+ * Parses a PDF with a page that has no text layer and reads it with a scripted OCR engine
+ */
+
+import assert from 'assert'
+import fs from 'fs'
+import os from 'os'
+import { join } from 'path'
+import { config } from '../config/index.js'
+import { safeParsePDF } from '../services/pdfService.js'
+import { applyOCR, findPagesNeedingOCR, setOCREngine } from '../services/ocrService.js'
+import { processPDFJob } from '../services/pdfProcessingService.js'
+import { setLLMProvider } from '../services/llmService.js'
+import { db, setDatabaseDriver } from '../repositories/index.js'
+import { processPDFForEmbeddings } from '../utils/textChunking.js'
+import { buildPDF } from './helpers/pdfFixture.js'
+
+const scannedText = 'The second law of thermodynamics states that the entropy of an isolated system never decreases over time. '
+
+async function testOCRFallback() {
+  console.log('🧪 Testing OCR Fallback...\n')
+
+  try {
+    const recognizedImages = []
+    setOCREngine(async () => ({
+      recognize: async (image) => {
+        recognizedImages.push(image)
+        return { text: scannedText.repeat(4), confidence: 87.4 }
+      },
+      terminate: async () => {}
+    }))
+
+    const dataBuffer = buildPDF(['Thermodynamics lecture notes, week three: entropy and the second law', ''])
+    const parsed = await safeParsePDF(dataBuffer)
+
+    console.log('1️⃣ Testing pages without a text layer are detected')
+    assert.deepStrictEqual(findPagesNeedingOCR(parsed.pages), [2])
+    console.log('   Result: page 2 needs OCR')
+
+    console.log('\n2️⃣ Testing OCR text and confidence are merged into the page')
+    const progress = []
+    const withOCR = await applyOCR(parsed, dataBuffer, { onPage: update => progress.push(update) })
+    assert.strictEqual(recognizedImages.length, 1)
+    assert.ok(recognizedImages[0].subarray(1, 4).toString() === 'PNG', 'expected a rendered PNG page')
+    assert.strictEqual(withOCR.pages[1].source, 'ocr')
+    assert.strictEqual(withOCR.pages[1].ocrConfidence, 0.87)
+    assert.strictEqual(withOCR.pages[0].source, undefined)
+    assert.deepStrictEqual(withOCR.ocr.pages, [{ page: 2, confidence: 0.87 }])
+    assert.deepStrictEqual(progress, [{ page: 2, done: 1, total: 1 }])
+    assert.ok(withOCR.text.includes('second law of thermodynamics'))
+    console.log('   Result:', withOCR.ocr)
+
+    console.log('\n3️⃣ Testing chunks from OCR pages carry the page confidence')
+    const { chunks } = processPDFForEmbeddings(withOCR, { chunkSize: 300 })
+    const ocrChunks = chunks.filter(chunk => chunk.metadata.ocr)
+    assert.ok(ocrChunks.length > 0)
+    assert.ok(ocrChunks.every(chunk => chunk.endPage === 2 && chunk.metadata.ocrConfidence === 0.87))
+    assert.ok(chunks.filter(chunk => chunk.endPage === 1).every(chunk => !chunk.metadata.ocr))
+    console.log('   Result:', chunks.map(chunk => `p.${chunk.pageRange}${chunk.metadata.ocr ? ` (OCR ${chunk.metadata.ocrConfidence})` : ''}`))
+
+    console.log('\n4️⃣ Testing PDFs with a text layer skip OCR')
+    recognizedImages.length = 0
+    const textOnly = await applyOCR(await safeParsePDF(buildPDF(['Carnot engine efficiency depends only on reservoir temperatures'])), dataBuffer)
+    assert.strictEqual(textOnly.ocr, null)
+    assert.strictEqual(recognizedImages.length, 0)
+    console.log('   Result: no OCR needed')
+
+    console.log('\n5️⃣ Testing a failed OCR run is recorded on the PDF')
+    setOCREngine(async () => {
+      throw new Error('DOMMatrix is not defined')
+    })
+    config.sqlitePath = ':memory:'
+    setDatabaseDriver('sqlite')
+    setLLMProvider('fake')
+    config.embeddingDimensions = 64
+
+    const localPath = join(os.tmpdir(), `ocr-failure-${process.pid}.pdf`)
+    fs.writeFileSync(localPath, buildPDF([`Lecture summary. ${scannedText}Heat flows from hot bodies to cold ones unless work is done on the system.`, '']))
+    const pdf = await db.pdfFiles.create({ user_id: 'user-1', file_name: 'scanned.pdf' })
+    try {
+      await processPDFJob({ pdf_id: pdf.id, user_id: 'user-1', local_path: localPath })
+    } finally {
+      fs.rmSync(localPath, { force: true })
+    }
+
+    const stored = await db.pdfFiles.findById(pdf.id)
+    assert.strictEqual(stored.processing_status, 'completed')
+    assert.strictEqual(stored.ocr_error, 'DOMMatrix is not defined')
+    console.log('   Result:', stored.ocr_error)
+
+    setOCREngine(null)
+    console.log('\n✅ OCR Fallback Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testOCRFallback()
@@ -0,0 +1,64 @@
+/**
+ * Simple test for page-exact chunking
+ * Builds a small multi-page PDF, parses it page by page and checks chunk page numbers and offsets
+ */
+
+import assert from 'assert'
+import { safeParsePDF } from '../services/pdfService.js'
+import { extractPageChunks, processPDFForEmbeddings } from '../utils/textChunking.js'
+import { buildPDF } from './helpers/pdfFixture.js'
+
+const sentence = (topic) => `${topic} is explained in detail here with several supporting sentences. `
+
+async function testPageChunking() {
+  console.log('🧪 Testing Page-Exact Chunking...\n')
+
+  try {
+    console.log('1️⃣ Testing the parser returns text page by page')
+    const pageTexts = ['Thermodynamics introduction', 'Entropy of an isolated system', 'Carnot engine efficiency']
+    const parsed = await safeParsePDF(buildPDF(pageTexts))
+    assert.strictEqual(parsed.pageCount, 3)
+    assert.deepStrictEqual(parsed.pages.map(page => page.page), [1, 2, 3])
+    assert.deepStrictEqual(parsed.pages.map(page => page.text.trim()), pageTexts)
+    console.log('   Result:', parsed.pages)
+
+    console.log('\n2️⃣ Testing chunks record exact start/end pages and offsets')
+    const pages = [
+      { page: 1, text: sentence('Heat').repeat(8) },
+      { page: 2, text: sentence('Work').repeat(8) },
+      { page: 3, text: sentence('Entropy').repeat(8) }
+    ]
+    const chunks = extractPageChunks(pages, { chunkSize: 400, overlap: 50 })
+    const fullText = pages.map(page => page.text).join('\n\n')
+
+    chunks.forEach(chunk => {
+      assert.strictEqual(fullText.slice(chunk.startChar, chunk.endChar), chunk.text)
+      assert.strictEqual(chunk.metadata.confidence, 'exact')
+      assert.ok(pages[chunk.startPage - 1].text.slice(chunk.startPageChar).startsWith(chunk.text.slice(0, 20)))
+    })
+
+    const spanning = chunks.find(chunk => chunk.startPage !== chunk.endPage)
+    assert.ok(spanning, 'expected a chunk crossing a page boundary')
+    assert.strictEqual(spanning.pageRange, `${spanning.startPage}-${spanning.endPage}`)
+    assert.strictEqual(chunks[0].page, 1)
+    assert.strictEqual(chunks[chunks.length - 1].endPage, 3)
+    console.log('   Result:', chunks.map(chunk => `#${chunk.chunkIndex} p.${chunk.pageRange} [${chunk.startChar}-${chunk.endChar}]`))
+
+    console.log('\n3️⃣ Testing the embedding pipeline prefers page text over estimation')
+    const exact = processPDFForEmbeddings({ text: fullText, pages, numpages: 3 }, { chunkSize: 400 })
+    const estimated = processPDFForEmbeddings({ text: fullText, numpages: 3 }, { chunkSize: 400 })
+    assert.strictEqual(exact.metadata.pageAccuracy, 'exact')
+    assert.ok(exact.chunks.every(chunk => chunk.metadata.confidence === 'exact'))
+    assert.strictEqual(estimated.metadata.pageAccuracy, 'estimated')
+    console.log('   Result:', exact.metadata.pageAccuracy, 'vs', estimated.metadata.pageAccuracy)
+
+    console.log('\n✅ Page-Exact Chunking Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testPageChunking()
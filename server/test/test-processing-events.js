@@ -0,0 +1,106 @@
+/**
+ * Simple test for PDF processing progress events
+ * Checks overall percent per stage, stage ETA, what reaches subscribers and storage,
+ * and that the events route tells a failed lookup apart from a missing PDF
+ */
+
+import assert from 'assert'
+import express from 'express'
+import { randomUUID } from 'crypto'
+import authService from '../services/authService.js'
+import apiRoutes from '../routes/index.js'
+import { setDatabaseDriver } from '../repositories/index.js'
+import {
+  overallPercent,
+  estimateRemainingSeconds,
+  createProgressTracker,
+  subscribeToProgress,
+  getLatestProgress
+} from '../services/processingEvents.js'
+
+async function testProcessingEvents() {
+  console.log('🧪 Testing Processing Progress Events...\n')
+
+  try {
+    console.log('1️⃣ Testing overall percent moves forward through the stages')
+    const withoutOCR = [
+      overallPercent('parsing', 1),
+      overallPercent('chunking', 0),
+      overallPercent('embedding', 0.5),
+      overallPercent('indexing', 0),
+      overallPercent('completed')
+    ]
+    assert.deepStrictEqual(withoutOCR, [10, 10, 55, 97, 100])
+    assert.strictEqual(overallPercent('ocr', 0.5, { ocr: true }), 25)
+    assert.ok(overallPercent('embedding', 0, { ocr: true }) > overallPercent('ocr', 1, { ocr: true }) - 1)
+    console.log('   Result:', withoutOCR)
+
+    console.log('\n2️⃣ Testing stage ETA from the observed rate')
+    const startedAt = 1_000_000
+    assert.strictEqual(estimateRemainingSeconds({ current: 20, total: 100, startedAt, now: startedAt + 10_000 }), 40)
+    // Chunks embedded before a resume don't count towards the rate
+    assert.strictEqual(estimateRemainingSeconds({ current: 60, total: 100, startCount: 50, startedAt, now: startedAt + 5_000 }), 20)
+    assert.strictEqual(estimateRemainingSeconds({ current: 0, total: 100, startedAt, now: startedAt + 5_000 }), null)
+    assert.strictEqual(estimateRemainingSeconds({ current: 100, total: 100, startedAt, now: startedAt + 5_000 }), 0)
+    console.log('   Result: 40s, 20s after resume, unknown before the first unit')
+
+    console.log('\n3️⃣ Testing tracker events reach subscribers and are persisted on stage changes')
+    const pdfId = 'pdf-progress-test'
+    const received = []
+    const persisted = []
+    const unsubscribe = subscribeToProgress(pdfId, event => received.push(event))
+    const tracker = createProgressTracker(pdfId, { persist: async event => persisted.push(event) })
+
+    await tracker.update('parsing', { current: 1, total: 2 })
+    await tracker.update('parsing', { current: 2, total: 2 })
+    await tracker.update('embedding', { current: 0, total: 40 })
+    await tracker.update('embedding', { current: 10, total: 40 })
+    await tracker.update('completed', { current: 40, total: 40 })
+    unsubscribe()
+
+    assert.deepStrictEqual(received.map(event => event.stage), ['parsing', 'parsing', 'embedding', 'embedding', 'completed'])
+    assert.deepStrictEqual(received.map(event => event.percent), [5, 10, 12, 33, 100])
+    // Throttled: updates within the same stage inside a second are not written
+    assert.deepStrictEqual(persisted.map(event => event.stage), ['parsing', 'embedding', 'completed'])
+    assert.strictEqual(received[4].etaSeconds, null)
+    assert.strictEqual(getLatestProgress(pdfId).stage, 'completed')
+    console.log('   Result:', received.map(event => `${event.stage} ${event.percent}%`))
+
+    console.log('\n4️⃣ Testing a failed status lookup is reported on the stream, not as a missing PDF')
+    const owner = { id: randomUUID(), email: 'owner@example.com' }
+    authService.verifySession = async token => token === 'owner-token' ? { valid: true, user: owner } : { valid: false }
+    let lookup = async () => { throw new Error('connection refused') }
+    setDatabaseDriver({
+      name: 'flaky',
+      pdfFiles: { findById: (...args) => lookup(...args) },
+      processingJobs: { findLatestByPdf: async () => null }
+    })
+
+    const app = express()
+    app.use(apiRoutes)
+    const server = app.listen(0)
+    const eventsUrl = `http://127.0.0.1:${server.address().port}/api/pdf/${randomUUID()}/events`
+    const headers = { Authorization: 'Bearer owner-token' }
+
+    try {
+      const failed = await fetch(eventsUrl, { headers })
+      assert.strictEqual(failed.status, 200)
+      assert.match(await failed.text(), /^event: error\n/)
+
+      lookup = async () => null
+      assert.strictEqual((await fetch(eventsUrl, { headers })).status, 404)
+    } finally {
+      server.close()
+    }
+    console.log('   Result: outage -> error event, missing PDF -> 404')
+
+    console.log('\n✅ Processing Progress Events Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testProcessingEvents()
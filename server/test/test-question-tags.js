@@ -0,0 +1,86 @@
+/**
+ * Simple test for question difficulty / Bloom level tagging
+ * Checks request validation, label normalization, sourcePage checks and the per-level breakdown
+ */
+
+import assert from 'assert'
+import {
+  normalizeBloomLevel,
+  normalizeDifficulty,
+  parseQuestionTargets,
+  tagQuestions,
+  levelBreakdown
+} from '../services/questionTags.js'
+
+async function testQuestionTags() {
+  console.log('🧪 Testing Question Tags...\n')
+
+  try {
+    console.log('1️⃣ Testing request targets')
+    assert.deepStrictEqual(parseQuestionTargets({}).targets, { difficulty: 'mixed', bloomLevels: [] })
+    assert.deepStrictEqual(
+      parseQuestionTargets({ difficulty: 'Hard', bloomLevels: ['evaluate', 'Analysis', 'apply'] }).targets,
+      { difficulty: 'hard', bloomLevels: ['apply', 'analyze', 'evaluate'] }
+    )
+    assert.ok(parseQuestionTargets({ difficulty: 'impossible' }).error)
+    assert.ok(parseQuestionTargets({ bloomLevels: ['memorize'] }).error)
+    assert.ok(parseQuestionTargets({ bloomLevels: 'apply' }).error)
+    console.log('   Result: valid targets parsed, unknown levels rejected')
+
+    console.log('\n2️⃣ Testing label normalization')
+    assert.deepStrictEqual(
+      ['Remembering', 'understanding', 'Applying', 'analysing', 'Evaluating', 'creating', 'Synthesis'].map(normalizeBloomLevel),
+      ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create', 'create']
+    )
+    assert.strictEqual(normalizeBloomLevel('guessing'), null)
+    assert.strictEqual(normalizeDifficulty('Challenging'), 'hard')
+    assert.strictEqual(normalizeDifficulty(3), null)
+    console.log('   Result: gerunds, aliases and older taxonomy names accepted')
+
+    console.log('\n3️⃣ Testing questions are validated and filled in')
+    const tagged = tagQuestions({
+      mcq: [
+        { question: 'Q1', difficulty: 'EASY', bloomLevel: 'Recall', pages: [12, 13], sourcePage: 13 },
+        { question: 'Q2', difficulty: 'extreme', bloomLevel: 'vibes', pages: [20], sourcePage: 99 }
+      ],
+      shortAnswer: [{ question: 'Q3', pages: [] }],
+      longAnswer: []
+    }, { difficulty: 'hard', bloomLevels: ['analyze'] })
+
+    assert.deepStrictEqual(
+      tagged.mcq.map(({ difficulty, bloomLevel, sourcePage }) => ({ difficulty, bloomLevel, sourcePage })),
+      [
+        { difficulty: 'easy', bloomLevel: 'remember', sourcePage: 13 },
+        { difficulty: 'hard', bloomLevel: 'analyze', sourcePage: 20 }
+      ]
+    )
+    assert.strictEqual(tagged.shortAnswer[0].sourcePage, null)
+    assert.strictEqual(tagQuestions({ mcq: [{ question: 'Q' }] }, { difficulty: 'mixed', bloomLevels: [] }).mcq[0].bloomLevel, null)
+    console.log('   Result:', tagged.mcq.map(question => `${question.difficulty}/${question.bloomLevel}/p${question.sourcePage}`))
+
+    console.log('\n4️⃣ Testing the per-level breakdown')
+    const breakdown = levelBreakdown([
+      { question: { difficulty: 'hard', bloomLevel: 'analyze' }, score: 0 },
+      { question: { difficulty: 'easy', bloomLevel: 'remember' }, score: 1 },
+      { question: { difficulty: 'easy', bloomLevel: 'remember' }, score: 0.5 },
+      { question: { difficulty: 'medium', bloomLevel: null }, score: 0.7 },
+      { question: undefined, score: 1 }
+    ])
+    assert.deepStrictEqual(breakdown.difficulty, {
+      easy: { questions: 2, score: 75 },
+      medium: { questions: 1, score: 70 },
+      hard: { questions: 1, score: 0 }
+    })
+    assert.deepStrictEqual(Object.keys(breakdown.bloomLevel), ['remember', 'analyze'])
+    console.log('   Result:', breakdown)
+
+    console.log('\n✅ Question Tags Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testQuestionTags()
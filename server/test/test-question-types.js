@@ -0,0 +1,125 @@
+/**
+ * Simple test for quiz question types
+ * Checks type counts, normalization of generated questions, deterministic grading and scoring
+ */
+
+import assert from 'assert'
+import {
+  parseQuestionCounts,
+  normalizeQuiz,
+  gradeAnswer,
+  weightedScore,
+  parseNumber
+} from '../services/questionTypes.js'
+import { toPublicQuiz } from '../services/quizService.js'
+
+const generated = {
+  mcq: [
+    { question: 'Which law?', options: ['First', 'Second', 'Third', 'Zeroth'], correctAnswerIndex: 1 },
+    { question: 'Broken', options: ['Only one'], correctAnswerIndex: 3 }
+  ],
+  trueFalse: [
+    { question: 'Entropy of an isolated system never decreases.', correctAnswer: 'True' },
+    { question: 'No key', correctAnswer: 'maybe' }
+  ],
+  multiSelect: [
+    { question: 'Which are state functions?', options: ['Enthalpy', 'Work', 'Entropy', 'Heat'], correctAnswerIndexes: [2, 0, 2, 9] }
+  ],
+  cloze: [
+    { question: 'The ____ law relates pressure and ____.', answers: [['Boyle\'s', 'Boyle'], 'volume'] },
+    { question: 'Two ____ blanks ____', answers: ['only one'] }
+  ],
+  matching: [
+    { question: 'Match the units', pairs: [{ left: 'Force', right: 'Newton' }, { left: 'Energy', right: 'Joule' }, { left: 'Power', right: 'Watt' }] }
+  ],
+  numeric: [
+    { question: 'g in m/s²?', answer: '9.81', tolerance: 0.05, unit: 'm/s²' }
+  ],
+  longAnswer: [{ question: 'Not requested' }]
+}
+
+const counts = { mcq: 2, trueFalse: 2, multiSelect: 1, cloze: 2, matching: 1, numeric: 1 }
+
+async function testQuestionTypes() {
+  console.log('🧪 Testing Quiz Question Types...\n')
+
+  try {
+    console.log('1️⃣ Testing requested question counts')
+    assert.deepStrictEqual(parseQuestionCounts(undefined).counts, { mcq: 3, shortAnswer: 2, longAnswer: 1 })
+    assert.deepStrictEqual(parseQuestionCounts({ trueFalse: 4, mcq: 0 }).counts, { trueFalse: 4 })
+    assert.ok(parseQuestionCounts({ essay: 1 }).error)
+    assert.ok(parseQuestionCounts({ constructor: 1 }).error)
+    assert.ok(parseQuestionCounts(JSON.parse('{"__proto__": 1}')).error)
+    assert.ok(parseQuestionCounts({ mcq: 0 }).error)
+    assert.ok(parseQuestionCounts({ numeric: 2.5 }).error)
+    console.log('   Result: defaults kept, unknown types and empty quizzes rejected')
+
+    console.log('\n2️⃣ Testing generated questions are normalized per type')
+    // random() = 0.99 keeps the shuffle from moving anything, so the key is predictable
+    const quiz = normalizeQuiz(generated, counts, { random: () => 0.99 })
+    assert.deepStrictEqual(Object.keys(quiz), Object.keys(counts))
+    assert.strictEqual(quiz.mcq.length, 1)
+    assert.strictEqual(quiz.trueFalse.length, 1)
+    assert.strictEqual(quiz.trueFalse[0].correctAnswer, true)
+    assert.deepStrictEqual(quiz.multiSelect[0].correctAnswerIndexes, [0, 2])
+    assert.strictEqual(quiz.cloze.length, 1)
+    assert.strictEqual(quiz.cloze[0].blankCount, 2)
+    assert.strictEqual(quiz.cloze[0].answers, undefined)
+    assert.deepStrictEqual(quiz.matching[0].left, ['Force', 'Energy', 'Power'])
+    assert.strictEqual(quiz.matching[0].pairs, undefined)
+    assert.deepStrictEqual(quiz.matching[0].correctMatches.map(index => quiz.matching[0].right[index]), ['Newton', 'Joule', 'Watt'])
+    assert.strictEqual(quiz.numeric[0].correctValue, 9.81)
+    assert.strictEqual(quiz.numeric[0].answer, undefined)
+    console.log('   Result:', Object.entries(quiz).map(([type, questions]) => `${type}:${questions.length}`).join(', '))
+
+    console.log('\n3️⃣ Testing the public quiz carries no answer keys')
+    const publicQuiz = JSON.stringify(toPublicQuiz(quiz))
+    for (const field of ['correctAnswerIndex', 'correctAnswer"', 'correctAnswerIndexes', 'acceptedAnswers', 'correctMatches', 'correctValue']) {
+      assert.ok(!publicQuiz.includes(field), `${field} leaked`)
+    }
+    assert.ok(publicQuiz.includes('"blankCount":2'))
+    assert.ok(publicQuiz.includes('"tolerance":0.05'))
+    console.log('   Result: keys stripped, blank count and tolerance kept')
+
+    console.log('\n4️⃣ Testing deterministic grading')
+    assert.strictEqual(gradeAnswer('mcq', quiz.mcq[0], { selectedAnswer: 1 }).isCorrect, true)
+    assert.strictEqual(gradeAnswer('trueFalse', quiz.trueFalse[0], { selectedAnswer: 'false' }).score, 0)
+    assert.strictEqual(gradeAnswer('multiSelect', quiz.multiSelect[0], { selectedAnswers: [0, 2] }).isCorrect, true)
+    assert.strictEqual(gradeAnswer('multiSelect', quiz.multiSelect[0], { selectedAnswers: [0] }).score, 0.5)
+    assert.strictEqual(gradeAnswer('multiSelect', quiz.multiSelect[0], { selectedAnswers: [0, 1] }).score, 0)
+    const cloze = gradeAnswer('cloze', quiz.cloze[0], { answers: ['  boyle ', 'Volume.'] })
+    assert.strictEqual(cloze.isCorrect, true)
+    assert.deepStrictEqual(gradeAnswer('cloze', quiz.cloze[0], { answers: ['Charles'] }).blanks, [false, false])
+    const matching = gradeAnswer('matching', quiz.matching[0], { matches: [0, 2, 1] })
+    assert.deepStrictEqual(matching.matchResults, [true, false, false])
+    assert.strictEqual(Math.round(matching.score * 100), 33)
+    assert.strictEqual(gradeAnswer('numeric', quiz.numeric[0], { value: '9.85' }).isCorrect, true)
+    assert.strictEqual(gradeAnswer('numeric', quiz.numeric[0], { value: '9.9' }).isCorrect, false)
+    assert.strictEqual(gradeAnswer('numeric', quiz.numeric[0], { value: 'nine' }).isCorrect, false)
+    assert.strictEqual(gradeAnswer('numeric', { correctValue: 0.3, tolerance: 0 }, { value: 0.1 + 0.2 }).isCorrect, true)
+    assert.strictEqual(parseNumber('1,234.5'), 1234.5)
+    console.log('   Result: all objective types graded without the model')
+
+    console.log('\n5️⃣ Testing overall score weighting')
+    // Only MCQs: 100% of the weight
+    assert.strictEqual(weightedScore([{ type: 'mcq', score: 1 }, { type: 'mcq', score: 0 }]), 50)
+    // Objective (40%) counts every objective type together; short 30%, long 30%
+    assert.strictEqual(weightedScore([
+      { type: 'mcq', score: 1 },
+      { type: 'numeric', score: 0 },
+      { type: 'shortAnswer', score: 1 },
+      { type: 'longAnswer', score: 0.5 }
+    ]), 65)
+    assert.strictEqual(weightedScore([]), 0)
+    console.log('   Result: 50%, 65%, 0%')
+
+    console.log('\n✅ Quiz Question Types Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testQuestionTypes()
@@ -0,0 +1,124 @@
+/**
+ * Simple test for quiz export
+ * Checks Moodle XML, GIFT, the QTI package, the worksheet and answer key, and skipped-question reporting
+ */
+
+import assert from 'assert'
+import { inflateRawSync } from 'zlib'
+import { exportQuiz, exportSummary, listQuestions } from '../services/quizExport.js'
+
+const quiz = {
+  mcq: [{ question: 'Which gas do plants absorb?', options: ['Oxygen', 'Carbon dioxide', 'Nitrogen', 'Helium'], correctAnswerIndex: 1 }],
+  trueFalse: [{ question: 'Chlorophyll is green.', correctAnswer: true }],
+  multiSelect: [{ question: 'Which are products of photosynthesis?', options: ['Glucose', 'Oxygen', 'Water', 'Salt'], correctAnswerIndexes: [0, 1] }],
+  cloze: [
+    { question: 'The ____ is the powerhouse of the cell.', blankCount: 1, acceptedAnswers: [['mitochondrion', 'mitochondria']] },
+    { question: 'Light reactions happen in the ____, the Calvin cycle in the ____.', blankCount: 2, acceptedAnswers: [['thylakoid'], ['stroma']] }
+  ],
+  matching: [{ question: 'Match the organelle', left: ['Nucleus', 'Ribosome'], right: ['Protein synthesis', 'Genetic material'], correctMatches: [1, 0] }],
+  numeric: [{ question: 'Speed of light', correctValue: 299792, tolerance: 10, unit: 'km/s' }],
+  shortAnswer: [{ question: 'Why are leaves green? <Explain>', referenceAnswer: 'Chlorophyll reflects green light', rubric: [{ criterion: 'Mentions chlorophyll', points: 2 }] }]
+}
+
+// Entries of a ZIP archive, read back through its central directory
+function readZip(buffer) {
+  const files = {}
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]))
+  let offset = buffer.readUInt32LE(end + 16)
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const size = buffer.readUInt32LE(offset + 20)
+    const local = buffer.readUInt32LE(offset + 42)
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+    const start = local + 30 + buffer.readUInt16LE(local + 26)
+    files[name] = inflateRawSync(buffer.subarray(start, start + size)).toString('utf8')
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30)
+  }
+  return files
+}
+
+async function testQuizExport() {
+  console.log('🧪 Testing Quiz Export...\n')
+
+  try {
+    console.log('1️⃣ Testing questions are numbered across sections')
+    const items = listQuestions(quiz)
+    assert.strictEqual(items.length, 8)
+    assert.deepStrictEqual(items.map(item => item.number), [1, 2, 3, 4, 5, 6, 7, 8])
+    assert.deepStrictEqual(items[4], { type: 'cloze', questionIndex: 1, number: 5, question: quiz.cloze[1] })
+    console.log('   Result:', items.map(item => `${item.number}:${item.type}`).join(' '))
+
+    console.log('\n2️⃣ Testing Moodle XML')
+    const moodle = exportQuiz(quiz, 'moodle', { title: 'Biology & Cells' })
+    assert.strictEqual(moodle.filename, 'biology-cells.xml')
+    assert.deepStrictEqual(moodle.skipped, [])
+    assert.ok(moodle.content.includes('<category><text>$course$/Biology &amp; Cells</text></category>'))
+    assert.ok(moodle.content.includes('<answer fraction="100" format="plain_text">\n      <text>Carbon dioxide</text>'))
+    assert.ok(moodle.content.includes('<answer fraction="-50" format="plain_text">\n      <text>Water</text>'))
+    assert.ok(moodle.content.includes('{1:SHORTANSWER:=thylakoid}, the Calvin cycle in the {1:SHORTANSWER:=stroma}'))
+    assert.ok(moodle.content.includes('<text>Nucleus</text>\n      <answer><text>Genetic material</text></answer>'))
+    assert.ok(moodle.content.includes('<tolerance>10</tolerance>'))
+    assert.ok(moodle.content.includes('Why are leaves green? &lt;Explain&gt;'))
+    assert.ok(moodle.content.includes('<defaultgrade>2</defaultgrade>'))
+    console.log('   Result:', (moodle.content.match(/<question type="(?!category)/g) || []).length, 'questions')
+
+    console.log('\n3️⃣ Testing GIFT reports what it cannot represent')
+    const gift = exportQuiz(quiz, 'gift')
+    assert.deepStrictEqual(gift.skipped.map(({ number, reason }) => ({ number, reason })), [
+      { number: 5, reason: 'GIFT allows only one blank per question' },
+      { number: 6, reason: 'GIFT matching questions need at least three pairs' }
+    ])
+    assert.ok(gift.content.includes('::Q1:: Which gas do plants absorb? {\n  ~Oxygen\n  =Carbon dioxide'))
+    assert.ok(gift.content.includes('::Q2:: Chlorophyll is green. {T}'))
+    assert.ok(gift.content.includes('~%50%Glucose'))
+    assert.ok(gift.content.includes('::Q4:: The {=mitochondrion =mitochondria} is the powerhouse of the cell.'))
+    assert.ok(gift.content.includes('(answer in km/s) {#299792:10}'))
+    assert.ok(gift.content.includes('// Reference answer: Chlorophyll reflects green light'))
+    assert.ok(!gift.content.includes('::Q5::'))
+    console.log('   Result: skipped', gift.skipped.map(item => item.number))
+
+    console.log('\n4️⃣ Testing the QTI 2.1 package')
+    const qti = exportQuiz(quiz, 'qti')
+    assert.ok(Buffer.isBuffer(qti.content))
+    const files = readZip(qti.content)
+    assert.strictEqual(Object.keys(files).length, 10)
+    assert.ok(files['imsmanifest.xml'].includes('type="imsqti_item_xmlv2p1" href="items/item-8.xml"'))
+    assert.ok(files['assessment.xml'].includes('<assessmentItemRef identifier="item-1" href="items/item-1.xml"/>'))
+    assert.ok(files['items/item-1.xml'].includes('<value>choice-1</value>'))
+    assert.ok(files['items/item-5.xml'].includes('<textEntryInteraction responseIdentifier="RESPONSE_2"'))
+    assert.ok(files['items/item-6.xml'].includes('<value>L0 R1</value>'))
+    assert.ok(files['items/item-7.xml'].includes('toleranceMode="absolute" tolerance="10 10"'))
+    assert.ok(files['items/item-8.xml'].includes('<rubricBlock view="scorer">'))
+    console.log('   Result:', Object.keys(files).length, 'files in the package')
+
+    console.log('\n5️⃣ Testing the worksheet keeps answers out and the key has them')
+    const worksheet = exportQuiz(quiz, 'worksheet', { title: 'Cells' })
+    const answerKey = exportQuiz(quiz, 'answerKey', { title: 'Cells' })
+    assert.strictEqual(worksheet.filename, 'cells.html')
+    assert.strictEqual(answerKey.filename, 'cells.answer-key.html')
+    assert.ok(!worksheet.content.includes('mitochondrion'))
+    assert.ok(!worksheet.content.includes('Chlorophyll reflects'))
+    assert.ok(answerKey.content.includes('(1) mitochondrion / mitochondria'))
+    assert.ok(answerKey.content.includes('299792 km/s (±10)'))
+    assert.ok(answerKey.content.includes('1 → B (Nucleus → Genetic material)'))
+    console.log('   Result: worksheet', worksheet.content.length, 'chars, answer key', answerKey.content.length, 'chars')
+
+    console.log('\n6️⃣ Testing the export summary per format')
+    const summary = Object.fromEntries(exportSummary(quiz).map(entry => [entry.format, entry]))
+    assert.deepStrictEqual(Object.keys(summary), ['moodle', 'gift', 'qti', 'worksheet', 'answerKey'])
+    assert.strictEqual(summary.gift.exported, 6)
+    assert.strictEqual(summary.qti.skipped.length, 0)
+    assert.throws(() => exportQuiz(quiz, 'docx'), /Unknown export format/)
+    assert.throws(() => exportQuiz(quiz, 'constructor'), /Unknown export format/)
+    console.log('   Result:', Object.values(summary).map(entry => `${entry.format}:${entry.exported}`).join(' '))
+
+    console.log('\n✅ Quiz Export Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testQuizExport()
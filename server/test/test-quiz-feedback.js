@@ -0,0 +1,99 @@
+/**
+ * Simple test for grounded quiz feedback
+ * Scripts passage search and the fake LLM provider, and checks explanations and page citations
+ */
+
+import assert from 'assert'
+import { setLLMProvider, setFakeResponder } from '../services/llmService.js'
+import { groundQuizFeedback, parseFeedbackExplanations } from '../services/quizFeedbackService.js'
+
+const quiz = {
+  mcq: [
+    { question: 'Which law says entropy never decreases?', options: ['First', 'Second'], correctAnswerIndex: 1 },
+    { question: 'Which quantity is conserved?', options: ['Energy', 'Entropy'], correctAnswerIndex: 0 }
+  ],
+  shortAnswer: [
+    { question: 'Define entropy.', referenceAnswer: 'A measure of the number of microstates.' }
+  ]
+}
+
+const sectionResults = {
+  mcq: [
+    { questionIndex: 1, isCorrect: false, score: 0, explanation: 'The correct answer is A: Energy' },
+    { questionIndex: 0, isCorrect: true, score: 1, explanation: 'The correct answer is B: Second' }
+  ],
+  shortAnswer: [
+    { questionIndex: 0, status: 'ungraded', score: null, answer: 'Disorder', feedback: 'Retry' }
+  ]
+}
+
+const passagesByQuestion = {
+  'Which quantity is conserved?': [
+    { id: 'p12', text: 'The first law states that energy is conserved in every process.', pages: { start: 12, end: 12 } },
+    { id: 'p40', text: 'Course logistics.', pages: { start: 40, end: 41 } }
+  ],
+  'Which law says entropy never decreases?': [
+    { id: 'p30', text: 'By the second law, the entropy of an isolated system never decreases.', pages: { start: 30, end: 31 } }
+  ]
+}
+
+const search = async (pdfId, query) => Object.entries(passagesByQuestion)
+  .find(([question]) => query.startsWith(question))?.[1] || []
+
+async function testQuizFeedback() {
+  console.log('🧪 Testing Grounded Quiz Feedback...\n')
+
+  try {
+    setLLMProvider('fake')
+
+    console.log('1️⃣ Testing explanations cite the passages they rely on')
+    let prompt = ''
+    setFakeResponder((messages) => {
+      prompt = messages[messages.length - 1].content
+      return { explanations: [{ id: 1, explanation: 'The first law conserves energy (p. 12).', passages: [1] }] }
+    })
+    const grounded = await groundQuizFeedback('pdf-1', quiz, sectionResults, { search })
+    assert.ok(prompt.includes('[1 — page 12]'))
+    assert.ok(prompt.includes('Student answered incorrectly.'))
+    assert.strictEqual(grounded.mcq[0].groundedExplanation, 'The first law conserves energy (p. 12).')
+    assert.deepStrictEqual(grounded.mcq[0].citations.map(citation => citation.page), [12])
+    assert.strictEqual(grounded.mcq[0].citations[0].pdfId, 'pdf-1')
+    assert.strictEqual(grounded.mcq[0].explanation, 'The correct answer is A: Energy')
+    console.log('   Result:', grounded.mcq[0].citations.map(citation => `p. ${citation.page}`))
+
+    console.log('\n2️⃣ Testing questions without an explanation still get page pointers')
+    assert.strictEqual(grounded.mcq[1].groundedExplanation, undefined)
+    assert.deepStrictEqual(grounded.mcq[1].citations.map(citation => citation.pages), [{ start: 30, end: 31 }])
+    console.log('   Result:', grounded.mcq[1].citations.length, 'citation')
+
+    console.log('\n3️⃣ Testing ungraded answers and the input are left untouched')
+    assert.deepStrictEqual(grounded.shortAnswer[0], sectionResults.shortAnswer[0])
+    assert.strictEqual(sectionResults.mcq[0].citations, undefined)
+    console.log('   Result: ungraded answer skipped')
+
+    console.log('\n4️⃣ Testing model failure keeps grading and retrieved citations')
+    setFakeResponder(() => 'Not JSON at all')
+    const fallback = await groundQuizFeedback('pdf-1', quiz, sectionResults, { search })
+    assert.strictEqual(fallback.mcq[0].groundedExplanation, undefined)
+    assert.deepStrictEqual(fallback.mcq[0].citations.map(citation => citation.page), [12, 40])
+    assert.strictEqual(fallback.mcq[0].isCorrect, false)
+    const noPdf = await groundQuizFeedback(null, quiz, sectionResults, { search })
+    assert.strictEqual(noPdf, sectionResults)
+    console.log('   Result:', fallback.mcq[0].citations.length, 'citations without explanations')
+
+    console.log('\n5️⃣ Testing explanation parsing ignores malformed entries')
+    const parsed = parseFeedbackExplanations({ explanations: [{ id: '2', explanation: ' Ok ', passages: ['1', 'x'] }, { id: 3 }] })
+    assert.deepStrictEqual([...parsed.entries()], [[2, { explanation: 'Ok', passages: [1] }]])
+    console.log('   Result:', parsed.size, 'explanation kept')
+
+    setFakeResponder(null)
+    console.log('\n✅ Grounded Quiz Feedback Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testQuizFeedback()
@@ -0,0 +1,117 @@
+/**
+ * Simple test for grading submissions against the stored quiz
+ * Checks every stored question is scored exactly once, whatever the client posts, and that
+ * exports carrying the answers wait for the submission
+ */
+
+import assert from 'assert'
+import express from 'express'
+import { randomUUID } from 'crypto'
+import { supabase } from '../supabaseClient.js'
+import authService from '../services/authService.js'
+import apiRoutes from '../routes/index.js'
+import { setLLMProvider } from '../services/llmService.js'
+import { createMemorySupabase } from './helpers/memorySupabase.js'
+
+const student = { id: randomUUID(), email: 'student@example.com' }
+
+const questions = {
+  mcq: [
+    { question: 'Q1?', options: ['A', 'B'], correctAnswerIndex: 0 },
+    { question: 'Q2?', options: ['A', 'B'], correctAnswerIndex: 1 },
+    { question: 'Q3?', options: ['A', 'B'], correctAnswerIndex: 0 },
+    { question: 'Q4?', options: ['A', 'B'], correctAnswerIndex: 1 }
+  ]
+}
+
+const memory = createMemorySupabase({ quizzes: [] })
+
+function addQuiz() {
+  const id = randomUUID()
+  memory.tables.quizzes.push({ id, user_id: student.id, pdf_id: null, questions, mode: 'practice', created_at: new Date().toISOString() })
+  return id
+}
+
+async function submit(baseUrl, quizId, answers) {
+  const response = await fetch(`${baseUrl}/api/analyze-quiz`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer student-token' },
+    body: JSON.stringify({ quizId, answers })
+  })
+  return { status: response.status, body: await response.json() }
+}
+
+async function download(baseUrl, quizId, format) {
+  const response = await fetch(`${baseUrl}/api/quiz/${quizId}/export/${format}`, { headers: { Authorization: 'Bearer student-token' } })
+  return response.status
+}
+
+async function testQuizGrading() {
+  console.log('🧪 Testing Quiz Grading...\n')
+
+  supabase.from = memory.from
+  supabase.rpc = memory.rpc
+  authService.verifySession = async token => token === 'student-token' ? { valid: true, user: student } : { valid: false }
+  setLLMProvider('fake')
+
+  const app = express()
+  app.use(express.json())
+  app.use(apiRoutes)
+  const server = app.listen(0)
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+
+  try {
+    console.log('1️⃣ Testing unanswered questions count as wrong')
+    const partial = await submit(baseUrl, addQuiz(), { mcq: [{ questionIndex: 0, selectedAnswer: 0 }] })
+    assert.strictEqual(partial.status, 200)
+    assert.deepStrictEqual(partial.body.results.mcq.map(result => result.questionIndex), [0, 1, 2, 3])
+    assert.deepStrictEqual(partial.body.results.mcq.map(result => result.score), [1, 0, 0, 0])
+    assert.strictEqual(partial.body.results.overallScore, 25)
+    console.log('   Result: 1 of 4 answered scores', partial.body.results.overallScore)
+
+    console.log('\n2️⃣ Testing repeated and out-of-range questions are refused')
+    const repeatedQuiz = addQuiz()
+    const repeated = await submit(baseUrl, repeatedQuiz, {
+      mcq: [{ questionIndex: 0, selectedAnswer: 0 }, { questionIndex: 0, selectedAnswer: 0 }]
+    })
+    assert.strictEqual(repeated.status, 400)
+    assert.match(repeated.body.error, /more than once/)
+    const outOfRange = await submit(baseUrl, repeatedQuiz, { mcq: [{ questionIndex: 7, selectedAnswer: 0 }] })
+    assert.strictEqual(outOfRange.status, 400)
+    const notAnArray = await submit(baseUrl, repeatedQuiz, { mcq: { 0: { selectedAnswer: 0 } } })
+    assert.strictEqual(notAnArray.status, 400)
+    // Refused submissions don't use up the quiz
+    assert.strictEqual(memory.tables.quizzes.find(quiz => quiz.id === repeatedQuiz).submitted_at, undefined)
+    console.log('   Result:', repeated.body.error)
+
+    console.log('\n3️⃣ Testing empty answer entries are graded, not crashed on')
+    const withNulls = await submit(baseUrl, addQuiz(), { mcq: [null, { questionIndex: 1, selectedAnswer: 1 }] })
+    assert.strictEqual(withNulls.status, 200)
+    assert.deepStrictEqual(withNulls.body.results.mcq.map(result => result.score), [0, 1, 0, 0])
+    console.log('   Result: overall', withNulls.body.results.overallScore)
+
+    console.log('\n4️⃣ Testing answer-bearing exports wait for the submission')
+    const unsubmitted = addQuiz()
+    for (const format of ['answerKey', 'moodle', 'gift', 'qti']) {
+      assert.strictEqual(await download(baseUrl, unsubmitted, format), 409, `${format} exported before submission`)
+    }
+    assert.strictEqual(await download(baseUrl, unsubmitted, 'worksheet'), 200)
+    const listing = await (await fetch(`${baseUrl}/api/quiz/${unsubmitted}/export`, { headers: { Authorization: 'Bearer student-token' } })).json()
+    assert.deepStrictEqual(listing.formats.filter(entry => entry.available).map(entry => entry.format), ['worksheet'])
+
+    await submit(baseUrl, unsubmitted, { mcq: [] })
+    assert.strictEqual(await download(baseUrl, unsubmitted, 'answerKey'), 200)
+    console.log('   Result: answer key served only after grading')
+
+    console.log('\n✅ Quiz Grading Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  } finally {
+    server.close()
+  }
+}
+
+// Run the test
+testQuizGrading()
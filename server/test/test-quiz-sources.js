@@ -0,0 +1,83 @@
+/**
+ * Simple test for quiz source selection
+ * Checks scope parsing, coverage sampling across a span and per-question page attribution
+ */
+
+import assert from 'assert'
+import {
+  parseQuizScope,
+  chunkPages,
+  sampleChunksForCoverage,
+  formatQuizSources,
+  attachQuestionPages,
+  coveredPages
+} from '../services/quizSourceService.js'
+
+async function testQuizSources() {
+  console.log('🧪 Testing Quiz Source Selection...\n')
+
+  try {
+    console.log('1️⃣ Testing topic / page range / chapter parsing')
+    assert.deepStrictEqual(parseQuizScope({}).scope, { topic: null, pageRange: null, chapters: [] })
+    assert.deepStrictEqual(parseQuizScope({ pageRange: '12-40' }).scope.pageRange, { start: 12, end: 40 })
+    assert.deepStrictEqual(parseQuizScope({ pageRange: { start: 7 } }).scope.pageRange, { start: 7, end: 7 })
+    assert.deepStrictEqual(
+      parseQuizScope({ topic: '  entropy ', chapters: ['Chapter 2', ' ', 'Chapter 2', 'Chapter 5'] }).scope,
+      { topic: 'entropy', pageRange: null, chapters: ['Chapter 2', 'Chapter 5'] }
+    )
+    assert.ok(parseQuizScope({ pageRange: '40-12' }).error)
+    assert.ok(parseQuizScope({ pageRange: 'intro' }).error)
+    assert.ok(parseQuizScope({ chapters: 'Chapter 1' }).error)
+    console.log('   Result: valid scopes parsed, reversed/unparseable ranges rejected')
+
+    console.log('\n2️⃣ Testing sampling spreads picks across a 300-page book')
+    const book = Array.from({ length: 300 }, (_, index) => ({
+      id: `c${index}`,
+      chunk_index: index,
+      page: index + 1,
+      metadata: { start_page: index + 1, end_page: index + 1 }
+    }))
+    const picks = sampleChunksForCoverage(book, 10, { random: () => 0 })
+    assert.strictEqual(picks.length, 10)
+    assert.deepStrictEqual(picks.map(chunk => chunk.page), [1, 31, 61, 91, 121, 151, 181, 211, 241, 271])
+    console.log('   Result: pages', picks.map(chunk => chunk.page).join(', '))
+
+    console.log('\n3️⃣ Testing the best-scoring chunk wins within each stratum')
+    const scored = book.slice(0, 20).map(chunk => ({ ...chunk, score: chunk.chunk_index % 5 === 3 ? 1 : 0.1 }))
+    const scoredPicks = sampleChunksForCoverage(scored, 4, { random: () => 0 })
+    assert.deepStrictEqual(scoredPicks.map(chunk => chunk.chunk_index), [3, 8, 13, 18])
+    // Fewer candidates than wanted: all of them, in document order
+    assert.deepStrictEqual(sampleChunksForCoverage([book[9], book[2]], 5).map(chunk => chunk.id), ['c2', 'c9'])
+    console.log('   Result:', scoredPicks.map(chunk => chunk.chunk_index))
+
+    console.log('\n4️⃣ Testing questions get the pages of the sources they cite')
+    const sources = [
+      { text: 'Heat engines', pages: { start: 12, end: 13 } },
+      { text: 'Entropy', pages: chunkPages({ page: 20, metadata: { start_page: 20, end_page: 20 } }) }
+    ]
+    assert.ok(formatQuizSources(sources).startsWith('[Source 1 — pages 12-13]\nHeat engines'))
+    assert.ok(formatQuizSources(sources).includes('[Source 2 — page 20]'))
+
+    const quiz = attachQuestionPages({
+      mcq: [{ question: 'Q1', options: ['a', 'b'], correctAnswerIndex: 1, sources: [2, 1] }],
+      shortAnswer: [{ question: 'Q2', sources: [9] }],
+      longAnswer: [{ question: 'Q3', sources: '2' }]
+    }, sources)
+    assert.deepStrictEqual(quiz.mcq[0].pages, [12, 13, 20])
+    assert.strictEqual(quiz.mcq[0].sources, undefined)
+    assert.strictEqual(quiz.mcq[0].correctAnswerIndex, 1)
+    assert.deepStrictEqual(quiz.shortAnswer[0].pages, [])
+    assert.deepStrictEqual(quiz.longAnswer[0].pages, [20])
+    assert.deepStrictEqual(coveredPages(sources), [12, 13, 20])
+    console.log('   Result:', quiz.mcq[0].pages, quiz.shortAnswer[0].pages, quiz.longAnswer[0].pages)
+
+    console.log('\n✅ Quiz Source Selection Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testQuizSources()
@@ -0,0 +1,161 @@
+/**
+ * Simple test for per-user rate limits and the daily AI token budget
+ * Checks the sliding window, usage charged to the requesting user, and 429s with Retry-After
+ */
+
+import assert from 'assert'
+import express from 'express'
+import { randomUUID } from 'crypto'
+import { config } from '../config/index.js'
+import { supabase } from '../supabaseClient.js'
+import { setLLMProvider, setFakeResponder, chatCompletion, streamChatCompletion, estimateUsage } from '../services/llmService.js'
+import { runWithUsageScope, getDailyUsage, tokensFromUsage, nextBudgetReset, usageDay } from '../services/usageService.js'
+import { takeRequest, rateLimit, requireTokenBudget, resetRateLimits } from '../middleware/rateLimit.js'
+import { createMemorySupabase } from './helpers/memorySupabase.js'
+
+const memory = createMemorySupabase({ ai_usage_daily: [] })
+
+// record_ai_usage() from migration 028
+async function recordUsageRpc(name, { usage_user_id, usage_day, usage_tokens }) {
+  assert.strictEqual(name, 'record_ai_usage')
+  const rows = memory.tables.ai_usage_daily
+  let row = rows.find(stored => stored.user_id === usage_user_id && stored.day === usage_day)
+  if (!row) {
+    row = { user_id: usage_user_id, day: usage_day, tokens: 0, completions: 0 }
+    rows.push(row)
+  }
+  row.tokens += usage_tokens
+  row.completions += 1
+  return { data: row.tokens, error: null }
+}
+
+async function testRateLimits() {
+  console.log('🧪 Testing Rate Limits and AI Usage...\n')
+
+  supabase.from = memory.from
+  supabase.rpc = recordUsageRpc
+  setLLMProvider('fake')
+  const userId = randomUUID()
+  let server
+
+  try {
+    console.log('1️⃣ Testing the per-minute sliding window')
+    config.rateLimitGeneration = 3
+    const start = Date.now()
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual(takeRequest('generation', userId, start + i * 1000).allowed, true)
+    }
+    const refused = takeRequest('generation', userId, start + 10000)
+    assert.strictEqual(refused.allowed, false)
+    assert.strictEqual(refused.retryAfter, 50)
+    // Another user and another route class have their own windows
+    assert.strictEqual(takeRequest('generation', randomUUID(), start + 10000).allowed, true)
+    assert.strictEqual(takeRequest('grading', userId, start + 10000).allowed, true)
+    assert.strictEqual(takeRequest('generation', userId, start + 60001).allowed, true)
+    config.rateLimitGeneration = 0
+    assert.strictEqual(takeRequest('generation', userId, start + 60002).limit, null)
+    console.log('   Result: 4th request refused, retry after', refused.retryAfter, 'seconds')
+
+    console.log('\n2️⃣ Testing token counting and the daily reset')
+    assert.strictEqual(tokensFromUsage({ total_tokens: 120 }), 120)
+    assert.strictEqual(tokensFromUsage({ prompt_tokens: 80, completion_tokens: 40 }), 120)
+    assert.strictEqual(tokensFromUsage(null), 0)
+    const lateEvening = new Date('2026-03-01T23:59:30.000Z')
+    assert.strictEqual(usageDay(lateEvening), '2026-03-01')
+    assert.strictEqual(nextBudgetReset(lateEvening).toISOString(), '2026-03-02T00:00:00.000Z')
+    console.log('   Result: resets at', nextBudgetReset(lateEvening).toISOString())
+
+    console.log('\n3️⃣ Testing completions are charged to the requesting user')
+    setFakeResponder(() => 'x'.repeat(40))
+    await chatCompletion({ messages: [{ role: 'user', content: 'not charged' }] })
+    await runWithUsageScope(userId, async () => {
+      await chatCompletion({ messages: [{ role: 'user', content: 'charged' }] })
+      for await (const part of streamChatCompletion({ messages: [{ role: 'user', content: 'streamed' }] })) {
+        assert.ok(part)
+      }
+    })
+    config.aiDailyTokenBudget = 100
+    const usage = await getDailyUsage(userId)
+    assert.strictEqual(usage.tokensUsed, 80)
+    assert.strictEqual(usage.remaining, 20)
+    assert.strictEqual(memory.tables.ai_usage_daily.length, 1)
+    console.log('   Result:', usage.tokensUsed, 'of', usage.budget, 'tokens used')
+
+    console.log('\n4️⃣ Testing streams without reported usage are charged an estimate')
+    assert.deepStrictEqual(estimateUsage([{ role: 'user', content: 'x'.repeat(40) }], 'y'.repeat(20)),
+      { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, estimated: true })
+
+    const streamingUser = randomUUID()
+    // Like Ollama: deltas, then a summary without usage
+    setLLMProvider({
+      name: 'no-usage',
+      async *stream() {
+        yield { content: 'y'.repeat(20) }
+        yield { usage: null, model: 'local' }
+      }
+    })
+    await runWithUsageScope(streamingUser, async () => {
+      for await (const part of streamChatCompletion({ messages: [{ role: 'user', content: 'x'.repeat(40) }] })) {
+        assert.ok(part)
+      }
+    })
+    assert.strictEqual((await getDailyUsage(streamingUser)).tokensUsed, 15)
+
+    // The client goes away after the first delta
+    setLLMProvider('fake')
+    setFakeResponder(() => 'word '.repeat(40))
+    const controller = new AbortController()
+    await runWithUsageScope(streamingUser, async () => {
+      for await (const part of streamChatCompletion({ messages: [{ role: 'user', content: 'x'.repeat(40) }], signal: controller.signal })) {
+        if (part.content) break
+      }
+    }).catch(() => {})
+    assert.strictEqual((await getDailyUsage(streamingUser)).tokensUsed, 15 + 10 + 2)
+    console.log('   Result:', (await getDailyUsage(streamingUser)).tokensUsed, 'estimated tokens charged')
+    setFakeResponder(() => 'x'.repeat(40))
+
+    console.log('\n5️⃣ Testing over-limit requests get 429 with Retry-After')
+    resetRateLimits()
+    config.rateLimitChat = 2
+    const app = express()
+    app.use((req, res, next) => {
+      req.user = { id: req.get('X-Test-User') }
+      next()
+    })
+    app.post('/ai', rateLimit('chat'), requireTokenBudget, async (req, res) => {
+      await chatCompletion({ messages: [{ role: 'user', content: 'answer' }] })
+      res.json({ ok: true })
+    })
+    server = app.listen(0)
+    const post = user => fetch(`http://127.0.0.1:${server.address().port}/ai`, { method: 'POST', headers: { 'X-Test-User': user } })
+
+    const first = await post(userId)
+    assert.strictEqual(first.status, 200)
+    assert.strictEqual(first.headers.get('X-RateLimit-Remaining'), '1')
+    // The budget is now spent (80 + 40 tokens), so the next request is refused until midnight UTC
+    const overBudget = await post(userId)
+    assert.strictEqual(overBudget.status, 429)
+    assert.ok(Number(overBudget.headers.get('Retry-After')) > 0)
+    assert.match((await overBudget.json()).error, /Daily AI usage limit/)
+
+    const otherUser = randomUUID()
+    assert.strictEqual((await post(otherUser)).status, 200)
+    assert.strictEqual((await post(otherUser)).status, 200)
+    const tooFast = await post(otherUser)
+    assert.strictEqual(tooFast.status, 429)
+    assert.ok(Number(tooFast.headers.get('Retry-After')) >= 59)
+    assert.strictEqual((await tooFast.json()).retryAfter, Number(tooFast.headers.get('Retry-After')))
+    console.log('   Result: budget 429 and rate 429, Retry-After', tooFast.headers.get('Retry-After'))
+
+    console.log('\n✅ Rate Limits and AI Usage Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  } finally {
+    server?.close()
+  }
+}
+
+// Run the test
+testRateLimits()
@@ -0,0 +1,57 @@
+/**
+ * Simple test for the reranking stage
+ * Scripts the fake LLM provider to score passages and checks ordering and fallbacks
+ */
+
+import assert from 'assert'
+import { config } from '../config/index.js'
+import { setLLMProvider, setFakeResponder } from '../services/llmService.js'
+import { rerankChunks, isRerankEnabled } from '../services/rerankService.js'
+
+const candidates = [
+  { id: 'a', page: 1, text: 'Course logistics and grading policy.', retrievers: ['vector'] },
+  { id: 'b', page: 4, text: 'Eq. 4.2 defines the entropy change for an isothermal process.', retrievers: ['lexical'] },
+  { id: 'c', page: 6, text: 'Entropy always increases in an isolated system.', retrievers: ['vector', 'lexical'] }
+]
+
+async function testReranker() {
+  console.log('🧪 Testing Reranking Stage...\n')
+
+  try {
+    setLLMProvider('fake')
+
+    console.log('1️⃣ Testing disabled reranker keeps retrieval order')
+    config.rerankProvider = 'none'
+    assert.strictEqual(isRerankEnabled(), false)
+    const untouched = await rerankChunks('What is Eq. 4.2?', candidates, { topN: 2 })
+    assert.deepStrictEqual(untouched.map(chunk => chunk.id), ['a', 'b'])
+    console.log('   Result:', untouched.map(chunk => chunk.id))
+
+    console.log('\n2️⃣ Testing LLM scoring reorders and trims candidates')
+    config.rerankProvider = 'llm'
+    setFakeResponder(() => JSON.stringify({ scores: [{ id: 1, score: 1 }, { id: 2, score: 9 }, { id: 3, score: 6 }] }))
+    const reranked = await rerankChunks('What is Eq. 4.2?', candidates, { topN: 2 })
+    assert.deepStrictEqual(reranked.map(chunk => chunk.id), ['b', 'c'])
+    assert.strictEqual(reranked[0].rerankScore, 0.9)
+    assert.strictEqual(reranked[0].retrievalRank, 2)
+    assert.deepStrictEqual(reranked[1].retrievers, ['vector', 'lexical'])
+    console.log('   Result:', reranked.map(chunk => `${chunk.id} (${chunk.rerankScore}, was #${chunk.retrievalRank})`))
+
+    console.log('\n3️⃣ Testing unusable scores fall back to retrieval order')
+    setFakeResponder(() => 'I cannot rate these passages.')
+    const fallback = await rerankChunks('What is Eq. 4.2?', candidates, { topN: 3 })
+    assert.deepStrictEqual(fallback.map(chunk => chunk.id), ['a', 'b', 'c'])
+    assert.strictEqual(fallback[0].rerankScore, undefined)
+    console.log('   Result:', fallback.map(chunk => chunk.id))
+
+    setFakeResponder(null)
+    console.log('\n✅ Reranking Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testReranker()
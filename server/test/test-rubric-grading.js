@@ -0,0 +1,98 @@
+/**
+ * Simple test for rubric grading of written answers
+ * Scripts the fake LLM provider and checks per-criterion credit, determinism and the ungraded state
+ */
+
+import assert from 'assert'
+import { setLLMProvider, setFakeResponder } from '../services/llmService.js'
+import { normalizeQuiz } from '../services/questionTypes.js'
+import { gradeTextAnswer, parseRubricGrade, rubricFor, GRADED, UNGRADED } from '../services/rubricGrading.js'
+import { toPublicQuiz } from '../services/quizService.js'
+
+const question = {
+  question: 'Why does entropy increase in an isolated system?',
+  referenceAnswer: 'There are far more disordered microstates than ordered ones, so spontaneous change moves towards them.',
+  rubric: [
+    { criterion: 'Mentions microstates or probability', points: 2 },
+    { criterion: 'Links it to spontaneous change', points: 2 }
+  ]
+}
+
+async function testRubricGrading() {
+  console.log('🧪 Testing Rubric Grading...\n')
+
+  try {
+    setLLMProvider('fake')
+
+    console.log('1️⃣ Testing generated rubrics are normalized and kept off the public quiz')
+    const quiz = normalizeQuiz({
+      shortAnswer: [
+        { question: 'Define entropy.', referenceAnswer: ' A measure of disorder. ', rubric: [{ criterion: 'Defines it', points: 2.6 }, { points: 3 }] },
+        { question: 'No rubric given.' }
+      ]
+    }, { shortAnswer: 2 })
+    assert.deepStrictEqual(quiz.shortAnswer[0].rubric, [{ criterion: 'Defines it', points: 3 }])
+    assert.strictEqual(quiz.shortAnswer[0].referenceAnswer, 'A measure of disorder.')
+    assert.strictEqual(quiz.shortAnswer[1].rubric.length, 2)
+    assert.deepStrictEqual(toPublicQuiz(quiz).shortAnswer[0], { question: 'Define entropy.' })
+    assert.strictEqual(rubricFor({ question: 'Old quiz' }, 'long').length, 3)
+    console.log('   Result:', quiz.shortAnswer.map(item => item.rubric.length), 'criteria')
+
+    console.log('\n2️⃣ Testing per-criterion credit at temperature 0')
+    let requestOptions = null
+    setFakeResponder((messages, options) => {
+      requestOptions = options
+      return {
+        criteria: [{ id: 2, awarded: 1, comment: 'Only hints at it' }, { id: 1, awarded: 5, comment: 'Clear' }],
+        feedback: 'Good on microstates, thin on spontaneity.'
+      }
+    })
+    const graded = await gradeTextAnswer(question, 'Because there are more disordered microstates.', 'short')
+    assert.strictEqual(requestOptions.temperature, 0)
+    assert.strictEqual(graded.status, GRADED)
+    assert.deepStrictEqual(graded.criteria.map(item => item.awarded), [2, 1])
+    assert.strictEqual(graded.points, 3)
+    assert.strictEqual(graded.maxPoints, 4)
+    assert.strictEqual(graded.score, 7.5)
+    assert.strictEqual(graded.referenceAnswer, question.referenceAnswer)
+    console.log('   Result:', `${graded.points}/${graded.maxPoints} points → ${graded.score}/10`)
+
+    console.log('\n3️⃣ Testing incomplete or unreadable output is rejected')
+    assert.strictEqual(parseRubricGrade({ criteria: [{ id: 1, awarded: 2 }] }, question.rubric), null)
+    assert.strictEqual(parseRubricGrade(null, question.rubric), null)
+    const positional = parseRubricGrade({ criteria: [{ awarded: 0.4 }, { awarded: 2 }] }, question.rubric)
+    assert.deepStrictEqual(positional.criteria.map(item => item.awarded), [0.5, 2])
+    console.log('   Result: partial scores rejected, unnumbered criteria read in order')
+
+    console.log('\n4️⃣ Testing unparseable grading leaves the answer ungraded')
+    let calls = 0
+    setFakeResponder(() => {
+      calls++
+      return 'I think this deserves about a 7.'
+    })
+    const ungraded = await gradeTextAnswer(question, 'Because of disorder.', 'short')
+    assert.strictEqual(ungraded.status, UNGRADED)
+    assert.strictEqual(ungraded.score, null)
+    assert.strictEqual(ungraded.answer, 'Because of disorder.')
+    assert.strictEqual(calls, 2)
+    console.log('   Result:', ungraded.status, `after ${calls} attempts`)
+
+    console.log('\n5️⃣ Testing blank answers score zero without a model call')
+    calls = 0
+    const blank = await gradeTextAnswer(question, '   ', 'short')
+    assert.strictEqual(calls, 0)
+    assert.strictEqual(blank.score, 0)
+    assert.strictEqual(blank.status, GRADED)
+    console.log('   Result:', blank.feedback)
+
+    setFakeResponder(null)
+    console.log('\n✅ Rubric Grading Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testRubricGrading()
@@ -0,0 +1,112 @@
+/**
+ * Simple test for signed PDF download links
+ * Checks link signatures and expiry, Range requests on local uploads, and that
+ * stored PDFs are handed out as signed storage URLs instead of through the API
+ */
+
+import assert from 'assert'
+import express from 'express'
+import fs from 'fs'
+import { join } from 'path'
+import { randomUUID } from 'crypto'
+import { config } from '../config/index.js'
+import { supabase } from '../supabaseClient.js'
+import authService from '../services/authService.js'
+import apiRoutes from '../routes/index.js'
+import { createLocalFileUrl, verifyLocalFileUrl } from '../utils/signedUrls.js'
+import { localUploadPrefix } from '../middleware/ownership.js'
+import { createMemorySupabase } from './helpers/memorySupabase.js'
+
+const owner = { id: randomUUID(), email: 'owner@example.com' }
+const pdfId = randomUUID()
+const fileName = `${localUploadPrefix(owner.id)}${Date.now()}-signed-url-test.pdf`
+const fileContent = '%PDF-1.4\n' + 'x'.repeat(1000) + '\n%%EOF\n'
+
+const memory = createMemorySupabase({
+  pdf_files: [{ id: pdfId, user_id: owner.id, file_name: 'notes.pdf', file_url: `${owner.id}/${pdfId}.pdf` }]
+})
+
+async function testSignedUrls() {
+  console.log('🧪 Testing Signed PDF URLs...\n')
+
+  supabase.from = memory.from
+  Object.defineProperty(supabase, 'storage', { value: memory.storage, configurable: true })
+  authService.verifySession = async token => token === 'owner-token' ? { valid: true, user: owner } : { valid: false }
+
+  const filePath = join(config.uploadsDir, fileName)
+  fs.writeFileSync(filePath, fileContent)
+
+  const app = express()
+  app.use(apiRoutes)
+  const server = app.listen(0)
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+  const asOwner = { Authorization: 'Bearer owner-token' }
+
+  try {
+    console.log('1️⃣ Testing link signatures and expiry')
+    const now = Date.now()
+    const { path, expiresAt } = createLocalFileUrl(fileName, { ttlSeconds: 60, now })
+    const query = new URL(path, baseUrl).searchParams
+    assert.ok(verifyLocalFileUrl(fileName, query.get('expires'), query.get('signature'), now))
+    assert.ok(!verifyLocalFileUrl(fileName, query.get('expires'), query.get('signature'), now + 61000))
+    assert.ok(!verifyLocalFileUrl('other.pdf', query.get('expires'), query.get('signature'), now))
+    assert.ok(!verifyLocalFileUrl(fileName, String(Number(query.get('expires')) + 3600), query.get('signature'), now))
+    assert.ok(!verifyLocalFileUrl(fileName, query.get('expires'), 'not-a-signature', now))
+    console.log('   Result: link valid until', expiresAt)
+
+    console.log('\n2️⃣ Testing a signed link serves byte ranges without a session')
+    const linkResponse = await fetch(`${baseUrl}/api/uploads/${encodeURIComponent(fileName)}/url`, { headers: asOwner })
+    assert.strictEqual(linkResponse.status, 200)
+    const { url } = await linkResponse.json()
+    assert.ok(url.startsWith(baseUrl))
+
+    const full = await fetch(url)
+    assert.strictEqual(full.status, 200)
+    assert.strictEqual(full.headers.get('Accept-Ranges'), 'bytes')
+    assert.strictEqual(full.headers.get('Cache-Control'), 'private, no-store')
+    assert.strictEqual(await full.text(), fileContent)
+
+    const partial = await fetch(url, { headers: { Range: 'bytes=0-7' } })
+    assert.strictEqual(partial.status, 206)
+    assert.strictEqual(partial.headers.get('Content-Range'), `bytes 0-7/${fileContent.length}`)
+    assert.strictEqual(await partial.text(), '%PDF-1.4')
+    console.log('   Result: 206', partial.headers.get('Content-Range'))
+
+    console.log('\n3️⃣ Testing expired and tampered links are refused')
+    const expired = createLocalFileUrl(fileName, { ttlSeconds: 60, now: now - 120000 })
+    assert.strictEqual((await fetch(baseUrl + expired.path)).status, 403)
+    // The signature is the last query parameter
+    const tampered = url.slice(0, -1) + (url.endsWith('0') ? '1' : '0')
+    assert.strictEqual((await fetch(tampered)).status, 403)
+    assert.strictEqual((await fetch(`${baseUrl}/api/uploads/${encodeURIComponent(fileName)}`)).status, 401)
+    assert.strictEqual((await fetch(`${baseUrl}/api/uploads/${encodeURIComponent(fileName)}`, { headers: asOwner })).status, 200)
+    assert.strictEqual((await fetch(`${baseUrl}/uploads/${encodeURIComponent(fileName)}`)).status, 404)
+    console.log('   Result: expired, tampered and anonymous requests refused; no static /uploads')
+
+    console.log('\n4️⃣ Testing stored PDFs get signed storage URLs')
+    const pdfUrl = await fetch(`${baseUrl}/api/pdf/${pdfId}/url`, { headers: asOwner })
+    assert.strictEqual(pdfUrl.status, 200)
+    const signed = await pdfUrl.json()
+    assert.ok(signed.url.includes(`${owner.id}/${pdfId}.pdf`))
+    assert.ok(signed.url.includes(`expiresIn=${config.signedUrlTtlSeconds}`))
+    assert.ok(new Date(signed.expiresAt) > new Date())
+
+    const redirect = await fetch(`${baseUrl}/api/pdf/${pdfId}`, { headers: asOwner, redirect: 'manual' })
+    assert.strictEqual(redirect.status, 302)
+    assert.strictEqual(redirect.headers.get('Location'), signed.url)
+    assert.strictEqual(redirect.headers.get('Cache-Control'), 'no-store')
+    console.log('   Result: redirected to', redirect.headers.get('Location'))
+
+    console.log('\n✅ Signed PDF URLs Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  } finally {
+    server.close()
+    fs.rmSync(filePath, { force: true })
+  }
+}
+
+// Run the test
+testSignedUrls()
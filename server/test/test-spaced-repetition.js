@@ -0,0 +1,97 @@
+/**
+ * Simple test for flashcard scheduling
+ * Checks the SM-2 intervals, lapses, ease bounds, deck stats and card parsing
+ */
+
+import assert from 'assert'
+import { scheduleReview, previewIntervals, newCardSchedule, deckStats, DEFAULT_EASE } from '../services/spacedRepetition.js'
+import { parseGeneratedCards } from '../services/flashcardService.js'
+
+const now = new Date('2025-01-01T12:00:00Z')
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function daysUntil(schedule) {
+  return (new Date(schedule.due_at).getTime() - now.getTime()) / DAY_MS
+}
+
+async function testSpacedRepetition() {
+  console.log('🧪 Testing Spaced Repetition...\n')
+
+  try {
+    console.log('1️⃣ Testing intervals grow 1 → 6 → interval × ease on "good"')
+    let card = newCardSchedule(now)
+    const intervals = []
+    for (let review = 0; review < 4; review++) {
+      card = scheduleReview(card, 'good', now)
+      intervals.push(card.interval_days)
+    }
+    assert.deepStrictEqual(intervals, [1, 6, 15, 38])
+    assert.strictEqual(card.ease, DEFAULT_EASE)
+    assert.strictEqual(card.repetitions, 4)
+    assert.strictEqual(daysUntil(card), 38)
+    console.log('   Result:', intervals.join(' → '), 'days')
+
+    console.log('\n2️⃣ Testing "again" restarts the card and counts a lapse')
+    const lapsed = scheduleReview(card, 'again', now)
+    assert.strictEqual(lapsed.repetitions, 0)
+    assert.strictEqual(lapsed.lapses, 1)
+    assert.strictEqual(lapsed.interval_days, 0)
+    assert.strictEqual(new Date(lapsed.due_at).getTime() - now.getTime(), 10 * 60 * 1000)
+    assert.ok(lapsed.ease < card.ease)
+    assert.strictEqual(scheduleReview(lapsed, 'good', now).interval_days, 1)
+    console.log('   Result: due in 10 minutes, ease', card.ease, '→', lapsed.ease)
+
+    console.log('\n3️⃣ Testing ease bounds and grade ordering')
+    let hard = { ...card }
+    for (let review = 0; review < 20; review++) hard = scheduleReview(hard, 'again', now)
+    assert.strictEqual(hard.ease, 1.3)
+    const options = ['hard', 'good', 'easy'].map(grade => scheduleReview(card, grade, now).interval_days)
+    assert.ok(options[0] < options[1] && options[1] < options[2])
+    assert.throws(() => scheduleReview(card, 'perfect', now), /Unknown review grade/)
+    assert.deepStrictEqual(previewIntervals(newCardSchedule(now), now), { again: '10m', hard: '1d', good: '1d', easy: '4d' })
+    console.log('   Result: hard/good/easy →', options.join('/'), 'days')
+
+    console.log('\n4️⃣ Testing deck stats')
+    const stats = deckStats([
+      { interval_days: 0, due_at: now.toISOString(), last_reviewed_at: null },
+      { interval_days: 6, due_at: new Date(now.getTime() - DAY_MS).toISOString(), last_reviewed_at: now.toISOString() },
+      { interval_days: 30, due_at: new Date(now.getTime() + 9 * DAY_MS).toISOString(), last_reviewed_at: now.toISOString() }
+    ], [
+      { grade: 'good', reviewed_at: now.toISOString() },
+      { grade: 'again', reviewed_at: new Date(now.getTime() - 10 * DAY_MS).toISOString() },
+      { grade: 'easy', reviewed_at: new Date(now.getTime() - 40 * DAY_MS).toISOString() }
+    ], now)
+    assert.deepStrictEqual(stats, { total: 3, new: 1, due: 2, learning: 1, mature: 1, reviewsLast7Days: 1, retention: 50 })
+    assert.strictEqual(deckStats([], [], now).retention, null)
+    console.log('   Result:', stats)
+
+    console.log('\n5️⃣ Testing generated cards link back to their source page')
+    const sources = [
+      { id: 'c1', text: 'Entropy...', pages: { start: 4, end: 5 } },
+      { id: 'c2', text: 'Enthalpy...', pages: { start: 9, end: 9 } }
+    ]
+    const cards = parseGeneratedCards({
+      cards: [
+        { front: ' What is enthalpy? ', back: 'Heat content at constant pressure', source: 2 },
+        { front: 'No answer', back: '' },
+        { front: 'What is entropy?', back: 'A measure of disorder', source: 7 },
+        { front: 'Extra', back: 'Card', source: 1 }
+      ]
+    }, sources, 2)
+    assert.deepStrictEqual(cards, [
+      { front: 'What is enthalpy?', back: 'Heat content at constant pressure', source_page: 9, source_chunk_id: 'c2' },
+      { front: 'What is entropy?', back: 'A measure of disorder', source_page: 4, source_chunk_id: 'c1' }
+    ])
+    assert.deepStrictEqual(parseGeneratedCards('not json', sources, 5), [])
+    console.log('   Result:', cards.map(item => `p.${item.source_page}`))
+
+    console.log('\n✅ Spaced Repetition Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testSpacedRepetition()
@@ -0,0 +1,117 @@
+/**
+ * Simple test for the storage layer and its local-disk driver
+ * Runs upload -> view -> delete against a temporary directory instead of Supabase Storage,
+ * with the Supabase settings cleared so any call to Supabase Storage fails
+ */
+
+import assert from 'assert'
+import express from 'express'
+import fs from 'fs'
+import os from 'os'
+import { join } from 'path'
+import { randomUUID } from 'crypto'
+import { config } from '../config/index.js'
+import { supabase } from '../supabaseClient.js'
+import authService from '../services/authService.js'
+import apiRoutes from '../routes/index.js'
+import { setLLMProvider } from '../services/llmService.js'
+import { setStorageDriver, putFile, getFile, streamFile, deleteFiles, getSignedFileUrl } from '../services/storageService.js'
+import { localUploadPrefix } from '../middleware/ownership.js'
+import { createMemorySupabase } from './helpers/memorySupabase.js'
+import { buildPDF } from './helpers/pdfFixture.js'
+
+const SUPABASE_SETTINGS = ['SUPABASE_URL', 'SUPABASE_KEY', 'SUPABASE_SERVICE_KEY']
+const owner = { id: randomUUID(), email: 'owner@example.com' }
+const memory = createMemorySupabase({ pdf_files: [], pdf_processing_jobs: [] })
+
+async function readStream(stream) {
+  const parts = []
+  for await (const part of stream) parts.push(part)
+  return Buffer.concat(parts).toString('latin1')
+}
+
+async function testStorage() {
+  console.log('🧪 Testing Local Storage Driver...\n')
+
+  SUPABASE_SETTINGS.forEach(name => delete process.env[name])
+  config.supabaseUrl = config.supabaseKey = config.supabaseServiceKey = undefined
+  supabase.from = memory.from
+  authService.verifySession = async token => token === 'owner-token' ? { valid: true, user: owner } : { valid: false }
+  setLLMProvider('fake')
+
+  config.storageDir = fs.mkdtempSync(join(os.tmpdir(), 'pdf-storage-'))
+  const storage = setStorageDriver('local')
+
+  const app = express()
+  app.use(express.json())
+  app.use(apiRoutes)
+  const server = app.listen(0)
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+  const asOwner = { Authorization: 'Bearer owner-token' }
+
+  try {
+    console.log('1️⃣ Testing put, get, ranged stream and delete')
+    await putFile('user-a/notes.pdf', Buffer.from('%PDF-1.4 hello'))
+    assert.strictEqual((await getFile('user-a/notes.pdf')).toString(), '%PDF-1.4 hello')
+    assert.strictEqual(await readStream(await streamFile('user-a/notes.pdf', { start: 9, end: 13 })), 'hello')
+    await assert.rejects(putFile('user-a/notes.pdf', Buffer.from('again')), /already exists/)
+    await assert.rejects(getFile('../outside.pdf'), /Invalid storage path/)
+    await deleteFiles(['user-a/notes.pdf', 'user-a/missing.pdf'])
+    await assert.rejects(getFile('user-a/notes.pdf'), /Failed to download/)
+    console.log('   Result: files kept under', storage.root)
+
+    console.log('\n2️⃣ Testing signed links to local files')
+    await putFile('user-a/linked.pdf', Buffer.from('%PDF-1.4 linked'))
+    const { url, expiresAt } = await getSignedFileUrl('user-a/linked.pdf')
+    assert.ok(url.startsWith('/api/storage/user-a/linked.pdf?'))
+    assert.ok(new Date(expiresAt) > new Date())
+    assert.strictEqual(await (await fetch(baseUrl + url)).text(), '%PDF-1.4 linked')
+    assert.strictEqual((await fetch(`${baseUrl}/api/storage/user-a/linked.pdf`)).status, 403)
+    // A link for one file opens no other
+    assert.strictEqual((await fetch(baseUrl + url.replace('linked.pdf', 'other.pdf'))).status, 403)
+    console.log('   Result:', url.split('?')[0])
+
+    console.log('\n3️⃣ Testing upload, view and delete of a PDF without Supabase Storage')
+    const pdf = buildPDF(['Stored on local disk'])
+    const form = new FormData()
+    form.append('pdf', new Blob([pdf], { type: 'application/pdf' }), 'local.pdf')
+    const uploaded = await fetch(`${baseUrl}/api/upload-pdf`, { method: 'POST', headers: asOwner, body: form })
+    assert.strictEqual(uploaded.status, 200)
+    const { fileId } = await uploaded.json()
+
+    const stored = memory.tables.pdf_files.find(row => row.id === fileId)
+    assert.strictEqual(stored.file_url, `${owner.id}/${fileId}.pdf`)
+    assert.ok(fs.existsSync(join(config.storageDir, owner.id, `${fileId}.pdf`)))
+    assert.strictEqual(memory.tables.pdf_processing_jobs[0].storage_path, stored.file_url)
+
+    const link = await (await fetch(`${baseUrl}/api/pdf/${fileId}/url`, { headers: asOwner })).json()
+    assert.ok(link.url.startsWith(`${baseUrl}/api/storage/${owner.id}/`))
+    const firstBytes = await fetch(link.url, { headers: { Range: 'bytes=0-7' } })
+    assert.strictEqual(firstBytes.status, 206)
+    assert.strictEqual(firstBytes.headers.get('Cache-Control'), 'private, no-store')
+    assert.strictEqual(await firstBytes.text(), '%PDF-1.4')
+    assert.deepStrictEqual(await getFile(stored.file_url), pdf)
+
+    const deleted = await fetch(`${baseUrl}/api/pdf/${fileId}`, { method: 'DELETE', headers: asOwner })
+    assert.strictEqual(deleted.status, 200)
+    assert.ok(!fs.existsSync(join(config.storageDir, owner.id, `${fileId}.pdf`)))
+    assert.strictEqual((await fetch(link.url)).status, 404)
+    console.log('   Result: uploaded, served with Range and deleted', fileId)
+
+    console.log('\n✅ Local Storage Driver Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  } finally {
+    server.close()
+    fs.rmSync(config.storageDir, { recursive: true, force: true })
+    // The upload's temporary copy, left for the processing job
+    for (const file of fs.readdirSync(config.uploadsDir)) {
+      if (file.startsWith(localUploadPrefix(owner.id))) fs.rmSync(join(config.uploadsDir, file))
+    }
+  }
+}
+
+// Run the test
+testStorage()
@@ -0,0 +1,106 @@
+/**
+ * Simple test for topic mastery and weak-areas quizzes
+ * Checks topic tags, the mastery update, weak/strong topic picks and question selection
+ */
+
+import assert from 'assert'
+import { normalizeTopic, tagQuestions, levelBreakdown } from '../services/questionTags.js'
+import {
+  updateMastery,
+  applyGradedQuestions,
+  pickWeakTopics,
+  pickStrongTopics,
+  preferWeakTopics,
+  PRIOR_MASTERY
+} from '../services/topicMastery.js'
+
+async function testTopicMastery() {
+  console.log('🧪 Testing Topic Mastery...\n')
+
+  try {
+    console.log('1️⃣ Testing topic labels are normalized into stable keys')
+    assert.strictEqual(normalizeTopic('  Photosynthesis. '), 'photosynthesis')
+    assert.strictEqual(normalizeTopic('Light   Reactions'), 'light reactions')
+    assert.strictEqual(normalizeTopic('...'), null)
+    assert.strictEqual(normalizeTopic(42), null)
+    const tagged = tagQuestions({
+      mcq: [{ question: 'Q1', topic: 'Entropy!' }, { question: 'Q2' }]
+    }, { difficulty: 'mixed', bloomLevels: [] }, { defaultTopic: 'Thermodynamics' })
+    assert.deepStrictEqual(tagged.mcq.map(question => question.topic), ['entropy', 'thermodynamics'])
+    console.log('   Result:', tagged.mcq.map(question => question.topic))
+
+    console.log('\n2️⃣ Testing the mastery update')
+    const first = updateMastery(null, 1)
+    assert.deepStrictEqual(first, { mastery: 0.75, questions: 1, last_score: 1 })
+    const second = updateMastery(first, 0)
+    assert.strictEqual(second.mastery, 0.5)
+    // After a few questions each new one keeps a fixed weight
+    const settled = updateMastery({ mastery: 0.9, questions: 20 }, 0)
+    assert.strictEqual(settled.mastery, 0.72)
+    assert.strictEqual(updateMastery({ mastery: 0.5, questions: 3 }, 7).mastery, 0.6)
+    console.log('   Result: 0.5 → 0.75 → 0.5; 20 questions at 0.9 then a miss → 0.72')
+
+    console.log('\n3️⃣ Testing graded questions fold into their topics')
+    const updated = applyGradedQuestions(new Map([['entropy', { mastery: 0.8, questions: 10 }]]), [
+      { question: { topic: 'entropy' }, score: 0 },
+      { question: { topic: 'enthalpy' }, score: 1 },
+      { question: { topic: 'enthalpy' }, score: 0.5 },
+      { question: { topic: null }, score: 1 }
+    ])
+    assert.deepStrictEqual([...updated.keys()], ['entropy', 'enthalpy'])
+    assert.strictEqual(updated.get('entropy').mastery, 0.64)
+    assert.strictEqual(updated.get('enthalpy').questions, 2)
+    assert.strictEqual(updated.get('enthalpy').mastery, 0.667)
+    console.log('   Result:', Object.fromEntries([...updated].map(([topic, entry]) => [topic, entry.mastery])))
+
+    console.log('\n4️⃣ Testing weak and strong topic picks')
+    const rows = [
+      { topic: 'entropy', mastery: 0.4, questions: 6 },
+      { topic: 'enthalpy', mastery: 0.9, questions: 4 },
+      { topic: 'gibbs energy', mastery: 0.2, questions: 2 },
+      { topic: 'heat', mastery: 0.65, questions: 3 },
+      { topic: 'work', mastery: 0.75, questions: 3 }
+    ]
+    assert.deepStrictEqual(pickWeakTopics(rows, { threshold: 0.7 }).map(row => row.topic), ['gibbs energy', 'entropy', 'heat'])
+    assert.deepStrictEqual(pickWeakTopics(rows, { threshold: 0.7, limit: 1 }).map(row => row.topic), ['gibbs energy'])
+    assert.deepStrictEqual(pickStrongTopics(rows).map(row => row.topic), ['enthalpy'])
+    console.log('   Result: weak', pickWeakTopics(rows, { threshold: 0.7 }).map(row => row.topic))
+
+    console.log('\n5️⃣ Testing question selection prefers weak topics')
+    const mastery = new Map(rows.map(row => [row.topic, row.mastery]))
+    const selected = preferWeakTopics({
+      mcq: [
+        { question: 'A', topic: 'enthalpy' },
+        { question: 'B', topic: 'entropy' },
+        { question: 'C', topic: 'new topic' },
+        { question: 'D', topic: 'gibbs energy' }
+      ],
+      shortAnswer: [{ question: 'E', topic: 'work' }]
+    }, { mcq: 3, shortAnswer: 1 }, mastery)
+    assert.deepStrictEqual(selected.mcq.map(question => question.question), ['B', 'C', 'D'])
+    assert.strictEqual(selected.shortAnswer.length, 1)
+    assert.strictEqual(mastery.get('new topic') ?? PRIOR_MASTERY, 0.5)
+    console.log('   Result:', selected.mcq.map(question => `${question.question}:${question.topic}`))
+
+    console.log('\n6️⃣ Testing the per-topic score breakdown')
+    const breakdown = levelBreakdown([
+      { question: { topic: 'entropy' }, score: 1 },
+      { question: { topic: 'enthalpy' }, score: 0 },
+      { question: { topic: 'entropy' }, score: 0 }
+    ])
+    assert.deepStrictEqual(breakdown.topic, {
+      entropy: { questions: 2, score: 50 },
+      enthalpy: { questions: 1, score: 0 }
+    })
+    console.log('   Result:', breakdown.topic)
+
+    console.log('\n✅ Topic Mastery Test Completed Successfully!')
+
+  } catch (error) {
+    console.error('❌ Test failed with error:', error)
+    process.exitCode = 1
+  }
+}
+
+// Run the test
+testTopicMastery()
@@ -0,0 +1,188 @@
+/**
+ * Lexical (BM25) retrieval and rank fusion utilities
+ *
+ * Complements vector search for exact-term questions ("Eq. 4.2", acronyms,
+ * proper names) where embeddings tend to blur the one token that matters.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for',
+  'from', 'has', 'have', 'how', 'i', 'in', 'is', 'it', 'its', 'me', 'of', 'on',
+  'or', 'so', 'that', 'the', 'their', 'this', 'to', 'was', 'were', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Tokenize text for BM25
+ * Keeps dotted/hyphenated tokens together so "4.2" and "COVID-19" stay searchable
+ */
+function tokenize(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const tokens = text.toLowerCase().match(/[\p{L}\p{N}]+(?:[.\-][\p{L}\p{N}]+)*/gu) || [];
+  return tokens.filter(token => !STOPWORDS.has(token));
+}
+
+/**
+ * Build a serializable BM25 index over chunks
+ * @param {Array} chunks - Chunks with id, text and optional page / chunk_index
+ * @param {Object} options - { k1, b }
+ * @returns {Object} Index (plain JSON, safe to persist)
+ */
+function buildBM25Index(chunks, options = {}) {
+  const { k1 = 1.2, b = 0.75 } = options;
+
+  const docs = [];
+  const df = {};
+  let totalLength = 0;
+
+  (chunks || []).forEach((chunk, position) => {
+    const tokens = tokenize(chunk.text);
+    const tf = {};
+
+    for (const token of tokens) {
+      tf[token] = (tf[token] || 0) + 1;
+    }
+
+    for (const term of Object.keys(tf)) {
+      df[term] = (df[term] || 0) + 1;
+    }
+
+    docs.push({
+      id: chunk.id,
+      chunkIndex: chunk.chunk_index ?? chunk.chunkIndex ?? position,
+      page: chunk.page,
+      length: tokens.length,
+      tf
+    });
+    totalLength += tokens.length;
+  });
+
+  return {
+    version: 1,
+    k1,
+    b,
+    docCount: docs.length,
+    avgDocLength: docs.length > 0 ? totalLength / docs.length : 0,
+    df,
+    docs
+  };
+}
+
+/**
+ * Score a query against a BM25 index
+ * @returns {Array} Top matches: { id, chunkIndex, page, score, matchedTerms }
+ */
+function searchBM25(index, query, topK = 5) {
+  if (!index || !index.docs?.length) {
+    return [];
+  }
+
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  const { k1, b, docCount, avgDocLength, df } = index;
+
+  const idf = {};
+  for (const term of queryTerms) {
+    const n = df[term] || 0;
+    idf[term] = Math.log(1 + (docCount - n + 0.5) / (n + 0.5));
+  }
+
+  const results = [];
+
+  for (const doc of index.docs) {
+    let score = 0;
+    const matchedTerms = [];
+
+    for (const term of queryTerms) {
+      const frequency = doc.tf[term];
+      if (!frequency) continue;
+
+      const norm = 1 - b + b * (doc.length / (avgDocLength || 1));
+      score += idf[term] * (frequency * (k1 + 1)) / (frequency + k1 * norm);
+      matchedTerms.push(term);
+    }
+
+    if (score > 0) {
+      results.push({
+        id: doc.id,
+        chunkIndex: doc.chunkIndex,
+        page: doc.page,
+        score,
+        matchedTerms
+      });
+    }
+  }
+
+  return results
+    .sort((x, y) => y.score - x.score)
+    .slice(0, topK);
+}
+
+/**
+ * Fuse ranked result lists with weighted Reciprocal Rank Fusion
+ * score(d) = sum over retrievers r of weight_r / (k + rank_r(d))
+ *
+ * @param {Object} rankedLists - { retrieverName: [chunk, ...] } each already sorted best-first
+ * @param {Object} options - { k, weights: { retrieverName: number }, getKey(chunk) }
+ * @returns {Array} Merged chunks best-first, each with `score`, `retrievers` and `retrieverScores`
+ */
+function reciprocalRankFusion(rankedLists, options = {}) {
+  const {
+    k = 60,
+    weights = {},
+    getKey = chunk => chunk.id ?? chunk.chunkIndex ?? chunk.chunk_index
+  } = options;
+
+  const fused = new Map();
+
+  for (const [retriever, list] of Object.entries(rankedLists)) {
+    const weight = weights[retriever] ?? 1;
+    if (!Array.isArray(list) || weight <= 0) continue;
+
+    list.forEach((chunk, rank) => {
+      const key = getKey(chunk);
+      const existing = fused.get(key);
+      const contribution = weight / (k + rank + 1);
+
+      if (existing) {
+        existing.score += contribution;
+        existing.retrievers.push(retriever);
+        existing.retrieverScores[retriever] = chunk.retrieverScore ?? null;
+        // Keep the richest copy of the chunk (e.g. one that carries a vector similarity)
+        existing.chunk = { ...chunk, ...existing.chunk };
+      } else {
+        fused.set(key, {
+          chunk,
+          score: contribution,
+          retrievers: [retriever],
+          retrieverScores: { [retriever]: chunk.retrieverScore ?? null }
+        });
+      }
+    });
+  }
+
+  return [...fused.values()]
+    .sort((x, y) => y.score - x.score)
+    .map(({ chunk, score, retrievers, retrieverScores }) => {
+      const { retrieverScore, ...rest } = chunk;
+      return {
+        ...rest,
+        score,
+        retrievers,
+        retrieverScores
+      };
+    });
+}
+
+export {
+  tokenize,
+  buildBM25Index,
+  searchBM25,
+  reciprocalRankFusion
+};
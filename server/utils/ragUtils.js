@@ -17,23 +17,29 @@ function constructRAGPrompt(userMessage, retrievedChunks, conversationContext =
   } = options;
 
   // Select top N most relevant chunks to avoid prompt bloat
+  // (rerank scores beat fused RRF scores, which beat raw similarity)
+  const relevance = chunk => chunk.rerankScore ?? chunk.score ?? chunk.similarity ?? 0;
   const selectedChunks = retrievedChunks
-    .sort((a, b) => (b.similarity || 0) - (a.similarity || 0))
+    .sort((a, b) => relevance(b) - relevance(a))
     .slice(0, maxChunks);
 
+  // Chats grounded in several PDFs label every chunk with its document
+  const isMultiDocument = new Set(selectedChunks.map(chunk => chunk.pdfId).filter(Boolean)).size > 1;
+
   // Build context from selected chunks with better page formatting
   const contextParts = selectedChunks.map((chunk, index) => {
     const pageInfo = chunk.pageRange || chunk.page;
     const confidence = chunk.metadata?.confidence || 'medium';
+    const documentLabel = isMultiDocument ? `"${chunk.documentName || chunk.pdfId}", ` : '';
     
-    let chunkText = `[${index + 1}] Page ${pageInfo}: ${chunk.text}`;
+    let chunkText = `[${index + 1}] ${documentLabel}Page ${pageInfo}: ${chunk.text}`;
     
     if (includeSimilarityScores && chunk.similarity) {
       chunkText += ` (relevance: ${Math.round(chunk.similarity * 100)}%)`;
     }
     
-    // Add confidence indicator in development
-    if (includeSimilarityScores && confidence !== 'high') {
+    // Flag estimated page numbers in development (page-exact chunks need no caveat)
+    if (includeSimilarityScores && confidence !== 'high' && confidence !== 'exact') {
       chunkText += ` (page estimation: ${confidence})`;
     }
     
@@ -56,9 +62,10 @@ IMPORTANT CITATION RULES:
 - ALWAYS cite page numbers when referencing information
 - Use the EXACT page numbers provided in the context (e.g., "Page 5" or "Page 3-4" for content spanning pages)
 - Include direct quotes when possible to support your answer
-- If page numbers appear as ranges (e.g., "Page 2-3"), the content spans multiple pages${conversationSummary}
+- If page numbers appear as ranges (e.g., "Page 2-3"), the content spans multiple pages${isMultiDocument ? `
+- The context comes from several documents: always name the document together with the page` : ''}${conversationSummary}
 
-Context from PDF:
+Context from ${isMultiDocument ? 'PDFs' : 'PDF'}:
 ${contextParts}
 
 Current question: ${userMessage}
@@ -67,8 +74,8 @@ Please provide your response in the following JSON format:
 {
   "answer": "Your detailed answer here, citing specific page numbers (e.g., 'According to page 5...' or 'As stated on pages 2-3...')",
   "citations": [
-    {"page": "5", "snippet": "exact text snippet from that page with key information"},
-    {"page": "2-3", "snippet": "snippet for content spanning multiple pages"}
+    {${isMultiDocument ? '"document": "exact document name from the context", ' : ''}"page": "5", "snippet": "exact text snippet from that page with key information"},
+    {${isMultiDocument ? '"document": "exact document name from the context", ' : ''}"page": "2-3", "snippet": "snippet for content spanning multiple pages"}
   ]
 }`;
 
@@ -187,6 +194,88 @@ function parseAIResponse(responseText) {
   };
 }
 
+/**
+ * Incremental parser for streamed model output.
+ * In JSON mode it decodes the "answer" string of the expected
+ * {"answer": ..., "citations": [...]} envelope as it arrives, so callers can
+ * forward readable text instead of raw JSON. Output that doesn't start like
+ * JSON is passed through unchanged. The full raw text is kept for parseAIResponse.
+ * @param {Object} options - { json: whether the model was asked for a JSON envelope }
+ * @returns {{ push: (chunk: string) => string, raw: string }}
+ */
+function createAnswerStreamParser(options = {}) {
+  const { json = true } = options;
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+
+  let raw = '';
+  let mode = json ? null : 'text';
+  let emitted = 0;        // Text mode: chars already forwarded
+  let cursor = -1;        // JSON mode: next unread char inside the answer string
+  let answerClosed = false;
+
+  return {
+    get raw() {
+      return raw;
+    },
+
+    push(chunk) {
+      raw += chunk;
+
+      if (!mode) {
+        const trimmed = raw.trimStart();
+        if (!trimmed) return '';
+        mode = /^(\{|```)/.test(trimmed) ? 'json' : 'text';
+      }
+
+      if (mode === 'text') {
+        const delta = raw.slice(emitted);
+        emitted = raw.length;
+        return delta;
+      }
+
+      if (answerClosed) return '';
+
+      if (cursor < 0) {
+        const match = raw.match(/"answer"\s*:\s*"/);
+        if (!match) return '';
+        cursor = match.index + match[0].length;
+      }
+
+      let delta = '';
+      while (cursor < raw.length) {
+        const char = raw[cursor];
+
+        if (char === '"') {
+          answerClosed = true;
+          break;
+        }
+
+        if (char === '\\') {
+          const next = raw[cursor + 1];
+          if (next === undefined) break; // Escape split across chunks - wait for more
+
+          if (next === 'u') {
+            const hex = raw.slice(cursor + 2, cursor + 6);
+            if (hex.length < 4) break;
+            delta += String.fromCharCode(parseInt(hex, 16));
+            cursor += 6;
+            continue;
+          }
+
+          delta += escapes[next] ?? next;
+          cursor += 2;
+          continue;
+        }
+
+        delta += char;
+        cursor++;
+      }
+
+      return delta;
+    }
+  };
+}
+
 /**
  * Validate and clean parsed response structure
  */
@@ -212,6 +301,7 @@ function validateParsedResponse(parsed) {
       }
       
       return {
+        ...(typeof citation.document === 'string' && citation.document ? { document: citation.document } : {}),
         page: pageValue,
         snippet: citation.snippet.substring(0, 200), // Limit snippet length
         confidence: citation.confidence || 'medium'
@@ -336,6 +426,7 @@ export {
   extractCitations,
   sanitizeMessage,
   parseAIResponse,
+  createAnswerStreamParser,
   createSystemPrompt,
   truncateContext,
   estimateTokenCount,
@@ -0,0 +1,85 @@
+/**
+ * Retry helpers with exponential backoff for calls to rate-limited APIs
+ */
+
+// Network failures worth retrying (connection dropped, DNS hiccup, timeout)
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET'];
+
+/**
+ * HTTP status carried by an error from the OpenAI SDK, axios or fetch wrappers
+ */
+function getErrorStatus(error) {
+  return error?.status ?? error?.statusCode ?? error?.response?.status ?? null;
+}
+
+/**
+ * Whether an error is transient: 429, 5xx, request timeouts or dropped connections
+ */
+function isRetryableError(error) {
+  if (!error || error.name === 'AbortError') {
+    return false;
+  }
+
+  const status = getErrorStatus(error);
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  const code = error.code || error.cause?.code;
+  return RETRYABLE_NETWORK_CODES.includes(code) || error.name === 'APIConnectionError';
+}
+
+/**
+ * Delay before the given retry (1-based): baseDelayMs * 2^(attempt-1), capped, with jitter
+ * A Retry-After header (seconds) from a 429 wins when present.
+ */
+function getRetryDelay(attempt, { baseDelayMs = 1000, maxDelayMs = 30000, jitter = true, error = null } = {}) {
+  const retryAfter = parseFloat(error?.headers?.['retry-after'] ?? error?.response?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter * 1000, maxDelayMs);
+  }
+
+  const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  return jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+}
+
+/**
+ * Run an async function, retrying transient failures with exponential backoff
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options
+ * @param {number} [options.retries=4] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=1000]
+ * @param {number} [options.maxDelayMs=30000]
+ * @param {Function} [options.isRetryable=isRetryableError]
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before waiting
+ */
+async function withRetry(fn, options = {}) {
+  const {
+    retries = 4,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    isRetryable = isRetryableError,
+    onRetry
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delayMs = getRetryDelay(attempt, { baseDelayMs, maxDelayMs, error });
+      onRetry?.(error, attempt, delayMs);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+export {
+  withRetry,
+  isRetryableError,
+  getRetryDelay,
+  getErrorStatus
+};
@@ -0,0 +1,89 @@
+/**
+ * HMAC-signed, expiring links to files the API keeps on disk
+ *
+ * Supabase storage signs its own URLs; local uploads and the local storage driver
+ * get the same treatment so a PDF viewer can fetch them (with Range requests)
+ * without a bearer token and without the files being public.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+
+// Used when FILE_URL_SECRET is unset; links then only work against this process
+const processSecret = crypto.randomBytes(32);
+
+// The scope is signed too, so a link for one route can't be replayed on another
+function signature(scope, name, expires) {
+  return crypto
+    .createHmac('sha256', config.fileUrlSecret || processSecret)
+    .update(`${scope}\n${name}\n${expires}`)
+    .digest('hex');
+}
+
+function signedQuery(scope, name, ttlSeconds, now) {
+  const expires = Math.floor(now / 1000) + ttlSeconds;
+  const query = new URLSearchParams({ expires: String(expires), signature: signature(scope, name, expires) });
+
+  return {
+    query: query.toString(),
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+function verifySignature(scope, name, expires, givenSignature, now) {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 < now) {
+    return false;
+  }
+  if (typeof givenSignature !== 'string' || !/^[0-9a-f]{64}$/.test(givenSignature)) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(givenSignature, 'hex'), Buffer.from(signature(scope, name, expiresAt), 'hex'));
+}
+
+/**
+ * Signed path to a local upload
+ * @param {string} name - File name in the uploads directory
+ * @param {Object} options - { ttlSeconds, now }
+ * @returns {{path: string, expiresAt: string}} Path under /api and when it stops working
+ */
+function createLocalFileUrl(name, { ttlSeconds = config.signedUrlTtlSeconds, now = Date.now() } = {}) {
+  const { query, expiresAt } = signedQuery('uploads', name, ttlSeconds, now);
+  return { path: `/api/uploads/${encodeURIComponent(name)}?${query}`, expiresAt };
+}
+
+/**
+ * Check a local upload link's signature and expiry
+ * @returns {boolean} True while the link is valid
+ */
+function verifyLocalFileUrl(name, expires, givenSignature, now = Date.now()) {
+  return verifySignature('uploads', name, expires, givenSignature, now);
+}
+
+/**
+ * Signed path to a file in the local storage driver
+ * @param {string} storagePath - Bucket-relative path, e.g. <userId>/<pdfId>.pdf
+ * @param {Object} options - { ttlSeconds, now }
+ * @returns {{path: string, expiresAt: string}}
+ */
+function createStorageFileUrl(storagePath, { ttlSeconds = config.signedUrlTtlSeconds, now = Date.now() } = {}) {
+  const { query, expiresAt } = signedQuery('storage', storagePath, ttlSeconds, now);
+  const encodedPath = storagePath.split('/').map(encodeURIComponent).join('/');
+  return { path: `/api/storage/${encodedPath}?${query}`, expiresAt };
+}
+
+/**
+ * Check a local storage link's signature and expiry
+ * @returns {boolean}
+ */
+function verifyStorageFileUrl(storagePath, expires, givenSignature, now = Date.now()) {
+  return verifySignature('storage', storagePath, expires, givenSignature, now);
+}
+
+export {
+  createLocalFileUrl,
+  verifyLocalFileUrl,
+  createStorageFileUrl,
+  verifyStorageFileUrl
+};
@@ -2,10 +2,21 @@
  * Text chunking utilities for embedding generation
  */
 
+// Separator placed between pages when they are joined (matches pdf-parse's combined text)
+const PAGE_SEPARATOR = '\n\n';
+
 /**
  * Split text into chunks of optimal size for embeddings
  */
 function splitTextIntoChunks(text, options = {}) {
+  return splitTextIntoSpans(text, options).map(span => span.text);
+}
+
+/**
+ * Split text into chunks, keeping each chunk's character offsets in the source text
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function splitTextIntoSpans(text, options = {}) {
   const {
     maxChunkSize = 1000,      // Maximum characters per chunk
     overlapSize = 100,        // Overlap between chunks
@@ -20,14 +31,22 @@ function splitTextIntoChunks(text, options = {}) {
 
   const chunks = [];
   let currentPosition = 0;
+
+  // Trimmed slice of the text along with where it really starts and ends
+  const spanOf = (start, end) => {
+    const raw = text.slice(start, end);
+    const trimmed = raw.trim();
+    const spanStart = start + (raw.length - raw.trimStart().length);
+    return { text: trimmed, start: spanStart, end: spanStart + trimmed.length };
+  };
   
   while (currentPosition < text.length) {
     let chunkEnd = currentPosition + maxChunkSize;
     
     // If we're at the end of the text, take everything
     if (chunkEnd >= text.length) {
-      const finalChunk = text.slice(currentPosition).trim();
-      if (finalChunk.length >= minChunkSize) {
+      const finalChunk = spanOf(currentPosition, text.length);
+      if (finalChunk.text.length >= minChunkSize) {
         chunks.push(finalChunk);
       }
       break;
@@ -62,8 +81,8 @@ function splitTextIntoChunks(text, options = {}) {
     }
     
     // Extract chunk
-    const chunk = text.slice(currentPosition, breakPoint).trim();
-    if (chunk.length >= minChunkSize) {
+    const chunk = spanOf(currentPosition, breakPoint);
+    if (chunk.text.length >= minChunkSize) {
       chunks.push(chunk);
     }
     
@@ -71,7 +90,7 @@ function splitTextIntoChunks(text, options = {}) {
     currentPosition = Math.max(breakPoint - overlapSize, currentPosition + minChunkSize);
   }
   
-  return chunks.filter(chunk => chunk.length >= minChunkSize);
+  return chunks.filter(chunk => chunk.text.length >= minChunkSize);
 }
 
 /**
@@ -302,6 +321,80 @@ function extractPDFChunks(pdfData, options = {}) {
   });
 }
 
+/**
+ * Extract text chunks from page-by-page PDF text
+ * Pages come from the parser, so every chunk knows exactly which pages it starts
+ * and ends on. startChar/endChar are offsets in the pages joined with PAGE_SEPARATOR;
+ * startPageChar/endPageChar are offsets within the start and end page.
+ * @param {Array<{page: number, text: string}>} pages
+ */
+function extractPageChunks(pages, options = {}) {
+  const {
+    chunkSize = 1000,
+    overlap = 100
+  } = options;
+
+  if (!Array.isArray(pages) || pages.length === 0) {
+    return [];
+  }
+
+  // Join the pages, remembering where each one begins
+  let fullText = '';
+  const pageStarts = pages.map((page, index) => {
+    if (index > 0) {
+      fullText += PAGE_SEPARATOR;
+    }
+    const start = fullText.length;
+    fullText += page.text || '';
+    return { page: page.page || index + 1, start, source: page.source, ocrConfidence: page.ocrConfidence };
+  });
+
+  const pageAt = (offset) => {
+    let found = pageStarts[0];
+    for (const pageStart of pageStarts) {
+      if (pageStart.start > offset) break;
+      found = pageStart;
+    }
+    return found;
+  };
+
+  console.log(`📄 Processing PDF with ${pages.length} pages, ${fullText.length} characters (page-exact)`);
+
+  const spans = splitTextIntoSpans(fullText, {
+    maxChunkSize: chunkSize,
+    overlapSize: overlap
+  });
+
+  return spans.map((span, index) => {
+    const startPage = pageAt(span.start);
+    const endPage = pageAt(span.end - 1);
+
+    // Chunks touching OCR'd pages keep the weakest page confidence
+    const ocrConfidences = pageStarts
+      .filter(pageStart => pageStart.page >= startPage.page && pageStart.page <= endPage.page && pageStart.source === 'ocr')
+      .map(pageStart => pageStart.ocrConfidence);
+
+    return {
+      text: span.text,
+      page: startPage.page,
+      pageRange: startPage.page === endPage.page ? startPage.page : `${startPage.page}-${endPage.page}`,
+      chunkIndex: index,
+      startChar: span.start,
+      endChar: span.end,
+      startPage: startPage.page,
+      endPage: endPage.page,
+      startPageChar: span.start - startPage.start,
+      endPageChar: span.end - endPage.start,
+      metadata: {
+        estimationMethod: 'page_text',
+        confidence: 'exact',
+        totalPages: pages.length,
+        ...(ocrConfidences.length > 0 ? { ocr: true, ocrConfidence: Math.min(...ocrConfidences) } : {})
+      }
+    };
+  });
+}
+
 /**
  * Clean and normalize text for better embedding quality
  */
@@ -372,8 +465,12 @@ function processPDFForEmbeddings(pdfData, options = {}) {
   } = options;
 
   try {
-    // Extract chunks with page information
-    let chunks = extractPDFChunks(pdfData, { chunkSize, overlap });
+    // Extract chunks with page information: exact when the parser gave us pages,
+    // estimated from the combined text otherwise
+    const hasPageText = Array.isArray(pdfData.pages) && pdfData.pages.some(page => page.text?.trim());
+    let chunks = hasPageText
+      ? extractPageChunks(pdfData.pages, { chunkSize, overlap })
+      : extractPDFChunks(pdfData, { chunkSize, overlap });
     
     // Clean text if requested
     if (cleanText) {
@@ -399,7 +496,8 @@ function processPDFForEmbeddings(pdfData, options = {}) {
     return {
       chunks,
       metadata: {
-        totalPages: pdfData.numpages || pdfData.pageCount || estimatePageCountFromText(pdfData.text),
+        totalPages: pdfData.numpages || pdfData.pageCount || (hasPageText ? pdfData.pages.length : estimatePageCountFromText(pdfData.text)),
+        pageAccuracy: hasPageText ? 'exact' : 'estimated',
         totalChunks: chunks.length,
         totalWords: chunks.reduce((sum, chunk) => sum + chunk.wordCount, 0),
         totalChars: chunks.reduce((sum, chunk) => sum + chunk.charCount, 0),
@@ -416,6 +514,7 @@ function processPDFForEmbeddings(pdfData, options = {}) {
 export {
   splitTextIntoChunks,
   extractPDFChunks,
+  extractPageChunks,
   cleanTextForEmbedding,
   validateChunk,
   processPDFForEmbeddings,
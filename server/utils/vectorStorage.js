@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { buildBM25Index, searchBM25, reciprocalRankFusion } from './bm25.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -87,8 +88,10 @@ function loadEmbeddings() {
 
 /**
  * Retrieve top-k most similar chunks for a given PDF and query
+ * Fuses the embedding ranking with a BM25 ranking so exact terms still surface
+ * @param {Object} options - { rrfK, weights: { vector, lexical } }
  */
-function retrieveTopKChunks(pdfId, queryText, k = 5) {
+function retrieveTopKChunks(pdfId, queryText, k = 5, options = {}) {
   const embeddingsData = loadEmbeddings();
   const pdfEmbeddings = embeddingsData.embeddings[pdfId];
   
@@ -101,7 +104,7 @@ function retrieveTopKChunks(pdfId, queryText, k = 5) {
   const queryEmbedding = generateMockEmbedding(queryText);
   
   // Calculate similarities
-  const similarities = pdfEmbeddings.map(chunk => {
+  const similarities = pdfEmbeddings.map((chunk, index) => {
     let similarity;
     
     if (chunk.embedding && chunk.embedding.length > 0) {
@@ -113,22 +116,28 @@ function retrieveTopKChunks(pdfId, queryText, k = 5) {
     }
     
     return {
-      ...chunk,
-      similarity
-    };
-  });
-  
-  // Sort by similarity and return top-k
-  return similarities
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, k)
-    .map(chunk => ({
-      id: chunk.id,
+      id: chunk.id ?? `chunk_${index}`,
       text: chunk.text,
       page: chunk.page,
-      similarity: chunk.similarity,
+      similarity,
+      retrieverScore: similarity,
       metadata: chunk.metadata || {}
-    }));
+    };
+  });
+
+  const vectorRanking = [...similarities].sort((a, b) => b.similarity - a.similarity);
+
+  // Lexical ranking over the same chunks (the fallback store is small, so index on the fly)
+  const lexicalIndex = buildBM25Index(similarities);
+  const lexicalRanking = searchBM25(lexicalIndex, queryText, k).map(match => ({
+    ...similarities.find(chunk => chunk.id === match.id),
+    retrieverScore: match.score
+  }));
+
+  return reciprocalRankFusion(
+    { vector: vectorRanking, lexical: lexicalRanking },
+    { k: options.rrfK, weights: options.weights }
+  ).slice(0, k);
 }
 
 /**
@@ -0,0 +1,34 @@
+// Standalone PDF processing worker
+// Run with `node worker.js` (set JOB_WORKER=external on the API server so it only enqueues)
+
+import { config } from './config/index.js'
+import { isDatabaseConfigured } from './repositories/index.js'
+import { startPDFProcessingWorker } from './services/pdfProcessingService.js'
+
+if (!isDatabaseConfigured()) {
+  console.error('❌ Supabase configuration missing - the job queue is unavailable')
+  process.exit(1)
+}
+
+// The worker shares the queue through the database file, which a throwaway database can't do
+if (config.databaseDriver === 'sqlite' && config.sqlitePath === ':memory:') {
+  console.error('❌ SQLITE_PATH=:memory: is private to one process; run the worker inside the API server (JOB_WORKER=inline)')
+  process.exit(1)
+}
+
+const worker = startPDFProcessingWorker()
+
+// Finish the current job before exiting; an interrupted job is reclaimed once its heartbeat goes stale
+async function shutdown(signal) {
+  console.log(`🛑 ${signal} received, finishing current job...`)
+  await worker.stop()
+  process.exit(0)
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
+
+process.on('unhandledRejection', (reason) => {
+  console.error('💥 Unhandled Rejection in worker:', reason)
+  process.exit(1)
+})